@@ -1,11 +1,26 @@
 const { sequelize } = require('../config/database');
 const { QueryTypes } = require('sequelize');
+const moment = require('moment');
+const journalChain = require('../services/journalChain');
+const journalPosting = require('../services/journalPosting');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const changeHistory = require('../services/changeHistory');
+const ledger = require('../services/ledger');
+const cashFlow = require('../services/cashFlow');
+const statements = require('../services/financialStatements');
+const currency = require('../services/currency');
+const dimensions = require('../services/dimensions');
+const budgets = require('../services/budgets');
+const depreciation = require('../services/depreciation');
+const fiscalDepreciation = require('../services/fiscalDepreciation');
 
 /**
  * Chart of Accounts Controllers
  */
 const getAllAccounts = async (req, res) => {
     try {
+        const asOfDate = req.query.as_of_date || moment().format('YYYY-MM-DD');
+
         const accounts = await sequelize.query(
             `SELECT 
                 a.*,
@@ -17,9 +32,15 @@ const getAllAccounts = async (req, res) => {
             { type: QueryTypes.SELECT }
         );
 
+        // Balances include the sub-accounts of each account
+        const balances = await ledger.getRolledUpBalances(accounts, asOfDate);
+
         res.json({
             success: true,
-            data: accounts
+            data: accounts.map(account => ({
+                ...account,
+                balance: balances.get(account.id)
+            }))
         });
     } catch (error) {
         console.error('Error in getAllAccounts:', error);
@@ -90,13 +111,15 @@ const createAccount = async (req, res) => {
         // Create new account
         const [accountId] = await sequelize.query(
             `INSERT INTO chart_of_accounts 
-            (account_code, account_name, account_type, description, parent_id) 
-            VALUES (?, ?, ?, ?, ?)`,
+            (account_code, account_name, account_type, cash_flow_category, currency, description, parent_id) 
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
             {
                 replacements: [
                     req.body.account_code,
                     req.body.account_name,
                     req.body.account_type,
+                    req.body.cash_flow_category || null,
+                    currency.isForeign(req.body.currency) ? req.body.currency : null,
                     req.body.description || null,
                     req.body.parent_id || null
                 ],
@@ -126,16 +149,9 @@ const updateAccount = async (req, res) => {
     const t = await sequelize.transaction();
 
     try {
-        const [account] = await sequelize.query(
-            'SELECT id FROM chart_of_accounts WHERE id = ?',
-            {
-                replacements: [req.params.id],
-                type: QueryTypes.SELECT,
-                transaction: t
-            }
-        );
+        const snapshot = await changeHistory.snapshot('chart_of_accounts', req.params.id, t);
 
-        if (!account) {
+        if (!snapshot) {
             await t.rollback();
             return res.status(404).json({
                 success: false,
@@ -143,11 +159,34 @@ const updateAccount = async (req, res) => {
             });
         }
 
+        // Existing lines were entered in the old currency
+        const newCurrency = currency.isForeign(req.body.currency) ? req.body.currency : null;
+        if (req.body.currency !== undefined && newCurrency !== snapshot.before.currency) {
+            const [used] = await sequelize.query(
+                'SELECT id FROM journal_details WHERE account_id = ? LIMIT 1',
+                {
+                    replacements: [snapshot.id],
+                    type: QueryTypes.SELECT,
+                    transaction: t
+                }
+            );
+
+            if (used) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'The currency of an account with journal lines cannot be changed'
+                });
+            }
+        }
+
         await sequelize.query(
             `UPDATE chart_of_accounts 
             SET 
                 account_name = COALESCE(?, account_name),
                 account_type = COALESCE(?, account_type),
+                cash_flow_category = IF(?, ?, cash_flow_category),
+                currency = IF(?, ?, currency),
                 description = COALESCE(?, description),
                 parent_id = COALESCE(?, parent_id)
             WHERE id = ?`,
@@ -155,6 +194,11 @@ const updateAccount = async (req, res) => {
                 replacements: [
                     req.body.account_name || null,
                     req.body.account_type || null,
+                    // Empty or null goes back to the default of the account type
+                    req.body.cash_flow_category !== undefined,
+                    req.body.cash_flow_category || null,
+                    req.body.currency !== undefined,
+                    newCurrency,
                     req.body.description || null,
                     req.body.parent_id || null,
                     req.params.id
@@ -164,6 +208,8 @@ const updateAccount = async (req, res) => {
             }
         );
 
+        await changeHistory.record(snapshot, req.user.id, t);
+
         await t.commit();
 
         res.json({
@@ -180,9 +226,92 @@ const updateAccount = async (req, res) => {
     }
 };
 
+/**
+ * General ledger of an account and its sub-accounts between start_date
+ * (default the first day of the year of end_date) and end_date (default today)
+ */
+const getAccountLedger = async (req, res) => {
+    try {
+        const [account] = await sequelize.query(
+            'SELECT id, account_code, account_name, account_type, parent_id FROM chart_of_accounts WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const endDate = req.query.end_date || moment().format('YYYY-MM-DD');
+        const startDate = req.query.start_date || moment(endDate).startOf('year').format('YYYY-MM-DD');
+
+        if (startDate > endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start date must be before the end date'
+            });
+        }
+
+        const reportCurrency = req.query.currency || currency.FUNCTIONAL_CURRENCY;
+        const { accountIds, ...generalLedger } = await ledger.getAccountLedger(account, startDate, endDate, reportCurrency);
+
+        res.json({
+            success: true,
+            data: {
+                account,
+                period: {
+                    startDate,
+                    endDate
+                },
+                currency: reportCurrency,
+                subAccountCount: accountIds.length - 1,
+                ...generalLedger
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAccountLedger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate general ledger'
+        });
+    }
+};
+
 /**
  * Journal Entry Controllers
  */
+// Lines of a journal entry with their accounts and dimensions
+const getEntryDetails = async (journalId) => {
+    const details = await sequelize.query(
+        `SELECT 
+            d.*,
+            a.account_code,
+            a.account_name,
+            dep.dept_code as department_code,
+            cc.code as cost_center_code,
+            p.code as project_code,
+            ${dimensions.tagsColumn('d')}
+        FROM journal_details d
+        JOIN chart_of_accounts a ON d.account_id = a.id
+        LEFT JOIN departments dep ON d.department_id = dep.id
+        LEFT JOIN cost_centers cc ON d.cost_center_id = cc.id
+        LEFT JOIN projects p ON d.project_id = p.id
+        WHERE d.journal_id = ?
+        ORDER BY d.id`,
+        {
+            replacements: [journalId],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return details.map(detail => ({ ...detail, tags: dimensions.splitTags(detail.tags) }));
+};
+
 const getJournalEntries = async (req, res) => {
     try {
         let query = `
@@ -217,19 +346,7 @@ const getJournalEntries = async (req, res) => {
 
         // Get details for each entry
         for (let entry of entries) {
-            entry.details = await sequelize.query(
-                `SELECT 
-                    d.*,
-                    a.account_code,
-                    a.account_name
-                FROM journal_details d
-                JOIN chart_of_accounts a ON d.account_id = a.id
-                WHERE d.journal_id = ?`,
-                {
-                    replacements: [entry.id],
-                    type: QueryTypes.SELECT
-                }
-            );
+            entry.details = await getEntryDetails(entry.id);
         }
 
         res.json({
@@ -245,15 +362,148 @@ const getJournalEntries = async (req, res) => {
     }
 };
 
+const getJournalEntryById = async (req, res) => {
+    try {
+        const [entry] = await sequelize.query(
+            `SELECT 
+                j.*,
+                u.username as created_by_user,
+                pu.username as posted_by_user,
+                vu.username as voided_by_user,
+                o.reference_no as reversal_of_reference_no
+            FROM journal_entries j
+            LEFT JOIN users u ON j.created_by = u.id
+            LEFT JOIN users pu ON j.posted_by = pu.id
+            LEFT JOIN users vu ON j.voided_by = vu.id
+            LEFT JOIN journal_entries o ON j.reversal_of = o.id
+            WHERE j.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Journal entry not found'
+            });
+        }
+
+        entry.details = await getEntryDetails(entry.id);
+
+        // Reversing entry created when this entry was voided
+        const [reversal] = await sequelize.query(
+            'SELECT id, reference_no, entry_date FROM journal_entries WHERE reversal_of = ?',
+            {
+                replacements: [entry.id],
+                type: QueryTypes.SELECT
+            }
+        );
+        entry.reversal = reversal || null;
+
+        res.json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error in getJournalEntryById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve journal entry'
+        });
+    }
+};
+
 const createJournalEntry = async (req, res) => {
     const t = await sequelize.transaction();
 
     try {
-        // Validate debits and credits balance
-        const totalDebit = req.body.details.reduce((sum, detail) => sum + parseFloat(detail.debit), 0);
-        const totalCredit = req.body.details.reduce((sum, detail) => sum + parseFloat(detail.credit), 0);
+        // Amounts in other currencies are converted at the rate of the entry date
+        const { lines, error: currencyError } = await currency.toFunctional(req.body.details, req.body.entry_date, t);
+        if (currencyError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: currencyError
+            });
+        }
+
+        // Balanced lines (in IDR) in a period open to the user
+        const validationError = await journalPosting.validateEntry(req.body, lines, req.user, t);
+        if (validationError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const journal = await journalPosting.createDraftEntry(req.body, lines, req.user.id, t);
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Journal entry created successfully',
+            data: journal
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in createJournalEntry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create journal entry'
+        });
+    }
+};
+
+// Only drafts can be edited; posted entries are corrected by voiding them
+const updateJournalEntry = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [entry] = await sequelize.query(
+            `SELECT id, status, DATE_FORMAT(entry_date, '%Y-%m-%d') as entry_date
+            FROM journal_entries WHERE id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!entry) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Journal entry not found'
+            });
+        }
 
-        if (Math.abs(totalDebit - totalCredit) > 0.01) { // Allow for small floating point differences
+        if (entry.status !== 'draft') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft journal entries can be edited; void a posted entry instead'
+            });
+        }
+
+        // New lines are converted at the rate of the (new) entry date; kept lines keep their rates
+        let lines = null;
+        if (req.body.details) {
+            const converted = await currency.toFunctional(req.body.details, req.body.entry_date || entry.entry_date, t);
+            if (converted.error) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: converted.error
+                });
+            }
+            lines = converted.lines;
+        }
+
+        if (lines && !journalPosting.isBalanced(lines)) {
             await t.rollback();
             return res.status(400).json({
                 success: false,
@@ -261,56 +511,292 @@ const createJournalEntry = async (req, res) => {
             });
         }
 
-        // Create journal entry
-        const [journalId] = await sequelize.query(
-            `INSERT INTO journal_entries 
-            (entry_date, reference_no, description, created_by) 
-            VALUES (?, ?, ?, ?)`,
+        const dimensionError = lines && await dimensions.validateLines(lines, t);
+        if (dimensionError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: dimensionError
+            });
+        }
+
+        // Both the current and the new date must be in periods open to the user
+        for (const date of new Set([entry.entry_date, req.body.entry_date || entry.entry_date])) {
+            const periodError = await fiscalPeriods.checkPostingDate(date, req.user, t);
+            if (periodError) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: periodError
+                });
+            }
+        }
+
+        await sequelize.query(
+            `UPDATE journal_entries 
+            SET 
+                entry_date = COALESCE(?, entry_date),
+                description = COALESCE(?, description)
+            WHERE id = ?`,
             {
                 replacements: [
-                    req.body.entry_date,
-                    req.body.reference_no,
-                    req.body.description,
-                    req.user.id
+                    req.body.entry_date || null,
+                    req.body.description || null,
+                    entry.id
                 ],
-                type: QueryTypes.INSERT,
+                type: QueryTypes.UPDATE,
                 transaction: t
             }
         );
 
-        // Create journal details
-        for (const detail of req.body.details) {
+        // Details are replaced as a whole
+        if (lines) {
             await sequelize.query(
-                `INSERT INTO journal_details 
-                (journal_id, account_id, debit, credit, description) 
-                VALUES (?, ?, ?, ?, ?)`,
+                'DELETE FROM journal_details WHERE journal_id = ?',
                 {
-                    replacements: [
-                        journalId,
-                        detail.account_id,
-                        detail.debit,
-                        detail.credit,
-                        detail.description || null
-                    ],
-                    type: QueryTypes.INSERT,
+                    replacements: [entry.id],
+                    type: QueryTypes.DELETE,
                     transaction: t
                 }
             );
+
+            await journalPosting.insertLines(entry.id, lines, t);
         }
 
         await t.commit();
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Journal entry created successfully',
-            data: { id: journalId }
+            message: 'Journal entry updated successfully'
         });
     } catch (error) {
         await t.rollback();
-        console.error('Error in createJournalEntry:', error);
+        console.error('Error in updateJournalEntry:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to create journal entry'
+            message: 'Failed to update journal entry'
+        });
+    }
+};
+
+const postJournalEntry = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [entry] = await sequelize.query(
+            `SELECT id, status, DATE_FORMAT(entry_date, '%Y-%m-%d') as entry_date
+            FROM journal_entries WHERE id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!entry) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Journal entry not found'
+            });
+        }
+
+        if (entry.status !== 'draft') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft journal entries can be posted'
+            });
+        }
+
+        const periodError = await fiscalPeriods.checkPostingDate(entry.entry_date, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE journal_entries
+            SET status = 'posted', posted_by = ?, posted_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [req.user.id, entry.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        // Seal the entry into the hash chain in the same transaction
+        const seal = await journalChain.seal(entry.id, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Journal entry posted successfully',
+            data: {
+                id: entry.id,
+                chainSeq: seal.chainSeq,
+                entryHash: seal.entryHash
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in postJournalEntry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to post journal entry'
+        });
+    }
+};
+
+/**
+ * Void a posted entry. The entry itself is never changed (it stays in the ledger, marked void);
+ * a posted reversing entry with debits and credits swapped cancels it from the reversal date.
+ */
+const voidJournalEntry = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [entry] = await sequelize.query(
+            `SELECT id, reference_no, DATE_FORMAT(entry_date, '%Y-%m-%d') as entry_date, status, reversal_of, is_closing
+            FROM journal_entries WHERE id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!entry) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Journal entry not found'
+            });
+        }
+
+        if (entry.status !== 'posted') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only posted journal entries can be voided'
+            });
+        }
+
+        if (entry.reversal_of) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Reversing entries cannot be voided'
+            });
+        }
+
+        if (entry.is_closing) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Closing entries are reversed by reopening the fiscal year'
+            });
+        }
+
+        const [run] = await sequelize.query(
+            'SELECT id FROM depreciation_runs WHERE journal_id = ?',
+            {
+                replacements: [entry.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (run) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Depreciation entries are reversed with their depreciation run (#${run.id})`
+            });
+        }
+
+        const [disposal] = await sequelize.query(
+            'SELECT id FROM asset_disposals WHERE journal_id = ?',
+            {
+                replacements: [entry.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (disposal) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Disposal entries are reversed with their disposal (#${disposal.id})`
+            });
+        }
+
+        const reversalDate = req.body.reversal_date || moment().format('YYYY-MM-DD');
+        if (reversalDate < entry.entry_date) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Reversal date cannot be before the entry date'
+            });
+        }
+
+        const periodError = await fiscalPeriods.checkPostingDate(reversalDate, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        const reversal = await journalPosting.reverseEntry(entry, {
+            date: reversalDate,
+            reason: req.body.reason,
+            userId: req.user.id
+        }, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Journal entry voided successfully',
+            data: {
+                id: entry.id,
+                ...reversal
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in voidJournalEntry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to void journal entry'
+        });
+    }
+};
+
+const verifyJournalChain = async (req, res) => {
+    try {
+        const verification = await journalChain.verify();
+
+        res.json({
+            success: true,
+            message: verification.valid
+                ? 'Journal hash chain verified'
+                : 'Journal hash chain is broken',
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error in verifyJournalChain:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify journal hash chain'
         });
     }
 };
@@ -321,68 +807,80 @@ const createJournalEntry = async (req, res) => {
 const generateBalanceSheet = async (req, res) => {
     try {
         const asOfDate = req.query.as_of_date;
+        const { depth } = req.query;
+        const comparisonKeys = req.query.compare || [];
+        const reportCurrency = req.query.currency || currency.FUNCTIONAL_CURRENCY;
+
+        // Every column is a balance as of a date: the report date and one per comparison
+        const dates = {
+            current: asOfDate,
+            ...Object.fromEntries(comparisonKeys.map(key => [key, statements.comparisonDate(asOfDate, key)]))
+        };
+        const nets = {};
+        for (const [column, date] of Object.entries(dates)) {
+            nets[column] = await statements.getNetAmounts({ to: date, currency: reportCurrency });
+        }
 
-        // Get all accounts with their balances
-        const accounts = await sequelize.query(
-            `WITH RECURSIVE AccountHierarchy AS (
-                SELECT 
-                    id, 
-                    account_code,
-                    account_name,
-                    account_type,
-                    parent_id,
-                    0 as level
-                FROM chart_of_accounts
-                WHERE parent_id IS NULL
-                
-                UNION ALL
-                
-                SELECT 
-                    c.id,
-                    c.account_code,
-                    c.account_name,
-                    c.account_type,
-                    c.parent_id,
-                    ah.level + 1
-                FROM chart_of_accounts c
-                INNER JOIN AccountHierarchy ah ON c.parent_id = ah.id
-            )
-            SELECT 
-                ah.*,
-                COALESCE(
-                    (SELECT SUM(debit) - SUM(credit)
-                    FROM journal_details jd
-                    JOIN journal_entries je ON jd.journal_id = je.id
-                    WHERE jd.account_id = ah.id
-                    AND je.entry_date <= ?
-                    AND je.status = 'posted'), 0
-                ) as balance
-            FROM AccountHierarchy ah
-            WHERE ah.account_type IN ('asset', 'liability', 'equity')
-            ORDER BY ah.account_code`,
-            {
-                replacements: [asOfDate],
-                type: QueryTypes.SELECT
-            }
+        const amountOf = (account, column) => ledger.naturalBalance(
+            account.account_type,
+            nets[column || 'current'].get(account.id) || 0
         );
 
+        const [assets, liabilities, equity] = await Promise.all(
+            ['asset', 'liability', 'equity'].map(async type =>
+                statements.buildSection(await statements.getAccountTree([type]), amountOf, comparisonKeys, depth))
+        );
+
+        // Revenue and expenses not yet closed into retained earnings (closing entries zero out closed years)
+        const incomeAccounts = await statements.getAccountTree(['revenue', 'expense']);
+        const earningsAt = (column) => incomeAccounts
+            .reduce((sum, account) => sum - (nets[column].get(account.id) || 0), 0);
+
+        const totalsAt = (column) => {
+            const section = (s) => (column === 'current' ? s.total : s.comparisons[column].amount);
+            const currentEarnings = earningsAt(column);
+            const totalEquity = section(equity) + currentEarnings;
+            return {
+                totalAssets: section(assets),
+                totalLiabilities: section(liabilities),
+                currentEarnings,
+                totalEquity,
+                totalLiabilitiesAndEquity: section(liabilities) + totalEquity
+            };
+        };
+
+        const totals = totalsAt('current');
+
         // Organize data for balance sheet
         const balanceSheet = {
             asOfDate,
-            assets: accounts.filter(a => a.account_type === 'asset'),
-            liabilities: accounts.filter(a => a.account_type === 'liability'),
-            equity: accounts.filter(a => a.account_type === 'equity'),
-            totalAssets: accounts
-                .filter(a => a.account_type === 'asset')
-                .reduce((sum, account) => sum + parseFloat(account.balance), 0),
-            totalLiabilities: accounts
-                .filter(a => a.account_type === 'liability')
-                .reduce((sum, account) => sum + parseFloat(account.balance), 0),
-            totalEquity: accounts
-                .filter(a => a.account_type === 'equity')
-                .reduce((sum, account) => sum + parseFloat(account.balance), 0)
+            currency: reportCurrency,
+            depth: depth === undefined ? null : depth,
+            comparisons: comparisonKeys.map(key => ({
+                key,
+                label: statements.COMPARISON_LABELS[key],
+                asOfDate: dates[key]
+            })),
+            assets: assets.lines,
+            liabilities: liabilities.lines,
+            equity: equity.lines,
+            ...Object.fromEntries(Object.entries(totals).map(([name, amount]) => [name, ledger.round(amount)])),
+            comparisonTotals: Object.fromEntries(comparisonKeys.map(key => {
+                const compared = totalsAt(key);
+                return [key, Object.fromEntries(Object.keys(totals).map(name => [
+                    name,
+                    statements.variance(totals[name], compared[name])
+                ]))];
+            }))
         };
 
+        balanceSheet.isBalanced = Math.abs(balanceSheet.totalAssets - balanceSheet.totalLiabilitiesAndEquity) < 0.01;
+
+        // Optionally prove the ledger behind the report was not tampered with
+        if (req.query.verify_chain === 'true') {
+            balanceSheet.chainVerification = await journalChain.verify();
+        }
+
         res.json({
             success: true,
             data: balanceSheet
@@ -398,73 +896,124 @@ const generateBalanceSheet = async (req, res) => {
 
 const generateIncomeStatement = async (req, res) => {
     try {
-        const { start_date, end_date } = req.query;
+        const { start_date, end_date, depth } = req.query;
+        const comparisonKeys = req.query.compare || [];
+        const reportCurrency = req.query.currency || currency.FUNCTIONAL_CURRENCY;
+        const filters = dimensions.filtersFrom(req.query);
+        const groupBy = req.query.group_by;
 
-        // Get revenue and expense accounts with their balances
-        const accounts = await sequelize.query(
-            `WITH RECURSIVE AccountHierarchy AS (
-                SELECT 
-                    id, 
-                    account_code,
-                    account_name,
-                    account_type,
-                    parent_id,
-                    0 as level
-                FROM chart_of_accounts
-                WHERE parent_id IS NULL
-                
-                UNION ALL
-                
-                SELECT 
-                    c.id,
-                    c.account_code,
-                    c.account_name,
-                    c.account_type,
-                    c.parent_id,
-                    ah.level + 1
-                FROM chart_of_accounts c
-                INNER JOIN AccountHierarchy ah ON c.parent_id = ah.id
-            )
-            SELECT 
-                ah.*,
-                COALESCE(
-                    (SELECT SUM(CASE 
-                        WHEN ah.account_type = 'revenue' THEN credit - debit
-                        WHEN ah.account_type = 'expense' THEN debit - credit
-                        END)
-                    FROM journal_details jd
-                    JOIN journal_entries je ON jd.journal_id = je.id
-                    WHERE jd.account_id = ah.id
-                    AND je.entry_date BETWEEN ? AND ?
-                    AND je.status = 'posted'), 0
-                ) as balance
-            FROM AccountHierarchy ah
-            WHERE ah.account_type IN ('revenue', 'expense')
-            ORDER BY ah.account_code`,
-            {
-                replacements: [start_date, end_date],
-                type: QueryTypes.SELECT
+        if (comparisonKeys.includes('budget') && currency.isForeign(reportCurrency)) {
+            return res.status(400).json({
+                success: false,
+                message: `Budgets are kept in ${currency.FUNCTIONAL_CURRENCY}; compare with the budget in a ${currency.FUNCTIONAL_CURRENCY} report`
+            });
+        }
+
+        if (comparisonKeys.includes('budget') && filters.tag) {
+            return res.status(400).json({
+                success: false,
+                message: 'Budgets have no tags; compare with the budget without a tag filter'
+            });
+        }
+
+        if (groupBy && comparisonKeys.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Grouping by a dimension cannot be combined with comparison columns'
+            });
+        }
+
+        // Every column is the movement of a period: the report period and one per comparison
+        const periods = {
+            current: { startDate: start_date, endDate: end_date },
+            ...Object.fromEntries(comparisonKeys.map(key => [key, statements.comparisonPeriod(start_date, end_date, key)]))
+        };
+        const amounts = {};
+        for (const [column, period] of Object.entries(periods)) {
+            if (column === 'budget') {
+                // Budgets are entered in the natural sign of the account already
+                amounts[column] = (await budgets.getAmounts(period.startDate, period.endDate, { filters })).amounts;
+            } else {
+                amounts[column] = await statements.getNetAmounts({
+                    from: period.startDate,
+                    to: period.endDate,
+                    excludeClosing: true,
+                    currency: reportCurrency,
+                    filters
+                });
             }
+        }
+
+        const amountOf = (account, column) => {
+            const amount = amounts[column || 'current'].get(account.id) || 0;
+            return column === 'budget' ? amount : ledger.naturalBalance(account.account_type, amount);
+        };
+
+        const [revenueAccounts, expenseAccounts] = await Promise.all(
+            ['revenue', 'expense'].map(type => statements.getAccountTree([type]))
         );
+        const revenue = statements.buildSection(revenueAccounts, amountOf, comparisonKeys, depth);
+        const expenses = statements.buildSection(expenseAccounts, amountOf, comparisonKeys, depth);
+
+        const comparedAt = (section, key) => section.comparisons[key].amount;
 
         // Organize data for income statement
         const incomeStatement = {
-            period: {
-                startDate: start_date,
-                endDate: end_date
-            },
-            revenue: accounts.filter(a => a.account_type === 'revenue'),
-            expenses: accounts.filter(a => a.account_type === 'expense'),
-            totalRevenue: accounts
-                .filter(a => a.account_type === 'revenue')
-                .reduce((sum, account) => sum + parseFloat(account.balance), 0),
-            totalExpenses: accounts
-                .filter(a => a.account_type === 'expense')
-                .reduce((sum, account) => sum + parseFloat(account.balance), 0)
+            period: periods.current,
+            currency: reportCurrency,
+            filters,
+            depth: depth === undefined ? null : depth,
+            comparisons: comparisonKeys.map(key => ({
+                key,
+                label: statements.COMPARISON_LABELS[key],
+                ...periods[key]
+            })),
+            revenue: revenue.lines,
+            expenses: expenses.lines,
+            totalRevenue: revenue.total,
+            totalExpenses: expenses.total,
+            comparisonTotals: Object.fromEntries(comparisonKeys.map(key => [key, {
+                totalRevenue: revenue.comparisons[key],
+                totalExpenses: expenses.comparisons[key],
+                netIncome: statements.variance(
+                    revenue.total - expenses.total,
+                    comparedAt(revenue, key) - comparedAt(expenses, key)
+                )
+            }]))
         };
 
         // Calculate net income/loss
-        incomeStatement.netIncome = incomeStatement.totalRevenue - incomeStatement.totalExpenses;
+        incomeStatement.netIncome = ledger.round(incomeStatement.totalRevenue - incomeStatement.totalExpenses);
+
+        // One statement per value of the dimension; with tags a line counts under each of its tags
+        if (groupBy) {
+            const grouped = await statements.getNetAmounts({
+                from: start_date,
+                to: end_date,
+                excludeClosing: true,
+                currency: reportCurrency,
+                filters,
+                groupBy
+            });
+            const labels = await dimensions.getLabels(groupBy, [...grouped.keys()]);
+
+            incomeStatement.groupBy = groupBy;
+            incomeStatement.groups = [...grouped.entries()].map(([key, nets]) => {
+                const groupAmountOf = (account) => ledger.naturalBalance(account.account_type, nets.get(account.id) || 0);
+                const groupRevenue = statements.buildSection(revenueAccounts, groupAmountOf, [], depth);
+                const groupExpenses = statements.buildSection(expenseAccounts, groupAmountOf, [], depth);
+
+                return {
+                    key,
+                    ...labels.get(key),
+                    revenue: groupRevenue.lines,
+                    expenses: groupExpenses.lines,
+                    totalRevenue: groupRevenue.total,
+                    totalExpenses: groupExpenses.total,
+                    netIncome: ledger.round(groupRevenue.total - groupExpenses.total)
+                };
+            });
+        }
 
         res.json({
             success: true,
@@ -482,29 +1031,41 @@ const generateIncomeStatement = async (req, res) => {
 const generateTrialBalance = async (req, res) => {
     try {
         const { as_of_date } = req.query;
+        const reportCurrency = req.query.currency || currency.FUNCTIONAL_CURRENCY;
+        const columns = currency.reportColumns(reportCurrency);
+        const filters = dimensions.filtersFrom(req.query);
+        const filter = dimensions.filterSql(filters);
+        const groupBy = req.query.group_by;
 
         // Get all accounts with their balances
         const accounts = await sequelize.query(
             `SELECT 
                 a.*,
                 COALESCE(
-                    (SELECT SUM(debit) FROM journal_details jd
+                    (SELECT SUM(${columns.debit}) FROM journal_details jd
                     JOIN journal_entries je ON jd.journal_id = je.id
                     WHERE jd.account_id = a.id
                     AND je.entry_date <= ?
-                    AND je.status = 'posted'), 0
+                    AND je.status IN ('posted', 'void')
+                    ${columns.where}
+                    ${filter.where}), 0
                 ) as total_debit,
                 COALESCE(
-                    (SELECT SUM(credit) FROM journal_details jd
+                    (SELECT SUM(${columns.credit}) FROM journal_details jd
                     JOIN journal_entries je ON jd.journal_id = je.id
                     WHERE jd.account_id = a.id
                     AND je.entry_date <= ?
-                    AND je.status = 'posted'), 0
+                    AND je.status IN ('posted', 'void')
+                    ${columns.where}
+                    ${filter.where}), 0
                 ) as total_credit
             FROM chart_of_accounts a
             ORDER BY a.account_code`,
             {
-                replacements: [as_of_date, as_of_date],
+                replacements: [
+                    as_of_date, ...columns.replacements, ...filter.replacements,
+                    as_of_date, ...columns.replacements, ...filter.replacements
+                ],
                 type: QueryTypes.SELECT
             }
         );
@@ -512,6 +1073,8 @@ const generateTrialBalance = async (req, res) => {
         // Calculate running balances
         const trialBalance = {
             asOfDate: as_of_date,
+            currency: reportCurrency,
+            filters,
             accounts: accounts.map(account => ({
                 ...account,
                 balance: parseFloat(account.total_debit) - parseFloat(account.total_credit)
@@ -520,41 +1083,137 @@ const generateTrialBalance = async (req, res) => {
             totalCredit: accounts.reduce((sum, account) => sum + parseFloat(account.total_credit), 0)
         };
 
+        // Accounts with movements per value of the dimension; with tags a line counts under each of its tags
+        if (groupBy) {
+            const group = dimensions.groupSql(groupBy);
+            const movements = await sequelize.query(
+                `SELECT ${group.key} as group_key, jd.account_id,
+                    SUM(${columns.debit}) as total_debit, SUM(${columns.credit}) as total_credit
+                FROM journal_details jd
+                JOIN journal_entries je ON jd.journal_id = je.id
+                ${group.join}
+                WHERE je.entry_date <= ?
+                AND je.status IN ('posted', 'void')
+                ${columns.where}
+                ${filter.where}
+                GROUP BY group_key, jd.account_id`,
+                {
+                    replacements: [as_of_date, ...columns.replacements, ...filter.replacements],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const keys = [...new Set(movements.map(movement => movement.group_key))];
+            const labels = await dimensions.getLabels(groupBy, keys);
+
+            trialBalance.groupBy = groupBy;
+            trialBalance.groups = keys.map(key => {
+                const groupMovements = movements.filter(movement => movement.group_key === key);
+                const groupAccounts = accounts
+                    .filter(account => groupMovements.some(movement => movement.account_id === account.id))
+                    .map(account => {
+                        const movement = groupMovements.find(m => m.account_id === account.id);
+                        return {
+                            id: account.id,
+                            account_code: account.account_code,
+                            account_name: account.account_name,
+                            account_type: account.account_type,
+                            total_debit: parseFloat(movement.total_debit),
+                            total_credit: parseFloat(movement.total_credit),
+                            balance: parseFloat(movement.total_debit) - parseFloat(movement.total_credit)
+                        };
+                    });
+
+                return {
+                    key,
+                    ...labels.get(key),
+                    accounts: groupAccounts,
+                    totalDebit: groupAccounts.reduce((sum, account) => sum + account.total_debit, 0),
+                    totalCredit: groupAccounts.reduce((sum, account) => sum + account.total_credit, 0)
+                };
+            });
+        }
+
+        // Optionally prove the ledger behind the report was not tampered with
+        if (req.query.verify_chain === 'true') {
+            trialBalance.chainVerification = await journalChain.verify();
+        }
+
+        res.json({
+            success: true,
+            data: trialBalance
+        });
+    } catch (error) {
+        console.error('Error in generateTrialBalance:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate trial balance'
+        });
+    }
+};
+
+const generateCashFlow = async (req, res) => {
+    try {
+        const { start_date, end_date, method } = req.query;
+
+        const statement = await cashFlow.generate(start_date, end_date, method);
+
+        if (!statement) {
+            return res.status(400).json({
+                success: false,
+                message: 'No cash or bank accounts: set the cash flow category of those accounts to "cash"'
+            });
+        }
+
         res.json({
             success: true,
-            data: trialBalance
+            data: statement
         });
     } catch (error) {
-        console.error('Error in generateTrialBalance:', error);
+        console.error('Error in generateCashFlow:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to generate trial balance'
+            message: 'Failed to generate cash flow statement'
         });
     }
 };
 
+// Filters by status, location and department_id list what should be found where during a physical count
 const getFixedAssets = async (req, res) => {
     try {
+        const filters = ['status', 'location', 'department_id'].filter(column => req.query[column]);
+
         const assets = await sequelize.query(
             `SELECT 
                 fa.*,
+                d.dept_name as department_name,
+                ea.account_code as depreciation_expense_account_code,
+                aa.account_code as accumulated_depreciation_account_code,
                 COALESCE(
                     (SELECT accumulated_depreciation 
                      FROM asset_depreciation 
-                     WHERE asset_id = fa.id 
-                     ORDER BY depreciation_date DESC 
+                     WHERE asset_id = fa.id AND is_reversed = FALSE
+                     ORDER BY depreciation_date DESC, id DESC
                      LIMIT 1), 0
                 ) as accumulated_depreciation,
                 COALESCE(
                     (SELECT book_value 
                      FROM asset_depreciation 
-                     WHERE asset_id = fa.id 
-                     ORDER BY depreciation_date DESC 
+                     WHERE asset_id = fa.id AND is_reversed = FALSE
+                     ORDER BY depreciation_date DESC, id DESC
                      LIMIT 1), fa.purchase_cost
                 ) as current_book_value
             FROM fixed_assets fa
+            LEFT JOIN chart_of_accounts ea ON fa.depreciation_expense_account_id = ea.id
+            LEFT JOIN chart_of_accounts aa ON fa.accumulated_depreciation_account_id = aa.id
+            LEFT JOIN departments d ON fa.department_id = d.id
+            WHERE 1=1
+            ${filters.map(column => `AND fa.${column} = ?`).join('\n')}
             ORDER BY fa.asset_code`,
-            { type: QueryTypes.SELECT }
+            {
+                replacements: filters.map(column => req.query[column]),
+                type: QueryTypes.SELECT
+            }
         );
 
         res.json({
@@ -592,12 +1251,25 @@ const createFixedAsset = async (req, res) => {
             });
         }
 
+        const accountError = depreciation.validateMethod(req.body)
+            || fiscalDepreciation.validateFiscal(req.body.fiscal_group, req.body.fiscal_method)
+            || await depreciation.validateAccounts(req.body, t)
+            || await dimensions.validateValues([{ department_id: req.body.department_id }], t);
+        if (accountError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: accountError
+            });
+        }
+
         // Create new fixed asset
         const [assetId] = await sequelize.query(
             `INSERT INTO fixed_assets 
             (asset_code, asset_name, purchase_date, purchase_cost, useful_life_years, 
-             salvage_value, depreciation_method, account_id) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+             salvage_value, depreciation_method, depreciation_convention, total_units, fiscal_group, fiscal_method,
+             account_id, depreciation_expense_account_id, accumulated_depreciation_account_id, location, department_id) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             {
                 replacements: [
                     req.body.asset_code,
@@ -607,7 +1279,32 @@ const createFixedAsset = async (req, res) => {
                     req.body.useful_life_years,
                     req.body.salvage_value || 0,
                     req.body.depreciation_method,
-                    req.body.account_id
+                    req.body.depreciation_convention || 'full_month',
+                    req.body.total_units || null,
+                    req.body.fiscal_group || null,
+                    req.body.fiscal_group ? req.body.fiscal_method || 'straight_line' : null,
+                    req.body.account_id,
+                    req.body.depreciation_expense_account_id || null,
+                    req.body.accumulated_depreciation_account_id || null,
+                    req.body.location || null,
+                    req.body.department_id || null
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        // First entry of the asset's movement history
+        await sequelize.query(
+            `INSERT INTO asset_movements (asset_id, movement_type, movement_date, to_location, to_department_id, created_by)
+            VALUES (?, 'acquisition', ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    assetId,
+                    req.body.purchase_date,
+                    req.body.location || null,
+                    req.body.department_id || null,
+                    req.user.id
                 ],
                 type: QueryTypes.INSERT,
                 transaction: t
@@ -631,6 +1328,99 @@ const createFixedAsset = async (req, res) => {
     }
 };
 
+// Columns of an asset that can be changed; a new life, salvage value or method applies to the months not yet depreciated
+const ASSET_UPDATE_COLUMNS = [
+    'asset_name',
+    'useful_life_years',
+    'salvage_value',
+    'depreciation_method',
+    'depreciation_convention',
+    'total_units',
+    'fiscal_group',
+    'fiscal_method',
+    'account_id',
+    'depreciation_expense_account_id',
+    'accumulated_depreciation_account_id'
+];
+
+const updateFixedAsset = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const snapshot = await changeHistory.snapshot('fixed_assets', req.params.id, t);
+        const asset = snapshot && snapshot.before;
+
+        if (!asset) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (asset.status === 'disposed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Disposed assets cannot be changed'
+            });
+        }
+
+        if (req.body.salvage_value !== undefined && parseFloat(req.body.salvage_value) > parseFloat(asset.purchase_cost)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Salvage value cannot exceed the purchase cost'
+            });
+        }
+
+        const columns = ASSET_UPDATE_COLUMNS.filter(column => req.body[column] !== undefined);
+        const updated = { ...asset };
+        columns.forEach(column => {
+            updated[column] = req.body[column];
+        });
+
+        const accountError = depreciation.validateMethod(updated)
+            || fiscalDepreciation.validateFiscal(updated.fiscal_group, updated.fiscal_method)
+            || await depreciation.validateAccounts(req.body, t);
+        if (accountError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: accountError
+            });
+        }
+
+        if (columns.length) {
+            await sequelize.query(
+                `UPDATE fixed_assets SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                {
+                    replacements: [...columns.map(column => req.body[column]), asset.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+
+            await changeHistory.record(snapshot, req.user.id, t);
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Fixed asset updated successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateFixedAsset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update fixed asset'
+        });
+    }
+};
+
+// Depreciate one asset for the month of calculation_date: a depreciation run limited to that asset
 const calculateDepreciation = async (req, res) => {
     const t = await sequelize.transaction();
 
@@ -639,7 +1429,7 @@ const calculateDepreciation = async (req, res) => {
 
         // Get asset details
         const [asset] = await sequelize.query(
-            'SELECT * FROM fixed_assets WHERE id = ?',
+            'SELECT id, status FROM fixed_assets WHERE id = ?',
             {
                 replacements: [asset_id],
                 type: QueryTypes.SELECT,
@@ -655,71 +1445,54 @@ const calculateDepreciation = async (req, res) => {
             });
         }
 
-        // Get latest depreciation entry
-        const [lastDepreciation] = await sequelize.query(
-            `SELECT * FROM asset_depreciation 
-            WHERE asset_id = ? 
-            ORDER BY depreciation_date DESC 
-            LIMIT 1`,
-            {
-                replacements: [asset_id],
-                type: QueryTypes.SELECT,
-                transaction: t
-            }
-        );
+        if (asset.status !== 'active') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: asset.status === 'fully_depreciated'
+                    ? 'Asset is fully depreciated'
+                    : 'Disposed assets cannot be depreciated'
+            });
+        }
 
-        let depreciationAmount = 0;
-        let accumulatedDepreciation = lastDepreciation ? lastDepreciation.accumulated_depreciation : 0;
-        let bookValue = lastDepreciation ? lastDepreciation.book_value : asset.purchase_cost;
+        const periodEnd = depreciation.periodEndOf(calculation_date);
 
-        // Calculate depreciation based on method
-        if (asset.depreciation_method === 'straight_line') {
-            const annualDepreciation = (asset.purchase_cost - (asset.salvage_value || 0)) / asset.useful_life_years;
-            depreciationAmount = annualDepreciation / 12; // Monthly depreciation
-        } else if (asset.depreciation_method === 'declining_balance') {
-            const rate = 2 / asset.useful_life_years; // Double declining rate
-            depreciationAmount = (bookValue * rate) / 12;
+        const periodError = await fiscalPeriods.checkPostingDate(periodEnd, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
         }
 
-        // Update accumulated values
-        accumulatedDepreciation += depreciationAmount;
-        bookValue = asset.purchase_cost - accumulatedDepreciation;
+        const plan = await depreciation.planRun(periodEnd, { assetIds: [asset.id], lock: true }, t);
+        const [item] = plan.items;
 
-        // Ensure we don't depreciate below salvage value
-        if (bookValue < (asset.salvage_value || 0)) {
+        if (!item) {
             await t.rollback();
             return res.status(400).json({
                 success: false,
-                message: 'Asset cannot be depreciated below salvage value'
+                message: plan.skipped.length
+                    ? plan.skipped[0].reason
+                    : 'Asset was bought after the depreciation period'
             });
         }
 
-        // Record depreciation
-        await sequelize.query(
-            `INSERT INTO asset_depreciation 
-            (asset_id, depreciation_date, amount, accumulated_depreciation, book_value) 
-            VALUES (?, ?, ?, ?, ?)`,
-            {
-                replacements: [
-                    asset_id,
-                    calculation_date,
-                    depreciationAmount,
-                    accumulatedDepreciation,
-                    bookValue
-                ],
-                type: QueryTypes.INSERT,
-                transaction: t
-            }
-        );
+        const run = await depreciation.postRun(plan, req.user.id, t);
 
         await t.commit();
 
         res.json({
             success: true,
             data: {
-                depreciationAmount,
-                accumulatedDepreciation,
-                bookValue
+                runId: run.id,
+                journalId: run.journalId,
+                referenceNo: run.referenceNo,
+                depreciationDate: periodEnd,
+                depreciationAmount: item.amount,
+                accumulatedDepreciation: item.accumulated_depreciation,
+                bookValue: item.book_value
             }
         });
     } catch (error) {
@@ -740,7 +1513,7 @@ const getAssetDepreciation = async (req, res) => {
         const [asset] = await sequelize.query(
             `SELECT 
                 fa.*,
-                (SELECT COUNT(*) FROM asset_depreciation WHERE asset_id = fa.id) as depreciation_entries
+                (SELECT COUNT(*) FROM asset_depreciation WHERE asset_id = fa.id AND is_reversed = FALSE) as depreciation_entries
             FROM fixed_assets fa
             WHERE fa.id = ?`,
             {
@@ -783,14 +1556,53 @@ const getAssetDepreciation = async (req, res) => {
     }
 };
 
+// Budget rows per value of a dimension of the budgets
+const groupBudgetRows = async (dimension, rows, summarize) => {
+    const { column } = dimensions.LINE_DIMENSIONS[dimension];
+    const keys = [...new Set(rows.map(row => row[column]))];
+    const labels = await dimensions.getLabels(dimension, keys);
+
+    return keys.map(key => ({
+        key,
+        ...labels.get(key),
+        ...summarize(rows.filter(row => row[column] === key))
+    }));
+};
+
+// Budget lines of the reported version of each year (see budgets.selectVersions), with their phases
 const getBudgets = async (req, res) => {
     try {
+        const years = req.query.fiscal_year
+            ? [req.query.fiscal_year]
+            : (await sequelize.query(
+                'SELECT DISTINCT fiscal_year FROM budget_versions',
+                { type: QueryTypes.SELECT }
+            )).map(row => row.fiscal_year);
+        const versions = years.length
+            ? await budgets.selectVersions(years, { versionId: req.query.version_id, versionType: req.query.version_type })
+            : [];
+
+        if (!versions.length) {
+            return res.json({
+                success: true,
+                data: []
+            });
+        }
+
+        const filter = dimensions.budgetFilterSql(dimensions.filtersFrom(req.query));
+
         let query = `
             SELECT 
                 b.*,
+                v.name as version_name,
+                v.version_type,
+                v.status as version_status,
                 a.account_code,
                 a.account_name,
                 a.account_type,
+                dep.dept_code as department_code,
+                cc.code as cost_center_code,
+                p.code as project_code,
                 COALESCE(
                     (SELECT SUM(CASE 
                         WHEN a.account_type = 'revenue' THEN credit - debit
@@ -800,36 +1612,62 @@ const getBudgets = async (req, res) => {
                     JOIN journal_entries je ON jd.journal_id = je.id
                     WHERE jd.account_id = b.account_id
                     AND YEAR(je.entry_date) = b.fiscal_year
-                    AND je.status = 'posted'), 0
+                    AND je.status IN ('posted', 'void')
+                    AND je.is_closing = FALSE
+                    ${dimensions.BUDGET_LINE_MATCH}), 0
                 ) as actual_amount
             FROM budgets b
+            JOIN budget_versions v ON b.version_id = v.id
             JOIN chart_of_accounts a ON b.account_id = a.id
-            WHERE 1=1
+            LEFT JOIN departments dep ON b.department_id = dep.id
+            LEFT JOIN cost_centers cc ON b.cost_center_id = cc.id
+            LEFT JOIN projects p ON b.project_id = p.id
+            WHERE b.version_id IN (?)
+            ${filter.where}
         `;
-        const replacements = [];
+        const replacements = [versions.map(version => version.id), ...filter.replacements];
 
-        if (req.query.fiscal_year) {
-            query += ' AND b.fiscal_year = ?';
-            replacements.push(req.query.fiscal_year);
-        }
         if (req.query.account_id) {
             query += ' AND b.account_id = ?';
             replacements.push(req.query.account_id);
         }
 
-        query += ' ORDER BY a.account_code';
+        query += ' ORDER BY b.fiscal_year, a.account_code';
 
-        const budgets = await sequelize.query(query, {
+        const rows = await sequelize.query(query, {
             replacements,
             type: QueryTypes.SELECT
         });
+        const periods = await budgets.getPeriods(rows.map(row => row.id));
 
         // Calculate variance
-        const budgetsWithVariance = budgets.map(budget => ({
-            ...budget,
-            variance: parseFloat(budget.actual_amount) - parseFloat(budget.amount),
-            variance_percentage: ((parseFloat(budget.actual_amount) - parseFloat(budget.amount)) / parseFloat(budget.amount) * 100).toFixed(2)
-        }));
+        const budgetsWithVariance = rows.map(budget => {
+            const amount = parseFloat(budget.amount);
+            const variance = parseFloat(budget.actual_amount) - amount;
+            return {
+                ...budget,
+                periods: periods.get(budget.id) || [],
+                variance,
+                // No percentage of a zero budget
+                variance_percentage: amount ? (variance / amount * 100).toFixed(2) : null
+            };
+        });
+
+        if (req.query.group_by) {
+            return res.json({
+                success: true,
+                data: await groupBudgetRows(req.query.group_by, budgetsWithVariance, groupRows => {
+                    const budgeted = groupRows.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+                    const actual = groupRows.reduce((sum, row) => sum + parseFloat(row.actual_amount), 0);
+                    return {
+                        budgets: groupRows,
+                        budgeted_amount: budgeted,
+                        actual_amount: actual,
+                        variance: actual - budgeted
+                    };
+                })
+            });
+        }
 
         res.json({
             success: true,
@@ -844,15 +1682,53 @@ const getBudgets = async (req, res) => {
     }
 };
 
+// Without version_id the budget goes into the original version of fiscal_year
 const createBudget = async (req, res) => {
     const t = await sequelize.transaction();
 
     try {
-        // Check if budget already exists for this account and fiscal year
+        const phasing = req.body.phasing || 'annual';
+        const phased = budgets.phase(phasing, req.body.amount, req.body.periods);
+        if (phased.error) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: phased.error
+            });
+        }
+
+        const versionId = req.body.version_id || await budgets.originalVersionId(req.body.fiscal_year, req.user.id, t);
+        const { version, error: versionError } = await budgets.findDraftVersion(versionId, t);
+        if (versionError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: versionError
+            });
+        }
+
+        const dimensionError = await dimensions.validateValues([req.body], t);
+        if (dimensionError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: dimensionError
+            });
+        }
+
+        // Check if budget already exists for this account and dimensions in the version
         const [existingBudget] = await sequelize.query(
-            'SELECT id FROM budgets WHERE account_id = ? AND fiscal_year = ?',
+            `SELECT id FROM budgets
+            WHERE version_id = ? AND account_id = ?
+            AND department_id <=> ? AND cost_center_id <=> ? AND project_id <=> ?`,
             {
-                replacements: [req.body.account_id, req.body.fiscal_year],
+                replacements: [
+                    version.id,
+                    req.body.account_id,
+                    req.body.department_id || null,
+                    req.body.cost_center_id || null,
+                    req.body.project_id || null
+                ],
                 type: QueryTypes.SELECT,
                 transaction: t
             }
@@ -862,33 +1738,19 @@ const createBudget = async (req, res) => {
             await t.rollback();
             return res.status(400).json({
                 success: false,
-                message: 'Budget already exists for this account and fiscal year'
+                message: 'Budget already exists for this account and dimensions in the version'
             });
         }
 
         // Create new budget
-        const [budgetId] = await sequelize.query(
-            `INSERT INTO budgets 
-            (account_id, fiscal_year, amount, description) 
-            VALUES (?, ?, ?, ?)`,
-            {
-                replacements: [
-                    req.body.account_id,
-                    req.body.fiscal_year,
-                    req.body.amount,
-                    req.body.description || null
-                ],
-                type: QueryTypes.INSERT,
-                transaction: t
-            }
-        );
+        const budgetId = await budgets.insertBudget(version, { ...req.body, phasing, ...phased }, t);
 
         await t.commit();
 
         res.status(201).json({
             success: true,
             message: 'Budget created successfully',
-            data: { id: budgetId }
+            data: { id: budgetId, versionId: version.id, amount: phased.amount, periods: phased.periods }
         });
     } catch (error) {
         await t.rollback();
@@ -900,51 +1762,256 @@ const createBudget = async (req, res) => {
     }
 };
 
-const getBudgetAnalysis = async (req, res) => {
+// Budgets of approved versions are locked
+const findDraftBudget = async (budgetId, transaction) => {
+    const [budget] = await sequelize.query(
+        'SELECT * FROM budgets WHERE id = ? FOR UPDATE',
+        {
+            replacements: [budgetId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (!budget) {
+        return { budget: null, status: 404, error: 'Budget not found' };
+    }
+
+    const { error } = await budgets.findDraftVersion(budget.version_id, transaction);
+
+    return error ? { budget: null, status: 400, error } : { budget, status: null, error: null };
+};
+
+// A new phasing or amount without periods spreads the amount evenly again
+const updateBudget = async (req, res) => {
+    const t = await sequelize.transaction();
+
     try {
-        const { fiscal_year } = req.query;
+        const { budget, status, error } = await findDraftBudget(req.params.id, t);
+        if (error) {
+            await t.rollback();
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
 
-        // Get budget vs actual data grouped by account type
-        const analysis = await sequelize.query(
-            `SELECT 
-                a.account_type,
-                SUM(b.amount) as budgeted_amount,
-                COALESCE(
-                    SUM(
-                        (SELECT SUM(CASE 
-                            WHEN a.account_type = 'revenue' THEN credit - debit
-                            WHEN a.account_type = 'expense' THEN debit - credit
-                            END)
-                        FROM journal_details jd
-                        JOIN journal_entries je ON jd.journal_id = je.id
-                        WHERE jd.account_id = b.account_id
-                        AND YEAR(je.entry_date) = b.fiscal_year
-                        AND je.status = 'posted')
-                    ), 0
-                ) as actual_amount
-            FROM budgets b
-            JOIN chart_of_accounts a ON b.account_id = a.id
-            WHERE b.fiscal_year = ?
-            GROUP BY a.account_type`,
+        const { amount, periods, description } = req.body;
+        const phasing = req.body.phasing || budget.phasing;
+
+        if (amount !== undefined || periods || phasing !== budget.phasing) {
+            const phased = budgets.phase(phasing, amount !== undefined ? amount : budget.amount, periods);
+            if (phased.error) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: phased.error
+                });
+            }
+
+            await sequelize.query(
+                'UPDATE budgets SET phasing = ?, amount = ? WHERE id = ?',
+                {
+                    replacements: [phasing, phased.amount, budget.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+
+            await sequelize.query(
+                'DELETE FROM budget_periods WHERE budget_id = ?',
+                {
+                    replacements: [budget.id],
+                    type: QueryTypes.DELETE,
+                    transaction: t
+                }
+            );
+
+            await budgets.insertPeriods(budget.id, phased.periods, t);
+        }
+
+        if (description !== undefined) {
+            await sequelize.query(
+                'UPDATE budgets SET description = ? WHERE id = ?',
+                {
+                    replacements: [description || null, budget.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Budget updated successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateBudget:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update budget'
+        });
+    }
+};
+
+const deleteBudget = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const { budget, status, error } = await findDraftBudget(req.params.id, t);
+        if (error) {
+            await t.rollback();
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM budgets WHERE id = ?',
             {
-                replacements: [fiscal_year],
-                type: QueryTypes.SELECT
+                replacements: [budget.id],
+                type: QueryTypes.DELETE,
+                transaction: t
             }
         );
 
-        // Calculate variances and percentages
-        const analysisWithVariance = analysis.map(item => ({
-            ...item,
-            variance: parseFloat(item.actual_amount) - parseFloat(item.budgeted_amount),
-            variance_percentage: ((parseFloat(item.actual_amount) - parseFloat(item.budgeted_amount)) / parseFloat(item.budgeted_amount) * 100).toFixed(2)
-        }));
+        await t.commit();
 
         res.json({
             success: true,
-            data: {
-                fiscal_year,
-                analysis: analysisWithVariance
+            message: 'Budget deleted successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in deleteBudget:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete budget'
+        });
+    }
+};
+
+// Budget against actual amounts, both in the natural sign of the account
+const budgetVariance = (budgeted, actual) => ({
+    budgeted_amount: ledger.round(budgeted),
+    actual_amount: ledger.round(actual),
+    variance: ledger.round(actual - budgeted),
+    variance_percentage: budgeted ? ledger.round((actual - budgeted) / Math.abs(budgeted) * 100) : null
+});
+
+// Revenue and expense accounts with a budget or actuals in any column, and the totals per account type
+const budgetVsActual = (accounts, columns, budgetOf, actualOf) => {
+    const lines = accounts
+        .map(account => ({
+            id: account.id,
+            account_code: account.account_code,
+            account_name: account.account_name,
+            account_type: account.account_type,
+            ...Object.fromEntries(columns.map(column => [
+                column,
+                budgetVariance(budgetOf(column, account), actualOf(column, account))
+            ]))
+        }))
+        .filter(line => columns.some(column => line[column].budgeted_amount || line[column].actual_amount));
+
+    const analysis = ['revenue', 'expense'].map(type => {
+        const typeLines = lines.filter(line => line.account_type === type);
+        return {
+            account_type: type,
+            ...Object.fromEntries(columns.map(column => [column, budgetVariance(
+                typeLines.reduce((sum, line) => sum + line[column].budgeted_amount, 0),
+                typeLines.reduce((sum, line) => sum + line[column].actual_amount, 0)
+            )]))
+        };
+    });
+
+    return { accounts: lines, analysis };
+};
+
+/**
+ * Budget against actuals for any period (start_date to end_date, or a whole fiscal_year), with
+ * month-to-date and year-to-date columns up to the end date
+ */
+const getBudgetAnalysis = async (req, res) => {
+    try {
+        const { fiscal_year, group_by } = req.query;
+        const startDate = req.query.start_date || `${fiscal_year}-01-01`;
+        const endDate = req.query.end_date || `${fiscal_year}-12-31`;
+        const filters = dimensions.filtersFrom(req.query);
+        const selection = { versionId: req.query.version_id, versionType: req.query.version_type };
+
+        if (startDate > endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'End date must be after the start date'
+            });
+        }
+
+        const periods = {
+            period: { startDate, endDate },
+            mtd: { startDate: moment(endDate).startOf('month').format('YYYY-MM-DD'), endDate },
+            ytd: { startDate: moment(endDate).startOf('year').format('YYYY-MM-DD'), endDate }
+        };
+        const columns = Object.keys(periods);
+
+        // Budget and actual amounts of each column, by account (and by group key when grouping)
+        const amountsOf = async (groupBy) => {
+            const amounts = { budgeted: {}, actual: {}, versions: [] };
+            for (const column of columns) {
+                const { startDate: from, endDate: to } = periods[column];
+                const budget = await budgets.getAmounts(from, to, { filters, ...selection, groupBy });
+                amounts.budgeted[column] = budget.amounts;
+                amounts.actual[column] = await statements.getNetAmounts({ from, to, excludeClosing: true, filters, groupBy });
+                if (column === 'period') {
+                    amounts.versions = budget.versions;
+                }
             }
+            return amounts;
+        };
+
+        const accounts = await statements.getAccountTree(['revenue', 'expense']);
+        const compare = ({ budgeted, actual }) => budgetVsActual(
+            accounts,
+            columns,
+            (column, account) => budgeted[column].get(account.id) || 0,
+            (column, account) => ledger.naturalBalance(account.account_type, actual[column].get(account.id) || 0)
+        );
+
+        const totals = await amountsOf(null);
+        const analysis = {
+            ...(fiscal_year ? { fiscal_year } : {}),
+            periods,
+            filters,
+            versions: totals.versions,
+            ...compare(totals)
+        };
+
+        if (group_by) {
+            const grouped = await amountsOf(group_by);
+            const keys = [...new Set(columns.flatMap(column => [
+                ...grouped.budgeted[column].keys(),
+                ...grouped.actual[column].keys()
+            ]))];
+            const labels = await dimensions.getLabels(group_by, keys);
+            const inGroup = (amounts, key) => Object.fromEntries(
+                columns.map(column => [column, amounts[column].get(key) || new Map()])
+            );
+
+            analysis.group_by = group_by;
+            analysis.groups = keys.map(key => ({
+                key,
+                ...labels.get(key),
+                ...compare({ budgeted: inGroup(grouped.budgeted, key), actual: inGroup(grouped.actual, key) })
+            }));
+        }
+
+        res.json({
+            success: true,
+            data: analysis
         });
     } catch (error) {
         console.error('Error in getBudgetAnalysis:', error);
@@ -960,16 +2027,26 @@ module.exports = {
     getAccountById,
     createAccount,
     updateAccount,
+    getAccountLedger,
     getJournalEntries,
+    getJournalEntryById,
     createJournalEntry,
+    updateJournalEntry,
+    postJournalEntry,
+    voidJournalEntry,
+    verifyJournalChain,
     generateBalanceSheet,
     generateIncomeStatement,
     generateTrialBalance,
+    generateCashFlow,
     getFixedAssets,
     createFixedAsset,
+    updateFixedAsset,
     calculateDepreciation,
     getAssetDepreciation,
     getBudgets,
     createBudget,
+    updateBudget,
+    deleteBudget,
     getBudgetAnalysis
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+const DEFAULT_PAGE_SIZE = 25;
+
+/**
+ * Activity Log Controllers
+ */
+const getActivityLogs = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+
+        let where = ' WHERE 1=1';
+        const replacements = [];
+
+        if (req.query.user_id) {
+            where += ' AND l.user_id = ?';
+            replacements.push(req.query.user_id);
+        }
+
+        if (req.query.api_key_id) {
+            where += ' AND l.api_key_id = ?';
+            replacements.push(req.query.api_key_id);
+        }
+
+        // Resource filters match the path prefix, e.g. /api/accounting/journal-entries
+        if (req.query.resource) {
+            where += ' AND l.resource LIKE ?';
+            replacements.push(`${req.query.resource.replace(/[%_\\]/g, '\\$&')}%`);
+        }
+
+        if (req.query.method) {
+            where += ' AND l.action = ?';
+            replacements.push(req.query.method.toUpperCase());
+        }
+
+        if (req.query.start_date) {
+            where += ' AND l.created_at >= ?';
+            replacements.push(req.query.start_date);
+        }
+
+        if (req.query.end_date) {
+            where += ' AND l.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+            replacements.push(req.query.end_date);
+        }
+
+        const [{ total }] = await sequelize.query(
+            `SELECT COUNT(*) as total FROM activity_logs l${where}`,
+            {
+                replacements,
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const logs = await sequelize.query(
+            `SELECT
+                l.id, l.user_id, u.username, u.full_name, l.api_key_id, k.name as api_key_name,
+                l.auth_type, l.action, l.resource, l.status_code, l.details, l.ip_address,
+                l.user_agent, l.created_at
+            FROM activity_logs l
+            LEFT JOIN users u ON l.user_id = u.id
+            LEFT JOIN api_keys k ON l.api_key_id = k.id
+            ${where}
+            ORDER BY l.created_at DESC, l.id DESC
+            LIMIT ? OFFSET ?`,
+            {
+                replacements: [...replacements, limit, (page - 1) * limit],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        res.json({
+            success: true,
+            data: logs.map(log => ({
+                ...log,
+                details: typeof log.details === 'string' ? JSON.parse(log.details) : log.details
+            })),
+            pagination: {
+                page,
+                limit,
+                total: parseInt(total),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getActivityLogs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve activity logs'
+        });
+    }
+};
+
+module.exports = {
+    getActivityLogs
+};
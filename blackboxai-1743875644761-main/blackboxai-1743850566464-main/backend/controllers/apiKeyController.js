@@ -0,0 +1,268 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const apiKeyService = require('../services/apiKeyService');
+const permissionService = require('../services/permissionService');
+
+// Key hashes are never returned; the plain key is only shown when created or rotated
+const API_KEY_COLUMNS = `k.id, k.name, k.user_id, u.username, k.key_prefix, k.scopes, k.expires_at,
+    k.last_used_at, k.last_used_ip, k.rotated_at, k.revoked_at, k.created_by, k.created_at`;
+
+const findApiKey = async (apiKeyId, t) => {
+    const [apiKey] = await sequelize.query(
+        `SELECT ${API_KEY_COLUMNS}
+        FROM api_keys k
+        JOIN users u ON k.user_id = u.id
+        WHERE k.id = ?`,
+        {
+            replacements: [apiKeyId],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    return apiKey && { ...apiKey, scopes: apiKeyService.parseScopes(apiKey.scopes) };
+};
+
+/**
+ * API Key Controllers
+ */
+const getApiKeys = async (req, res) => {
+    try {
+        let query = `SELECT ${API_KEY_COLUMNS}
+            FROM api_keys k
+            JOIN users u ON k.user_id = u.id
+            WHERE 1=1`;
+        const replacements = [];
+
+        if (req.query.include_revoked !== 'true') {
+            query += ' AND k.revoked_at IS NULL';
+        }
+
+        if (req.query.user_id) {
+            query += ' AND k.user_id = ?';
+            replacements.push(req.query.user_id);
+        }
+
+        query += ' ORDER BY k.name';
+
+        const apiKeys = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: apiKeys.map(apiKey => ({
+                ...apiKey,
+                scopes: apiKeyService.parseScopes(apiKey.scopes)
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getApiKeys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve API keys'
+        });
+    }
+};
+
+const createApiKey = async (req, res) => {
+    try {
+        // Keys act as the creating admin unless a (service) user is given
+        const userId = req.body.user_id || req.user.id;
+
+        const [user] = await sequelize.query(
+            'SELECT id, role FROM users WHERE id = ? AND is_active = true',
+            {
+                replacements: [userId],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'User not found or inactive'
+            });
+        }
+
+        // A key for another user acts with that user's permissions, which the creator must already have
+        if (user.id !== req.user.id) {
+            const granted = await permissionService.getEffectivePermissions(req.user);
+
+            if (!granted.has('setup.users.manage')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Creating API keys for other users requires the setup.users.manage permission'
+                });
+            }
+
+            const missing = [...await permissionService.getEffectivePermissions(user)]
+                .filter(code => !granted.has(code));
+
+            if (missing.length) {
+                return res.status(403).json({
+                    success: false,
+                    message: `The user has permissions you do not hold: ${missing.sort().join(', ')}`
+                });
+            }
+        }
+
+        const { key, prefix, hash } = apiKeyService.generateKey();
+
+        const [apiKeyId] = await sequelize.query(
+            `INSERT INTO api_keys
+            (name, user_id, key_prefix, key_hash, scopes, expires_at, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    req.body.name,
+                    user.id,
+                    prefix,
+                    hash,
+                    JSON.stringify(req.body.scopes),
+                    req.body.expires_at || null,
+                    req.user.id
+                ],
+                type: QueryTypes.INSERT
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created successfully. Store the key now; it cannot be shown again.',
+            data: {
+                ...await findApiKey(apiKeyId),
+                key
+            }
+        });
+    } catch (error) {
+        console.error('Error in createApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API key'
+        });
+    }
+};
+
+const updateApiKey = async (req, res) => {
+    try {
+        const apiKey = await findApiKey(req.params.id);
+
+        if (!apiKey || apiKey.revoked_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE api_keys
+            SET
+                name = COALESCE(?, name),
+                scopes = COALESCE(?, scopes),
+                expires_at = IF(?, ?, expires_at)
+            WHERE id = ?`,
+            {
+                replacements: [
+                    req.body.name || null,
+                    req.body.scopes ? JSON.stringify(req.body.scopes) : null,
+                    req.body.expires_at !== undefined,
+                    req.body.expires_at || null,
+                    apiKey.id
+                ],
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'API key updated successfully'
+        });
+    } catch (error) {
+        console.error('Error in updateApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update API key'
+        });
+    }
+};
+
+const rotateApiKey = async (req, res) => {
+    try {
+        const apiKey = await findApiKey(req.params.id);
+
+        if (!apiKey || apiKey.revoked_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        // The old key stops working immediately
+        const { key, prefix, hash } = apiKeyService.generateKey();
+
+        await sequelize.query(
+            'UPDATE api_keys SET key_prefix = ?, key_hash = ?, rotated_at = NOW() WHERE id = ?',
+            {
+                replacements: [prefix, hash, apiKey.id],
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'API key rotated successfully. Store the new key now; it cannot be shown again.',
+            data: {
+                ...await findApiKey(apiKey.id),
+                key
+            }
+        });
+    } catch (error) {
+        console.error('Error in rotateApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rotate API key'
+        });
+    }
+};
+
+const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await findApiKey(req.params.id);
+
+        if (!apiKey || apiKey.revoked_at) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        await sequelize.query(
+            'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ?',
+            {
+                replacements: [req.user.id, apiKey.id],
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error in revokeApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API key'
+        });
+    }
+};
+
+module.exports = {
+    getApiKeys,
+    createApiKey,
+    updateApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
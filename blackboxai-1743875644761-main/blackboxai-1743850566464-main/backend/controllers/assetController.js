@@ -0,0 +1,802 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const journalPosting = require('../services/journalPosting');
+const settings = require('../services/settings');
+const depreciation = require('../services/depreciation');
+const dimensions = require('../services/dimensions');
+const assetDisposals = require('../services/assetDisposals');
+
+const GAIN_LOSS_SETTING = 'accounting.asset_disposal_gain_loss_account_id';
+
+const MOVEMENT_COLUMNS = `m.id, m.asset_id, fa.asset_code, fa.asset_name, m.movement_type,
+    DATE_FORMAT(m.movement_date, '%Y-%m-%d') as movement_date, m.from_location, m.to_location,
+    m.from_department_id, fd.dept_name as from_department_name, m.to_department_id, td.dept_name as to_department_name,
+    m.disposal_id, m.notes, u.username as created_by_user, m.created_at`;
+
+const MOVEMENT_JOINS = `JOIN fixed_assets fa ON m.asset_id = fa.id
+    LEFT JOIN departments fd ON m.from_department_id = fd.id
+    LEFT JOIN departments td ON m.to_department_id = td.id
+    LEFT JOIN users u ON m.created_by = u.id`;
+
+const findAccount = async (accountId, types, transaction) => {
+    const [account] = await sequelize.query(
+        'SELECT id, account_code, account_name, account_type FROM chart_of_accounts WHERE id = ?',
+        {
+            replacements: [accountId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return account && types.includes(account.account_type) ? account : null;
+};
+
+/**
+ * Record a movement of an asset
+ * @param {Object} movement - { asset_id, movement_type, movement_date, from_location, to_location,
+ *   from_department_id, to_department_id, disposal_id, notes }
+ * @param {number} userId - User recording the movement
+ * @param {Object} transaction - Sequelize transaction
+ */
+const insertMovement = async (movement, userId, transaction) => {
+    await sequelize.query(
+        `INSERT INTO asset_movements
+        (asset_id, movement_type, movement_date, from_location, to_location, from_department_id, to_department_id,
+         disposal_id, notes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        {
+            replacements: [
+                movement.asset_id,
+                movement.movement_type,
+                movement.movement_date,
+                movement.from_location || null,
+                movement.to_location || null,
+                movement.from_department_id || null,
+                movement.to_department_id || null,
+                movement.disposal_id || null,
+                movement.notes || null,
+                userId
+            ],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+};
+
+const lockAsset = async (assetId, transaction) => {
+    const [asset] = await sequelize.query(
+        `SELECT fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date
+        FROM fixed_assets fa WHERE fa.id = ? FOR UPDATE`,
+        {
+            replacements: [assetId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return asset || null;
+};
+
+/**
+ * Asset Disposal Controllers
+ */
+
+/**
+ * Sell, dispose of or write off an asset, or portion_percent of what is left of it. Posts one journal
+ * entry: the depreciation of the month up to the disposal date, the removal of cost and accumulated
+ * depreciation, the proceeds and the gain or loss (gain_loss_account_id, remembered for the next time).
+ */
+const disposeAsset = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const { disposal_type, disposal_date } = req.body;
+        const portionPercent = parseFloat(req.body.portion_percent || 100);
+        const proceeds = parseFloat(req.body.proceeds || 0);
+
+        const asset = await lockAsset(req.params.id, t);
+
+        if (!asset) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (asset.status === 'disposed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Asset is already disposed of'
+            });
+        }
+
+        if (disposal_type === 'sale' && proceeds <= 0) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'A sale needs proceeds'
+            });
+        }
+
+        if (disposal_type === 'write_off' && proceeds > 0) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'A write-off has no proceeds'
+            });
+        }
+
+        const periodError = await fiscalPeriods.checkPostingDate(disposal_date, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        const last = (await depreciation.getLatest([asset.id], t)).get(asset.id);
+        const usage = await depreciation.getUsage([asset], depreciation.periodEndOf(disposal_date), t);
+        const dueMonth = await depreciation.firstDueMonth(asset, last, disposal_date, t);
+        const plan = assetDisposals.planDisposal(asset, last, {
+            disposal_date,
+            portion_percent: portionPercent,
+            proceeds
+        }, usage.get(asset.id), dueMonth);
+
+        if (plan.error) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        if ((plan.depreciation_amount || plan.accumulated_removed)
+            && (!asset.depreciation_expense_account_id || !asset.accumulated_depreciation_account_id)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Asset has no depreciation expense or accumulated depreciation account'
+            });
+        }
+
+        const proceedsAccount = proceeds > 0 && await findAccount(req.body.proceeds_account_id, ['asset'], t);
+        if (proceeds > 0 && !proceedsAccount) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Proceeds need an asset account to be received in (e.g. cash, bank or receivable)'
+            });
+        }
+
+        let gainLossAccount = null;
+        if (plan.gain_loss) {
+            const accountId = req.body.gain_loss_account_id || await settings.get(GAIN_LOSS_SETTING, t);
+            gainLossAccount = accountId && await findAccount(accountId, ['revenue', 'expense'], t);
+
+            if (!gainLossAccount) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'A gain/loss on disposal account (revenue or expense) must be designated'
+                });
+            }
+        }
+
+        const label = assetDisposals.DISPOSAL_LABELS[disposal_type];
+        const journal = await journalPosting.createPostedEntry({
+            entry_date: disposal_date,
+            description: `${label} of ${asset.asset_code}${plan.is_partial ? ` (${portionPercent}%)` : ''}`
+        }, assetDisposals.journalLines(asset, plan, {
+            proceeds_account_id: proceedsAccount ? proceedsAccount.id : null,
+            gain_loss_account_id: gainLossAccount ? gainLossAccount.id : null
+        }), req.user.id, t);
+
+        const [disposalId] = await sequelize.query(
+            `INSERT INTO asset_disposals
+            (asset_id, disposal_type, disposal_date, portion_percent, depreciation_amount, cost_removed,
+             salvage_value_removed, accumulated_removed, book_value_removed, proceeds, gain_loss, proceeds_account_id,
+             gain_loss_account_id, previous_status, journal_id, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    asset.id,
+                    disposal_type,
+                    disposal_date,
+                    portionPercent,
+                    plan.depreciation_amount,
+                    plan.cost_removed,
+                    plan.salvage_value_removed,
+                    plan.accumulated_removed,
+                    plan.book_value_removed,
+                    plan.proceeds,
+                    plan.gain_loss,
+                    proceedsAccount ? proceedsAccount.id : null,
+                    gainLossAccount ? gainLossAccount.id : null,
+                    asset.status,
+                    journal.id,
+                    req.body.notes || null,
+                    req.user.id
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        // What is left of the asset, from which the next month's depreciation starts
+        await sequelize.query(
+            `INSERT INTO asset_depreciation
+            (asset_id, disposal_id, depreciation_date, amount, accumulated_depreciation, book_value)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    asset.id,
+                    disposalId,
+                    disposal_date,
+                    plan.depreciation_amount,
+                    plan.remaining.accumulated_depreciation,
+                    plan.remaining.book_value
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE fixed_assets
+            SET purchase_cost = ?, salvage_value = ?, status = ?
+            WHERE id = ?`,
+            {
+                replacements: [
+                    plan.remaining.cost,
+                    plan.remaining.salvage_value,
+                    plan.is_partial ? asset.status : 'disposed',
+                    asset.id
+                ],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await insertMovement({
+            asset_id: asset.id,
+            movement_type: plan.is_partial ? 'partial_disposal' : 'disposal',
+            movement_date: disposal_date,
+            from_location: asset.location,
+            from_department_id: asset.department_id,
+            disposal_id: disposalId,
+            notes: req.body.notes
+        }, req.user.id, t);
+
+        if (req.body.gain_loss_account_id && gainLossAccount) {
+            await settings.set(GAIN_LOSS_SETTING, gainLossAccount.id, req.user.id, t);
+        }
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `${label} recorded successfully`,
+            data: {
+                id: disposalId,
+                journalId: journal.id,
+                referenceNo: journal.referenceNo,
+                ...plan
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in disposeAsset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to dispose of asset'
+        });
+    }
+};
+
+/**
+ * Reverse a disposal: post the reversal of its journal entry and give the asset back the cost, salvage
+ * value, depreciation and status it had before. Only the latest depreciation or disposal of the asset
+ * can be reversed; the disposal is kept with status 'reversed'.
+ */
+const reverseDisposal = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [disposal] = await sequelize.query(
+            `SELECT id, asset_id, DATE_FORMAT(disposal_date, '%Y-%m-%d') as disposal_date, cost_removed,
+                salvage_value_removed, previous_status, journal_id, status
+            FROM asset_disposals WHERE id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!disposal) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal not found'
+            });
+        }
+
+        if (disposal.status === 'reversed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Disposal is already reversed'
+            });
+        }
+
+        const asset = await lockAsset(disposal.asset_id, t);
+
+        const [later] = await sequelize.query(
+            `SELECT DATE_FORMAT(ld.depreciation_date, '%Y-%m') as period
+            FROM asset_depreciation ad
+            JOIN asset_depreciation ld ON ld.asset_id = ad.asset_id
+                AND ld.is_reversed = FALSE
+                AND ld.id > ad.id
+            WHERE ad.disposal_id = ?
+            ORDER BY ld.id DESC
+            LIMIT 1`,
+            {
+                replacements: [disposal.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (later) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Asset ${asset.asset_code} was depreciated or disposed of after this disposal (${later.period})`
+            });
+        }
+
+        const reversalDate = req.body.reversal_date || disposal.disposal_date;
+        if (reversalDate < disposal.disposal_date) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Reversal date cannot be before the disposal date'
+            });
+        }
+
+        const periodError = await fiscalPeriods.checkPostingDate(reversalDate, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        const [entry] = await sequelize.query(
+            'SELECT id, reference_no, is_closing FROM journal_entries WHERE id = ? FOR UPDATE',
+            {
+                replacements: [disposal.journal_id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const reversal = await journalPosting.reverseEntry(entry, {
+            date: reversalDate,
+            reason: req.body.reason,
+            userId: req.user.id
+        }, t);
+
+        await sequelize.query(
+            `UPDATE fixed_assets
+            SET purchase_cost = purchase_cost + ?, salvage_value = COALESCE(salvage_value, 0) + ?, status = ?
+            WHERE id = ?`,
+            {
+                replacements: [disposal.cost_removed, disposal.salvage_value_removed, disposal.previous_status, asset.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        // The asset's depreciation goes back to the row before the disposal
+        await sequelize.query(
+            'UPDATE asset_depreciation SET is_reversed = TRUE WHERE disposal_id = ?',
+            {
+                replacements: [disposal.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE asset_disposals
+            SET status = 'reversed', reversal_journal_id = ?, reversal_reason = ?, reversed_by = ?, reversed_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [reversal.reversalId, req.body.reason || null, req.user.id, disposal.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await insertMovement({
+            asset_id: asset.id,
+            movement_type: 'disposal_reversal',
+            movement_date: reversalDate,
+            to_location: asset.location,
+            to_department_id: asset.department_id,
+            disposal_id: disposal.id,
+            notes: req.body.reason
+        }, req.user.id, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Disposal reversed successfully',
+            data: {
+                id: disposal.id,
+                ...reversal
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in reverseDisposal:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reverse disposal'
+        });
+    }
+};
+
+/**
+ * Asset Movement Controllers
+ */
+
+// Move an asset to another location and/or department; its later depreciation goes to the new department
+const transferAsset = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const asset = await lockAsset(req.params.id, t);
+
+        if (!asset) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (asset.status === 'disposed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Disposed assets cannot be transferred'
+            });
+        }
+
+        if (req.body.transfer_date < asset.purchase_date) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Transfer date cannot be before the purchase date'
+            });
+        }
+
+        const toLocation = req.body.location !== undefined ? req.body.location || null : asset.location;
+        const toDepartmentId = req.body.department_id !== undefined ? req.body.department_id || null : asset.department_id;
+
+        if (toLocation === asset.location && Number(toDepartmentId) === Number(asset.department_id)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Asset is already at this location and department'
+            });
+        }
+
+        const departmentError = await dimensions.validateValues([{ department_id: toDepartmentId }], t);
+        if (departmentError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: departmentError
+            });
+        }
+
+        await sequelize.query(
+            'UPDATE fixed_assets SET location = ?, department_id = ? WHERE id = ?',
+            {
+                replacements: [toLocation, toDepartmentId, asset.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await insertMovement({
+            asset_id: asset.id,
+            movement_type: 'transfer',
+            movement_date: req.body.transfer_date,
+            from_location: asset.location,
+            to_location: toLocation,
+            from_department_id: asset.department_id,
+            to_department_id: toDepartmentId,
+            notes: req.body.notes
+        }, req.user.id, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Asset transferred successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in transferAsset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to transfer asset'
+        });
+    }
+};
+
+// Movements and disposals of one asset
+const getAssetMovements = async (req, res) => {
+    try {
+        const [asset] = await sequelize.query(
+            `SELECT fa.id, fa.asset_code, fa.asset_name, fa.status, fa.location, fa.department_id, d.dept_name as department_name
+            FROM fixed_assets fa
+            LEFT JOIN departments d ON fa.department_id = d.id
+            WHERE fa.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        const movements = await sequelize.query(
+            `SELECT ${MOVEMENT_COLUMNS} FROM asset_movements m ${MOVEMENT_JOINS}
+            WHERE m.asset_id = ?
+            ORDER BY m.movement_date, m.id`,
+            {
+                replacements: [asset.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const disposals = await sequelize.query(
+            `SELECT ad.id, ad.disposal_type, DATE_FORMAT(ad.disposal_date, '%Y-%m-%d') as disposal_date,
+                ad.portion_percent, ad.depreciation_amount, ad.cost_removed, ad.accumulated_removed,
+                ad.book_value_removed, ad.proceeds, ad.gain_loss, ad.journal_id, je.reference_no, ad.status,
+                ad.reversal_journal_id, ad.reversal_reason, ad.notes
+            FROM asset_disposals ad
+            JOIN journal_entries je ON ad.journal_id = je.id
+            WHERE ad.asset_id = ?
+            ORDER BY ad.disposal_date, ad.id`,
+            {
+                replacements: [asset.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                asset,
+                movements,
+                disposals
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAssetMovements:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve asset movements'
+        });
+    }
+};
+
+// Movements of the whole register, e.g. everything that left or reached a location during the year
+const getMovements = async (req, res) => {
+    try {
+        let query = `SELECT ${MOVEMENT_COLUMNS} FROM asset_movements m ${MOVEMENT_JOINS} WHERE 1=1`;
+        const replacements = [];
+
+        if (req.query.start_date) {
+            query += ' AND m.movement_date >= ?';
+            replacements.push(req.query.start_date);
+        }
+
+        if (req.query.end_date) {
+            query += ' AND m.movement_date <= ?';
+            replacements.push(req.query.end_date);
+        }
+
+        if (req.query.location) {
+            query += ' AND (m.from_location = ? OR m.to_location = ?)';
+            replacements.push(req.query.location, req.query.location);
+        }
+
+        if (req.query.department_id) {
+            query += ' AND (m.from_department_id = ? OR m.to_department_id = ?)';
+            replacements.push(req.query.department_id, req.query.department_id);
+        }
+
+        if (req.query.movement_type) {
+            query += ' AND m.movement_type = ?';
+            replacements.push(req.query.movement_type);
+        }
+
+        query += ' ORDER BY m.movement_date, m.id';
+
+        const movements = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: movements
+        });
+    } catch (error) {
+        console.error('Error in getMovements:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve asset movements'
+        });
+    }
+};
+
+/**
+ * Asset Usage Controllers
+ */
+
+// Output of a units-of-production asset month by month, with what is left of its total
+const getAssetUsage = async (req, res) => {
+    try {
+        const [asset] = await sequelize.query(
+            'SELECT id, asset_code, asset_name, depreciation_method, total_units FROM fixed_assets WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        const usage = await sequelize.query(
+            `SELECT au.id, DATE_FORMAT(au.period_end, '%Y-%m-%d') as period_end, au.units,
+                u.username as created_by_user, au.updated_at
+            FROM asset_usage au
+            LEFT JOIN users u ON au.created_by = u.id
+            WHERE au.asset_id = ?
+            ORDER BY au.period_end`,
+            {
+                replacements: [asset.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const usedUnits = usage.reduce((sum, row) => sum + parseFloat(row.units), 0);
+
+        res.json({
+            success: true,
+            data: {
+                asset,
+                usage,
+                used_units: usedUnits,
+                remaining_units: asset.total_units === null ? null : Math.max(parseFloat(asset.total_units) - usedUnits, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAssetUsage:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve asset usage'
+        });
+    }
+};
+
+/**
+ * Record (or correct) the output of a units-of-production asset for the month of period_date.
+ * Once the month is depreciated its output is fixed; reverse the run to correct it.
+ */
+const recordUsage = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const asset = await lockAsset(req.params.id, t);
+
+        if (!asset) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (asset.depreciation_method !== 'units_of_production') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Usage is only recorded for assets depreciated by units of production'
+            });
+        }
+
+        const periodEnd = depreciation.periodEndOf(req.body.period_date);
+        if (periodEnd < asset.purchase_date) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Usage cannot be recorded before the purchase date'
+            });
+        }
+
+        const last = (await depreciation.getLatest([asset.id], t)).get(asset.id);
+        if (last && last.depreciation_date >= `${periodEnd.slice(0, 7)}-01`) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Asset is depreciated up to ${last.depreciation_date}; usage for ${periodEnd.slice(0, 7)} is fixed`
+            });
+        }
+
+        await sequelize.query(
+            `INSERT INTO asset_usage (asset_id, period_end, units, created_by)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE units = VALUES(units), created_by = VALUES(created_by)`,
+            {
+                replacements: [asset.id, periodEnd, req.body.units, req.user.id],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Asset usage recorded successfully',
+            data: {
+                asset_id: asset.id,
+                period_end: periodEnd,
+                units: parseFloat(req.body.units)
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in recordUsage:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record asset usage'
+        });
+    }
+};
+
+module.exports = {
+    disposeAsset,
+    reverseDisposal,
+    transferAsset,
+    getAssetMovements,
+    getMovements,
+    getAssetUsage,
+    recordUsage
+};
@@ -0,0 +1,870 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const totp = require('../services/totp');
+const accountMail = require('../services/accountMail');
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EBMS';
+const RECOVERY_CODE_COUNT = 10;
+
+// Compared against when the username does not exist so response time does not leak it
+const DUMMY_HASH = '$2a$10$nflKgCrdjGZIvgoqMFRELuOPj0c1VflytqB.2L4YgHyUzh57aMN7S';
+
+const requestContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    deviceName: req.body.device_name
+});
+
+const recordLoginAttempt = (username, userId, req, success, failureReason = null) => sequelize.query(
+    `INSERT INTO login_attempts
+    (username, user_id, ip_address, user_agent, success, failure_reason)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    {
+        replacements: [
+            username,
+            userId,
+            req.ip,
+            req.get('user-agent') || null,
+            success,
+            failureReason
+        ],
+        type: QueryTypes.INSERT
+    }
+).catch(error => {
+    console.error('Error recording login attempt:', error);
+});
+
+// Attempts rejected by the throttle itself are not counted, or retrying would keep the lock going forever
+const isLoginThrottled = async (username, ip) => {
+    const [counts] = await sequelize.query(
+        `SELECT
+            SUM(username = ?) as username_failures,
+            SUM(ip_address = ?) as ip_failures
+        FROM login_attempts
+        WHERE success = false
+        AND (failure_reason IS NULL OR failure_reason <> 'throttled')
+        AND (username = ? OR ip_address = ?)
+        AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        {
+            replacements: [username, ip, username, ip, LOGIN_LOCKOUT_MINUTES],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return parseInt(counts.username_failures || 0) >= LOGIN_MAX_ATTEMPTS
+        || parseInt(counts.ip_failures || 0) >= LOGIN_MAX_ATTEMPTS_PER_IP;
+};
+
+const toPublicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role
+});
+
+// Columns needed to run a user through the login steps
+const LOGIN_USER_COLUMNS = `u.id, u.username, u.password, u.email, u.full_name, u.role, u.is_active,
+    u.must_change_password, u.totp_secret, u.totp_enabled, u.totp_last_used_step, r.require_two_factor`;
+
+const findLoginUser = async (column, value, transaction) => {
+    const [user] = await sequelize.query(
+        `SELECT ${LOGIN_USER_COLUMNS}
+        FROM users u
+        LEFT JOIN roles r ON u.role = r.name
+        WHERE u.${column} = ?`,
+        {
+            replacements: [value],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return user;
+};
+
+const issueLoginTokens = async (user, req) => {
+    const tokens = await tokenService.issueTokenPair(user, requestContext(req));
+
+    await sequelize.query(
+        'UPDATE users SET last_login_at = NOW() WHERE id = ?',
+        {
+            replacements: [user.id],
+            type: QueryTypes.UPDATE
+        }
+    );
+
+    return {
+        ...tokens,
+        user: toPublicUser(user)
+    };
+};
+
+/**
+ * Finish a login once the password has been verified and set up.
+ * Two-factor verification (or enrollment, when the user's role requires it)
+ * sits between the password check and the token issuance.
+ * @returns {Promise<{ message: string, data: Object }>}
+ */
+const completeLogin = async (user, req) => {
+    if (user.totp_enabled) {
+        return {
+            message: 'Two-factor verification required',
+            data: {
+                twoFactorRequired: true,
+                challengeToken: tokenService.signChallengeToken(user, 'two_factor')
+            }
+        };
+    }
+
+    if (user.require_two_factor) {
+        return {
+            message: 'Two-factor enrollment required',
+            data: {
+                twoFactorSetupRequired: true,
+                challengeToken: tokenService.signChallengeToken(user, 'two_factor_setup')
+            }
+        };
+    }
+
+    return {
+        message: 'Login successful',
+        data: await issueLoginTokens(user, req)
+    };
+};
+
+const hashRecoveryCode = (code) => tokenService.hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+
+const generateRecoveryCodes = async (userId, t) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await sequelize.query(
+        'DELETE FROM user_recovery_codes WHERE user_id = ?',
+        {
+            replacements: [userId],
+            type: QueryTypes.DELETE,
+            transaction: t
+        }
+    );
+
+    for (const code of codes) {
+        await sequelize.query(
+            'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            {
+                replacements: [userId, hashRecoveryCode(code)],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+    }
+
+    return codes;
+};
+
+/**
+ * Check a TOTP code and remember its time step so it cannot be replayed
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (user, code) => {
+    const step = totp.verify(user.totp_secret, code);
+
+    if (step === null) {
+        return false;
+    }
+
+    // Checked and moved in one statement, so two concurrent logins cannot both use the step
+    const [, affectedRows] = await sequelize.query(
+        `UPDATE users SET totp_last_used_step = ?
+        WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+        {
+            replacements: [step, user.id, step],
+            type: QueryTypes.UPDATE
+        }
+    );
+
+    return affectedRows === 1;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+    const [, affectedRows] = await sequelize.query(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1`,
+        {
+            replacements: [userId, hashRecoveryCode(code)],
+            type: QueryTypes.UPDATE
+        }
+    );
+
+    return affectedRows > 0;
+};
+
+/**
+ * Authentication Controllers
+ */
+const login = async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+        if (await isLoginThrottled(username, req.ip)) {
+            await recordLoginAttempt(username, null, req, false, 'throttled');
+            res.set('Retry-After', String(LOGIN_LOCKOUT_MINUTES * 60));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts. Please try again later.'
+            });
+        }
+
+        const user = await findLoginUser('username', username);
+
+        const passwordMatches = await bcrypt.compare(password, user ? user.password : DUMMY_HASH);
+
+        if (!user || !passwordMatches) {
+            await recordLoginAttempt(username, user ? user.id : null, req, false, 'invalid_credentials');
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        if (!user.is_active) {
+            await recordLoginAttempt(username, user.id, req, false, 'inactive');
+            return res.status(403).json({
+                success: false,
+                message: 'Account is inactive'
+            });
+        }
+
+        await recordLoginAttempt(username, user.id, req, true);
+
+        // Accounts flagged for a password change only get a setup token
+        if (user.must_change_password) {
+            return res.json({
+                success: true,
+                message: 'Password setup required',
+                data: {
+                    passwordSetupRequired: true,
+                    setupToken: tokenService.signChallengeToken(user, 'password_setup')
+                }
+            });
+        }
+
+        const result = await completeLogin(user, req);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error in login:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in'
+        });
+    }
+};
+
+const setupPassword = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const decoded = tokenService.verifyChallengeToken(req.body.setup_token, 'password_setup');
+        const user = decoded && await findLoginUser('id', decoded.id, t);
+
+        if (!user || !user.is_active || !user.must_change_password) {
+            await t.rollback();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired setup token'
+            });
+        }
+
+        if (await bcrypt.compare(req.body.password, user.password)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        await sequelize.query(
+            'UPDATE users SET password = ?, must_change_password = false WHERE id = ?',
+            {
+                replacements: [await bcrypt.hash(req.body.password, BCRYPT_SALT_ROUNDS), user.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sessionService.revokeUserSessions(user.id, {
+            reason: 'password_changed',
+            transaction: t
+        });
+        await t.commit();
+
+        const result = await completeLogin(user, req);
+
+        res.json({
+            success: true,
+            ...result,
+            message: `Password set successfully. ${result.message}`
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in setupPassword:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set password'
+        });
+    }
+};
+
+/**
+ * Two-Factor Authentication Controllers
+ */
+const verifyTwoFactor = async (req, res) => {
+    try {
+        const decoded = tokenService.verifyChallengeToken(req.body.challenge_token, 'two_factor');
+        const user = decoded && await findLoginUser('id', decoded.id);
+
+        if (!user || !user.is_active || !user.totp_enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        if (await isLoginThrottled(user.username, req.ip)) {
+            await recordLoginAttempt(user.username, user.id, req, false, 'throttled');
+            res.set('Retry-After', String(LOGIN_LOCKOUT_MINUTES * 60));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts. Please try again later.'
+            });
+        }
+
+        const verified = req.body.recovery_code
+            ? await consumeRecoveryCode(user.id, req.body.recovery_code)
+            : await consumeTotpCode(user, req.body.code);
+
+        if (!verified) {
+            await recordLoginAttempt(user.username, user.id, req, false, 'invalid_two_factor_code');
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: await issueLoginTokens(user, req)
+        });
+    } catch (error) {
+        console.error('Error in verifyTwoFactor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify two-factor code'
+        });
+    }
+};
+
+// Enrollment runs either for a logged-in user or with a 'two_factor_setup' challenge token
+const resolveEnrollmentUser = async (req) => {
+    let userId = req.user ? req.user.id : null;
+
+    if (!userId) {
+        const decoded = tokenService.verifyChallengeToken(req.body.challenge_token, 'two_factor_setup');
+        userId = decoded ? decoded.id : null;
+    }
+
+    const user = userId && await findLoginUser('id', userId);
+    return user && user.is_active ? user : null;
+};
+
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await resolveEnrollmentUser(req);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        if (user.totp_enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = totp.generateSecret();
+
+        await sequelize.query(
+            'UPDATE users SET totp_secret = ?, totp_last_used_step = NULL WHERE id = ?',
+            {
+                replacements: [secret, user.id],
+                type: QueryTypes.UPDATE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Scan the provisioning URI and confirm with a code to enable two-factor authentication',
+            data: {
+                secret,
+                otpauthUri: totp.provisioningUri(secret, user.username, TOTP_ISSUER)
+            }
+        });
+    } catch (error) {
+        console.error('Error in setupTwoFactor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+};
+
+const enableTwoFactor = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await resolveEnrollmentUser(req);
+
+        if (!user) {
+            await t.rollback();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        if (!user.totp_secret || user.totp_enabled) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor setup has not been started'
+            });
+        }
+
+        const step = totp.verify(user.totp_secret, req.body.code);
+        if (step === null) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        await sequelize.query(
+            'UPDATE users SET totp_enabled = true, totp_last_used_step = ? WHERE id = ?',
+            {
+                replacements: [step, user.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        const recoveryCodes = await generateRecoveryCodes(user.id, t);
+
+        await t.commit();
+
+        // Enrollment during login completes the login
+        const tokens = req.user ? {} : await issueLoginTokens(user, req);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+            data: {
+                recoveryCodes,
+                ...tokens
+            }
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in enableTwoFactor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication'
+        });
+    }
+};
+
+const disableTwoFactor = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await findLoginUser('id', req.user.id, t);
+
+        if (!user.totp_enabled) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (user.require_two_factor) {
+            await t.rollback();
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is mandatory for your role'
+            });
+        }
+
+        const passwordMatches = await bcrypt.compare(req.body.password, user.password);
+        if (!passwordMatches || !(await consumeTotpCode(user, req.body.code))) {
+            await t.rollback();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE users
+            SET totp_enabled = false, totp_secret = NULL, totp_last_used_step = NULL
+            WHERE id = ?`,
+            {
+                replacements: [user.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            'DELETE FROM user_recovery_codes WHERE user_id = ?',
+            {
+                replacements: [user.id],
+                type: QueryTypes.DELETE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in disableTwoFactor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await findLoginUser('id', req.user.id, t);
+
+        if (!user.totp_enabled || !(await consumeTotpCode(user, req.body.code))) {
+            await t.rollback();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(user.id, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Recovery codes regenerated',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in regenerateRecoveryCodes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate recovery codes'
+        });
+    }
+};
+
+/**
+ * Password Reset & Email Verification Controllers
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const [user] = await sequelize.query(
+            'SELECT id, username, email, full_name FROM users WHERE email = ? AND is_active = true',
+            {
+                replacements: [req.body.email],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // Not awaited: answering only after the mail went out would make known addresses slower to respond.
+        // A failure is logged and reported the same way as an unknown address.
+        if (user) {
+            accountMail.sendPasswordReset(user).catch(error => {
+                console.error('Error sending password reset email:', error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'If the email address belongs to an account, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Error in forgotPassword:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process password reset request'
+        });
+    }
+};
+
+const resetPassword = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const userId = await tokenService.consumeUserToken(req.body.token, 'password_reset', t);
+
+        if (!userId) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        // Receiving the link proves ownership of the address as well
+        await sequelize.query(
+            `UPDATE users
+            SET password = ?, must_change_password = false,
+                email_verified_at = COALESCE(email_verified_at, NOW())
+            WHERE id = ?`,
+            {
+                replacements: [await bcrypt.hash(req.body.password, BCRYPT_SALT_ROUNDS), userId],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sessionService.revokeUserSessions(userId, {
+            reason: 'password_reset',
+            transaction: t
+        });
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in resetPassword:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+};
+
+const verifyEmail = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const userId = await tokenService.consumeUserToken(req.body.token, 'email_verification', t);
+
+        if (!userId) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token'
+            });
+        }
+
+        await sequelize.query(
+            'UPDATE users SET email_verified_at = NOW() WHERE id = ?',
+            {
+                replacements: [userId],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Email address verified successfully'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in verifyEmail:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify email address'
+        });
+    }
+};
+
+const resendVerification = async (req, res) => {
+    try {
+        const [user] = await sequelize.query(
+            'SELECT id, username, email, full_name, email_verified_at FROM users WHERE id = ?',
+            {
+                replacements: [req.user.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (user.email_verified_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is already verified'
+            });
+        }
+
+        await accountMail.sendEmailVerification(user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Error in resendVerification:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email'
+        });
+    }
+};
+
+const refreshToken = async (req, res) => {
+    try {
+        const result = await tokenService.rotateRefreshToken(req.body.refresh_token, requestContext(req));
+
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...result.tokens,
+                user: toPublicUser(result.user)
+            }
+        });
+    } catch (error) {
+        console.error('Error in refreshToken:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+};
+
+const logout = async (req, res) => {
+    try {
+        if (req.body.all_devices) {
+            await sessionService.revokeUserSessions(req.user.id, {
+                revokedBy: req.user.id,
+                reason: 'logout_all'
+            });
+        } else {
+            await sessionService.revokeSession(req.sessionId, {
+                revokedBy: req.user.id,
+                reason: 'logout'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error in logout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+};
+
+const getCurrentUser = async (req, res) => {
+    try {
+        const [user] = await sequelize.query(
+            `SELECT id, username, email, full_name, role, email_verified_at, last_login_at, created_at
+            FROM users WHERE id = ?`,
+            {
+                replacements: [req.user.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        // Effective permissions let the frontend hide actions the user cannot perform
+        const permissions = await permissionService.getEffectivePermissions(req.user);
+
+        res.json({
+            success: true,
+            data: {
+                ...user,
+                permissions: [...permissions].sort()
+            }
+        });
+    } catch (error) {
+        console.error('Error in getCurrentUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve current user'
+        });
+    }
+};
+
+module.exports = {
+    login,
+    setupPassword,
+    verifyTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    refreshToken,
+    logout,
+    getCurrentUser
+};
@@ -0,0 +1,187 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const budgets = require('../services/budgets');
+
+/**
+ * Budget Version Controllers
+ */
+const getVersions = async (req, res) => {
+    try {
+        let query = `
+            SELECT v.*, s.name as copied_from_version_name,
+                (SELECT COUNT(*) FROM budgets b WHERE b.version_id = v.id) as budget_count,
+                (SELECT COALESCE(SUM(b.amount), 0) FROM budgets b WHERE b.version_id = v.id) as total_amount,
+                u.username as created_by_user, au.username as approved_by_user
+            FROM budget_versions v
+            LEFT JOIN budget_versions s ON v.copied_from_version_id = s.id
+            LEFT JOIN users u ON v.created_by = u.id
+            LEFT JOIN users au ON v.approved_by = au.id
+            WHERE 1=1
+        `;
+        const replacements = [];
+
+        if (req.query.fiscal_year) {
+            query += ' AND v.fiscal_year = ?';
+            replacements.push(req.query.fiscal_year);
+        }
+
+        query += ' ORDER BY v.fiscal_year DESC, v.id';
+
+        const versions = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: versions
+        });
+    } catch (error) {
+        console.error('Error in getVersions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve budget versions'
+        });
+    }
+};
+
+/**
+ * New draft version, empty or filled from another version or from a year's actuals
+ * (copy_from_version_id or copy_from_actuals_year), with uplift_percent applied to every amount
+ */
+const createVersion = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const { fiscal_year, name, copy_from_version_id, copy_from_actuals_year } = req.body;
+        const upliftPercent = parseFloat(req.body.uplift_percent || 0);
+
+        const [existing] = await sequelize.query(
+            'SELECT id FROM budget_versions WHERE fiscal_year = ? AND name = ?',
+            {
+                replacements: [fiscal_year, name],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (existing) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Budget version "${name}" already exists for ${fiscal_year}`
+            });
+        }
+
+        if (copy_from_version_id) {
+            const [source] = await sequelize.query(
+                'SELECT id FROM budget_versions WHERE id = ?',
+                {
+                    replacements: [copy_from_version_id],
+                    type: QueryTypes.SELECT,
+                    transaction: t
+                }
+            );
+
+            if (!source) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Budget version to copy from not found'
+                });
+            }
+        }
+
+        const [versionId] = await sequelize.query(
+            `INSERT INTO budget_versions
+            (fiscal_year, name, version_type, description, copied_from_version_id, copied_from_year, uplift_percent, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    fiscal_year,
+                    name,
+                    req.body.version_type || 'original',
+                    req.body.description || null,
+                    copy_from_version_id || null,
+                    copy_from_actuals_year || null,
+                    copy_from_version_id || copy_from_actuals_year ? upliftPercent : null,
+                    req.user.id
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        const version = { id: versionId, fiscal_year };
+        let budgetCount = 0;
+
+        if (copy_from_version_id) {
+            budgetCount = await budgets.copyFromVersion(copy_from_version_id, version, upliftPercent, t);
+        } else if (copy_from_actuals_year) {
+            budgetCount = await budgets.copyFromActuals(copy_from_actuals_year, version, upliftPercent, t);
+        }
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Budget version created successfully',
+            data: { id: versionId, budgetCount }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in createVersion:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create budget version'
+        });
+    }
+};
+
+// Approval is final: later changes go into a new (revised) version
+const approveVersion = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const { version, error, notFound } = await budgets.findDraftVersion(req.params.id, t);
+
+        if (error) {
+            await t.rollback();
+            return res.status(notFound ? 404 : 400).json({
+                success: false,
+                message: notFound ? error : 'Budget version is already approved'
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE budget_versions
+            SET status = 'approved', approved_by = ?, approved_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [req.user.id, version.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Budget version approved successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in approveVersion:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve budget version'
+        });
+    }
+};
+
+module.exports = {
+    getVersions,
+    createVersion,
+    approveVersion
+};
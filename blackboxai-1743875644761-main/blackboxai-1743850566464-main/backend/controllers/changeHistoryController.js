@@ -0,0 +1,32 @@
+const changeHistory = require('../services/changeHistory');
+
+/**
+ * Change History Controllers
+ */
+
+/**
+ * GET /<entity>/:id/history for any table tracked by services/changeHistory
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} table - Tracked table, e.g. chart_of_accounts
+ */
+const getRecordHistory = async (req, res, table) => {
+    try {
+        const history = await changeHistory.getHistory(table, req.params.id);
+
+        res.json({
+            success: true,
+            data: history
+        });
+    } catch (error) {
+        console.error('Error in getRecordHistory:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve change history'
+        });
+    }
+};
+
+module.exports = {
+    getRecordHistory
+};
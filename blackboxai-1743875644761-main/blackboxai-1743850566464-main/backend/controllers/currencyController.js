@@ -0,0 +1,388 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const currency = require('../services/currency');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const journalPosting = require('../services/journalPosting');
+const settings = require('../services/settings');
+const { round } = require('../services/ledger');
+
+const GAIN_LOSS_SETTING = 'accounting.fx_gain_loss_account_id';
+
+const findGainLossAccount = async (accountId, transaction) => {
+    const [account] = await sequelize.query(
+        'SELECT id, account_code, account_name, account_type FROM chart_of_accounts WHERE id = ?',
+        {
+            replacements: [accountId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return account && ['revenue', 'expense'].includes(account.account_type) ? account : null;
+};
+
+/**
+ * Exchange Rate Controllers
+ */
+const getExchangeRates = async (req, res) => {
+    try {
+        let query = `
+            SELECT r.id, r.currency, DATE_FORMAT(r.rate_date, '%Y-%m-%d') as rate_date, r.rate,
+                r.created_at, u.username as created_by_user
+            FROM exchange_rates r
+            LEFT JOIN users u ON r.created_by = u.id
+            WHERE 1=1
+        `;
+        const replacements = [];
+
+        if (req.query.currency) {
+            query += ' AND r.currency = ?';
+            replacements.push(req.query.currency);
+        }
+        if (req.query.start_date) {
+            query += ' AND r.rate_date >= ?';
+            replacements.push(req.query.start_date);
+        }
+        if (req.query.end_date) {
+            query += ' AND r.rate_date <= ?';
+            replacements.push(req.query.end_date);
+        }
+
+        query += ' ORDER BY r.rate_date DESC, r.currency';
+
+        const rates = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Error in getExchangeRates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve exchange rates'
+        });
+    }
+};
+
+// One rate per currency and date; entering it again replaces it. Lines already entered keep their rate.
+const saveExchangeRate = async (req, res) => {
+    try {
+        const { currency: code, rate_date, rate } = req.body;
+
+        if (!currency.isForeign(code)) {
+            return res.status(400).json({
+                success: false,
+                message: `${currency.FUNCTIONAL_CURRENCY} is the functional currency; its rate is always 1`
+            });
+        }
+
+        await sequelize.query(
+            `INSERT INTO exchange_rates (currency, rate_date, rate, created_by)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE rate = VALUES(rate), created_by = VALUES(created_by)`,
+            {
+                replacements: [code, rate_date, rate, req.user.id],
+                type: QueryTypes.INSERT
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Exchange rate saved successfully',
+            data: { currency: code, rate_date, rate: parseFloat(rate) }
+        });
+    } catch (error) {
+        console.error('Error in saveExchangeRate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save exchange rate'
+        });
+    }
+};
+
+const deleteExchangeRate = async (req, res) => {
+    try {
+        const [rate] = await sequelize.query(
+            'SELECT id FROM exchange_rates WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!rate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exchange rate not found'
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM exchange_rates WHERE id = ?',
+            {
+                replacements: [rate.id],
+                type: QueryTypes.DELETE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Exchange rate deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error in deleteExchangeRate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete exchange rate'
+        });
+    }
+};
+
+/**
+ * Revaluation Controllers
+ */
+const getRevaluations = async (req, res) => {
+    try {
+        const revaluations = await sequelize.query(
+            `SELECT v.id, DATE_FORMAT(v.revaluation_date, '%Y-%m-%d') as revaluation_date, v.net_gain,
+                v.journal_id, je.reference_no, v.gain_loss_account_id, a.account_code, a.account_name,
+                v.created_at, u.username as created_by_user
+            FROM fx_revaluations v
+            JOIN chart_of_accounts a ON v.gain_loss_account_id = a.id
+            LEFT JOIN journal_entries je ON v.journal_id = je.id
+            LEFT JOIN users u ON v.created_by = u.id
+            ORDER BY v.revaluation_date DESC, v.id DESC`,
+            { type: QueryTypes.SELECT }
+        );
+
+        const lines = await sequelize.query(
+            `SELECT l.*, a.account_code, a.account_name
+            FROM fx_revaluation_lines l
+            JOIN chart_of_accounts a ON l.account_id = a.id
+            ORDER BY l.revaluation_id, a.account_code`,
+            { type: QueryTypes.SELECT }
+        );
+
+        res.json({
+            success: true,
+            data: revaluations.map(revaluation => ({
+                ...revaluation,
+                lines: lines.filter(line => line.revaluation_id === revaluation.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getRevaluations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve revaluations'
+        });
+    }
+};
+
+/**
+ * Revalue every foreign-currency asset and liability account at the rate of revaluation_date:
+ * the IDR balance is brought to the currency balance times the rate, and the difference is
+ * posted against the unrealised exchange gain/loss account. The revaluation is not reversed;
+ * the next run starts from the revalued balance.
+ */
+const runRevaluation = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const date = req.body.revaluation_date;
+
+        const periodError = await fiscalPeriods.checkPostingDate(date, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        // Balances are revalued from the last run onwards; an earlier date would revalue them again at an old rate.
+        // Locked so two runs cannot pass this check together. Runs whose entry was voided no longer count.
+        const [last] = await sequelize.query(
+            `SELECT DATE_FORMAT(MAX(r.revaluation_date), '%Y-%m-%d') as revaluation_date
+            FROM fx_revaluations r
+            LEFT JOIN journal_entries je ON r.journal_id = je.id
+            WHERE je.id IS NULL OR je.status <> 'void'
+            FOR UPDATE`,
+            {
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (last.revaluation_date && date <= last.revaluation_date) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `The revaluation date must be after the last revaluation on ${last.revaluation_date}`
+            });
+        }
+
+        const accountId = req.body.gain_loss_account_id || await settings.get(GAIN_LOSS_SETTING, t);
+        const gainLossAccount = accountId && await findGainLossAccount(accountId, t);
+
+        if (!gainLossAccount) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'An unrealised exchange gain/loss account (revenue or expense) must be designated'
+            });
+        }
+
+        const balances = await sequelize.query(
+            `SELECT a.id as account_id, a.account_code, a.currency,
+                SUM(jd.currency_debit) - SUM(jd.currency_credit) as currency_balance,
+                SUM(jd.debit) - SUM(jd.credit) as book_balance
+            FROM journal_details jd
+            JOIN journal_entries je ON jd.journal_id = je.id
+            JOIN chart_of_accounts a ON jd.account_id = a.id
+            WHERE a.currency IS NOT NULL AND a.currency <> ?
+            AND a.account_type IN ('asset', 'liability')
+            AND je.entry_date <= ?
+            AND je.status IN ('posted', 'void')
+            GROUP BY a.id, a.account_code, a.currency
+            ORDER BY a.account_code`,
+            {
+                replacements: [currency.FUNCTIONAL_CURRENCY, date],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const revalued = [];
+
+        for (const balance of balances) {
+            const rate = await currency.getRate(balance.currency, date, t);
+
+            if (!rate) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: `No exchange rate for ${balance.currency} on or before ${date}`
+                });
+            }
+
+            const currencyBalance = round(parseFloat(balance.currency_balance));
+            const bookBalance = round(parseFloat(balance.book_balance));
+            const revaluedBalance = round(currencyBalance * rate.rate);
+
+            revalued.push({
+                ...balance,
+                currency_balance: currencyBalance,
+                exchange_rate: rate.rate,
+                book_balance: bookBalance,
+                revalued_balance: revaluedBalance,
+                difference: round(revaluedBalance - bookBalance)
+            });
+        }
+
+        // Only the IDR amounts change; the currency amounts of the revaluation lines are zero
+        const lines = revalued
+            .filter(line => line.difference !== 0)
+            .map(line => ({
+                account_id: line.account_id,
+                debit: line.difference > 0 ? line.difference : 0,
+                credit: line.difference < 0 ? -line.difference : 0,
+                currency: line.currency,
+                exchange_rate: line.exchange_rate,
+                currency_debit: 0,
+                currency_credit: 0,
+                description: `Revaluation of ${line.currency} ${line.currency_balance} at ${line.exchange_rate}`
+            }));
+
+        const netGain = round(lines.reduce((sum, line) => sum + line.debit - line.credit, 0));
+
+        let journal = null;
+
+        if (lines.length) {
+            if (netGain !== 0) {
+                lines.push({
+                    account_id: gainLossAccount.id,
+                    debit: netGain < 0 ? -netGain : 0,
+                    credit: netGain > 0 ? netGain : 0,
+                    description: `Unrealised exchange ${netGain > 0 ? 'gain' : 'loss'}`
+                });
+            }
+
+            journal = await journalPosting.createPostedEntry({
+                entry_date: date,
+                description: `Foreign currency revaluation ${date}`
+            }, lines, req.user.id, t);
+        }
+
+        const [revaluationId] = await sequelize.query(
+            `INSERT INTO fx_revaluations (revaluation_date, gain_loss_account_id, journal_id, net_gain, created_by)
+            VALUES (?, ?, ?, ?, ?)`,
+            {
+                replacements: [date, gainLossAccount.id, journal ? journal.id : null, netGain, req.user.id],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        for (const line of revalued) {
+            await sequelize.query(
+                `INSERT INTO fx_revaluation_lines
+                (revaluation_id, account_id, currency, currency_balance, exchange_rate, book_balance, revalued_balance, difference)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [
+                        revaluationId,
+                        line.account_id,
+                        line.currency,
+                        line.currency_balance,
+                        line.exchange_rate,
+                        line.book_balance,
+                        line.revalued_balance,
+                        line.difference
+                    ],
+                    type: QueryTypes.INSERT,
+                    transaction: t
+                }
+            );
+        }
+
+        if (req.body.gain_loss_account_id) {
+            await settings.set(GAIN_LOSS_SETTING, gainLossAccount.id, req.user.id, t);
+        }
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: journal ? 'Revaluation posted successfully' : 'Balances are already at the current rates',
+            data: {
+                id: revaluationId,
+                revaluationDate: date,
+                netGain,
+                gainLossAccountId: gainLossAccount.id,
+                journalId: journal ? journal.id : null,
+                referenceNo: journal ? journal.referenceNo : null,
+                lines: revalued
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in runRevaluation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run revaluation'
+        });
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    saveExchangeRate,
+    deleteExchangeRate,
+    getRevaluations,
+    runRevaluation
+};
@@ -0,0 +1,496 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const depreciation = require('../services/depreciation');
+const fiscalDepreciation = require('../services/fiscalDepreciation');
+const depreciationProjection = require('../services/depreciationProjection');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const journalPosting = require('../services/journalPosting');
+
+const RUN_COLUMNS = `r.id, DATE_FORMAT(r.period_end, '%Y-%m-%d') as period_end, r.journal_id, r.asset_count,
+    r.total_amount, r.status, r.reversal_journal_id, r.reversal_reason, r.created_at, r.reversed_at,
+    je.reference_no, rj.reference_no as reversal_reference_no,
+    u.username as created_by_user, ru.username as reversed_by_user`;
+
+const RUN_JOINS = `JOIN journal_entries je ON r.journal_id = je.id
+    LEFT JOIN journal_entries rj ON r.reversal_journal_id = rj.id
+    LEFT JOIN users u ON r.created_by = u.id
+    LEFT JOIN users ru ON r.reversed_by = ru.id`;
+
+/**
+ * Depreciation Run Controllers
+ */
+const getRuns = async (req, res) => {
+    try {
+        let query = `SELECT ${RUN_COLUMNS} FROM depreciation_runs r ${RUN_JOINS} WHERE 1=1`;
+        const replacements = [];
+
+        if (req.query.start_date) {
+            query += ' AND r.period_end >= ?';
+            replacements.push(req.query.start_date);
+        }
+
+        if (req.query.end_date) {
+            query += ' AND r.period_end <= ?';
+            replacements.push(req.query.end_date);
+        }
+
+        query += ' ORDER BY r.period_end DESC, r.id DESC';
+
+        const runs = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: runs
+        });
+    } catch (error) {
+        console.error('Error in getRuns:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve depreciation runs'
+        });
+    }
+};
+
+const getRun = async (req, res) => {
+    try {
+        const [run] = await sequelize.query(
+            `SELECT ${RUN_COLUMNS} FROM depreciation_runs r ${RUN_JOINS} WHERE r.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                message: 'Depreciation run not found'
+            });
+        }
+
+        const items = await sequelize.query(
+            `SELECT ad.asset_id, fa.asset_code, fa.asset_name, ad.amount, ad.accumulated_depreciation,
+                ad.book_value, ad.is_reversed
+            FROM asset_depreciation ad
+            JOIN fixed_assets fa ON ad.asset_id = fa.id
+            WHERE ad.run_id = ?
+            ORDER BY fa.asset_code`,
+            {
+                replacements: [run.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        res.json({
+            success: true,
+            data: { ...run, items }
+        });
+    } catch (error) {
+        console.error('Error in getRun:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve depreciation run'
+        });
+    }
+};
+
+// What a run for the month of period_date would post; nothing is written
+const previewRun = async (req, res) => {
+    try {
+        const plan = await depreciation.planRun(depreciation.periodEndOf(req.query.period_date));
+
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        console.error('Error in previewRun:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview depreciation run'
+        });
+    }
+};
+
+/**
+ * Depreciate every active asset for the month of period_date. Assets already depreciated for the
+ * month are skipped, so running a month again only picks up the assets it missed.
+ */
+const createRun = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const periodEnd = depreciation.periodEndOf(req.body.period_date);
+
+        const periodError = await fiscalPeriods.checkPostingDate(periodEnd, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        const plan = await depreciation.planRun(periodEnd, { lock: true }, t);
+
+        if (!plan.items.length) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `No assets to depreciate for ${periodEnd.slice(0, 7)}`,
+                data: { skipped: plan.skipped }
+            });
+        }
+
+        const run = await depreciation.postRun(plan, req.user.id, t);
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Depreciation run posted successfully',
+            data: { ...run, ...plan }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in createRun:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to post depreciation run'
+        });
+    }
+};
+
+/**
+ * Reverse a whole run: its journal entry is voided (by default on the run's own date), its
+ * depreciation rows are marked reversed and its fully depreciated assets become active again.
+ * A run can only be reversed while nothing was recorded on its assets since (a later run or a disposal).
+ */
+const reverseRun = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [run] = await sequelize.query(
+            `SELECT id, DATE_FORMAT(period_end, '%Y-%m-%d') as period_end, journal_id, status
+            FROM depreciation_runs WHERE id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!run) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Depreciation run not found'
+            });
+        }
+
+        if (run.status === 'reversed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Depreciation run is already reversed'
+            });
+        }
+
+        const [later] = await sequelize.query(
+            `SELECT fa.asset_code, DATE_FORMAT(MAX(ld.depreciation_date), '%Y-%m') as period
+            FROM asset_depreciation ad
+            JOIN fixed_assets fa ON ad.asset_id = fa.id
+            JOIN asset_depreciation ld ON ld.asset_id = ad.asset_id
+                AND ld.is_reversed = FALSE
+                AND ld.id > ad.id
+            WHERE ad.run_id = ?
+            GROUP BY fa.asset_code
+            ORDER BY fa.asset_code
+            LIMIT 1`,
+            {
+                replacements: [run.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (later) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Asset ${later.asset_code} was depreciated or disposed of after this run (${later.period})`
+            });
+        }
+
+        const reversalDate = req.body.reversal_date || run.period_end;
+        if (reversalDate < run.period_end) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Reversal date cannot be before the end of the depreciation period'
+            });
+        }
+
+        const periodError = await fiscalPeriods.checkPostingDate(reversalDate, req.user, t);
+        if (periodError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+
+        const [entry] = await sequelize.query(
+            'SELECT id, reference_no, is_closing FROM journal_entries WHERE id = ? FOR UPDATE',
+            {
+                replacements: [run.journal_id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const reversal = await journalPosting.reverseEntry(entry, {
+            date: reversalDate,
+            reason: req.body.reason,
+            userId: req.user.id
+        }, t);
+
+        await sequelize.query(
+            `UPDATE fixed_assets SET status = 'active'
+            WHERE status = 'fully_depreciated'
+            AND id IN (SELECT asset_id FROM asset_depreciation WHERE run_id = ?)`,
+            {
+                replacements: [run.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            'UPDATE asset_depreciation SET is_reversed = TRUE WHERE run_id = ?',
+            {
+                replacements: [run.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE depreciation_runs
+            SET status = 'reversed', reversal_journal_id = ?, reversal_reason = ?, reversed_by = ?, reversed_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [reversal.reversalId, req.body.reason || null, req.user.id, run.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Depreciation run reversed successfully',
+            data: {
+                id: run.id,
+                ...reversal
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in reverseRun:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reverse depreciation run'
+        });
+    }
+};
+
+/**
+ * Depreciation Projection Controllers
+ */
+
+/**
+ * Remaining depreciation of one asset month by month. Any of useful_life_years, depreciation_method,
+ * salvage_value, depreciation_convention and total_units add a what-if projection with those settings
+ * and its difference by year, to review a change before making it.
+ */
+const getAssetProjection = async (req, res) => {
+    try {
+        const [asset] = await sequelize.query(
+            `SELECT fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date
+            FROM fixed_assets fa WHERE fa.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        const overrides = {};
+        depreciationProjection.OVERRIDES.forEach(column => {
+            if (req.query[column] !== undefined) {
+                overrides[column] = req.query[column];
+            }
+        });
+
+        const methodError = depreciation.validateMethod({ ...asset, ...overrides });
+        if (methodError) {
+            return res.status(400).json({
+                success: false,
+                message: methodError
+            });
+        }
+
+        const projection = await depreciationProjection.projectAsset(asset, overrides, {
+            endDate: req.query.end_date,
+            unitsPerMonth: req.query.units_per_month
+        });
+
+        res.json({
+            success: true,
+            data: {
+                asset_id: asset.id,
+                asset_code: asset.asset_code,
+                asset_name: asset.asset_name,
+                status: asset.status,
+                ...projection
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAssetProjection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to project asset depreciation'
+        });
+    }
+};
+
+// Remaining depreciation of the active assets by month and year, e.g. for the budget
+const getRegisterProjection = async (req, res) => {
+    try {
+        const projection = await depreciationProjection.projectRegister({
+            location: req.query.location,
+            department_id: req.query.department_id
+        }, {
+            endDate: req.query.end_date
+        });
+
+        res.json({
+            success: true,
+            data: projection
+        });
+    } catch (error) {
+        console.error('Error in getRegisterProjection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to project depreciation'
+        });
+    }
+};
+
+/**
+ * Fiscal Depreciation Controllers
+ */
+
+// Fiscal depreciation of one asset month by month up to as_of_date (today by default)
+const getFiscalSchedule = async (req, res) => {
+    try {
+        const [asset] = await sequelize.query(
+            `SELECT fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date
+            FROM fixed_assets fa WHERE fa.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (!asset.fiscal_group) {
+            return res.status(400).json({
+                success: false,
+                message: 'Asset has no fiscal group'
+            });
+        }
+
+        const asOfDate = req.query.as_of_date || moment().format('YYYY-MM-DD');
+        const disposals = (await fiscalDepreciation.getDisposals([asset.id])).get(asset.id);
+        const group = fiscalDepreciation.FISCAL_GROUPS[asset.fiscal_group];
+
+        res.json({
+            success: true,
+            data: {
+                asset_id: asset.id,
+                asset_code: asset.asset_code,
+                asset_name: asset.asset_name,
+                fiscal_group: asset.fiscal_group,
+                fiscal_group_label: group.label,
+                fiscal_method: asset.fiscal_method || 'straight_line',
+                fiscal_life_years: group.years,
+                rate: group.rates[asset.fiscal_method || 'straight_line'],
+                as_of_date: asOfDate,
+                ...fiscalDepreciation.schedule(asset, disposals, asOfDate)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getFiscalSchedule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve fiscal depreciation'
+        });
+    }
+};
+
+/**
+ * Commercial against fiscal depreciation of the register for a period: the fiscal corrections of
+ * depreciation and of gains on disposal for the tax return, and the deferred tax on the difference
+ * between the fiscal and commercial book values (at tax_rate percent)
+ */
+const getFiscalDifferences = async (req, res) => {
+    try {
+        const taxRate = req.query.tax_rate !== undefined
+            ? parseFloat(req.query.tax_rate)
+            : fiscalDepreciation.DEFAULT_TAX_RATE;
+
+        const report = await fiscalDepreciation.getDifferences(req.query.start_date, req.query.end_date, taxRate);
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Error in getFiscalDifferences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate fiscal depreciation report'
+        });
+    }
+};
+
+module.exports = {
+    getRuns,
+    getRun,
+    previewRun,
+    createRun,
+    reverseRun,
+    getAssetProjection,
+    getRegisterProjection,
+    getFiscalSchedule,
+    getFiscalDifferences
+};
@@ -0,0 +1,283 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const dimensions = require('../services/dimensions');
+const changeHistory = require('../services/changeHistory');
+
+// Columns a cost center or project can be created or updated with
+const VALUE_COLUMNS = {
+    cost_centers: ['code', 'name', 'is_active'],
+    projects: ['code', 'name', 'start_date', 'end_date', 'is_active']
+};
+
+const codeTaken = async (table, code, exceptId, transaction) => {
+    const [existing] = await sequelize.query(
+        `SELECT id FROM ${table} WHERE code = ? AND id <> ?`,
+        {
+            replacements: [code, exceptId || 0],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return Boolean(existing);
+};
+
+/**
+ * Dimension Controllers
+ */
+const getDimensions = async (req, res) => {
+    try {
+        const departments = await sequelize.query(
+            'SELECT id, dept_code as code, dept_name as name FROM departments ORDER BY dept_code',
+            { type: QueryTypes.SELECT }
+        );
+        const costCenters = await sequelize.query(
+            'SELECT * FROM cost_centers ORDER BY code',
+            { type: QueryTypes.SELECT }
+        );
+        const projects = await sequelize.query(
+            `SELECT id, code, name, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+                DATE_FORMAT(end_date, '%Y-%m-%d') as end_date, is_active, created_at, updated_at
+            FROM projects ORDER BY code`,
+            { type: QueryTypes.SELECT }
+        );
+        // Tags are free-form: the ones in use, most used first
+        const tags = await sequelize.query(
+            `SELECT tag, COUNT(*) as line_count
+            FROM journal_detail_tags
+            GROUP BY tag
+            ORDER BY line_count DESC, tag`,
+            { type: QueryTypes.SELECT }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                departments,
+                costCenters,
+                projects,
+                tags
+            }
+        });
+    } catch (error) {
+        console.error('Error in getDimensions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve dimensions'
+        });
+    }
+};
+
+const createValue = (table, label, name) => async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        if (await codeTaken(table, req.body.code, null, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `${label} code already exists`
+            });
+        }
+
+        const columns = VALUE_COLUMNS[table].filter(column => req.body[column] !== undefined);
+
+        const [id] = await sequelize.query(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            {
+                replacements: columns.map(column => req.body[column]),
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `${label} created successfully`,
+            data: { id }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error(`Error in ${name}:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to create ${label.toLowerCase()}`
+        });
+    }
+};
+
+// Deactivating keeps the value on existing lines but rejects it on new ones
+const updateValue = (table, label, name) => async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const snapshot = await changeHistory.snapshot(table, req.params.id, t);
+
+        if (!snapshot) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        if (req.body.code && await codeTaken(table, req.body.code, snapshot.id, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `${label} code already exists`
+            });
+        }
+
+        const columns = VALUE_COLUMNS[table].filter(column => req.body[column] !== undefined);
+
+        if (columns.length) {
+            await sequelize.query(
+                `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                {
+                    replacements: [...columns.map(column => req.body[column]), snapshot.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+
+            await changeHistory.record(snapshot, req.user.id, t);
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: `${label} updated successfully`
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error(`Error in ${name}:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to update ${label.toLowerCase()}`
+        });
+    }
+};
+
+const createCostCenter = createValue('cost_centers', 'Cost center', 'createCostCenter');
+const updateCostCenter = updateValue('cost_centers', 'Cost center', 'updateCostCenter');
+const createProject = createValue('projects', 'Project', 'createProject');
+const updateProject = updateValue('projects', 'Project', 'updateProject');
+
+/**
+ * Dimension Rule Controllers
+ */
+// Rules of the account itself and the ones it inherits from its parents
+const getAccountRules = async (req, res) => {
+    try {
+        const [account] = await sequelize.query(
+            'SELECT id, account_code, account_name FROM chart_of_accounts WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const own = await sequelize.query(
+            'SELECT dimension FROM account_dimension_rules WHERE account_id = ? ORDER BY dimension',
+            {
+                replacements: [account.id],
+                type: QueryTypes.SELECT
+            }
+        );
+        const required = (await dimensions.getRequiredDimensions()).get(account.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...account,
+                dimensions: own.map(rule => rule.dimension),
+                required: [...required.dimensions]
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAccountRules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve dimension rules'
+        });
+    }
+};
+
+// The account's own rules are replaced as a whole; existing lines are not checked again
+const setAccountRules = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [account] = await sequelize.query(
+            'SELECT id FROM chart_of_accounts WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!account) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM account_dimension_rules WHERE account_id = ?',
+            {
+                replacements: [account.id],
+                type: QueryTypes.DELETE,
+                transaction: t
+            }
+        );
+
+        for (const dimension of new Set(req.body.dimensions)) {
+            await sequelize.query(
+                'INSERT INTO account_dimension_rules (account_id, dimension, created_by) VALUES (?, ?, ?)',
+                {
+                    replacements: [account.id, dimension, req.user.id],
+                    type: QueryTypes.INSERT,
+                    transaction: t
+                }
+            );
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Dimension rules saved successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in setAccountRules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save dimension rules'
+        });
+    }
+};
+
+module.exports = {
+    getDimensions,
+    createCostCenter,
+    updateCostCenter,
+    createProject,
+    updateProject,
+    getAccountRules,
+    setAccountRules
+};
@@ -0,0 +1,574 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const journalPosting = require('../services/journalPosting');
+const settings = require('../services/settings');
+
+const RETAINED_EARNINGS_SETTING = 'accounting.retained_earnings_account_id';
+
+const YEAR_COLUMNS = `y.id, y.name, DATE_FORMAT(y.start_date, '%Y-%m-%d') as start_date,
+    DATE_FORMAT(y.end_date, '%Y-%m-%d') as end_date, y.status, y.closing_entry_id, y.closed_by, y.closed_at`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const findRetainedEarningsAccount = async (accountId, transaction) => {
+    const [account] = await sequelize.query(
+        'SELECT id, account_code, account_name, account_type FROM chart_of_accounts WHERE id = ?',
+        {
+            replacements: [accountId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return account && account.account_type === 'equity' ? account : null;
+};
+
+/**
+ * Fiscal Year Controllers
+ */
+const getFiscalYears = async (req, res) => {
+    try {
+        const years = await sequelize.query(
+            `SELECT ${YEAR_COLUMNS}, u.username as closed_by_user
+            FROM fiscal_years y
+            LEFT JOIN users u ON y.closed_by = u.id
+            ORDER BY y.start_date DESC`,
+            { type: QueryTypes.SELECT }
+        );
+
+        const periods = await sequelize.query(
+            `SELECT p.id, p.fiscal_year_id, p.period_no, p.name,
+                DATE_FORMAT(p.start_date, '%Y-%m-%d') as start_date,
+                DATE_FORMAT(p.end_date, '%Y-%m-%d') as end_date,
+                p.status, p.status_changed_at, u.username as status_changed_by_user
+            FROM fiscal_periods p
+            LEFT JOIN users u ON p.status_changed_by = u.id
+            ORDER BY p.fiscal_year_id, p.period_no`,
+            { type: QueryTypes.SELECT }
+        );
+
+        res.json({
+            success: true,
+            data: years.map(year => ({
+                ...year,
+                periods: periods.filter(period => period.fiscal_year_id === year.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getFiscalYears:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve fiscal years'
+        });
+    }
+};
+
+const createFiscalYear = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const startDate = req.body.start_date;
+        // Defaults to twelve months; shorter or longer years are allowed when the year end changes
+        const endDate = req.body.end_date
+            || moment(startDate).add(12, 'months').subtract(1, 'day').format('YYYY-MM-DD');
+
+        if (endDate < startDate) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'End date must be after the start date'
+            });
+        }
+
+        const [overlap] = await sequelize.query(
+            `SELECT name FROM fiscal_years
+            WHERE start_date <= ? AND end_date >= ?
+            LIMIT 1
+            FOR UPDATE`,
+            {
+                replacements: [endDate, startDate],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (overlap) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Fiscal year overlaps ${overlap.name}`
+            });
+        }
+
+        const [fiscalYearId] = await sequelize.query(
+            `INSERT INTO fiscal_years (name, start_date, end_date, created_by)
+            VALUES (?, ?, ?, ?)`,
+            {
+                replacements: [req.body.name, startDate, endDate, req.user.id],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        const periods = fiscalPeriods.buildMonthlyPeriods(startDate, endDate);
+
+        for (const period of periods) {
+            await sequelize.query(
+                `INSERT INTO fiscal_periods (fiscal_year_id, period_no, name, start_date, end_date)
+                VALUES (?, ?, ?, ?, ?)`,
+                {
+                    replacements: [fiscalYearId, period.period_no, period.name, period.start_date, period.end_date],
+                    type: QueryTypes.INSERT,
+                    transaction: t
+                }
+            );
+        }
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Fiscal year created successfully',
+            data: {
+                id: fiscalYearId,
+                name: req.body.name,
+                start_date: startDate,
+                end_date: endDate,
+                periods
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(400).json({
+                success: false,
+                message: 'A fiscal year with this name already exists'
+            });
+        }
+        console.error('Error in createFiscalYear:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create fiscal year'
+        });
+    }
+};
+
+/**
+ * Post the closing entry of a fiscal year: every revenue and expense balance of the year
+ * is moved into the retained earnings account, then all periods are hard-closed.
+ */
+const closeFiscalYear = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [year] = await sequelize.query(
+            `SELECT ${YEAR_COLUMNS} FROM fiscal_years y WHERE y.id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!year) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Fiscal year not found'
+            });
+        }
+
+        if (year.status === 'closed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Fiscal year is already closed'
+            });
+        }
+
+        const [earlierOpenYear] = await sequelize.query(
+            `SELECT name FROM fiscal_years WHERE end_date < ? AND status = 'open' LIMIT 1`,
+            {
+                replacements: [year.start_date],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (earlierOpenYear) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Close fiscal year ${earlierOpenYear.name} first`
+            });
+        }
+
+        const accountId = req.body.retained_earnings_account_id
+            || await settings.get(RETAINED_EARNINGS_SETTING, t);
+        const retainedEarnings = accountId && await findRetainedEarningsAccount(accountId, t);
+
+        if (!retainedEarnings) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'A retained earnings account (equity) must be designated'
+            });
+        }
+
+        const [{ drafts }] = await sequelize.query(
+            `SELECT COUNT(*) as drafts FROM journal_entries
+            WHERE status = 'draft' AND entry_date BETWEEN ? AND ?`,
+            {
+                replacements: [year.start_date, year.end_date],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (parseInt(drafts) > 0) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `${drafts} draft journal entries are dated in this fiscal year; post them or move them first`
+            });
+        }
+
+        // Debit balance (debit - credit) of every revenue and expense account for the year
+        const balances = await sequelize.query(
+            `SELECT a.id as account_id, a.account_code, SUM(jd.debit) - SUM(jd.credit) as balance
+            FROM journal_details jd
+            JOIN journal_entries je ON jd.journal_id = je.id
+            JOIN chart_of_accounts a ON jd.account_id = a.id
+            WHERE a.account_type IN ('revenue', 'expense')
+            AND je.entry_date BETWEEN ? AND ?
+            AND je.status IN ('posted', 'void')
+            GROUP BY a.id, a.account_code
+            HAVING balance <> 0
+            ORDER BY a.account_code`,
+            {
+                replacements: [year.start_date, year.end_date],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const lines = balances.map(({ account_id, balance }) => {
+            const amount = roundAmount(parseFloat(balance));
+            return {
+                account_id,
+                debit: amount < 0 ? -amount : 0,
+                credit: amount > 0 ? amount : 0,
+                description: `Year-end closing ${year.name}`
+            };
+        });
+
+        // Net income is the credit balance of revenue and expenses together
+        const netIncome = roundAmount(lines.reduce((sum, line) => sum + line.debit - line.credit, 0));
+
+        let closingEntry = null;
+
+        if (lines.length) {
+            if (netIncome !== 0) {
+                lines.push({
+                    account_id: retainedEarnings.id,
+                    debit: netIncome < 0 ? -netIncome : 0,
+                    credit: netIncome > 0 ? netIncome : 0,
+                    description: `Net ${netIncome > 0 ? 'income' : 'loss'} ${year.name}`
+                });
+            }
+
+            // Dated on the year end; closing is allowed whatever the state of the last period
+            closingEntry = await journalPosting.createPostedEntry({
+                entry_date: year.end_date,
+                description: `Year-end closing ${year.name}`,
+                is_closing: true
+            }, lines, req.user.id, t);
+        }
+
+        await sequelize.query(
+            `UPDATE fiscal_years
+            SET status = 'closed', closing_entry_id = ?, closed_by = ?, closed_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [closingEntry ? closingEntry.id : null, req.user.id, year.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await sequelize.query(
+            `UPDATE fiscal_periods
+            SET status = 'hard_closed', status_changed_by = ?, status_changed_at = NOW()
+            WHERE fiscal_year_id = ? AND status <> 'hard_closed'`,
+            {
+                replacements: [req.user.id, year.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        if (req.body.retained_earnings_account_id) {
+            await settings.set(RETAINED_EARNINGS_SETTING, retainedEarnings.id, req.user.id, t);
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Fiscal year closed successfully',
+            data: {
+                id: year.id,
+                netIncome,
+                retainedEarningsAccountId: retainedEarnings.id,
+                closingEntryId: closingEntry ? closingEntry.id : null
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in closeFiscalYear:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to close fiscal year'
+        });
+    }
+};
+
+// The closing entry is reversed (never deleted); periods stay hard-closed until reopened one by one
+const reopenFiscalYear = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [year] = await sequelize.query(
+            `SELECT ${YEAR_COLUMNS} FROM fiscal_years y WHERE y.id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!year) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Fiscal year not found'
+            });
+        }
+
+        if (year.status !== 'closed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Fiscal year is not closed'
+            });
+        }
+
+        const [laterClosedYear] = await sequelize.query(
+            `SELECT name FROM fiscal_years WHERE start_date > ? AND status = 'closed' LIMIT 1`,
+            {
+                replacements: [year.end_date],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (laterClosedYear) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Reopen fiscal year ${laterClosedYear.name} first`
+            });
+        }
+
+        let reversal = null;
+
+        if (year.closing_entry_id) {
+            const [closingEntry] = await sequelize.query(
+                'SELECT id, reference_no, is_closing FROM journal_entries WHERE id = ? FOR UPDATE',
+                {
+                    replacements: [year.closing_entry_id],
+                    type: QueryTypes.SELECT,
+                    transaction: t
+                }
+            );
+
+            reversal = await journalPosting.reverseEntry(closingEntry, {
+                date: year.end_date,
+                reason: req.body.reason || `Fiscal year ${year.name} reopened`,
+                userId: req.user.id
+            }, t);
+        }
+
+        await sequelize.query(
+            `UPDATE fiscal_years
+            SET status = 'open', closing_entry_id = NULL, closed_by = NULL, closed_at = NULL
+            WHERE id = ?`,
+            {
+                replacements: [year.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Fiscal year reopened successfully',
+            data: {
+                id: year.id,
+                reversalId: reversal ? reversal.reversalId : null
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in reopenFiscalYear:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reopen fiscal year'
+        });
+    }
+};
+
+/**
+ * Fiscal Period Controllers
+ */
+const changePeriodStatus = async (req, res, reopening) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [period] = await sequelize.query(
+            `SELECT p.id, p.name, p.status, y.status as year_status, y.name as fiscal_year_name
+            FROM fiscal_periods p
+            JOIN fiscal_years y ON p.fiscal_year_id = y.id
+            WHERE p.id = ?
+            FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!period) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Fiscal period not found'
+            });
+        }
+
+        const status = req.body.status || (reopening ? 'open' : 'hard_closed');
+        const allowed = reopening
+            ? fiscalPeriods.isStricter(status, period.status)
+            : fiscalPeriods.isStricter(period.status, status);
+
+        if (!allowed) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Fiscal period ${period.name} is already ${period.status.replace('_', '-')}`
+            });
+        }
+
+        if (reopening && period.year_status === 'closed') {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Reopen fiscal year ${period.fiscal_year_name} first`
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE fiscal_periods
+            SET status = ?, status_changed_by = ?, status_changed_at = NOW()
+            WHERE id = ?`,
+            {
+                replacements: [status, req.user.id, period.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: reopening ? 'Fiscal period reopened successfully' : 'Fiscal period closed successfully',
+            data: { id: period.id, status }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in changePeriodStatus:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change fiscal period status'
+        });
+    }
+};
+
+const closePeriod = (req, res) => changePeriodStatus(req, res, false);
+
+const reopenPeriod = (req, res) => changePeriodStatus(req, res, true);
+
+/**
+ * Closing Settings Controllers
+ */
+const getClosingSettings = async (req, res) => {
+    try {
+        const accountId = await settings.get(RETAINED_EARNINGS_SETTING);
+
+        res.json({
+            success: true,
+            data: {
+                retained_earnings_account: accountId ? await findRetainedEarningsAccount(accountId) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error in getClosingSettings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve closing settings'
+        });
+    }
+};
+
+const updateClosingSettings = async (req, res) => {
+    try {
+        const account = await findRetainedEarningsAccount(req.body.retained_earnings_account_id);
+
+        if (!account) {
+            return res.status(400).json({
+                success: false,
+                message: 'Retained earnings account must be an equity account'
+            });
+        }
+
+        await settings.set(RETAINED_EARNINGS_SETTING, account.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Closing settings updated successfully',
+            data: { retained_earnings_account: account }
+        });
+    } catch (error) {
+        console.error('Error in updateClosingSettings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update closing settings'
+        });
+    }
+};
+
+module.exports = {
+    getFiscalYears,
+    createFiscalYear,
+    closeFiscalYear,
+    reopenFiscalYear,
+    closePeriod,
+    reopenPeriod,
+    getClosingSettings,
+    updateClosingSettings
+};
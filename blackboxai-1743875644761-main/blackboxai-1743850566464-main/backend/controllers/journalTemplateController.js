@@ -0,0 +1,354 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const journalPosting = require('../services/journalPosting');
+const dimensions = require('../services/dimensions');
+const journalScheduler = require('../services/journalScheduler');
+const permissionService = require('../services/permissionService');
+
+const TEMPLATE_COLUMNS = `t.id, t.name, t.description, t.frequency,
+    DATE_FORMAT(t.start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(t.end_date, '%Y-%m-%d') as end_date,
+    t.auto_post, t.is_active, t.created_by, t.created_at, t.updated_at`;
+
+const getLines = async (templateIds) => {
+    const lines = await sequelize.query(
+        `SELECT l.*, a.account_code, a.account_name
+        FROM journal_template_lines l
+        JOIN chart_of_accounts a ON l.account_id = a.id
+        WHERE l.template_id IN (?)
+        ORDER BY l.template_id, l.id`,
+        {
+            replacements: [templateIds],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return lines.map(line => ({ ...line, tags: dimensions.parseTags(line.tags) }));
+};
+
+const insertLines = async (templateId, lines, transaction) => {
+    for (const line of lines) {
+        await sequelize.query(
+            `INSERT INTO journal_template_lines
+            (template_id, account_id, debit, credit, department_id, cost_center_id, project_id, tags, description)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    templateId,
+                    line.account_id,
+                    line.debit,
+                    line.credit,
+                    line.department_id || null,
+                    line.cost_center_id || null,
+                    line.project_id || null,
+                    line.tags && line.tags.length ? JSON.stringify(dimensions.normalizeTags(line.tags)) : null,
+                    line.description || null
+                ],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+    }
+};
+
+// Problems with a template that would make every generated run fail
+const validateTemplate = async (template, user) => {
+    if (template.details && !journalPosting.isBalanced(template.details)) {
+        return 'Debits and credits must be equal';
+    }
+
+    if (template.details) {
+        const dimensionError = await dimensions.validateLines(template.details);
+        if (dimensionError) {
+            return dimensionError;
+        }
+    }
+
+    if (template.end_date && template.end_date < template.start_date) {
+        return 'End date must be after the start date';
+    }
+
+    // Generated entries are posted without asking anyone again
+    if (template.auto_post) {
+        const granted = await permissionService.getEffectivePermissions(user);
+        if (!granted.has('accounting.journal.post')) {
+            return 'Posting permission is required for templates that post automatically';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Journal Template Controllers
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const templates = await sequelize.query(
+            `SELECT ${TEMPLATE_COLUMNS}, u.username as created_by_user
+            FROM journal_templates t
+            LEFT JOIN users u ON t.created_by = u.id
+            ORDER BY t.name`,
+            { type: QueryTypes.SELECT }
+        );
+
+        const lines = templates.length ? await getLines(templates.map(template => template.id)) : [];
+
+        res.json({
+            success: true,
+            data: templates.map(template => ({
+                ...template,
+                details: lines.filter(line => line.template_id === template.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getTemplates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve journal templates'
+        });
+    }
+};
+
+const getTemplateById = async (req, res) => {
+    try {
+        const [template] = await sequelize.query(
+            `SELECT ${TEMPLATE_COLUMNS}, u.username as created_by_user
+            FROM journal_templates t
+            LEFT JOIN users u ON t.created_by = u.id
+            WHERE t.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Journal template not found'
+            });
+        }
+
+        template.details = await getLines([template.id]);
+        template.runs = await sequelize.query(
+            `SELECT r.id, DATE_FORMAT(r.run_date, '%Y-%m-%d') as run_date, r.status, r.journal_id,
+                j.reference_no, r.message, r.attempts, r.updated_at
+            FROM journal_template_runs r
+            LEFT JOIN journal_entries j ON r.journal_id = j.id
+            WHERE r.template_id = ?
+            ORDER BY r.run_date DESC`,
+            {
+                replacements: [template.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error in getTemplateById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve journal template'
+        });
+    }
+};
+
+const createTemplate = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const validationError = await validateTemplate(req.body, req.user);
+        if (validationError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const [templateId] = await sequelize.query(
+            `INSERT INTO journal_templates
+            (name, description, frequency, start_date, end_date, auto_post, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    req.body.name,
+                    req.body.description || null,
+                    req.body.frequency,
+                    req.body.start_date,
+                    req.body.end_date || null,
+                    Boolean(req.body.auto_post),
+                    req.user.id
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await insertLines(templateId, req.body.details, t);
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Journal template created successfully',
+            data: { id: templateId }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in createTemplate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create journal template'
+        });
+    }
+};
+
+// Changes apply to runs generated from now on; entries already generated are not touched
+const updateTemplate = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [template] = await sequelize.query(
+            `SELECT ${TEMPLATE_COLUMNS} FROM journal_templates t WHERE t.id = ? FOR UPDATE`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!template) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Journal template not found'
+            });
+        }
+
+        const updated = { ...template, ...req.body };
+        const validationError = await validateTemplate(updated, req.user);
+        if (validationError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE journal_templates
+            SET name = ?, description = ?, frequency = ?, start_date = ?, end_date = ?,
+                auto_post = ?, is_active = ?
+            WHERE id = ?`,
+            {
+                replacements: [
+                    updated.name,
+                    updated.description || null,
+                    updated.frequency,
+                    updated.start_date,
+                    updated.end_date || null,
+                    Boolean(updated.auto_post),
+                    Boolean(updated.is_active),
+                    template.id
+                ],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        // Lines are replaced as a whole
+        if (req.body.details) {
+            await sequelize.query(
+                'DELETE FROM journal_template_lines WHERE template_id = ?',
+                {
+                    replacements: [template.id],
+                    type: QueryTypes.DELETE,
+                    transaction: t
+                }
+            );
+
+            await insertLines(template.id, req.body.details, t);
+        }
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Journal template updated successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateTemplate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update journal template'
+        });
+    }
+};
+
+/**
+ * Scheduled runs up to as_of_date (default today) that produced no entry:
+ * missed while the scheduler was not running, or failed (e.g. period closed)
+ */
+const getCatchUpReport = async (req, res) => {
+    try {
+        const asOfDate = req.query.as_of_date || moment().format('YYYY-MM-DD');
+        const due = await journalScheduler.getDueRuns(asOfDate);
+
+        res.json({
+            success: true,
+            data: {
+                asOfDate,
+                totalMissed: due.length,
+                runs: due.map(({ template, runDate, attempts, lastError }) => ({
+                    templateId: template.id,
+                    templateName: template.name,
+                    runDate,
+                    status: attempts ? 'failed' : 'missed',
+                    attempts,
+                    lastError
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error in getCatchUpReport:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate catch-up report'
+        });
+    }
+};
+
+// Generate the missed runs now instead of waiting for the next scheduler tick
+const runTemplates = async (req, res) => {
+    try {
+        const asOfDate = req.body.as_of_date || moment().format('YYYY-MM-DD');
+        const summary = await journalScheduler.runDue(asOfDate, req.body.template_id);
+
+        res.json({
+            success: true,
+            message: `${summary.generated.length} journal entries generated, ${summary.failed.length} failed`,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Error in runTemplates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run journal templates'
+        });
+    }
+};
+
+module.exports = {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    getCatchUpReport,
+    runTemplates
+};
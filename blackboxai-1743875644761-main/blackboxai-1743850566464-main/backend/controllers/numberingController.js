@@ -0,0 +1,134 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const numbering = require('../services/numbering');
+const changeHistory = require('../services/changeHistory');
+
+// Columns of a series that can be changed; the document type and name belong to the module
+const SERIES_COLUMNS = ['prefix', 'format', 'padding', 'reset_period'];
+
+/**
+ * Numbering Series Controllers
+ * Document types are fixed by the modules that use them; only their numbering is configured here.
+ */
+const getSeries = async (req, res) => {
+    try {
+        const series = await sequelize.query(
+            `SELECT s.*, u.username as updated_by_user
+            FROM numbering_series s
+            LEFT JOIN users u ON s.updated_by = u.id
+            ORDER BY s.name`,
+            { type: QueryTypes.SELECT }
+        );
+
+        const today = moment().format('YYYY-MM-DD');
+
+        res.json({
+            success: true,
+            data: await Promise.all(series.map(async item => ({
+                ...item,
+                nextNumber: await numbering.preview(item, today)
+            })))
+        });
+    } catch (error) {
+        console.error('Error in getSeries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve numbering series'
+        });
+    }
+};
+
+const updateSeries = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        // Locks the series; documents being numbered finish first
+        const snapshot = await changeHistory.snapshot('numbering_series', req.params.id, t);
+
+        if (!snapshot) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Numbering series not found'
+            });
+        }
+
+        const updated = { ...snapshot.before };
+        SERIES_COLUMNS.filter(column => req.body[column] !== undefined).forEach(column => {
+            updated[column] = req.body[column];
+        });
+
+        const validationError = numbering.validateSeries(updated);
+        if (validationError) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        // Counters of the new period would start again at 1 and repeat numbers already issued
+        if (updated.reset_period !== snapshot.before.reset_period) {
+            const [issued] = await sequelize.query(
+                'SELECT COUNT(*) as count FROM numbering_counters WHERE series_id = ?',
+                {
+                    replacements: [snapshot.id],
+                    type: QueryTypes.SELECT,
+                    transaction: t
+                }
+            );
+
+            if (issued.count > 0) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'The reset period cannot be changed once numbers have been issued'
+                });
+            }
+        }
+
+        await sequelize.query(
+            `UPDATE numbering_series
+            SET prefix = ?, format = ?, padding = ?, reset_period = ?, updated_by = ?
+            WHERE id = ?`,
+            {
+                replacements: [
+                    updated.prefix,
+                    updated.format,
+                    updated.padding,
+                    updated.reset_period,
+                    req.user.id,
+                    snapshot.id
+                ],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await changeHistory.record(snapshot, req.user.id, t);
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'Numbering series updated successfully',
+            data: {
+                id: snapshot.id,
+                nextNumber: await numbering.preview(updated, moment().format('YYYY-MM-DD'))
+            }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateSeries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update numbering series'
+        });
+    }
+};
+
+module.exports = {
+    getSeries,
+    updateSeries
+};
@@ -0,0 +1,477 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const permissionService = require('../services/permissionService');
+
+const { ADMIN_ROLE, SETUP_PERMISSIONS } = permissionService;
+
+/**
+ * Replace the permissions bundled in a role
+ * @param {number} roleId - Role ID
+ * @param {string[]} codes - Permission codes
+ * @param {Object} t - Sequelize transaction
+ * @returns {Promise<string[]>} Codes that do not exist
+ */
+const replaceRolePermissions = async (roleId, requestedCodes, t) => {
+    const codes = [...new Set(requestedCodes)];
+    const permissions = codes.length ? await sequelize.query(
+        'SELECT id, code FROM permissions WHERE code IN (?)',
+        {
+            replacements: [codes],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    ) : [];
+
+    const unknown = codes.filter(code => !permissions.some(p => p.code === code));
+    if (unknown.length) {
+        return unknown;
+    }
+
+    await sequelize.query(
+        'DELETE FROM role_permissions WHERE role_id = ?',
+        {
+            replacements: [roleId],
+            type: QueryTypes.DELETE,
+            transaction: t
+        }
+    );
+
+    for (const permission of permissions) {
+        await sequelize.query(
+            'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+            {
+                replacements: [roleId, permission.id],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+    }
+
+    return [];
+};
+
+/**
+ * Permission Controllers
+ */
+const getPermissions = async (req, res) => {
+    try {
+        let query = 'SELECT * FROM permissions WHERE 1=1';
+        const replacements = [];
+
+        if (req.query.module) {
+            query += ' AND module = ?';
+            replacements.push(req.query.module);
+        }
+
+        query += ' ORDER BY module, code';
+
+        const permissions = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: permissions
+        });
+    } catch (error) {
+        console.error('Error in getPermissions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve permissions'
+        });
+    }
+};
+
+/**
+ * Role Controllers
+ */
+const getRoles = async (req, res) => {
+    try {
+        const roles = await sequelize.query(
+            `SELECT
+                r.*,
+                (SELECT COUNT(*) FROM users WHERE role = r.name) as user_count
+            FROM roles r
+            ORDER BY r.name`,
+            { type: QueryTypes.SELECT }
+        );
+
+        const rolePermissions = await sequelize.query(
+            `SELECT rp.role_id, p.code
+            FROM role_permissions rp
+            JOIN permissions p ON rp.permission_id = p.id
+            ORDER BY p.code`,
+            { type: QueryTypes.SELECT }
+        );
+
+        for (const role of roles) {
+            role.permissions = rolePermissions
+                .filter(rp => rp.role_id === role.id)
+                .map(rp => rp.code);
+        }
+
+        res.json({
+            success: true,
+            data: roles
+        });
+    } catch (error) {
+        console.error('Error in getRoles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve roles'
+        });
+    }
+};
+
+const createRole = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [existingRole] = await sequelize.query(
+            'SELECT id FROM roles WHERE name = ?',
+            {
+                replacements: [req.body.name],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (existingRole) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Role name already exists'
+            });
+        }
+
+        const [roleId] = await sequelize.query(
+            'INSERT INTO roles (name, description, require_two_factor) VALUES (?, ?, ?)',
+            {
+                replacements: [req.body.name, req.body.description || null, req.body.require_two_factor || false],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        const unknown = await replaceRolePermissions(roleId, req.body.permissions || [], t);
+        if (unknown.length) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permissions: ${unknown.join(', ')}`
+            });
+        }
+
+        await t.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: { id: roleId }
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in createRole:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create role'
+        });
+    }
+};
+
+const updateRole = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [role] = await sequelize.query(
+            'SELECT * FROM roles WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!role) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const missingSetup = role.name === ADMIN_ROLE && req.body.permissions
+            ? SETUP_PERMISSIONS.filter(code => !req.body.permissions.includes(code))
+            : [];
+        if (missingSetup.length) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `The admin role must keep ${missingSetup.join(', ')}`
+            });
+        }
+
+        await sequelize.query(
+            `UPDATE roles
+            SET
+                description = COALESCE(?, description),
+                require_two_factor = COALESCE(?, require_two_factor)
+            WHERE id = ?`,
+            {
+                replacements: [
+                    req.body.description || null,
+                    req.body.require_two_factor === undefined ? null : req.body.require_two_factor,
+                    req.params.id
+                ],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        if (req.body.permissions) {
+            const unknown = await replaceRolePermissions(role.id, req.body.permissions, t);
+            if (unknown.length) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown permissions: ${unknown.join(', ')}`
+                });
+            }
+        }
+
+        await t.commit();
+        permissionService.invalidate();
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateRole:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role'
+        });
+    }
+};
+
+const deleteRole = async (req, res) => {
+    try {
+        const [role] = await sequelize.query(
+            `SELECT r.*, (SELECT COUNT(*) FROM users WHERE role = r.name) as user_count
+            FROM roles r WHERE r.id = ?`,
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.is_system || role.user_count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: role.is_system
+                    ? 'System roles cannot be deleted'
+                    : 'Role is still assigned to users'
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM roles WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.DELETE
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error in deleteRole:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete role'
+        });
+    }
+};
+
+/**
+ * User Permission Controllers
+ */
+const getUserPermissions = async (req, res) => {
+    try {
+        const [user] = await sequelize.query(
+            'SELECT id, username, role FROM users WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const overrides = await sequelize.query(
+            `SELECT p.code, up.effect
+            FROM user_permissions up
+            JOIN permissions p ON up.permission_id = p.id
+            WHERE up.user_id = ?
+            ORDER BY p.code`,
+            {
+                replacements: [user.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const permissions = await permissionService.getEffectivePermissions(user);
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                overrides,
+                permissions: [...permissions].sort()
+            }
+        });
+    } catch (error) {
+        console.error('Error in getUserPermissions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve user permissions'
+        });
+    }
+};
+
+const updateUserPermissions = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [user] = await sequelize.query(
+            'SELECT id, role, is_active FROM users WHERE id = ? FOR UPDATE',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!user) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // A code given twice is kept once; given with both effects it is ambiguous
+        const effects = new Map();
+        const conflicting = [];
+        req.body.overrides.forEach(override => {
+            if (effects.has(override.code) && effects.get(override.code) !== override.effect) {
+                conflicting.push(override.code);
+            }
+            effects.set(override.code, override.effect);
+        });
+
+        if (conflicting.length) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Permissions both granted and denied: ${[...new Set(conflicting)].join(', ')}`
+            });
+        }
+
+        const deniedSetup = SETUP_PERMISSIONS.filter(code => effects.get(code) === 'deny');
+        if (deniedSetup.length && user.role === ADMIN_ROLE && user.is_active) {
+            const heldOnly = await permissionService.setupPermissionsHeldOnlyBy(user.id, t);
+            const blocked = deniedSetup.filter(code => heldOnly.includes(code));
+
+            if (blocked.length) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot deny ${blocked.join(', ')} to the last active admin holding it`
+                });
+            }
+        }
+
+        const codes = [...effects.keys()];
+        const permissions = codes.length ? await sequelize.query(
+            'SELECT id, code FROM permissions WHERE code IN (?)',
+            {
+                replacements: [codes],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        ) : [];
+
+        const unknown = codes.filter(code => !permissions.some(p => p.code === code));
+        if (unknown.length) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permissions: ${unknown.join(', ')}`
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM user_permissions WHERE user_id = ?',
+            {
+                replacements: [user.id],
+                type: QueryTypes.DELETE,
+                transaction: t
+            }
+        );
+
+        for (const [code, effect] of effects) {
+            const permission = permissions.find(p => p.code === code);
+            await sequelize.query(
+                'INSERT INTO user_permissions (user_id, permission_id, effect) VALUES (?, ?, ?)',
+                {
+                    replacements: [user.id, permission.id, effect],
+                    type: QueryTypes.INSERT,
+                    transaction: t
+                }
+            );
+        }
+
+        await t.commit();
+        permissionService.invalidate(user.id);
+
+        res.json({
+            success: true,
+            message: 'User permissions updated successfully'
+        });
+    } catch (error) {
+        await t.rollback();
+        console.error('Error in updateUserPermissions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user permissions'
+        });
+    }
+};
+
+module.exports = {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    getUserPermissions,
+    updateUserPermissions
+};
@@ -0,0 +1,186 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const sessionService = require('../services/sessionService');
+
+const findSession = async (sessionId) => {
+    const [session] = await sequelize.query(
+        'SELECT id, user_id, revoked_at FROM user_sessions WHERE id = ?',
+        {
+            replacements: [sessionId],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return session;
+};
+
+/**
+ * Own Session Controllers
+ */
+const getMySessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listUserSessions(req.user.id);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session,
+                is_current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Error in getMySessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve sessions'
+        });
+    }
+};
+
+const revokeMySession = async (req, res) => {
+    try {
+        const session = await findSession(req.params.id);
+
+        if (!session || session.user_id !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await sessionService.revokeSession(session.id, {
+            revokedBy: req.user.id,
+            reason: 'revoked_by_user'
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error in revokeMySession:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+};
+
+const revokeMyOtherSessions = async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeUserSessions(req.user.id, {
+            revokedBy: req.user.id,
+            reason: 'revoked_by_user',
+            exceptSessionId: req.sessionId
+        });
+
+        res.json({
+            success: true,
+            message: 'Other sessions revoked successfully',
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Error in revokeMyOtherSessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+};
+
+/**
+ * Session Administration Controllers
+ */
+const getUserSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listUserSessions(
+            req.params.id,
+            req.query.include_revoked === 'true'
+        );
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Error in getUserSessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve sessions'
+        });
+    }
+};
+
+const revokeSession = async (req, res) => {
+    try {
+        const session = await findSession(req.params.id);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await sessionService.revokeSession(session.id, {
+            revokedBy: req.user.id,
+            reason: 'revoked_by_admin'
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error in revokeSession:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+};
+
+const forceLogout = async (req, res) => {
+    try {
+        const [user] = await sequelize.query(
+            'SELECT id FROM users WHERE id = ?',
+            {
+                replacements: [req.params.id],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revoked = await sessionService.revokeUserSessions(user.id, {
+            revokedBy: req.user.id,
+            reason: 'forced_logout'
+        });
+
+        res.json({
+            success: true,
+            message: 'User logged out from all sessions',
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Error in forceLogout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out user'
+        });
+    }
+};
+
+module.exports = {
+    getMySessions,
+    revokeMySession,
+    revokeMyOtherSessions,
+    getUserSessions,
+    revokeSession,
+    forceLogout
+};
@@ -0,0 +1,453 @@
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const permissionService = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+const accountMail = require('../services/accountMail');
+
+const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+const { ADMIN_ROLE } = permissionService;
+
+// Never select password hashes or TOTP secrets for the user administration screens
+const USER_COLUMNS = `u.id, u.username, u.email, u.full_name, u.role, u.is_active, u.must_change_password,
+    u.email_verified_at, u.totp_enabled, u.last_login_at, u.created_at, u.updated_at`;
+
+const findUser = async (userId, t) => {
+    const [user] = await sequelize.query(
+        `SELECT ${USER_COLUMNS} FROM users u WHERE u.id = ?${t ? ' FOR UPDATE' : ''}`,
+        {
+            replacements: [userId],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    return user;
+};
+
+/**
+ * Check whether a change would leave the system without an active admin who can manage users and roles
+ * @param {Object} user - User being changed
+ * @param {Object} t - Sequelize transaction
+ * @returns {Promise<boolean>}
+ */
+const isLastActiveAdmin = async (user, t) => {
+    if (user.role !== ADMIN_ROLE || !user.is_active) {
+        return false;
+    }
+
+    // Other admins whose setup permissions are all denied do not count
+    return (await permissionService.setupPermissionsHeldOnlyBy(user.id, t)).length > 0;
+};
+
+/**
+ * Find which of username/email are already used by another user
+ * @returns {Promise<string|null>} Error message, or null when both are free
+ */
+const findDuplicate = async ({ username, email }, excludeId, t) => {
+    const [existing] = await sequelize.query(
+        `SELECT username, email FROM users
+        WHERE (username = ? OR email = ?) AND id <> ?
+        LIMIT 1`,
+        {
+            replacements: [username || null, email || null, excludeId || 0],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    if (!existing) {
+        return null;
+    }
+
+    return username && existing.username === username
+        ? 'Username already exists'
+        : 'Email already exists';
+};
+
+const roleExists = async (role, t) => {
+    const [existing] = await sequelize.query(
+        'SELECT id FROM roles WHERE name = ?',
+        {
+            replacements: [role],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    return Boolean(existing);
+};
+
+const sendVerification = (user) => accountMail.sendEmailVerification(user).catch(error => {
+    console.error('Error sending verification email:', error);
+});
+
+/**
+ * User Controllers
+ */
+const getUsers = async (req, res) => {
+    try {
+        let query = `SELECT ${USER_COLUMNS} FROM users u WHERE 1=1`;
+        const replacements = [];
+
+        if (req.query.role) {
+            query += ' AND u.role = ?';
+            replacements.push(req.query.role);
+        }
+
+        if (req.query.is_active !== undefined) {
+            query += ' AND u.is_active = ?';
+            replacements.push(req.query.is_active === 'true');
+        }
+
+        if (req.query.search) {
+            query += ' AND (u.username LIKE ? OR u.full_name LIKE ? OR u.email LIKE ?)';
+            const search = `%${req.query.search}%`;
+            replacements.push(search, search, search);
+        }
+
+        query += ' ORDER BY u.username';
+
+        const users = await sequelize.query(query, {
+            replacements,
+            type: QueryTypes.SELECT
+        });
+
+        res.json({
+            success: true,
+            data: users
+        });
+    } catch (error) {
+        console.error('Error in getUsers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve users'
+        });
+    }
+};
+
+const getUserById = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: user
+        });
+    } catch (error) {
+        console.error('Error in getUserById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve user'
+        });
+    }
+};
+
+const createUser = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const { username, email, full_name, role } = req.body;
+
+        const duplicate = await findDuplicate({ username, email }, null, t);
+        if (duplicate) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: duplicate
+            });
+        }
+
+        if (!await roleExists(role, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Admin-chosen passwords are temporary unless explicitly marked otherwise
+        const mustChangePassword = req.body.must_change_password === undefined ? true : req.body.must_change_password;
+
+        const [userId] = await sequelize.query(
+            `INSERT INTO users
+            (username, password, email, full_name, role, is_active, must_change_password)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    username,
+                    await bcrypt.hash(req.body.password, BCRYPT_SALT_ROUNDS),
+                    email,
+                    full_name,
+                    role,
+                    req.body.is_active === undefined ? true : req.body.is_active,
+                    mustChangePassword
+                ],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        await sendVerification({ id: userId, username, email, full_name });
+
+        res.status(201).json({
+            success: true,
+            message: 'User created successfully',
+            data: { id: userId }
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in createUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create user'
+        });
+    }
+};
+
+const updateUser = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await findUser(req.params.id, t);
+
+        if (!user) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { email, full_name, role, is_active } = req.body;
+
+        if (email && email !== user.email) {
+            const duplicate = await findDuplicate({ email }, user.id, t);
+            if (duplicate) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: duplicate
+                });
+            }
+        }
+
+        if (role && role !== user.role && !await roleExists(role, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const losesAdmin = (role && role !== ADMIN_ROLE) || is_active === false;
+        if (losesAdmin && await isLastActiveAdmin(user, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot demote or deactivate the last active admin'
+            });
+        }
+
+        const emailChanged = Boolean(email) && email !== user.email;
+
+        await sequelize.query(
+            `UPDATE users
+            SET
+                email = COALESCE(?, email),
+                full_name = COALESCE(?, full_name),
+                role = COALESCE(?, role),
+                is_active = COALESCE(?, is_active),
+                email_verified_at = IF(?, NULL, email_verified_at)
+            WHERE id = ?`,
+            {
+                replacements: [
+                    email || null,
+                    full_name || null,
+                    role || null,
+                    is_active === undefined ? null : is_active,
+                    emailChanged,
+                    user.id
+                ],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        if (is_active === false && user.is_active) {
+            await sessionService.revokeUserSessions(user.id, {
+                revokedBy: req.user.id,
+                reason: 'user_deactivated',
+                transaction: t
+            });
+        }
+
+        await t.commit();
+        permissionService.invalidate(user.id);
+
+        if (emailChanged) {
+            await sendVerification({ ...user, email, full_name: full_name || user.full_name });
+        }
+
+        res.json({
+            success: true,
+            message: 'User updated successfully'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in updateUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user'
+        });
+    }
+};
+
+const requirePasswordChange = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await findUser(req.params.id, t);
+
+        if (!user) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // An optional temporary password replaces the current one
+        if (req.body.password) {
+            await sequelize.query(
+                'UPDATE users SET password = ?, must_change_password = true WHERE id = ?',
+                {
+                    replacements: [await bcrypt.hash(req.body.password, BCRYPT_SALT_ROUNDS), user.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+        } else {
+            await sequelize.query(
+                'UPDATE users SET must_change_password = true WHERE id = ?',
+                {
+                    replacements: [user.id],
+                    type: QueryTypes.UPDATE,
+                    transaction: t
+                }
+            );
+        }
+
+        // Existing sessions would otherwise keep working with the old password
+        await sessionService.revokeUserSessions(user.id, {
+            revokedBy: req.user.id,
+            reason: 'password_change_required',
+            transaction: t
+        });
+
+        await t.commit();
+
+        res.json({
+            success: true,
+            message: 'User must change password at next login'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+        console.error('Error in requirePasswordChange:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to require password change'
+        });
+    }
+};
+
+const deleteUser = async (req, res) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const user = await findUser(req.params.id, t);
+
+        if (!user) {
+            await t.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.id === req.user.id) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        if (await isLastActiveAdmin(user, t)) {
+            await t.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete the last active admin'
+            });
+        }
+
+        await sequelize.query(
+            'DELETE FROM users WHERE id = ?',
+            {
+                replacements: [user.id],
+                type: QueryTypes.DELETE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+        permissionService.invalidate(user.id);
+
+        res.json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+    } catch (error) {
+        if (!t.finished) {
+            await t.rollback();
+        }
+
+        // Users referenced by accounting records are kept for the audit trail
+        if (error.name === 'SequelizeForeignKeyConstraintError') {
+            return res.status(400).json({
+                success: false,
+                message: 'User has related records and cannot be deleted; deactivate the user instead'
+            });
+        }
+
+        console.error('Error in deleteUser:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete user'
+        });
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUserById,
+    createUser,
+    updateUser,
+    requirePasswordChange,
+    deleteUser
+};
@@ -3,6 +3,17 @@ DROP DATABASE IF EXISTS ebms_db;
 CREATE DATABASE ebms_db;
 USE ebms_db;
 
+-- Roles (bundles of permissions)
+CREATE TABLE roles (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    is_system BOOLEAN DEFAULT false,
+    require_two_factor BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Users table for authentication
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -10,20 +21,240 @@ CREATE TABLE users (
     password VARCHAR(255) NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     full_name VARCHAR(100) NOT NULL,
-    role ENUM('admin', 'manager', 'staff') NOT NULL,
+    role VARCHAR(50) NOT NULL,
     is_active BOOLEAN DEFAULT true,
+    must_change_password BOOLEAN DEFAULT false,
+    email_verified_at DATETIME,
+    last_login_at DATETIME,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN DEFAULT false,
+    totp_last_used_step BIGINT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+);
+
+-- Permissions, named <module>.<resource>.<action>
+CREATE TABLE permissions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(100) UNIQUE NOT NULL,
+    module VARCHAR(50) NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Role Permissions
+CREATE TABLE role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- Per-user permission overrides
+CREATE TABLE user_permissions (
+    user_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    effect ENUM('grant', 'deny') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, permission_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- Login sessions (one per login, shared by the access and refresh tokens issued for it)
+CREATE TABLE user_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device VARCHAR(100),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    last_seen_at DATETIME,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    revoked_by INT,
+    revoke_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_sessions_revoked (revoked_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Refresh tokens (stored as SHA-256 hashes, rotated on every use)
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    session_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by INT,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id) ON DELETE SET NULL
+);
+
+-- Single-use tokens sent by email (stored as SHA-256 hashes)
+CREATE TABLE user_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose ENUM('password_reset', 'email_verification') NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Two-factor recovery codes (stored as SHA-256 hashes, single use)
+CREATE TABLE user_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- API keys for machine-to-machine integrations (stored as SHA-256 hashes)
+-- A key acts as its user, limited to the routes matched by its scopes
+CREATE TABLE api_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    user_id INT NOT NULL,
+    key_prefix CHAR(8) NOT NULL,
+    key_hash CHAR(64) UNIQUE NOT NULL,
+    scopes JSON NOT NULL,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    last_used_ip VARCHAR(45),
+    rotated_at DATETIME,
+    revoked_at DATETIME,
+    revoked_by INT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Login attempts (used for throttling and auditing)
+CREATE TABLE login_attempts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    username VARCHAR(50) NOT NULL,
+    user_id INT,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    success BOOLEAN NOT NULL DEFAULT false,
+    failure_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_login_attempts_username (username, created_at),
+    INDEX idx_login_attempts_ip (ip_address, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Activity log of changes made through the API (written by the logActivity middleware)
+CREATE TABLE activity_logs (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT,
+    api_key_id INT,
+    auth_type ENUM('user', 'api_key') NOT NULL DEFAULT 'user',
+    action VARCHAR(10) NOT NULL,
+    resource VARCHAR(255) NOT NULL,
+    status_code SMALLINT,
+    details JSON,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_activity_logs_created (created_at),
+    INDEX idx_activity_logs_user (user_id, created_at),
+    INDEX idx_activity_logs_resource (resource, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
+-- System settings (key/value), e.g. accounting.retained_earnings_account_id
+CREATE TABLE settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    setting_value TEXT,
+    updated_by INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Document numbering series (services/numbering.js), configured in the setup module
+-- Format tokens: {PREFIX}, {YYYY}, {YY}, {MM}, {DD} (document date) and {SEQ} (counter padded to `padding` digits)
+CREATE TABLE numbering_series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    document_type VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(10) NOT NULL,
+    format VARCHAR(50) NOT NULL DEFAULT '{PREFIX}/{YYYY}/{MM}/{SEQ}',
+    padding TINYINT NOT NULL DEFAULT 4,
+    reset_period ENUM('never', 'yearly', 'monthly') DEFAULT 'yearly',
+    max_length TINYINT NOT NULL,
+    updated_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Last number taken per series and reset period ('2026', '2026-10', or 'all' for series that never reset)
+CREATE TABLE numbering_counters (
+    series_id INT NOT NULL,
+    period_key VARCHAR(7) NOT NULL,
+    last_number INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (series_id, period_key),
+    FOREIGN KEY (series_id) REFERENCES numbering_series(id) ON DELETE CASCADE
+);
+
+-- max_length is the length of the document's number column
+INSERT INTO numbering_series (document_type, name, prefix, format, padding, reset_period, max_length) VALUES
+('journal_entry', 'Journal entries', 'JV', '{PREFIX}/{YYYY}/{MM}/{SEQ}', 4, 'monthly', 50),
+('purchase_order', 'Purchase orders', 'PO', '{PREFIX}/{YYYY}/{MM}/{SEQ}', 4, 'monthly', 20),
+('purchase_return', 'Purchase returns', 'PR', '{PREFIX}/{YYYY}/{SEQ}', 4, 'yearly', 20),
+('reservation', 'Reservations', 'RSV', '{PREFIX}/{YYYY}/{MM}/{SEQ}', 4, 'monthly', 20),
+('parking_ticket', 'Parking tickets', 'PKT', '{PREFIX}/{YYYY}/{MM}/{SEQ}', 5, 'monthly', 20),
+('package_booking', 'Package bookings', 'PB', '{PREFIX}/{YYYY}/{MM}/{SEQ}', 4, 'monthly', 20),
+('package_invoice', 'Package invoices', 'INV', '{PREFIX}/{YYYY}/{SEQ}', 5, 'yearly', 20);
+
+-- Shared rate limit counters (RATE_LIMIT_STORE=sql)
+CREATE TABLE rate_limits (
+    bucket_key VARCHAR(191) PRIMARY KEY,
+    hits INT NOT NULL,
+    reset_at DATETIME(3) NOT NULL,
+    INDEX idx_rate_limits_reset (reset_at)
+);
+
+-- Field-level history of updates to master data (written by services/changeHistory.js)
+CREATE TABLE change_history (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    table_name VARCHAR(64) NOT NULL,
+    record_id INT NOT NULL,
+    changes JSON NOT NULL,
+    changed_by INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_change_history_record (table_name, record_id, changed_at),
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- ACCOUNTING MODULE --
 
 -- Chart of Accounts
+-- cash_flow_category: 'cash' marks cash and bank accounts, 'non_cash' leaves an account out of the cash flow
+-- statement (e.g. accumulated depreciation); NULL uses the default of the account type
 CREATE TABLE chart_of_accounts (
     id INT PRIMARY KEY AUTO_INCREMENT,
     account_code VARCHAR(20) UNIQUE NOT NULL,
     account_name VARCHAR(100) NOT NULL,
     account_type ENUM('asset', 'liability', 'equity', 'revenue', 'expense') NOT NULL,
+    cash_flow_category ENUM('cash', 'operating', 'investing', 'financing', 'non_cash'),
+    -- Foreign-currency account (e.g. a USD bank account): lines must be in this currency and are revalued
+    currency VARCHAR(3),
     description TEXT,
     parent_id INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -31,6 +262,38 @@ CREATE TABLE chart_of_accounts (
     FOREIGN KEY (parent_id) REFERENCES chart_of_accounts(id) ON DELETE SET NULL
 );
 
+-- Analytic dimensions of journal lines: departments (personnel module), cost centers, projects and free tags
+CREATE TABLE cost_centers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE projects (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE,
+    end_date DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Dimensions every line of an account (and of its sub-accounts) must carry
+CREATE TABLE account_dimension_rules (
+    account_id INT NOT NULL,
+    dimension ENUM('department', 'cost_center', 'project', 'tag') NOT NULL,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (account_id, dimension),
+    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
 -- Journal Entries
 CREATE TABLE journal_entries (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -38,34 +301,239 @@ CREATE TABLE journal_entries (
     reference_no VARCHAR(50) UNIQUE NOT NULL,
     description TEXT,
     status ENUM('draft', 'posted', 'void') DEFAULT 'draft',
+    chain_seq INT UNIQUE,
+    prev_hash CHAR(64),
+    entry_hash CHAR(64),
+    sealed_at DATETIME,
+    reversal_of INT,
+    is_closing BOOLEAN DEFAULT FALSE,
     created_by INT,
+    posted_by INT,
+    posted_at DATETIME,
+    voided_by INT,
+    voided_at DATETIME,
+    void_reason VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (created_by) REFERENCES users(id)
+    FOREIGN KEY (reversal_of) REFERENCES journal_entries(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (posted_by) REFERENCES users(id),
+    FOREIGN KEY (voided_by) REFERENCES users(id)
 );
 
 -- Journal Details
+-- debit/credit are in the functional currency (IDR); currency_debit/currency_credit in the line's currency
 CREATE TABLE journal_details (
     id INT PRIMARY KEY AUTO_INCREMENT,
     journal_id INT NOT NULL,
     account_id INT NOT NULL,
     debit DECIMAL(15,2) DEFAULT 0,
     credit DECIMAL(15,2) DEFAULT 0,
+    currency VARCHAR(3) NOT NULL DEFAULT 'IDR',
+    exchange_rate DECIMAL(18,6) NOT NULL DEFAULT 1,
+    currency_debit DECIMAL(15,2) DEFAULT 0,
+    currency_credit DECIMAL(15,2) DEFAULT 0,
+    department_id INT,
+    cost_center_id INT,
+    project_id INT,
     description TEXT,
+    INDEX idx_journal_details_currency (currency, account_id),
     FOREIGN KEY (journal_id) REFERENCES journal_entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id),
+    FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+CREATE TABLE journal_detail_tags (
+    detail_id INT NOT NULL,
+    tag VARCHAR(50) NOT NULL,
+    PRIMARY KEY (detail_id, tag),
+    INDEX idx_journal_detail_tags_tag (tag),
+    FOREIGN KEY (detail_id) REFERENCES journal_details(id) ON DELETE CASCADE
+);
+
+-- Exchange rates: functional currency (IDR) per unit of a currency, valid from rate_date
+CREATE TABLE exchange_rates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate DECIMAL(18,6) NOT NULL,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_exchange_rates_date (currency, rate_date),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Period-end revaluations of foreign-currency accounts and the unrealised gains/losses they posted
+CREATE TABLE fx_revaluations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    revaluation_date DATE NOT NULL,
+    gain_loss_account_id INT NOT NULL,
+    journal_id INT,
+    net_gain DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (gain_loss_account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (journal_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE fx_revaluation_lines (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    revaluation_id INT NOT NULL,
+    account_id INT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    currency_balance DECIMAL(15,2) NOT NULL,
+    exchange_rate DECIMAL(18,6) NOT NULL,
+    book_balance DECIMAL(15,2) NOT NULL,
+    revalued_balance DECIMAL(15,2) NOT NULL,
+    difference DECIMAL(15,2) NOT NULL,
+    FOREIGN KEY (revaluation_id) REFERENCES fx_revaluations(id) ON DELETE CASCADE,
     FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id)
 );
 
+-- Head of the hash chain over posted journal entries (single row, locked while sealing)
+CREATE TABLE journal_chain_head (
+    id INT PRIMARY KEY,
+    last_seq INT NOT NULL DEFAULT 0,
+    last_hash CHAR(64)
+);
+
+INSERT INTO journal_chain_head (id, last_seq, last_hash) VALUES (1, 0, NULL);
+
+-- Fiscal years (any start date) and their monthly posting periods
+CREATE TABLE fiscal_years (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(20) UNIQUE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status ENUM('open', 'closed') DEFAULT 'open',
+    closing_entry_id INT,
+    closed_by INT,
+    closed_at DATETIME,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (closing_entry_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (closed_by) REFERENCES users(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE fiscal_periods (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    fiscal_year_id INT NOT NULL,
+    period_no TINYINT NOT NULL,
+    name VARCHAR(30) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status ENUM('open', 'soft_closed', 'hard_closed') DEFAULT 'open',
+    status_changed_by INT,
+    status_changed_at DATETIME,
+    UNIQUE KEY uq_fiscal_periods_no (fiscal_year_id, period_no),
+    INDEX idx_fiscal_periods_dates (start_date, end_date),
+    FOREIGN KEY (fiscal_year_id) REFERENCES fiscal_years(id) ON DELETE CASCADE,
+    FOREIGN KEY (status_changed_by) REFERENCES users(id)
+);
+
+-- Recurring journal templates, generated by services/journalScheduler.js
+CREATE TABLE journal_templates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    frequency ENUM('monthly', 'quarterly', 'end_of_month') NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    auto_post BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE journal_template_lines (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    account_id INT NOT NULL,
+    debit DECIMAL(15,2) DEFAULT 0,
+    credit DECIMAL(15,2) DEFAULT 0,
+    department_id INT,
+    cost_center_id INT,
+    project_id INT,
+    tags JSON,
+    description TEXT,
+    FOREIGN KEY (template_id) REFERENCES journal_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id),
+    FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+-- One row per scheduled date; the unique key keeps concurrent schedulers from generating twice
+CREATE TABLE journal_template_runs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    template_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    status ENUM('generated', 'failed') NOT NULL,
+    journal_id INT,
+    message VARCHAR(255),
+    attempts INT DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_journal_template_runs (template_id, run_date),
+    FOREIGN KEY (template_id) REFERENCES journal_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (journal_id) REFERENCES journal_entries(id)
+);
+
 -- Budget
+-- A version is one set of budgets for a (calendar) fiscal year; approving it locks its budgets
+CREATE TABLE budget_versions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    fiscal_year INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    version_type ENUM('original', 'revised', 'forecast') NOT NULL DEFAULT 'original',
+    status ENUM('draft', 'approved') NOT NULL DEFAULT 'draft',
+    description TEXT,
+    copied_from_version_id INT,
+    copied_from_year INT,
+    uplift_percent DECIMAL(7,2),
+    created_by INT,
+    approved_by INT,
+    approved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_budget_versions_name (fiscal_year, name),
+    FOREIGN KEY (copied_from_version_id) REFERENCES budget_versions(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (approved_by) REFERENCES users(id)
+);
+
+-- A budget without a dimension covers every line of the account; with one, only the lines carrying it
 CREATE TABLE budgets (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    version_id INT NOT NULL,
     account_id INT NOT NULL,
     fiscal_year INT NOT NULL,
+    department_id INT,
+    cost_center_id INT,
+    project_id INT,
+    phasing ENUM('annual', 'quarterly', 'monthly') NOT NULL DEFAULT 'annual',
     amount DECIMAL(15,2) NOT NULL,
     description TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id)
+    FOREIGN KEY (version_id) REFERENCES budget_versions(id) ON DELETE CASCADE,
+    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (cost_center_id) REFERENCES cost_centers(id),
+    FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+-- Amount of each phase of a budget: the year (1), quarters (1-4) or months (1-12); they add up to budgets.amount
+CREATE TABLE budget_periods (
+    budget_id INT NOT NULL,
+    period_no TINYINT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    PRIMARY KEY (budget_id, period_no),
+    FOREIGN KEY (budget_id) REFERENCES budgets(id) ON DELETE CASCADE
 );
 
 -- Fixed Assets
@@ -77,24 +545,138 @@ CREATE TABLE fixed_assets (
     purchase_cost DECIMAL(15,2) NOT NULL,
     useful_life_years INT NOT NULL,
     salvage_value DECIMAL(15,2),
-    depreciation_method ENUM('straight_line', 'declining_balance') NOT NULL,
+    depreciation_method ENUM('straight_line', 'declining_balance', 'sum_of_years_digits', 'units_of_production') NOT NULL,
+    -- Output expected over the useful life, for units_of_production (usage in asset_usage)
+    total_units DECIMAL(15,2),
+    -- Part of the month of purchase depreciated: all of it, half, or none (from the next month)
+    depreciation_convention ENUM('full_month', 'mid_month', 'next_month') DEFAULT 'full_month',
+    -- Fiscal book (PPh Pasal 11): the group sets the tax life and rates; buildings are straight-line only
+    fiscal_group ENUM('kelompok_1', 'kelompok_2', 'kelompok_3', 'kelompok_4', 'bangunan_permanen', 'bangunan_tidak_permanen'),
+    fiscal_method ENUM('straight_line', 'declining_balance'),
     account_id INT NOT NULL,
+    location VARCHAR(100),
+    department_id INT,
+    -- Debited and credited by depreciation runs; an asset without them is left out of the runs
+    depreciation_expense_account_id INT,
+    accumulated_depreciation_account_id INT,
     status ENUM('active', 'disposed', 'fully_depreciated') DEFAULT 'active',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id)
+    FOREIGN KEY (account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (depreciation_expense_account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (accumulated_depreciation_account_id) REFERENCES chart_of_accounts(id)
+);
+
+-- Output of a units_of_production asset in a month (period_end, the last day of the month)
+CREATE TABLE asset_usage (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    asset_id INT NOT NULL,
+    period_end DATE NOT NULL,
+    units DECIMAL(15,2) NOT NULL,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_asset_usage_period (asset_id, period_end),
+    FOREIGN KEY (asset_id) REFERENCES fixed_assets(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Month-end depreciation of the active assets, posted as one journal entry and reversed as a whole
+CREATE TABLE depreciation_runs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    period_end DATE NOT NULL,
+    journal_id INT NOT NULL,
+    asset_count INT NOT NULL,
+    total_amount DECIMAL(15,2) NOT NULL,
+    status ENUM('posted', 'reversed') NOT NULL DEFAULT 'posted',
+    reversal_journal_id INT,
+    reversal_reason VARCHAR(255),
+    created_by INT,
+    reversed_by INT,
+    reversed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_depreciation_runs_period (period_end),
+    FOREIGN KEY (journal_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (reversal_journal_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (reversed_by) REFERENCES users(id)
+);
+
+-- Sales, disposals and write-offs of the whole asset or part of it (portion_percent of what was left);
+-- purchase_cost and salvage_value of a partly disposed asset are reduced to the part that is left.
+-- Reversing a disposal gives them back and keeps the row with status 'reversed'
+CREATE TABLE asset_disposals (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    asset_id INT NOT NULL,
+    disposal_type ENUM('sale', 'disposal', 'write_off') NOT NULL,
+    disposal_date DATE NOT NULL,
+    portion_percent DECIMAL(5,2) NOT NULL DEFAULT 100,
+    depreciation_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    cost_removed DECIMAL(15,2) NOT NULL,
+    salvage_value_removed DECIMAL(15,2) NOT NULL DEFAULT 0,
+    accumulated_removed DECIMAL(15,2) NOT NULL,
+    book_value_removed DECIMAL(15,2) NOT NULL,
+    proceeds DECIMAL(15,2) NOT NULL DEFAULT 0,
+    gain_loss DECIMAL(15,2) NOT NULL,
+    proceeds_account_id INT,
+    gain_loss_account_id INT,
+    -- Status of the asset before the disposal, restored by a reversal
+    previous_status ENUM('active', 'fully_depreciated') NOT NULL DEFAULT 'active',
+    journal_id INT NOT NULL,
+    status ENUM('posted', 'reversed') NOT NULL DEFAULT 'posted',
+    reversal_journal_id INT,
+    reversal_reason VARCHAR(255),
+    notes TEXT,
+    created_by INT,
+    reversed_by INT,
+    reversed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (asset_id) REFERENCES fixed_assets(id),
+    FOREIGN KEY (proceeds_account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (gain_loss_account_id) REFERENCES chart_of_accounts(id),
+    FOREIGN KEY (journal_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (reversal_journal_id) REFERENCES journal_entries(id),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (reversed_by) REFERENCES users(id)
+);
+
+-- Where an asset has been: acquisition, transfers between locations and departments, disposals and their reversals
+CREATE TABLE asset_movements (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    asset_id INT NOT NULL,
+    movement_type ENUM('acquisition', 'transfer', 'partial_disposal', 'disposal', 'disposal_reversal') NOT NULL,
+    movement_date DATE NOT NULL,
+    from_location VARCHAR(100),
+    to_location VARCHAR(100),
+    from_department_id INT,
+    to_department_id INT,
+    disposal_id INT,
+    notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_asset_movements_date (asset_id, movement_date),
+    FOREIGN KEY (asset_id) REFERENCES fixed_assets(id),
+    FOREIGN KEY (disposal_id) REFERENCES asset_disposals(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
 );
 
 -- Asset Depreciation
+-- Rows of a reversed run are kept with is_reversed set; an asset has at most one other month-end row per month
 CREATE TABLE asset_depreciation (
     id INT PRIMARY KEY AUTO_INCREMENT,
     asset_id INT NOT NULL,
+    run_id INT,
+    disposal_id INT,
     depreciation_date DATE NOT NULL,
     amount DECIMAL(15,2) NOT NULL,
     accumulated_depreciation DECIMAL(15,2) NOT NULL,
     book_value DECIMAL(15,2) NOT NULL,
+    is_reversed BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (asset_id) REFERENCES fixed_assets(id)
+    INDEX idx_asset_depreciation_date (asset_id, depreciation_date),
+    FOREIGN KEY (asset_id) REFERENCES fixed_assets(id),
+    FOREIGN KEY (run_id) REFERENCES depreciation_runs(id),
+    FOREIGN KEY (disposal_id) REFERENCES asset_disposals(id)
 );
 
 -- FINANCIAL MODULE --
@@ -119,7 +701,11 @@ CREATE TABLE bank_transactions (
     bank_account_id INT NOT NULL,
     transaction_date DATE NOT NULL,
     type ENUM('deposit', 'withdrawal', 'transfer') NOT NULL,
+    -- amount is in the currency of the bank account, functional_amount in IDR at exchange_rate
     amount DECIMAL(15,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'IDR',
+    exchange_rate DECIMAL(18,6) NOT NULL DEFAULT 1,
+    functional_amount DECIMAL(15,2) NOT NULL,
     reference_no VARCHAR(50),
     description TEXT,
     status ENUM('pending', 'completed', 'cancelled') DEFAULT 'pending',
@@ -329,6 +915,14 @@ CREATE TABLE departments (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- The department dimension of the accounting tables defined above
+ALTER TABLE journal_details ADD FOREIGN KEY (department_id) REFERENCES departments(id);
+ALTER TABLE journal_template_lines ADD FOREIGN KEY (department_id) REFERENCES departments(id);
+ALTER TABLE budgets ADD FOREIGN KEY (department_id) REFERENCES departments(id);
+ALTER TABLE fixed_assets ADD FOREIGN KEY (department_id) REFERENCES departments(id);
+ALTER TABLE asset_movements ADD FOREIGN KEY (from_department_id) REFERENCES departments(id);
+ALTER TABLE asset_movements ADD FOREIGN KEY (to_department_id) REFERENCES departments(id);
+
 -- Positions
 CREATE TABLE positions (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -513,6 +1107,73 @@ CREATE TABLE package_invoices (
     FOREIGN KEY (created_by) REFERENCES users(id)
 );
 
+-- Insert default roles
+INSERT INTO roles (name, description, is_system) VALUES
+('admin', 'Full access to every module', true),
+('manager', 'Manages accounting data and approves entries', true),
+('staff', 'Read-only access to accounting data', true);
+
+-- Insert permissions
+INSERT INTO permissions (code, module, description) VALUES
+('accounting.accounts.view', 'accounting', 'View chart of accounts'),
+('accounting.accounts.create', 'accounting', 'Create accounts'),
+('accounting.accounts.edit', 'accounting', 'Edit accounts'),
+('accounting.journal.view', 'accounting', 'View journal entries'),
+('accounting.journal.create', 'accounting', 'Create journal entries'),
+('accounting.journal.edit', 'accounting', 'Edit draft journal entries'),
+('accounting.journal.post', 'accounting', 'Post journal entries'),
+('accounting.journal.void', 'accounting', 'Void posted journal entries with a reversing entry'),
+('accounting.journal.verify', 'accounting', 'Verify the journal hash chain'),
+('accounting.periods.view', 'accounting', 'View fiscal years and periods'),
+('accounting.periods.manage', 'accounting', 'Define fiscal years, close periods and run the year-end close'),
+('accounting.periods.reopen', 'accounting', 'Reopen closed fiscal periods and years'),
+('accounting.periods.post_soft_closed', 'accounting', 'Post into soft-closed fiscal periods'),
+('accounting.templates.view', 'accounting', 'View recurring journal templates'),
+('accounting.templates.manage', 'accounting', 'Manage recurring journal templates and run the scheduler'),
+('accounting.budgets.view', 'accounting', 'View budgets'),
+('accounting.budgets.create', 'accounting', 'Create and edit draft budget versions'),
+('accounting.budgets.approve', 'accounting', 'Approve budget versions'),
+('accounting.assets.view', 'accounting', 'View fixed assets'),
+('accounting.assets.create', 'accounting', 'Create fixed assets'),
+('accounting.assets.edit', 'accounting', 'Edit fixed assets'),
+('accounting.assets.depreciate', 'accounting', 'Record asset depreciation'),
+('accounting.assets.dispose', 'accounting', 'Sell, dispose of and write off fixed assets'),
+('accounting.reports.view', 'accounting', 'Generate financial reports'),
+('accounting.currency.view', 'accounting', 'View exchange rates and revaluations'),
+('accounting.currency.manage', 'accounting', 'Maintain exchange rates and run the period-end revaluation'),
+('accounting.dimensions.view', 'accounting', 'View cost centers, projects and dimension rules'),
+('accounting.dimensions.manage', 'accounting', 'Manage cost centers, projects and dimension rules'),
+('setup.users.view', 'setup', 'View users'),
+('setup.users.manage', 'setup', 'Create, edit, deactivate and delete users'),
+('setup.roles.manage', 'setup', 'Manage roles and permissions'),
+('setup.sessions.manage', 'setup', 'View and revoke sessions of other users'),
+('setup.api_keys.manage', 'setup', 'Create, rotate and revoke API keys'),
+('setup.activity_logs.view', 'setup', 'View the activity log'),
+('setup.numbering.manage', 'setup', 'Configure document numbering series');
+
+-- Grant permissions to default roles
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin';
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'manager' AND p.module = 'accounting';
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'staff' AND p.code IN (
+    'accounting.accounts.view',
+    'accounting.journal.view',
+    'accounting.periods.view',
+    'accounting.budgets.view',
+    'accounting.assets.view',
+    'accounting.reports.view',
+    'accounting.currency.view',
+    'accounting.dimensions.view'
+);
+
 -- Insert initial admin user
-INSERT INTO users (username, password, email, full_name, role) 
-VALUES ('admin', '$2a$10$xxxxxxxxxxx', 'admin@example.com', 'System Administrator', 'admin');
\ No newline at end of file
+-- Initial password is 'admin123'; it must be replaced on first login
+INSERT INTO users (username, password, email, full_name, role, must_change_password) 
+VALUES ('admin', '$2a$10$KC/84riz3Wat6vdi7Ufta.02nA5Z1L.l2/tL2.KMVpBwtdO.beQti', 'admin@example.com', 'System Administrator', 'admin', true);
\ No newline at end of file
@@ -1,15 +1,55 @@
 const jwt = require('jsonwebtoken');
 const { sequelize } = require('../config/database');
+const permissionService = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const activityLogService = require('../services/activityLogService');
+
+/**
+ * Authenticate a machine-to-machine request with an API key.
+ * The key acts as its owner, limited to the routes covered by its scopes.
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+    const apiKey = await apiKeyService.authenticate(key);
+
+    if (!apiKey) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid API key'
+        });
+    }
+
+    if (!apiKeyService.isInScope(apiKey.scopes, req.method, req.originalUrl.split('?')[0])) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Route is outside the API key scopes.'
+        });
+    }
+
+    req.user = apiKey.user;
+    req.authType = 'api_key';
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+
+    apiKeyService.touch(apiKey.id, req.ip);
+
+    next();
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Verifies a user JWT or an API key (X-API-Key header, or Bearer) and attaches
+ * the user to the request object. req.authType tells which one was used.
  */
 const auth = async (req, res, next) => {
     try {
         // Get token from header
         const token = req.header('Authorization')?.replace('Bearer ', '');
 
+        const apiKey = req.header('X-API-Key') || (apiKeyService.isApiKey(token) ? token : null);
+        if (apiKey) {
+            return await authenticateApiKey(apiKey, req, res, next);
+        }
+
         if (!token) {
             return res.status(401).json({
                 success: false,
@@ -21,6 +61,16 @@ const auth = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Only access tokens may be used for API calls
+            if (decoded.type !== 'access') {
+                throw new Error();
+            }
+
+            // Reject tokens of revoked sessions (checked against the in-memory deny-list)
+            if (!decoded.sid || await sessionService.isRevoked(decoded.sid)) {
+                throw new Error();
+            }
+
             // Get user from database
             const [user] = await sequelize.query(
                 'SELECT id, username, email, full_name, role FROM users WHERE id = ? AND is_active = true',
@@ -37,6 +87,10 @@ const auth = async (req, res, next) => {
             // Attach user to request object
             req.user = user;
             req.token = token;
+            req.sessionId = decoded.sid;
+            req.authType = 'user';
+
+            sessionService.touch(decoded.sid, req.ip);
 
             next();
         } catch (error) {
@@ -55,12 +109,14 @@ const auth = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
- * Checks if user has required role(s)
- * @param {string|string[]} roles - Required role(s)
+ * Permission-based authorization middleware
+ * Checks if user has at least one of the required permission(s)
+ * @param {string|string[]} permissions - Required permission code(s), e.g. 'accounting.journal.post'
  */
-const authorize = (roles) => {
-    return (req, res, next) => {
+const requirePermission = (permissions) => {
+    const required = Array.isArray(permissions) ? permissions : [permissions];
+
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
@@ -68,123 +124,52 @@ const authorize = (roles) => {
             });
         }
 
-        const allowedRoles = Array.isArray(roles) ? roles : [roles];
+        try {
+            const granted = await permissionService.getEffectivePermissions(req.user);
+
+            if (!required.some(permission => granted.has(permission))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Insufficient permissions.'
+                });
+            }
 
-        if (!allowedRoles.includes(req.user.role)) {
-            return res.status(403).json({
+            next();
+        } catch (error) {
+            console.error('Permission Middleware Error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'Access denied. Insufficient permissions.'
+                message: 'Server error during authorization'
             });
         }
-
-        next();
     };
 };
 
 /**
  * Activity logging middleware
- * Logs user actions to database
+ * Logs successful changes made by authenticated users and API keys to database.
+ * Sensitive request fields are redacted; reads are not logged.
  */
-const logActivity = async (req, res, next) => {
-    const originalSend = res.send;
-
-    res.send = function (data) {
-        res.send = originalSend;
+const logActivity = (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return next();
+    }
 
+    res.on('finish', () => {
         // Only log successful operations
         if (res.statusCode >= 200 && res.statusCode < 300 && req.user) {
-            const activity = {
-                user_id: req.user.id,
-                action: req.method,
-                resource: req.originalUrl,
-                details: JSON.stringify({
-                    method: req.method,
-                    path: req.path,
-                    query: req.query,
-                    body: req.body
-                }),
-                ip_address: req.ip
-            };
-
             // Log to database asynchronously
-            sequelize.query(
-                `INSERT INTO activity_logs 
-                (user_id, action, resource, details, ip_address) 
-                VALUES (?, ?, ?, ?, ?)`,
-                {
-                    replacements: [
-                        activity.user_id,
-                        activity.action,
-                        activity.resource,
-                        activity.details,
-                        activity.ip_address
-                    ]
-                }
-            ).catch(error => {
+            activityLogService.record(req, res.statusCode).catch(error => {
                 console.error('Error logging activity:', error);
             });
         }
-
-        return res.send(data);
-    };
+    });
 
     next();
 };
 
-/**
- * Rate limiting middleware
- * Limits number of requests per IP
- */
-const rateLimit = {
-    windows: {},
-    
-    check: (req, res, next) => {
-        const ip = req.ip;
-        const now = Date.now();
-        const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW) * 1000 || 15000; // Default 15 seconds
-        const max = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100; // Default 100 requests
-
-        // Initialize or clean up window for IP
-        if (!rateLimit.windows[ip] || now - rateLimit.windows[ip].start > windowMs) {
-            rateLimit.windows[ip] = {
-                start: now,
-                count: 0
-            };
-        }
-
-        // Increment request count
-        rateLimit.windows[ip].count++;
-
-        // Check if limit exceeded
-        if (rateLimit.windows[ip].count > max) {
-            return res.status(429).json({
-                success: false,
-                message: 'Too many requests. Please try again later.'
-            });
-        }
-
-        next();
-    },
-
-    // Clean up old entries periodically
-    cleanup: () => {
-        const now = Date.now();
-        const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW) * 1000 || 15000;
-
-        Object.keys(rateLimit.windows).forEach(ip => {
-            if (now - rateLimit.windows[ip].start > windowMs) {
-                delete rateLimit.windows[ip];
-            }
-        });
-    }
-};
-
-// Run cleanup every minute
-setInterval(rateLimit.cleanup, 60000);
-
 module.exports = {
     auth,
-    authorize,
-    logActivity,
-    rateLimit: rateLimit.check
+    requirePermission,
+    logActivity
 };
\ No newline at end of file
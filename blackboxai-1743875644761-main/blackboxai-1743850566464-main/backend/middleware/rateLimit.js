@@ -0,0 +1,172 @@
+const { createMemoryStore, createSqlStore, createRedisStore } = require('../services/rateLimitStore');
+
+/**
+ * Rate limiting policies.
+ * `key` selects who is counted:
+ *   ip     - the client IP (resolved through TRUST_PROXY)
+ *   user   - the authenticated user, or the IP before authentication
+ *   client - the API key for API key requests, otherwise as `user`
+ * `apiKeyMax` optionally gives API keys a different limit than users.
+ * Windows and limits can be overridden with RATE_LIMIT_<POLICY>_WINDOW (seconds)
+ * and RATE_LIMIT_<POLICY>_MAX.
+ */
+const POLICIES = {
+    // Every /api request, mounted in server.js
+    default: {
+        windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW) || 15,
+        max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+        key: 'ip'
+    },
+    // Login, 2FA and password reset endpoints
+    auth: {
+        windowSeconds: 900,
+        max: 20,
+        key: 'ip'
+    },
+    // Financial report generation
+    reports: {
+        windowSeconds: 60,
+        max: 10,
+        apiKeyMax: 30,
+        key: 'client'
+    }
+};
+
+const policyFor = (name) => {
+    const policy = POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy ${name}`);
+    }
+
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}_`;
+    return {
+        ...policy,
+        windowSeconds: parseInt(process.env[`${prefix}WINDOW`]) || policy.windowSeconds,
+        max: parseInt(process.env[`${prefix}MAX`]) || policy.max
+    };
+};
+
+let store = null;
+
+/**
+ * Build the store selected by RATE_LIMIT_STORE (memory, sql or redis)
+ * @throws {Error} When RATE_LIMIT_STORE is unknown or ioredis is not installed for the redis store
+ */
+const createDefaultStore = () => {
+    switch (process.env.RATE_LIMIT_STORE || 'memory') {
+        case 'memory':
+            return createMemoryStore();
+        case 'sql':
+            return createSqlStore();
+        case 'redis': {
+            // ioredis is an optional dependency, only needed when this store is selected
+            let Redis;
+            try {
+                Redis = require('ioredis');
+            } catch (error) {
+                throw new Error('RATE_LIMIT_STORE=redis requires the ioredis package');
+            }
+            return createRedisStore(new Redis(process.env.RATE_LIMIT_REDIS_URL || 'redis://localhost:6379'));
+        }
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE ${process.env.RATE_LIMIT_STORE} (memory, sql or redis)`);
+    }
+};
+
+const getStore = () => {
+    if (!store) {
+        store = createDefaultStore();
+    }
+    return store;
+};
+
+/**
+ * Replace the store used by every policy.
+ * Any object with an `increment(key, windowMs)` method (see services/rateLimitStore.js) works;
+ * pass null to go back to the RATE_LIMIT_STORE default.
+ * @param {Object|null} customStore - Store
+ */
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+const clientKey = (req, keyType) => {
+    if (keyType === 'client' && req.apiKey) {
+        return `key:${req.apiKey.id}`;
+    }
+
+    if ((keyType === 'client' || keyType === 'user') && req.user) {
+        return `user:${req.user.id}`;
+    }
+
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Rate limiting middleware for a policy.
+ * Sets the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers
+ * and answers 429 with Retry-After once the limit is exceeded. Place it after `auth` for
+ * per-user and per-API-key policies.
+ * @param {string} [name] - Policy name (see POLICIES)
+ * @returns {Function} Express middleware
+ * @throws {Error} When the RATE_LIMIT_STORE store cannot be built (see createDefaultStore)
+ */
+const rateLimit = (name = 'default') => {
+    const policy = policyFor(name);
+    const windowMs = policy.windowSeconds * 1000;
+
+    // Built when the routes are set up, so a misconfigured store stops the server instead of every request
+    getStore();
+
+    return async (req, res, next) => {
+        const max = req.apiKey && policy.apiKeyMax ? policy.apiKeyMax : policy.max;
+        let window;
+
+        try {
+            window = await getStore().increment(`${name}:${clientKey(req, policy.key)}`, windowMs);
+        } catch (error) {
+            // Fail open: an unavailable store must not take the API down
+            console.error('Error in rate limit store:', error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((window.resetAt - Date.now()) / 1000));
+
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+            'RateLimit-Reset': String(resetSeconds),
+            'RateLimit-Policy': `${max};w=${policy.windowSeconds}`
+        });
+
+        if (window.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later.'
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Express "trust proxy" setting from TRUST_PROXY, so req.ip is the client behind the proxy:
+ * a hop count ("1"), true/false, or a comma separated list of addresses/subnets ("loopback, 10.0.0.0/8")
+ * @returns {boolean|number|string}
+ */
+const trustProxySetting = () => {
+    const value = (process.env.TRUST_PROXY || '').trim();
+
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+};
+
+module.exports = {
+    rateLimit,
+    setStore,
+    trustProxySetting
+};
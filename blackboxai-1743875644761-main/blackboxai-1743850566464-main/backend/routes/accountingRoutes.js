@@ -1,27 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const auth = require('../middleware/auth');
-const validate = require('../middleware/validate');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
 const accountingController = require('../controllers/accountingController');
+const changeHistoryController = require('../controllers/changeHistoryController');
+const fiscalPeriodController = require('../controllers/fiscalPeriodController');
+const journalTemplateController = require('../controllers/journalTemplateController');
+const currencyController = require('../controllers/currencyController');
+const dimensionController = require('../controllers/dimensionController');
+const budgetController = require('../controllers/budgetController');
+const depreciationController = require('../controllers/depreciationController');
+const assetController = require('../controllers/assetController');
+const { DIMENSIONS } = require('../services/dimensions');
+const { PHASES, VERSION_TYPES } = require('../services/budgets');
+const { METHODS, CONVENTIONS } = require('../services/depreciation');
+const { DISPOSAL_TYPES } = require('../services/assetDisposals');
+const { FISCAL_GROUPS, FISCAL_METHODS } = require('../services/fiscalDepreciation');
 
-// Middleware to check if user has accounting access
-const hasAccountingAccess = (req, res, next) => {
-    if (['admin', 'manager'].includes(req.user.role)) {
-        next();
-    } else {
-        res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
-    }
-};
+const ASSET_STATUSES = ['active', 'disposed', 'fully_depreciated'];
+const MOVEMENT_TYPES = ['acquisition', 'transfer', 'partial_disposal', 'disposal', 'disposal_reversal'];
+
+const CASH_FLOW_CATEGORIES = ['cash', 'operating', 'investing', 'financing', 'non_cash'];
+
+// ISO 4217 code, stored upper case
+const currencyCode = (chain) => chain.isISO4217().withMessage('Invalid currency code')
+    .customSanitizer(value => value.toUpperCase());
+
+// depth: deepest account level listed; compare: comma-separated comparison columns
+const statementOptions = (comparisons) => [
+    query('depth').optional().isInt({ min: 0 }).withMessage('Depth must be 0 or more').toInt(),
+    query('compare')
+        .optional()
+        .customSanitizer(value => [...new Set(String(value).split(',').filter(Boolean))])
+        .custom(keys => keys.every(key => comparisons.includes(key)))
+        .withMessage(`Comparisons must be among: ${comparisons.join(', ')}`)
+];
+
+// Department, cost center, project and tags of journal (or template) lines
+const lineDimensions = (lines) => [
+    body(`${lines}.*.department_id`).optional({ values: 'null' }).isInt().withMessage('Invalid department ID'),
+    body(`${lines}.*.cost_center_id`).optional({ values: 'null' }).isInt().withMessage('Invalid cost center ID'),
+    body(`${lines}.*.project_id`).optional({ values: 'null' }).isInt().withMessage('Invalid project ID'),
+    body(`${lines}.*.tags`).optional().isArray().withMessage('Tags must be a list'),
+    body(`${lines}.*.tags.*`).isString().trim().isLength({ min: 1, max: 50 })
+        .withMessage('Tags must be 1 to 50 characters')
+];
+
+// Dimension filters of a report and the dimensions it can be grouped by
+const dimensionFilters = (groupings) => [
+    query('department_id').optional().isInt().withMessage('Invalid department ID'),
+    query('cost_center_id').optional().isInt().withMessage('Invalid cost center ID'),
+    query('project_id').optional().isInt().withMessage('Invalid project ID'),
+    ...(groupings.includes('tag')
+        ? [query('tag').optional().isString().trim().isLength({ max: 50 }).withMessage('Invalid tag')]
+        : []),
+    query('group_by').optional().isIn(groupings).withMessage(`Group by must be one of: ${groupings.join(', ')}`)
+];
 
 // Chart of Accounts Routes
-router.get('/chart-of-accounts', 
-    auth, 
+// Balances (as_of_date, default today) include sub-accounts
+router.get('/chart-of-accounts',
+    auth,
+    requirePermission('accounting.accounts.view'),
+    query('as_of_date').optional().isDate().withMessage('Invalid as of date'),
+    validate,
     (req, res) => accountingController.getAllAccounts(req, res)
 );
 
 router.get('/chart-of-accounts/:id',
     auth,
+    requirePermission('accounting.accounts.view'),
     param('id').isInt().withMessage('Invalid account ID'),
     validate,
     (req, res) => accountingController.getAccountById(req, res)
@@ -29,7 +79,7 @@ router.get('/chart-of-accounts/:id',
 
 router.post('/chart-of-accounts',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.accounts.create'),
     [
         body('account_code').notEmpty().withMessage('Account code is required')
             .matches(/^[0-9]{4,}$/).withMessage('Account code must be at least 4 digits'),
@@ -37,6 +87,9 @@ router.post('/chart-of-accounts',
             .isLength({ min: 3 }).withMessage('Account name must be at least 3 characters'),
         body('account_type').isIn(['asset', 'liability', 'equity', 'revenue', 'expense'])
             .withMessage('Invalid account type'),
+        body('cash_flow_category').optional({ values: 'falsy' }).isIn(CASH_FLOW_CATEGORIES)
+            .withMessage('Invalid cash flow category'),
+        currencyCode(body('currency').optional({ values: 'falsy' })),
         body('parent_id').optional().isInt().withMessage('Invalid parent account ID')
     ],
     validate,
@@ -45,13 +98,16 @@ router.post('/chart-of-accounts',
 
 router.put('/chart-of-accounts/:id',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.accounts.edit'),
     [
         param('id').isInt().withMessage('Invalid account ID'),
         body('account_name').optional().isLength({ min: 3 })
             .withMessage('Account name must be at least 3 characters'),
         body('account_type').optional().isIn(['asset', 'liability', 'equity', 'revenue', 'expense'])
             .withMessage('Invalid account type'),
+        body('cash_flow_category').optional({ values: 'falsy' }).isIn(CASH_FLOW_CATEGORIES)
+            .withMessage('Invalid cash flow category'),
+        currencyCode(body('currency').optional({ values: 'falsy' })),
         body('description').optional().isString(),
         body('parent_id').optional().isInt().withMessage('Invalid parent account ID')
     ],
@@ -59,9 +115,32 @@ router.put('/chart-of-accounts/:id',
     (req, res) => accountingController.updateAccount(req, res)
 );
 
+router.get('/chart-of-accounts/:id/history',
+    auth,
+    requirePermission('accounting.accounts.view'),
+    param('id').isInt().withMessage('Invalid account ID'),
+    validate,
+    (req, res) => changeHistoryController.getRecordHistory(req, res, 'chart_of_accounts')
+);
+
+// General ledger with running balances, including the lines of sub-accounts
+router.get('/chart-of-accounts/:id/ledger',
+    auth,
+    requirePermission('accounting.reports.view'),
+    [
+        param('id').isInt().withMessage('Invalid account ID'),
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').optional().isDate().withMessage('Invalid end date'),
+        currencyCode(query('currency').optional())
+    ],
+    validate,
+    (req, res) => accountingController.getAccountLedger(req, res)
+);
+
 // Journal Entry Routes
 router.get('/journal-entries',
     auth,
+    requirePermission('accounting.journal.view'),
     [
         query('start_date').optional().isDate().withMessage('Invalid start date'),
         query('end_date').optional().isDate().withMessage('Invalid end date'),
@@ -73,6 +152,7 @@ router.get('/journal-entries',
 
 router.get('/journal-entries/:id',
     auth,
+    requirePermission('accounting.journal.view'),
     param('id').isInt().withMessage('Invalid journal entry ID'),
     validate,
     (req, res) => accountingController.getJournalEntryById(req, res)
@@ -80,14 +160,18 @@ router.get('/journal-entries/:id',
 
 router.post('/journal-entries',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.journal.create'),
     [
         body('entry_date').isDate().withMessage('Valid entry date is required'),
+        body('reference_no').not().exists().withMessage('Reference numbers are assigned by the numbering series'),
         body('description').notEmpty().withMessage('Description is required'),
         body('details').isArray({ min: 1 }).withMessage('At least one journal detail is required'),
         body('details.*.account_id').isInt().withMessage('Valid account ID is required for each detail'),
         body('details.*.debit').isFloat({ min: 0 }).withMessage('Valid debit amount is required'),
-        body('details.*.credit').isFloat({ min: 0 }).withMessage('Valid credit amount is required')
+        body('details.*.credit').isFloat({ min: 0 }).withMessage('Valid credit amount is required'),
+        currencyCode(body('details.*.currency').optional()),
+        body('details.*.exchange_rate').optional().isFloat({ gt: 0 }).withMessage('Exchange rate must be positive'),
+        ...lineDimensions('details')
     ],
     validate,
     (req, res) => accountingController.createJournalEntry(req, res)
@@ -95,66 +179,681 @@ router.post('/journal-entries',
 
 router.put('/journal-entries/:id',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.journal.edit'),
     [
         param('id').isInt().withMessage('Invalid journal entry ID'),
         body('entry_date').optional().isDate().withMessage('Invalid entry date'),
+        body('reference_no').not().exists().withMessage('Reference numbers are assigned by the numbering series'),
         body('description').optional().notEmpty().withMessage('Description cannot be empty'),
-        body('status').optional().isIn(['draft', 'posted', 'void']).withMessage('Invalid status')
+        body('details').optional().isArray({ min: 1 }).withMessage('At least one journal detail is required'),
+        body('details.*.account_id').isInt().withMessage('Valid account ID is required for each detail'),
+        body('details.*.debit').isFloat({ min: 0 }).withMessage('Valid debit amount is required'),
+        body('details.*.credit').isFloat({ min: 0 }).withMessage('Valid credit amount is required'),
+        currencyCode(body('details.*.currency').optional()),
+        body('details.*.exchange_rate').optional().isFloat({ gt: 0 }).withMessage('Exchange rate must be positive'),
+        ...lineDimensions('details'),
+        body('status').not().exists().withMessage('Use the post and void actions to change the status')
     ],
     validate,
     (req, res) => accountingController.updateJournalEntry(req, res)
 );
 
+router.post('/journal-entries/:id/post',
+    auth,
+    requirePermission('accounting.journal.post'),
+    param('id').isInt().withMessage('Invalid journal entry ID'),
+    validate,
+    (req, res) => accountingController.postJournalEntry(req, res)
+);
+
+// Voiding posts a reversing entry dated reversal_date (default today)
+router.post('/journal-entries/:id/void',
+    auth,
+    requirePermission('accounting.journal.void'),
+    [
+        param('id').isInt().withMessage('Invalid journal entry ID'),
+        body('reversal_date').optional().isDate().withMessage('Invalid reversal date'),
+        body('reason').optional().isString().isLength({ max: 255 })
+            .withMessage('Reason must be at most 255 characters')
+    ],
+    validate,
+    (req, res) => accountingController.voidJournalEntry(req, res)
+);
+
+// Walks the hash chain over posted entries and reports the first broken link
+router.get('/journal-chain/verify',
+    auth,
+    requirePermission('accounting.journal.verify'),
+    rateLimit('reports'),
+    (req, res) => accountingController.verifyJournalChain(req, res)
+);
+
+// Recurring Journal Template Routes
+const templateValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name').trim().notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+        field('frequency').isIn(['monthly', 'quarterly', 'end_of_month']).withMessage('Invalid frequency'),
+        field('start_date').isDate().withMessage('Valid start date is required'),
+        body('end_date').optional({ values: 'null' }).isDate().withMessage('Invalid end date'),
+        body('description').optional({ values: 'null' }).isString(),
+        body('auto_post').optional().isBoolean().withMessage('auto_post must be a boolean'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+        field('details').isArray({ min: 1 }).withMessage('At least one template line is required'),
+        body('details.*.account_id').isInt().withMessage('Valid account ID is required for each line'),
+        body('details.*.debit').isFloat({ min: 0 }).withMessage('Valid debit amount is required'),
+        body('details.*.credit').isFloat({ min: 0 }).withMessage('Valid credit amount is required'),
+        ...lineDimensions('details')
+    ];
+};
+
+router.get('/journal-templates',
+    auth,
+    requirePermission('accounting.templates.view'),
+    (req, res) => journalTemplateController.getTemplates(req, res)
+);
+
+router.get('/journal-templates/catch-up',
+    auth,
+    requirePermission('accounting.templates.view'),
+    query('as_of_date').optional().isDate().withMessage('Invalid as of date'),
+    validate,
+    (req, res) => journalTemplateController.getCatchUpReport(req, res)
+);
+
+router.post('/journal-templates/run',
+    auth,
+    requirePermission('accounting.templates.manage'),
+    [
+        body('as_of_date').optional().isDate().withMessage('Invalid as of date'),
+        body('template_id').optional().isInt().withMessage('Invalid template ID')
+    ],
+    validate,
+    (req, res) => journalTemplateController.runTemplates(req, res)
+);
+
+router.get('/journal-templates/:id',
+    auth,
+    requirePermission('accounting.templates.view'),
+    param('id').isInt().withMessage('Invalid template ID'),
+    validate,
+    (req, res) => journalTemplateController.getTemplateById(req, res)
+);
+
+router.post('/journal-templates',
+    auth,
+    requirePermission('accounting.templates.manage'),
+    templateValidators(false),
+    validate,
+    (req, res) => journalTemplateController.createTemplate(req, res)
+);
+
+router.put('/journal-templates/:id',
+    auth,
+    requirePermission('accounting.templates.manage'),
+    [
+        param('id').isInt().withMessage('Invalid template ID'),
+        ...templateValidators(true)
+    ],
+    validate,
+    (req, res) => journalTemplateController.updateTemplate(req, res)
+);
+
+// Fiscal Year & Period Routes
+router.get('/fiscal-years',
+    auth,
+    requirePermission('accounting.periods.view'),
+    (req, res) => fiscalPeriodController.getFiscalYears(req, res)
+);
+
+router.post('/fiscal-years',
+    auth,
+    requirePermission('accounting.periods.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required')
+            .isLength({ max: 20 }).withMessage('Name must be at most 20 characters'),
+        body('start_date').isDate().withMessage('Valid start date is required'),
+        body('end_date').optional().isDate().withMessage('Invalid end date')
+    ],
+    validate,
+    (req, res) => fiscalPeriodController.createFiscalYear(req, res)
+);
+
+router.post('/fiscal-years/:id/close',
+    auth,
+    requirePermission('accounting.periods.manage'),
+    [
+        param('id').isInt().withMessage('Invalid fiscal year ID'),
+        body('retained_earnings_account_id').optional().isInt().withMessage('Invalid retained earnings account ID')
+    ],
+    validate,
+    (req, res) => fiscalPeriodController.closeFiscalYear(req, res)
+);
+
+router.post('/fiscal-years/:id/reopen',
+    auth,
+    requirePermission('accounting.periods.reopen'),
+    [
+        param('id').isInt().withMessage('Invalid fiscal year ID'),
+        body('reason').optional().isString().isLength({ max: 255 })
+            .withMessage('Reason must be at most 255 characters')
+    ],
+    validate,
+    (req, res) => fiscalPeriodController.reopenFiscalYear(req, res)
+);
+
+router.post('/fiscal-periods/:id/close',
+    auth,
+    requirePermission('accounting.periods.manage'),
+    [
+        param('id').isInt().withMessage('Invalid fiscal period ID'),
+        body('status').optional().isIn(['soft_closed', 'hard_closed']).withMessage('Invalid status')
+    ],
+    validate,
+    (req, res) => fiscalPeriodController.closePeriod(req, res)
+);
+
+router.post('/fiscal-periods/:id/reopen',
+    auth,
+    requirePermission('accounting.periods.reopen'),
+    [
+        param('id').isInt().withMessage('Invalid fiscal period ID'),
+        body('status').optional().isIn(['open', 'soft_closed']).withMessage('Invalid status')
+    ],
+    validate,
+    (req, res) => fiscalPeriodController.reopenPeriod(req, res)
+);
+
+router.get('/closing-settings',
+    auth,
+    requirePermission('accounting.periods.view'),
+    (req, res) => fiscalPeriodController.getClosingSettings(req, res)
+);
+
+router.put('/closing-settings',
+    auth,
+    requirePermission('accounting.periods.manage'),
+    body('retained_earnings_account_id').isInt().withMessage('Valid retained earnings account ID is required'),
+    validate,
+    (req, res) => fiscalPeriodController.updateClosingSettings(req, res)
+);
+
+// Exchange Rate & Revaluation Routes
+router.get('/exchange-rates',
+    auth,
+    requirePermission('accounting.currency.view'),
+    [
+        currencyCode(query('currency').optional()),
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').optional().isDate().withMessage('Invalid end date')
+    ],
+    validate,
+    (req, res) => currencyController.getExchangeRates(req, res)
+);
+
+// Saving a rate for a currency and date that already has one replaces it
+router.post('/exchange-rates',
+    auth,
+    requirePermission('accounting.currency.manage'),
+    [
+        currencyCode(body('currency')),
+        body('rate_date').isDate().withMessage('Valid rate date is required'),
+        body('rate').isFloat({ gt: 0 }).withMessage('Rate must be positive')
+    ],
+    validate,
+    (req, res) => currencyController.saveExchangeRate(req, res)
+);
+
+router.delete('/exchange-rates/:id',
+    auth,
+    requirePermission('accounting.currency.manage'),
+    param('id').isInt().withMessage('Invalid exchange rate ID'),
+    validate,
+    (req, res) => currencyController.deleteExchangeRate(req, res)
+);
+
+router.get('/fx-revaluations',
+    auth,
+    requirePermission('accounting.currency.view'),
+    (req, res) => currencyController.getRevaluations(req, res)
+);
+
+router.post('/fx-revaluations',
+    auth,
+    requirePermission('accounting.currency.manage'),
+    [
+        body('revaluation_date').isDate().withMessage('Valid revaluation date is required'),
+        body('gain_loss_account_id').optional().isInt().withMessage('Invalid gain/loss account ID')
+    ],
+    validate,
+    (req, res) => currencyController.runRevaluation(req, res)
+);
+
+// Analytic Dimension Routes
+router.get('/dimensions',
+    auth,
+    requirePermission('accounting.dimensions.view'),
+    (req, res) => dimensionController.getDimensions(req, res)
+);
+
+const dimensionValueValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('code').trim().notEmpty().withMessage('Code is required')
+            .isLength({ max: 20 }).withMessage('Code must be at most 20 characters'),
+        field('name').trim().notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean()
+    ];
+};
+
+router.post('/cost-centers',
+    auth,
+    requirePermission('accounting.dimensions.manage'),
+    dimensionValueValidators(false),
+    validate,
+    (req, res) => dimensionController.createCostCenter(req, res)
+);
+
+router.put('/cost-centers/:id',
+    auth,
+    requirePermission('accounting.dimensions.manage'),
+    [
+        param('id').isInt().withMessage('Invalid cost center ID'),
+        ...dimensionValueValidators(true)
+    ],
+    validate,
+    (req, res) => dimensionController.updateCostCenter(req, res)
+);
+
+router.get('/cost-centers/:id/history',
+    auth,
+    requirePermission('accounting.dimensions.view'),
+    param('id').isInt().withMessage('Invalid cost center ID'),
+    validate,
+    (req, res) => changeHistoryController.getRecordHistory(req, res, 'cost_centers')
+);
+
+const projectDateValidators = [
+    body('start_date').optional({ values: 'null' }).isDate().withMessage('Invalid start date'),
+    body('end_date').optional({ values: 'null' }).isDate().withMessage('Invalid end date')
+];
+
+router.post('/projects',
+    auth,
+    requirePermission('accounting.dimensions.manage'),
+    [
+        ...dimensionValueValidators(false),
+        ...projectDateValidators
+    ],
+    validate,
+    (req, res) => dimensionController.createProject(req, res)
+);
+
+router.put('/projects/:id',
+    auth,
+    requirePermission('accounting.dimensions.manage'),
+    [
+        param('id').isInt().withMessage('Invalid project ID'),
+        ...dimensionValueValidators(true),
+        ...projectDateValidators
+    ],
+    validate,
+    (req, res) => dimensionController.updateProject(req, res)
+);
+
+router.get('/projects/:id/history',
+    auth,
+    requirePermission('accounting.dimensions.view'),
+    param('id').isInt().withMessage('Invalid project ID'),
+    validate,
+    (req, res) => changeHistoryController.getRecordHistory(req, res, 'projects')
+);
+
+// Dimensions required on the lines of an account and its sub-accounts
+router.get('/chart-of-accounts/:id/dimension-rules',
+    auth,
+    requirePermission('accounting.dimensions.view'),
+    param('id').isInt().withMessage('Invalid account ID'),
+    validate,
+    (req, res) => dimensionController.getAccountRules(req, res)
+);
+
+router.put('/chart-of-accounts/:id/dimension-rules',
+    auth,
+    requirePermission('accounting.dimensions.manage'),
+    [
+        param('id').isInt().withMessage('Invalid account ID'),
+        body('dimensions').isArray().withMessage('Dimensions must be a list'),
+        body('dimensions.*').isIn(DIMENSIONS).withMessage(`Dimensions must be among: ${DIMENSIONS.join(', ')}`)
+    ],
+    validate,
+    (req, res) => dimensionController.setAccountRules(req, res)
+);
+
 // Budget Routes
+// Which version is reported: version_id, else the latest (approved first) of version_type or of any type per year
+const budgetVersionOptions = [
+    query('version_id').optional().isInt().withMessage('Invalid budget version ID'),
+    query('version_type').optional().isIn(VERSION_TYPES).withMessage(`Version type must be one of: ${VERSION_TYPES.join(', ')}`)
+];
+
+// periods: one amount per quarter or month (quarterly, monthly phasing); without them amount is spread evenly
+const budgetAmountValidators = [
+    body('phasing').optional().isIn(Object.keys(PHASES)).withMessage(`Phasing must be one of: ${Object.keys(PHASES).join(', ')}`),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Valid amount is required'),
+    body('periods').optional().isArray({ min: 1, max: 12 }).withMessage('Periods must be a list of amounts'),
+    body('periods.*').isFloat({ min: 0 }).withMessage('Valid period amounts are required'),
+    body('description').optional().isString()
+];
+
+router.get('/budget-versions',
+    auth,
+    requirePermission('accounting.budgets.view'),
+    query('fiscal_year').optional().isInt().withMessage('Invalid fiscal year'),
+    validate,
+    (req, res) => budgetController.getVersions(req, res)
+);
+
+router.post('/budget-versions',
+    auth,
+    requirePermission('accounting.budgets.create'),
+    [
+        body('fiscal_year').isInt().withMessage('Fiscal year is required'),
+        body('name').trim().notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+        body('version_type').optional().isIn(VERSION_TYPES)
+            .withMessage(`Version type must be one of: ${VERSION_TYPES.join(', ')}`),
+        body('description').optional().isString(),
+        body('copy_from_version_id').optional().isInt().withMessage('Invalid budget version ID'),
+        body('copy_from_actuals_year').optional().isInt().withMessage('Invalid year')
+            .custom((year, { req }) => !req.body.copy_from_version_id)
+            .withMessage('Copy from a version or from actuals, not both'),
+        body('uplift_percent').optional().isFloat({ min: -100 }).withMessage('Invalid uplift percentage')
+    ],
+    validate,
+    (req, res) => budgetController.createVersion(req, res)
+);
+
+router.post('/budget-versions/:id/approve',
+    auth,
+    requirePermission('accounting.budgets.approve'),
+    param('id').isInt().withMessage('Invalid budget version ID'),
+    validate,
+    (req, res) => budgetController.approveVersion(req, res)
+);
+
 router.get('/budgets',
     auth,
+    requirePermission('accounting.budgets.view'),
     [
         query('fiscal_year').optional().isInt().withMessage('Invalid fiscal year'),
-        query('account_id').optional().isInt().withMessage('Invalid account ID')
+        query('account_id').optional().isInt().withMessage('Invalid account ID'),
+        ...budgetVersionOptions,
+        ...dimensionFilters(['department', 'cost_center', 'project'])
     ],
     validate,
     (req, res) => accountingController.getBudgets(req, res)
 );
 
+// Budget against actuals for start_date to end_date (or fiscal_year), with month- and year-to-date columns
+router.get('/budgets/analysis',
+    auth,
+    requirePermission('accounting.budgets.view'),
+    rateLimit('reports'),
+    [
+        query('fiscal_year').if(query('start_date').not().exists()).isInt()
+            .withMessage('A fiscal year or a start and end date is required'),
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').if(query('start_date').exists()).isDate().withMessage('Valid end date is required'),
+        ...budgetVersionOptions,
+        ...dimensionFilters(['department', 'cost_center', 'project'])
+    ],
+    validate,
+    (req, res) => accountingController.getBudgetAnalysis(req, res)
+);
+
 router.post('/budgets',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.budgets.create'),
     [
-        body('fiscal_year').isInt().withMessage('Fiscal year is required'),
+        body('version_id').optional().isInt().withMessage('Invalid budget version ID'),
+        body('fiscal_year').if(body('version_id').not().exists()).isInt().withMessage('Fiscal year is required'),
         body('account_id').isInt().withMessage('Account ID is required'),
-        body('amount').isFloat({ min: 0 }).withMessage('Valid amount is required'),
-        body('description').optional().isString()
+        body('department_id').optional({ values: 'null' }).isInt().withMessage('Invalid department ID'),
+        body('cost_center_id').optional({ values: 'null' }).isInt().withMessage('Invalid cost center ID'),
+        body('project_id').optional({ values: 'null' }).isInt().withMessage('Invalid project ID'),
+        ...budgetAmountValidators
     ],
     validate,
     (req, res) => accountingController.createBudget(req, res)
 );
 
+router.put('/budgets/:id',
+    auth,
+    requirePermission('accounting.budgets.create'),
+    [
+        param('id').isInt().withMessage('Invalid budget ID'),
+        ...budgetAmountValidators
+    ],
+    validate,
+    (req, res) => accountingController.updateBudget(req, res)
+);
+
+router.delete('/budgets/:id',
+    auth,
+    requirePermission('accounting.budgets.create'),
+    param('id').isInt().withMessage('Invalid budget ID'),
+    validate,
+    (req, res) => accountingController.deleteBudget(req, res)
+);
+
 // Fixed Assets Routes
 router.get('/fixed-assets',
     auth,
+    requirePermission('accounting.assets.view'),
+    [
+        query('status').optional().isIn(ASSET_STATUSES).withMessage('Invalid asset status'),
+        query('location').optional().isString().trim().withMessage('Invalid location'),
+        query('department_id').optional().isInt().withMessage('Invalid department ID')
+    ],
+    validate,
     (req, res) => accountingController.getFixedAssets(req, res)
 );
 
+// Accounts the depreciation runs post to
+const depreciationAccounts = [
+    body('depreciation_expense_account_id').optional({ values: 'null' }).isInt()
+        .withMessage('Invalid depreciation expense account ID'),
+    body('accumulated_depreciation_account_id').optional({ values: 'null' }).isInt()
+        .withMessage('Invalid accumulated depreciation account ID')
+];
+
+// Acquisition convention, output for units of production and the fiscal book
+const depreciationSettings = [
+    body('depreciation_convention').optional().isIn(Object.keys(CONVENTIONS))
+        .withMessage(`Depreciation convention must be one of: ${Object.keys(CONVENTIONS).join(', ')}`),
+    body('total_units').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Total units must be more than 0'),
+    body('fiscal_group').optional({ values: 'null' }).isIn(Object.keys(FISCAL_GROUPS))
+        .withMessage(`Fiscal group must be one of: ${Object.keys(FISCAL_GROUPS).join(', ')}`),
+    body('fiscal_method').optional({ values: 'null' }).isIn(FISCAL_METHODS)
+        .withMessage(`Fiscal method must be one of: ${FISCAL_METHODS.join(', ')}`)
+];
+
 router.post('/fixed-assets',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.assets.create'),
     [
         body('asset_code').notEmpty().withMessage('Asset code is required'),
         body('asset_name').notEmpty().withMessage('Asset name is required'),
         body('purchase_date').isDate().withMessage('Valid purchase date is required'),
         body('purchase_cost').isFloat({ min: 0 }).withMessage('Valid purchase cost is required'),
         body('useful_life_years').isInt({ min: 1 }).withMessage('Valid useful life in years is required'),
-        body('depreciation_method').isIn(['straight_line', 'declining_balance'])
-            .withMessage('Invalid depreciation method')
+        body('depreciation_method').isIn(METHODS)
+            .withMessage('Invalid depreciation method'),
+        body('account_id').isInt().withMessage('Asset account is required'),
+        body('location').optional().isString().trim().isLength({ max: 100 }).withMessage('Invalid location'),
+        body('department_id').optional({ values: 'null' }).isInt().withMessage('Invalid department ID'),
+        ...depreciationAccounts,
+        ...depreciationSettings
     ],
     validate,
     (req, res) => accountingController.createFixedAsset(req, res)
 );
 
+router.put('/fixed-assets/:id',
+    auth,
+    requirePermission('accounting.assets.edit'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        body('asset_name').optional().notEmpty().withMessage('Asset name cannot be empty'),
+        body('useful_life_years').optional().isInt({ min: 1 }).withMessage('Valid useful life in years is required'),
+        body('salvage_value').optional().isFloat({ min: 0 }).withMessage('Invalid salvage value'),
+        body('depreciation_method').optional().isIn(METHODS).withMessage('Invalid depreciation method'),
+        body('account_id').optional().isInt().withMessage('Invalid asset account ID'),
+        ...depreciationAccounts,
+        ...depreciationSettings
+    ],
+    validate,
+    (req, res) => accountingController.updateFixedAsset(req, res)
+);
+
+router.get('/fixed-assets/:id/history',
+    auth,
+    requirePermission('accounting.assets.view'),
+    param('id').isInt().withMessage('Invalid asset ID'),
+    validate,
+    (req, res) => changeHistoryController.getRecordHistory(req, res, 'fixed_assets')
+);
+
+router.post('/fixed-assets/:id/dispose',
+    auth,
+    requirePermission('accounting.assets.dispose'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        body('disposal_type').isIn(DISPOSAL_TYPES).withMessage(`Disposal type must be one of: ${DISPOSAL_TYPES.join(', ')}`),
+        body('disposal_date').isDate().withMessage('Valid disposal date is required'),
+        body('portion_percent').optional().isFloat({ gt: 0, max: 100 })
+            .withMessage('Portion must be more than 0 and at most 100 percent'),
+        body('proceeds').optional().isFloat({ min: 0 }).withMessage('Invalid proceeds'),
+        body('proceeds_account_id').optional().isInt().withMessage('Invalid proceeds account ID'),
+        body('gain_loss_account_id').optional().isInt().withMessage('Invalid gain/loss account ID'),
+        body('notes').optional().isString()
+    ],
+    validate,
+    (req, res) => assetController.disposeAsset(req, res)
+);
+
+router.post('/asset-disposals/:id/reverse',
+    auth,
+    requirePermission('accounting.assets.dispose'),
+    [
+        param('id').isInt().withMessage('Invalid disposal ID'),
+        body('reversal_date').optional().isDate().withMessage('Invalid reversal date'),
+        body('reason').optional().isString().isLength({ max: 255 })
+            .withMessage('Reason must be at most 255 characters')
+    ],
+    validate,
+    (req, res) => assetController.reverseDisposal(req, res)
+);
+
+router.post('/fixed-assets/:id/transfer',
+    auth,
+    requirePermission('accounting.assets.edit'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        body('transfer_date').isDate().withMessage('Valid transfer date is required'),
+        body('location').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+            .withMessage('Invalid location'),
+        body('department_id').optional({ values: 'null' }).isInt().withMessage('Invalid department ID'),
+        body().custom(value => value.location !== undefined || value.department_id !== undefined)
+            .withMessage('A new location or department is required'),
+        body('notes').optional().isString()
+    ],
+    validate,
+    (req, res) => assetController.transferAsset(req, res)
+);
+
+router.get('/fixed-assets/:id/movements',
+    auth,
+    requirePermission('accounting.assets.view'),
+    param('id').isInt().withMessage('Invalid asset ID'),
+    validate,
+    (req, res) => assetController.getAssetMovements(req, res)
+);
+
+router.get('/fixed-assets/:id/usage',
+    auth,
+    requirePermission('accounting.assets.view'),
+    param('id').isInt().withMessage('Invalid asset ID'),
+    validate,
+    (req, res) => assetController.getAssetUsage(req, res)
+);
+
+router.post('/fixed-assets/:id/usage',
+    auth,
+    requirePermission('accounting.assets.depreciate'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        body('period_date').isDate().withMessage('Valid period date is required'),
+        body('units').isFloat({ min: 0 }).withMessage('Valid units are required')
+    ],
+    validate,
+    (req, res) => assetController.recordUsage(req, res)
+);
+
+router.get('/fixed-assets/:id/depreciation-projection',
+    auth,
+    requirePermission('accounting.assets.view'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        query('end_date').optional().isDate().withMessage('Invalid end date'),
+        query('useful_life_years').optional().isInt({ min: 1 }).withMessage('Invalid useful life in years').toInt(),
+        query('depreciation_method').optional().isIn(METHODS).withMessage('Invalid depreciation method'),
+        query('salvage_value').optional().isFloat({ min: 0 }).withMessage('Invalid salvage value').toFloat(),
+        query('depreciation_convention').optional().isIn(Object.keys(CONVENTIONS))
+            .withMessage('Invalid depreciation convention'),
+        query('total_units').optional().isFloat({ gt: 0 }).withMessage('Total units must be more than 0')
+            .toFloat(),
+        query('units_per_month').optional().isFloat({ gt: 0 })
+            .withMessage('Units per month must be more than 0').toFloat()
+    ],
+    validate,
+    (req, res) => depreciationController.getAssetProjection(req, res)
+);
+
+router.get('/fixed-assets/:id/fiscal-depreciation',
+    auth,
+    requirePermission('accounting.assets.view'),
+    [
+        param('id').isInt().withMessage('Invalid asset ID'),
+        query('as_of_date').optional().isDate().withMessage('Invalid as of date')
+    ],
+    validate,
+    (req, res) => depreciationController.getFiscalSchedule(req, res)
+);
+
+router.get('/asset-movements',
+    auth,
+    requirePermission('accounting.assets.view'),
+    [
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').optional().isDate().withMessage('Invalid end date'),
+        query('location').optional().isString().trim().withMessage('Invalid location'),
+        query('department_id').optional().isInt().withMessage('Invalid department ID'),
+        query('movement_type').optional().isIn(MOVEMENT_TYPES).withMessage('Invalid movement type')
+    ],
+    validate,
+    (req, res) => assetController.getMovements(req, res)
+);
+
 // Asset Depreciation Routes
 router.get('/asset-depreciation/:asset_id',
     auth,
+    requirePermission('accounting.assets.view'),
     param('asset_id').isInt().withMessage('Invalid asset ID'),
     validate,
     (req, res) => accountingController.getAssetDepreciation(req, res)
@@ -162,7 +861,7 @@ router.get('/asset-depreciation/:asset_id',
 
 router.post('/asset-depreciation/calculate',
     auth,
-    hasAccountingAccess,
+    requirePermission('accounting.assets.depreciate'),
     [
         body('asset_id').isInt().withMessage('Asset ID is required'),
         body('calculation_date').isDate().withMessage('Valid calculation date is required')
@@ -171,11 +870,77 @@ router.post('/asset-depreciation/calculate',
     (req, res) => accountingController.calculateDepreciation(req, res)
 );
 
+// Depreciation Run Routes
+router.get('/depreciation-runs',
+    auth,
+    requirePermission('accounting.assets.view'),
+    [
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').optional().isDate().withMessage('Invalid end date')
+    ],
+    validate,
+    (req, res) => depreciationController.getRuns(req, res)
+);
+
+router.get('/depreciation-runs/preview',
+    auth,
+    requirePermission('accounting.assets.depreciate'),
+    query('period_date').isDate().withMessage('Valid period date is required'),
+    validate,
+    (req, res) => depreciationController.previewRun(req, res)
+);
+
+router.get('/depreciation-projection',
+    auth,
+    requirePermission('accounting.assets.view'),
+    [
+        query('end_date').optional().isDate().withMessage('Invalid end date'),
+        query('location').optional().isString().trim().withMessage('Invalid location'),
+        query('department_id').optional().isInt().withMessage('Invalid department ID')
+    ],
+    validate,
+    (req, res) => depreciationController.getRegisterProjection(req, res)
+);
+
+router.get('/depreciation-runs/:id',
+    auth,
+    requirePermission('accounting.assets.view'),
+    param('id').isInt().withMessage('Invalid depreciation run ID'),
+    validate,
+    (req, res) => depreciationController.getRun(req, res)
+);
+
+router.post('/depreciation-runs',
+    auth,
+    requirePermission('accounting.assets.depreciate'),
+    body('period_date').isDate().withMessage('Valid period date is required'),
+    validate,
+    (req, res) => depreciationController.createRun(req, res)
+);
+
+router.post('/depreciation-runs/:id/reverse',
+    auth,
+    requirePermission('accounting.assets.depreciate'),
+    [
+        param('id').isInt().withMessage('Invalid depreciation run ID'),
+        body('reversal_date').optional().isDate().withMessage('Invalid reversal date'),
+        body('reason').optional().isString().isLength({ max: 255 })
+            .withMessage('Reason must be at most 255 characters')
+    ],
+    validate,
+    (req, res) => depreciationController.reverseRun(req, res)
+);
+
 // Reports
 router.get('/reports/balance-sheet',
     auth,
+    requirePermission('accounting.reports.view'),
+    rateLimit('reports'),
     [
-        query('as_of_date').isDate().withMessage('Valid as of date is required')
+        query('as_of_date').isDate().withMessage('Valid as of date is required'),
+        query('verify_chain').optional().isBoolean().withMessage('verify_chain must be a boolean'),
+        currencyCode(query('currency').optional()),
+        ...statementOptions(['prior_period', 'prior_year'])
     ],
     validate,
     (req, res) => accountingController.generateBalanceSheet(req, res)
@@ -183,9 +948,14 @@ router.get('/reports/balance-sheet',
 
 router.get('/reports/income-statement',
     auth,
+    requirePermission('accounting.reports.view'),
+    rateLimit('reports'),
     [
         query('start_date').isDate().withMessage('Valid start date is required'),
-        query('end_date').isDate().withMessage('Valid end date is required')
+        query('end_date').isDate().withMessage('Valid end date is required'),
+        currencyCode(query('currency').optional()),
+        ...statementOptions(['prior_period', 'prior_year', 'budget']),
+        ...dimensionFilters(DIMENSIONS)
     ],
     validate,
     (req, res) => accountingController.generateIncomeStatement(req, res)
@@ -193,11 +963,42 @@ router.get('/reports/income-statement',
 
 router.get('/reports/trial-balance',
     auth,
+    requirePermission('accounting.reports.view'),
+    rateLimit('reports'),
     [
-        query('as_of_date').isDate().withMessage('Valid as of date is required')
+        query('as_of_date').isDate().withMessage('Valid as of date is required'),
+        query('verify_chain').optional().isBoolean().withMessage('verify_chain must be a boolean'),
+        currencyCode(query('currency').optional()),
+        ...dimensionFilters(DIMENSIONS)
     ],
     validate,
     (req, res) => accountingController.generateTrialBalance(req, res)
 );
 
+router.get('/reports/cash-flow',
+    auth,
+    requirePermission('accounting.reports.view'),
+    rateLimit('reports'),
+    [
+        query('start_date').isDate().withMessage('Valid start date is required'),
+        query('end_date').isDate().withMessage('Valid end date is required'),
+        query('method').optional().isIn(['indirect', 'direct']).withMessage('Method must be indirect or direct')
+    ],
+    validate,
+    (req, res) => accountingController.generateCashFlow(req, res)
+);
+
+router.get('/reports/fiscal-depreciation',
+    auth,
+    requirePermission('accounting.reports.view'),
+    rateLimit('reports'),
+    [
+        query('start_date').isDate().withMessage('Valid start date is required'),
+        query('end_date').isDate().withMessage('Valid end date is required'),
+        query('tax_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+    ],
+    validate,
+    (req, res) => depreciationController.getFiscalDifferences(req, res)
+);
+
 module.exports = router;
\ No newline at end of file
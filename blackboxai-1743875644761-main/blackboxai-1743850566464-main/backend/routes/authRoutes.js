@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, checkSchema } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const authController = require('../controllers/authController');
+const sessionController = require('../controllers/sessionController');
+
+// Two-factor enrollment is allowed with a login challenge token instead of an access token
+const authOrChallenge = (req, res, next) => (
+    req.body.challenge_token ? next() : auth(req, res, next)
+);
+
+router.post('/login',
+    rateLimit('auth'),
+    [
+        body('username').notEmpty().withMessage('Username is required'),
+        body('password').notEmpty().withMessage('Password is required')
+    ],
+    validate,
+    (req, res) => authController.login(req, res)
+);
+
+// First-login password setup (seeded admin, accounts flagged for a password change)
+router.post('/setup-password',
+    rateLimit('auth'),
+    [
+        body('setup_token').notEmpty().withMessage('Setup token is required'),
+        checkSchema({ password: { in: ['body'], ...rules.password } })
+    ],
+    validate,
+    (req, res) => authController.setupPassword(req, res)
+);
+
+// Two-Factor Authentication Routes
+router.post('/2fa/verify',
+    rateLimit('auth'),
+    [
+        body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+        body('code').if(body('recovery_code').not().exists())
+            .matches(/^\d{6}$/).withMessage('A 6-digit code or a recovery code is required'),
+        body('recovery_code').optional().isString()
+    ],
+    validate,
+    (req, res) => authController.verifyTwoFactor(req, res)
+);
+
+router.post('/2fa/setup',
+    authOrChallenge,
+    (req, res) => authController.setupTwoFactor(req, res)
+);
+
+router.post('/2fa/enable',
+    authOrChallenge,
+    body('code').matches(/^\d{6}$/).withMessage('A 6-digit code is required'),
+    validate,
+    (req, res) => authController.enableTwoFactor(req, res)
+);
+
+router.post('/2fa/disable',
+    auth,
+    [
+        body('password').notEmpty().withMessage('Password is required'),
+        body('code').matches(/^\d{6}$/).withMessage('A 6-digit code is required')
+    ],
+    validate,
+    (req, res) => authController.disableTwoFactor(req, res)
+);
+
+router.post('/2fa/recovery-codes',
+    auth,
+    body('code').matches(/^\d{6}$/).withMessage('A 6-digit code is required'),
+    validate,
+    (req, res) => authController.regenerateRecoveryCodes(req, res)
+);
+
+// Password Reset & Email Verification Routes
+router.post('/forgot-password',
+    rateLimit('auth'),
+    body('email').trim().isEmail().withMessage('A valid email address is required'),
+    validate,
+    (req, res) => authController.forgotPassword(req, res)
+);
+
+router.post('/reset-password',
+    rateLimit('auth'),
+    [
+        body('token').notEmpty().withMessage('Reset token is required'),
+        checkSchema({ password: { in: ['body'], ...rules.password } })
+    ],
+    validate,
+    (req, res) => authController.resetPassword(req, res)
+);
+
+router.post('/verify-email',
+    rateLimit('auth'),
+    body('token').notEmpty().withMessage('Verification token is required'),
+    validate,
+    (req, res) => authController.verifyEmail(req, res)
+);
+
+router.post('/verify-email/resend',
+    auth,
+    (req, res) => authController.resendVerification(req, res)
+);
+
+router.post('/refresh',
+    body('refresh_token').notEmpty().withMessage('Refresh token is required'),
+    validate,
+    (req, res) => authController.refreshToken(req, res)
+);
+
+router.post('/logout',
+    auth,
+    body('all_devices').optional().isBoolean().withMessage('all_devices must be a boolean'),
+    validate,
+    (req, res) => authController.logout(req, res)
+);
+
+router.get('/me',
+    auth,
+    (req, res) => authController.getCurrentUser(req, res)
+);
+
+// Session Routes
+router.get('/sessions',
+    auth,
+    (req, res) => sessionController.getMySessions(req, res)
+);
+
+router.delete('/sessions/:id',
+    auth,
+    param('id').isInt().withMessage('Invalid session ID'),
+    validate,
+    (req, res) => sessionController.revokeMySession(req, res)
+);
+
+router.post('/sessions/revoke-others',
+    auth,
+    (req, res) => sessionController.revokeMyOtherSessions(req, res)
+);
+
+module.exports = router;
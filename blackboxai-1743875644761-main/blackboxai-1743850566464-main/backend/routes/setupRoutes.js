@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, checkSchema } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const userController = require('../controllers/userController');
+const permissionController = require('../controllers/permissionController');
+const sessionController = require('../controllers/sessionController');
+const apiKeyController = require('../controllers/apiKeyController');
+const activityLogController = require('../controllers/activityLogController');
+const numberingController = require('../controllers/numberingController');
+const changeHistoryController = require('../controllers/changeHistoryController');
+const apiKeyService = require('../services/apiKeyService');
+
+const scopeValidators = (optional) => [
+    (optional ? body('scopes').optional() : body('scopes'))
+        .isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').custom(apiKeyService.isValidScope)
+        .withMessage('Scopes must look like read:/api/<router>/* or write:/api/<router>/*')
+];
+
+// User Routes
+router.get('/users',
+    auth,
+    requirePermission(['setup.users.view', 'setup.users.manage']),
+    [
+        query('role').optional().isString(),
+        query('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+        query('search').optional().isString()
+    ],
+    validate,
+    (req, res) => userController.getUsers(req, res)
+);
+
+router.get('/users/:id',
+    auth,
+    requirePermission(['setup.users.view', 'setup.users.manage']),
+    param('id').isInt().withMessage('Invalid user ID'),
+    validate,
+    (req, res) => userController.getUserById(req, res)
+);
+
+router.post('/users',
+    auth,
+    requirePermission('setup.users.manage'),
+    [
+        body('username').trim().notEmpty().withMessage('Username is required')
+            .matches(/^[A-Za-z0-9._-]{3,50}$/).withMessage('Username must be 3-50 letters, digits, dots, dashes or underscores'),
+        body('email').trim().isEmail().withMessage('A valid email address is required'),
+        body('full_name').trim().notEmpty().withMessage('Full name is required'),
+        body('role').notEmpty().withMessage('Role is required'),
+        checkSchema({ password: { in: ['body'], ...rules.password } }),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+        body('must_change_password').optional().isBoolean().withMessage('must_change_password must be a boolean').toBoolean()
+    ],
+    validate,
+    (req, res) => userController.createUser(req, res)
+);
+
+router.put('/users/:id',
+    auth,
+    requirePermission('setup.users.manage'),
+    [
+        param('id').isInt().withMessage('Invalid user ID'),
+        body('email').optional().trim().isEmail().withMessage('A valid email address is required'),
+        body('full_name').optional().trim().notEmpty().withMessage('Full name cannot be empty'),
+        body('role').optional().isString(),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean()
+    ],
+    validate,
+    (req, res) => userController.updateUser(req, res)
+);
+
+// Forces a password change at next login, optionally setting a temporary password
+router.post('/users/:id/require-password-change',
+    auth,
+    requirePermission('setup.users.manage'),
+    [
+        param('id').isInt().withMessage('Invalid user ID'),
+        checkSchema({ password: { in: ['body'], optional: true, ...rules.password } })
+    ],
+    validate,
+    (req, res) => userController.requirePasswordChange(req, res)
+);
+
+router.delete('/users/:id',
+    auth,
+    requirePermission('setup.users.manage'),
+    param('id').isInt().withMessage('Invalid user ID'),
+    validate,
+    (req, res) => userController.deleteUser(req, res)
+);
+
+// Permission Routes
+router.get('/permissions',
+    auth,
+    requirePermission('setup.roles.manage'),
+    query('module').optional().isString(),
+    validate,
+    (req, res) => permissionController.getPermissions(req, res)
+);
+
+// Role Routes (listed for user administration as well)
+router.get('/roles',
+    auth,
+    requirePermission(['setup.roles.manage', 'setup.users.manage']),
+    (req, res) => permissionController.getRoles(req, res)
+);
+
+router.post('/roles',
+    auth,
+    requirePermission('setup.roles.manage'),
+    [
+        body('name').notEmpty().withMessage('Role name is required')
+            .matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Role name must be lowercase letters, digits or underscores'),
+        body('description').optional().isString(),
+        body('require_two_factor').optional().isBoolean().withMessage('require_two_factor must be a boolean').toBoolean(),
+        body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isString().withMessage('Invalid permission code')
+    ],
+    validate,
+    (req, res) => permissionController.createRole(req, res)
+);
+
+router.put('/roles/:id',
+    auth,
+    requirePermission('setup.roles.manage'),
+    [
+        param('id').isInt().withMessage('Invalid role ID'),
+        body('description').optional().isString(),
+        body('require_two_factor').optional().isBoolean().withMessage('require_two_factor must be a boolean').toBoolean(),
+        body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+        body('permissions.*').isString().withMessage('Invalid permission code')
+    ],
+    validate,
+    (req, res) => permissionController.updateRole(req, res)
+);
+
+router.delete('/roles/:id',
+    auth,
+    requirePermission('setup.roles.manage'),
+    param('id').isInt().withMessage('Invalid role ID'),
+    validate,
+    (req, res) => permissionController.deleteRole(req, res)
+);
+
+// User Permission Routes
+router.get('/users/:id/permissions',
+    auth,
+    requirePermission('setup.roles.manage'),
+    param('id').isInt().withMessage('Invalid user ID'),
+    validate,
+    (req, res) => permissionController.getUserPermissions(req, res)
+);
+
+router.put('/users/:id/permissions',
+    auth,
+    requirePermission('setup.roles.manage'),
+    [
+        param('id').isInt().withMessage('Invalid user ID'),
+        body('overrides').isArray().withMessage('Overrides must be an array'),
+        body('overrides.*.code').isString().withMessage('Permission code is required'),
+        body('overrides.*.effect').isIn(['grant', 'deny']).withMessage('Effect must be grant or deny')
+    ],
+    validate,
+    (req, res) => permissionController.updateUserPermissions(req, res)
+);
+
+// Session Routes
+router.get('/users/:id/sessions',
+    auth,
+    requirePermission('setup.sessions.manage'),
+    [
+        param('id').isInt().withMessage('Invalid user ID'),
+        query('include_revoked').optional().isBoolean().withMessage('include_revoked must be a boolean')
+    ],
+    validate,
+    (req, res) => sessionController.getUserSessions(req, res)
+);
+
+router.post('/users/:id/logout',
+    auth,
+    requirePermission('setup.sessions.manage'),
+    param('id').isInt().withMessage('Invalid user ID'),
+    validate,
+    (req, res) => sessionController.forceLogout(req, res)
+);
+
+router.delete('/sessions/:id',
+    auth,
+    requirePermission('setup.sessions.manage'),
+    param('id').isInt().withMessage('Invalid session ID'),
+    validate,
+    (req, res) => sessionController.revokeSession(req, res)
+);
+
+// API Key Routes
+router.get('/api-keys',
+    auth,
+    requirePermission('setup.api_keys.manage'),
+    [
+        query('include_revoked').optional().isBoolean().withMessage('include_revoked must be a boolean'),
+        query('user_id').optional().isInt().withMessage('Invalid user ID')
+    ],
+    validate,
+    (req, res) => apiKeyController.getApiKeys(req, res)
+);
+
+router.post('/api-keys',
+    auth,
+    requirePermission('setup.api_keys.manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required'),
+        body('user_id').optional().isInt().withMessage('Invalid user ID'),
+        ...scopeValidators(false),
+        body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('Invalid expiry date')
+    ],
+    validate,
+    (req, res) => apiKeyController.createApiKey(req, res)
+);
+
+router.put('/api-keys/:id',
+    auth,
+    requirePermission('setup.api_keys.manage'),
+    [
+        param('id').isInt().withMessage('Invalid API key ID'),
+        body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+        ...scopeValidators(true),
+        body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('Invalid expiry date')
+    ],
+    validate,
+    (req, res) => apiKeyController.updateApiKey(req, res)
+);
+
+router.post('/api-keys/:id/rotate',
+    auth,
+    requirePermission('setup.api_keys.manage'),
+    param('id').isInt().withMessage('Invalid API key ID'),
+    validate,
+    (req, res) => apiKeyController.rotateApiKey(req, res)
+);
+
+router.delete('/api-keys/:id',
+    auth,
+    requirePermission('setup.api_keys.manage'),
+    param('id').isInt().withMessage('Invalid API key ID'),
+    validate,
+    (req, res) => apiKeyController.revokeApiKey(req, res)
+);
+
+// Activity Log Routes
+router.get('/activity-logs',
+    auth,
+    requirePermission('setup.activity_logs.view'),
+    [
+        query('user_id').optional().isInt().withMessage('Invalid user ID'),
+        query('api_key_id').optional().isInt().withMessage('Invalid API key ID'),
+        query('resource').optional().isString(),
+        query('method').optional().isIn(['POST', 'PUT', 'PATCH', 'DELETE', 'post', 'put', 'patch', 'delete'])
+            .withMessage('Invalid method'),
+        query('start_date').optional().isDate().withMessage('Invalid start date'),
+        query('end_date').optional().isDate().withMessage('Invalid end date'),
+        query('page').optional().isInt({ min: 1 }).withMessage('Invalid page'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
+    validate,
+    (req, res) => activityLogController.getActivityLogs(req, res)
+);
+
+// Numbering Series Routes
+router.get('/numbering-series',
+    auth,
+    requirePermission('setup.numbering.manage'),
+    (req, res) => numberingController.getSeries(req, res)
+);
+
+// Changes apply to numbers taken from now on
+router.put('/numbering-series/:id',
+    auth,
+    requirePermission('setup.numbering.manage'),
+    [
+        param('id').isInt().withMessage('Invalid numbering series ID'),
+        body('prefix').optional().trim().matches(/^[A-Za-z0-9/_-]{1,10}$/)
+            .withMessage('Prefix must be 1-10 letters, digits, "/", "_" or "-"'),
+        body('format').optional().trim().notEmpty().withMessage('Format cannot be empty')
+            .isLength({ max: 50 }).withMessage('Format must be at most 50 characters'),
+        body('padding').optional().isInt({ min: 1, max: 10 }).withMessage('Padding must be between 1 and 10').toInt(),
+        body('reset_period').optional().isIn(['never', 'yearly', 'monthly']).withMessage('Invalid reset period')
+    ],
+    validate,
+    (req, res) => numberingController.updateSeries(req, res)
+);
+
+router.get('/numbering-series/:id/history',
+    auth,
+    requirePermission('setup.numbering.manage'),
+    param('id').isInt().withMessage('Invalid numbering series ID'),
+    validate,
+    (req, res) => changeHistoryController.getRecordHistory(req, res, 'numbering_series')
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
 const winston = require('winston');
 const path = require('path');
+const { rateLimit, trustProxySetting } = require('./middleware/rateLimit');
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +12,9 @@ dotenv.config();
 // Initialize express
 const app = express();
 
+// Resolve req.ip to the client address when running behind a reverse proxy
+app.set('trust proxy', trustProxySetting());
+
 // Configure Winston logger
 const logger = winston.createLogger({
     level: 'info',
@@ -44,7 +48,14 @@ app.use((req, res, next) => {
     next();
 });
 
+// Per-IP rate limit on every API request (routes add stricter per-user/per-key policies)
+app.use('/api', rateLimit());
+
+// Activity logging (records successful changes once a route has authenticated the request)
+app.use('/api', require('./middleware/auth').logActivity);
+
 // Routes
+app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/accounting', require('./routes/accountingRoutes'));
 app.use('/api/financial', require('./routes/financialRoutes'));
 app.use('/api/frontdesk', require('./routes/frontdeskRoutes'));
@@ -114,6 +125,9 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     logger.info(`Server is running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV}`);
+
+    // Generate due recurring journal entries
+    require('./services/journalScheduler').start();
 });
 
 module.exports = app; // For testing purposes
\ No newline at end of file
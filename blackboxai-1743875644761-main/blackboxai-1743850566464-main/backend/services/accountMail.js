@@ -0,0 +1,45 @@
+const tokenService = require('./tokenService');
+const mailer = require('./mailer');
+
+// Where the frontend is served: reset-password.html and verify-email.html live next to index.html
+const APP_URL = (process.env.APP_URL || 'http://localhost:8000/frontend').replace(/\/$/, '');
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 48;
+
+/**
+ * Issue a password reset token and email the reset link
+ * @param {Object} user - User (id, username, email, full_name)
+ * @returns {Promise<Object>} Transport result
+ */
+const sendPasswordReset = async (user) => {
+    const token = await tokenService.issueUserToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRE_MINUTES);
+
+    return mailer.sendTemplate(user.email, 'password-reset', {
+        full_name: user.full_name,
+        username: user.username,
+        reset_url: `${APP_URL}/reset-password.html?token=${token}`,
+        expires_minutes: PASSWORD_RESET_EXPIRE_MINUTES
+    });
+};
+
+/**
+ * Issue an email verification token and email the verification link
+ * @param {Object} user - User (id, username, email, full_name)
+ * @returns {Promise<Object>} Transport result
+ */
+const sendEmailVerification = async (user) => {
+    const token = await tokenService.issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_EXPIRE_HOURS * 60);
+
+    return mailer.sendTemplate(user.email, 'email-verification', {
+        full_name: user.full_name,
+        email: user.email,
+        username: user.username,
+        verification_url: `${APP_URL}/verify-email.html?token=${token}`,
+        expires_hours: EMAIL_VERIFICATION_EXPIRE_HOURS
+    });
+};
+
+module.exports = {
+    sendPasswordReset,
+    sendEmailVerification
+};
@@ -0,0 +1,88 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+const REDACTED = '[REDACTED]';
+
+// Request fields never written to the activity log, compared without case, dashes or underscores.
+// ACTIVITY_LOG_REDACT adds more (comma separated).
+const SENSITIVE_FIELDS = new Set([
+    'password',
+    'currentpassword',
+    'newpassword',
+    'passwordconfirmation',
+    'token',
+    'accesstoken',
+    'refreshtoken',
+    'setuptoken',
+    'challengetoken',
+    'code',
+    'recoverycode',
+    'secret',
+    'totpsecret',
+    'apikey',
+    'key',
+    'accountnumber',
+    'bankaccount',
+    'bankaccountnumber',
+    'cardnumber',
+    'cvv',
+    'pin',
+    ...(process.env.ACTIVITY_LOG_REDACT || '').split(',')
+].map(field => field.trim().toLowerCase().replace(/[-_]/g, '')).filter(Boolean));
+
+const isSensitive = (field) => SENSITIVE_FIELDS.has(String(field).toLowerCase().replace(/[-_]/g, ''));
+
+/**
+ * Copy a value with every sensitive field (at any depth) replaced by [REDACTED]
+ * @param {*} value - Request body, query, ...
+ * @returns {*} Redacted copy
+ */
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+            field,
+            isSensitive(field) ? REDACTED : redact(fieldValue)
+        ]));
+    }
+
+    return value;
+};
+
+/**
+ * Write an activity log entry for a request
+ * @param {Object} req - Express request (authenticated)
+ * @param {number} statusCode - Response status code
+ * @returns {Promise}
+ */
+const record = (req, statusCode) => sequelize.query(
+    `INSERT INTO activity_logs
+    (user_id, api_key_id, auth_type, action, resource, status_code, details, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    {
+        replacements: [
+            req.user.id,
+            req.apiKey ? req.apiKey.id : null,
+            req.authType || 'user',
+            req.method,
+            req.originalUrl.split('?')[0].slice(0, 255),
+            statusCode,
+            JSON.stringify({
+                params: req.params,
+                query: redact(req.query),
+                body: redact(req.body)
+            }),
+            req.ip,
+            (req.get('user-agent') || '').slice(0, 255) || null
+        ],
+        type: QueryTypes.INSERT
+    }
+);
+
+module.exports = {
+    redact,
+    record
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { hashToken } = require('./tokenService');
+
+const KEY_PREFIX = 'ebms';
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Scopes are "<access>:<path>", e.g. "read:/api/accounting/reports/*"
+const SCOPE_PATTERN = /^(read|write):\/api(\/[A-Za-z0-9_-]+)*(\/\*)?$/;
+
+// apiKeyId -> time last_used_at was last written
+const lastUsedWrites = new Map();
+
+// Keys not used for an interval no longer hold back a write, so revoked and expired keys drop out
+setInterval(() => {
+    const cutoff = Date.now() - LAST_USED_INTERVAL_MS;
+    lastUsedWrites.forEach((writtenAt, apiKeyId) => {
+        if (writtenAt <= cutoff) {
+            lastUsedWrites.delete(apiKeyId);
+        }
+    });
+}, LAST_USED_INTERVAL_MS).unref();
+
+/**
+ * Check whether a key presented by a client looks like an API key
+ * (as opposed to a JWT sent in the same Authorization header)
+ * @param {string} value - Credential
+ * @returns {boolean}
+ */
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+
+/**
+ * Generate a new API key. Only the hash is stored; the plain key is shown once.
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+const generateKey = () => {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    return { key, prefix, hash: hashToken(key) };
+};
+
+// Keys cannot manage logins or sessions, which only make sense for people
+const isValidScope = (scope) => SCOPE_PATTERN.test(scope) && !/^\w+:\/api\/auth(\/|$)/.test(scope);
+
+/**
+ * Check whether a request is covered by a key's scopes
+ * @param {string[]} scopes - Key scopes
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path without query string
+ * @returns {boolean}
+ */
+const isInScope = (scopes, method, path) => scopes.some(scope => {
+    const separator = scope.indexOf(':');
+    const access = scope.slice(0, separator);
+    const pattern = scope.slice(separator + 1);
+
+    if (access === 'read' && !READ_METHODS.includes(method)) {
+        return false;
+    }
+
+    if (pattern.endsWith('/*')) {
+        const base = pattern.slice(0, -2);
+        return path === base || path.startsWith(`${base}/`);
+    }
+
+    return path === pattern || path === `${pattern}/`;
+});
+
+const parseScopes = (scopes) => (typeof scopes === 'string' ? JSON.parse(scopes) : scopes) || [];
+
+/**
+ * Look up an active API key together with the user it acts as
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} { id, name, scopes, user } or null when unknown, revoked or expired
+ */
+const authenticate = async (key) => {
+    const [apiKey] = await sequelize.query(
+        `SELECT k.id, k.name, k.scopes, u.id as user_id, u.username, u.email, u.full_name, u.role
+        FROM api_keys k
+        JOIN users u ON k.user_id = u.id
+        WHERE k.key_hash = ?
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > NOW())
+        AND u.is_active = true`,
+        {
+            replacements: [hashToken(key)],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (!apiKey) {
+        return null;
+    }
+
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: parseScopes(apiKey.scopes),
+        user: {
+            id: apiKey.user_id,
+            username: apiKey.username,
+            email: apiKey.email,
+            full_name: apiKey.full_name,
+            role: apiKey.role
+        }
+    };
+};
+
+/**
+ * Record use of a key, writing at most once per minute per key
+ * @param {number} apiKeyId - API key ID
+ * @param {string} ip - Client IP
+ */
+const touch = (apiKeyId, ip) => {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(apiKeyId) || 0) < LAST_USED_INTERVAL_MS) {
+        return;
+    }
+    lastUsedWrites.set(apiKeyId, now);
+
+    sequelize.query(
+        'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?',
+        {
+            replacements: [ip || null, apiKeyId],
+            type: QueryTypes.UPDATE
+        }
+    ).catch(error => {
+        console.error('Error updating API key last used:', error);
+    });
+};
+
+module.exports = {
+    isApiKey,
+    generateKey,
+    isValidScope,
+    isInScope,
+    parseScopes,
+    authenticate,
+    touch
+};
@@ -0,0 +1,116 @@
+const moment = require('moment');
+const { round } = require('./ledger');
+const depreciation = require('./depreciation');
+
+/**
+ * Sales, disposals and write-offs of fixed assets. The disposed part of the asset (all of it, or
+ * portion_percent of what is left) is first depreciated from the start of the month to the disposal
+ * date; its cost and accumulated depreciation are then taken off the books, and the difference
+ * between the proceeds and the book value removed is the gain or loss.
+ */
+
+const DISPOSAL_TYPES = ['sale', 'disposal', 'write_off'];
+
+const DISPOSAL_LABELS = {
+    sale: 'Sale',
+    disposal: 'Disposal',
+    write_off: 'Write-off'
+};
+
+/**
+ * Amounts of a disposal, or the reason it cannot be made
+ * @param {Object} asset - fixed_assets row (purchase_date as YYYY-MM-DD)
+ * @param {Object} [last] - Latest depreciation of the asset (see depreciation.getLatest)
+ * @param {Object} disposal - { disposal_date, portion_percent, proceeds }
+ * @param {Object} [usage] - Output of the disposal month, for units of production (see depreciation.getUsage)
+ * @param {string} [dueMonth] - Earlier month a depreciation run still has to charge (see depreciation.firstDueMonth)
+ * @returns {Object} { error } or { depreciation_amount, cost_removed, salvage_value_removed, accumulated_removed,
+ *   book_value_removed, proceeds, gain_loss, is_partial, remaining: { cost, salvage_value, accumulated_depreciation, book_value } }
+ */
+const planDisposal = (asset, last, { disposal_date, portion_percent, proceeds }, usage, dueMonth) => {
+    if (disposal_date < asset.purchase_date) {
+        return { error: 'Disposal date cannot be before the purchase date' };
+    }
+
+    if (last && disposal_date < last.depreciation_date) {
+        return { error: `Asset is depreciated up to ${last.depreciation_date}; the disposal cannot be dated earlier` };
+    }
+
+    const monthEnd = depreciation.periodEndOf(disposal_date);
+    const depreciatedTo = last ? last.depreciated_to : null;
+
+    if (dueMonth) {
+        const previousMonth = moment(disposal_date).subtract(1, 'month').format('YYYY-MM');
+        return { error: `Run the depreciation up to ${previousMonth} before disposing of the asset` };
+    }
+
+    const portion = parseFloat(portion_percent || 100) / 100;
+    const cost = parseFloat(asset.purchase_cost);
+    const accumulated = last ? parseFloat(last.accumulated_depreciation) : 0;
+    const bookValue = last ? parseFloat(last.book_value) : cost;
+
+    // Only the disposed part is depreciated to the disposal date; the rest gets the whole month in the next run.
+    // Assets without depreciation accounts are left out of the runs, and so of this last charge too
+    const depreciable = asset.depreciation_expense_account_id && asset.accumulated_depreciation_account_id;
+    const charge = asset.status === 'active' && depreciable && (!depreciatedTo || depreciatedTo < monthEnd)
+        ? round(depreciation.proRataCharge(asset, bookValue, disposal_date, usage) * portion)
+        : 0;
+
+    const costRemoved = portion === 1 ? cost : round(cost * portion);
+    const accumulatedTaken = portion === 1 ? accumulated : round(accumulated * portion);
+    const accumulatedRemoved = round(accumulatedTaken + charge);
+    const bookValueRemoved = round(costRemoved - accumulatedRemoved);
+    const salvageValue = parseFloat(asset.salvage_value || 0);
+    const salvageRemaining = portion === 1 ? 0 : round(salvageValue * (1 - portion));
+
+    return {
+        depreciation_amount: charge,
+        cost_removed: costRemoved,
+        salvage_value_removed: round(salvageValue - salvageRemaining),
+        accumulated_removed: accumulatedRemoved,
+        book_value_removed: bookValueRemoved,
+        proceeds: round(parseFloat(proceeds || 0)),
+        gain_loss: round(parseFloat(proceeds || 0) - bookValueRemoved),
+        is_partial: portion < 1,
+        remaining: {
+            cost: round(cost - costRemoved),
+            salvage_value: salvageRemaining,
+            accumulated_depreciation: round(accumulated - accumulatedTaken),
+            book_value: round(bookValue - (costRemoved - accumulatedTaken))
+        }
+    };
+};
+
+/**
+ * Lines of the journal entry of a disposal: the final depreciation, the cost and accumulated
+ * depreciation taken off, the proceeds and the gain (credit) or loss (debit)
+ * @param {Object} asset - fixed_assets row
+ * @param {Object} plan - Result of planDisposal
+ * @param {Object} accounts - { proceeds_account_id, gain_loss_account_id }
+ * @returns {Array<Object>} { account_id, debit, credit, department_id, description }
+ */
+const journalLines = (asset, plan, { proceeds_account_id, gain_loss_account_id }) => {
+    const line = (account_id, amount, description) => ({
+        account_id,
+        debit: amount > 0 ? amount : 0,
+        credit: amount < 0 ? -amount : 0,
+        department_id: asset.department_id,
+        description: `${description} ${asset.asset_code}`
+    });
+
+    return [
+        line(asset.depreciation_expense_account_id, plan.depreciation_amount, 'Depreciation'),
+        line(asset.accumulated_depreciation_account_id, -plan.depreciation_amount, 'Depreciation'),
+        line(asset.accumulated_depreciation_account_id, plan.accumulated_removed, 'Accumulated depreciation'),
+        line(asset.account_id, -plan.cost_removed, 'Cost'),
+        line(proceeds_account_id, plan.proceeds, 'Proceeds'),
+        line(gain_loss_account_id, -plan.gain_loss, plan.gain_loss >= 0 ? 'Gain on disposal' : 'Loss on disposal')
+    ].filter(entry => entry.debit || entry.credit);
+};
+
+module.exports = {
+    DISPOSAL_TYPES,
+    DISPOSAL_LABELS,
+    planDisposal,
+    journalLines
+};
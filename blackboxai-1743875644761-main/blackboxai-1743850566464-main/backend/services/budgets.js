@@ -0,0 +1,396 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round, naturalBalance } = require('./ledger');
+const dimensions = require('./dimensions');
+
+/**
+ * Budgets are kept in versions (original, revised, forecast) of a calendar fiscal year. Each
+ * budget line is phased by year, quarter or month (budget_periods) in the natural sign of its
+ * account. The budget of any date range comes from the months it covers, a partly covered month
+ * in proportion to its days. Approving a version locks its budget lines.
+ */
+
+// Phases in a year
+const PHASES = { annual: 1, quarterly: 4, monthly: 12 };
+
+const VERSION_TYPES = ['original', 'revised', 'forecast'];
+
+/**
+ * Phase amounts of a budget line
+ * @param {string} phasing - annual, quarterly or monthly
+ * @param {number} [amount] - Annual amount, spread evenly over the phases when no periods are given
+ * @param {Array<number>} [periods] - Amount of each phase
+ * @returns {{ amount: number, periods: Array<number>, error: string|null }}
+ */
+const phase = (phasing, amount, periods) => {
+    const count = PHASES[phasing];
+
+    if (periods) {
+        if (periods.length !== count) {
+            return { amount: null, periods: null, error: `${phasing} phasing needs ${count} period amounts` };
+        }
+        const amounts = periods.map(period => round(parseFloat(period)));
+        return { amount: round(amounts.reduce((sum, period) => sum + period, 0)), periods: amounts, error: null };
+    }
+
+    if (amount === undefined || amount === null) {
+        return { amount: null, periods: null, error: 'An amount or period amounts are required' };
+    }
+
+    // Cents left over by the even split go to the last phase
+    const total = round(parseFloat(amount));
+    const each = Math.floor(total / count * 100) / 100;
+    const spread = Array(count).fill(each);
+    spread[count - 1] = round(total - each * (count - 1));
+
+    return { amount: total, periods: spread, error: null };
+};
+
+/**
+ * Budget of each month of the year from the phase amounts
+ * @param {string} phasing - annual, quarterly or monthly
+ * @param {Array<number>} periods - Phase amounts
+ * @returns {Array<number>} Twelve amounts, January first
+ */
+const monthlyAmounts = (phasing, periods) => {
+    const monthsPerPhase = 12 / PHASES[phasing];
+    return Array.from({ length: 12 }, (_, month) => (periods[Math.floor(month / monthsPerPhase)] || 0) / monthsPerPhase);
+};
+
+/**
+ * A version that can still be changed
+ * @param {number} versionId - Budget version ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<{ version: Object|null, error: string|null, notFound: boolean }>}
+ */
+const findDraftVersion = async (versionId, transaction) => {
+    const [version] = await sequelize.query(
+        'SELECT id, fiscal_year, name, status FROM budget_versions WHERE id = ? FOR UPDATE',
+        {
+            replacements: [versionId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (!version) {
+        return { version: null, error: 'Budget version not found', notFound: true };
+    }
+
+    if (version.status !== 'draft') {
+        return { version: null, error: `Budget version "${version.name}" is approved; create a revised version instead`, notFound: false };
+    }
+
+    return { version, error: null, notFound: false };
+};
+
+/**
+ * The original version of a fiscal year, created as a draft the first time a budget is entered for it
+ * @param {number} fiscalYear
+ * @param {number} userId - User entering the budget
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Budget version ID
+ */
+const originalVersionId = async (fiscalYear, userId, transaction) => {
+    const [version] = await sequelize.query(
+        `SELECT id FROM budget_versions
+        WHERE fiscal_year = ? AND version_type = 'original'
+        ORDER BY id DESC LIMIT 1`,
+        {
+            replacements: [fiscalYear],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (version) {
+        return version.id;
+    }
+
+    const [versionId] = await sequelize.query(
+        `INSERT INTO budget_versions (fiscal_year, name, version_type, created_by)
+        VALUES (?, 'Original', 'original', ?)`,
+        {
+            replacements: [fiscalYear, userId],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    return versionId;
+};
+
+/**
+ * Insert a budget line with its phases
+ * @param {Object} version - { id, fiscal_year }
+ * @param {Object} line - { account_id, department_id, cost_center_id, project_id, phasing, amount, periods, description }
+ *   with amount and periods as returned by phase()
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Budget ID
+ */
+const insertBudget = async (version, line, transaction) => {
+    const [budgetId] = await sequelize.query(
+        `INSERT INTO budgets
+        (version_id, account_id, fiscal_year, department_id, cost_center_id, project_id, phasing, amount, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        {
+            replacements: [
+                version.id,
+                line.account_id,
+                version.fiscal_year,
+                line.department_id || null,
+                line.cost_center_id || null,
+                line.project_id || null,
+                line.phasing,
+                line.amount,
+                line.description || null
+            ],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    await insertPeriods(budgetId, line.periods, transaction);
+
+    return budgetId;
+};
+
+/**
+ * Store the phase amounts of a budget line (the caller deletes any previous ones)
+ * @param {number} budgetId
+ * @param {Array<number>} periods - Phase amounts
+ * @param {Object} transaction - Sequelize transaction
+ */
+const insertPeriods = async (budgetId, periods, transaction) => {
+    for (const [i, amount] of periods.entries()) {
+        await sequelize.query(
+            'INSERT INTO budget_periods (budget_id, period_no, amount) VALUES (?, ?, ?)',
+            {
+                replacements: [budgetId, i + 1, amount],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+    }
+};
+
+/**
+ * Phase amounts of budget lines
+ * @param {Array<number>} budgetIds
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Map<number, Array<number>>>} Phase amounts by budget ID
+ */
+const getPeriods = async (budgetIds, transaction) => {
+    const periods = new Map();
+
+    if (!budgetIds.length) {
+        return periods;
+    }
+
+    const rows = await sequelize.query(
+        'SELECT budget_id, period_no, amount FROM budget_periods WHERE budget_id IN (?) ORDER BY budget_id, period_no',
+        {
+            replacements: [budgetIds],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    rows.forEach(row => {
+        periods.set(row.budget_id, [...(periods.get(row.budget_id) || []), parseFloat(row.amount)]);
+    });
+
+    return periods;
+};
+
+/**
+ * Copy the budget lines of another version, scaled by an uplift
+ * @param {number} sourceVersionId
+ * @param {Object} version - Target version { id, fiscal_year }
+ * @param {number} upliftPercent - e.g. 5 for +5%
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Budget lines copied
+ */
+const copyFromVersion = async (sourceVersionId, version, upliftPercent, transaction) => {
+    const factor = 1 + upliftPercent / 100;
+    const budgets = await sequelize.query(
+        'SELECT * FROM budgets WHERE version_id = ? ORDER BY id',
+        {
+            replacements: [sourceVersionId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+    const periods = await getPeriods(budgets.map(budget => budget.id), transaction);
+
+    for (const budget of budgets) {
+        const phased = phase(budget.phasing, null, (periods.get(budget.id) || []).map(amount => amount * factor));
+        if (phased.error) {
+            // A line without its phases is copied as an evenly spread annual amount
+            Object.assign(phased, phase(budget.phasing, parseFloat(budget.amount) * factor));
+        }
+
+        await insertBudget(version, { ...budget, ...phased }, transaction);
+    }
+
+    return budgets.length;
+};
+
+/**
+ * Budget lines from the monthly actuals of a year (revenue and expense accounts, per account and
+ * dimension), scaled by an uplift
+ * @param {number} year - Year of the actuals
+ * @param {Object} version - Target version { id, fiscal_year }
+ * @param {number} upliftPercent - e.g. 5 for +5%
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Budget lines created
+ */
+const copyFromActuals = async (year, version, upliftPercent, transaction) => {
+    const factor = 1 + upliftPercent / 100;
+    const actuals = await sequelize.query(
+        `SELECT jd.account_id, a.account_type, jd.department_id, jd.cost_center_id, jd.project_id,
+            MONTH(je.entry_date) as month, SUM(jd.debit) - SUM(jd.credit) as net
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        JOIN chart_of_accounts a ON jd.account_id = a.id
+        WHERE YEAR(je.entry_date) = ?
+        AND je.status IN ('posted', 'void')
+        AND je.is_closing = FALSE
+        AND a.account_type IN ('revenue', 'expense')
+        GROUP BY jd.account_id, a.account_type, jd.department_id, jd.cost_center_id, jd.project_id, month`,
+        {
+            replacements: [year],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    const lines = new Map();
+    actuals.forEach(actual => {
+        const key = [actual.account_id, actual.department_id, actual.cost_center_id, actual.project_id].join('-');
+        if (!lines.has(key)) {
+            lines.set(key, { ...actual, months: Array(12).fill(0) });
+        }
+        lines.get(key).months[actual.month - 1] += naturalBalance(actual.account_type, parseFloat(actual.net)) * factor;
+    });
+
+    let created = 0;
+    for (const line of lines.values()) {
+        const phased = phase('monthly', null, line.months);
+        if (phased.periods.every(amount => amount === 0)) {
+            continue;
+        }
+
+        await insertBudget(version, {
+            ...line,
+            phasing: 'monthly',
+            ...phased,
+            description: `${year} actuals${upliftPercent ? ` + ${upliftPercent}%` : ''}`
+        }, transaction);
+        created++;
+    }
+
+    return created;
+};
+
+/**
+ * The version reported for each fiscal year
+ * @param {Array<number>} years
+ * @param {Object} [selection] - { versionId } that version only, or { versionType } versions of that type;
+ *   in each year the latest approved one is used, else the latest one
+ * @returns {Promise<Array<Object>>} At most one version per year
+ */
+const selectVersions = async (years, { versionId, versionType } = {}) => {
+    const versions = await sequelize.query(
+        `SELECT id, fiscal_year, name, version_type, status
+        FROM budget_versions
+        WHERE ${versionId ? 'id = ?' : 'fiscal_year IN (?)'}
+        ${versionType && !versionId ? 'AND version_type = ?' : ''}
+        ORDER BY fiscal_year, status = 'approved' DESC, id DESC`,
+        {
+            replacements: versionId ? [versionId] : [years, ...(versionType ? [versionType] : [])],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return versions.filter((version, i) => i === 0 || versions[i - 1].fiscal_year !== version.fiscal_year);
+};
+
+/**
+ * Budgeted amounts of a date range
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} [options] - { filters (see dimensions.budgetFilterSql), versionId, versionType (see selectVersions),
+ *   groupBy (department, cost_center or project) }
+ * @returns {Promise<{ amounts: Map<number, number>, versions: Array<Object> }>} Budget by account ID
+ *   (with groupBy, a Map of those by group key) and the versions used
+ */
+const getAmounts = async (startDate, endDate, { filters, versionId, versionType, groupBy } = {}) => {
+    const start = moment(startDate);
+    const end = moment(endDate);
+    const years = Array.from({ length: end.year() - start.year() + 1 }, (_, i) => start.year() + i);
+
+    const versions = await selectVersions(years, { versionId, versionType });
+    const amounts = new Map();
+
+    if (!versions.length) {
+        return { amounts, versions };
+    }
+
+    const filter = dimensions.budgetFilterSql(filters);
+    const groupColumn = groupBy ? dimensions.LINE_DIMENSIONS[groupBy].column : null;
+
+    const budgets = await sequelize.query(
+        `SELECT b.id, b.account_id, b.fiscal_year, b.phasing${groupColumn ? `, b.${groupColumn} as group_key` : ''}
+        FROM budgets b
+        WHERE b.version_id IN (?)
+        ${filter.where}`,
+        {
+            replacements: [versions.map(version => version.id), ...filter.replacements],
+            type: QueryTypes.SELECT
+        }
+    );
+    const periods = await getPeriods(budgets.map(budget => budget.id));
+
+    budgets.forEach(budget => {
+        let total = 0;
+
+        monthlyAmounts(budget.phasing, periods.get(budget.id) || []).forEach((amount, month) => {
+            const monthStart = moment({ year: budget.fiscal_year, month, day: 1 });
+            const monthEnd = monthStart.clone().endOf('month').startOf('day');
+            const days = moment.min(end, monthEnd).diff(moment.max(start, monthStart), 'days') + 1;
+
+            if (days > 0) {
+                total += amount * days / monthEnd.date();
+            }
+        });
+
+        let target = amounts;
+        if (groupColumn) {
+            if (!amounts.has(budget.group_key)) {
+                amounts.set(budget.group_key, new Map());
+            }
+            target = amounts.get(budget.group_key);
+        }
+        target.set(budget.account_id, (target.get(budget.account_id) || 0) + total);
+    });
+
+    return { amounts, versions };
+};
+
+module.exports = {
+    PHASES,
+    VERSION_TYPES,
+    phase,
+    monthlyAmounts,
+    findDraftVersion,
+    originalVersionId,
+    insertBudget,
+    insertPeriods,
+    getPeriods,
+    copyFromVersion,
+    copyFromActuals,
+    selectVersions,
+    getAmounts
+};
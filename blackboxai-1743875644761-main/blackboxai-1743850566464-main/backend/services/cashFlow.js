@@ -0,0 +1,264 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round } = require('./ledger');
+
+/**
+ * Statement of cash flows from the general ledger.
+ * Every account belongs to an activity through chart_of_accounts.cash_flow_category, inherited
+ * from the nearest parent that has one, otherwise the default of its type: assets and liabilities
+ * are operating (working capital), equity is financing. Accounts in the `cash` category are the
+ * cash and bank accounts; `non_cash` accounts are left out. Closing entries are ignored, and only
+ * posted (and later voided) entries count, like the other reports.
+ */
+
+const ACTIVITIES = ['operating', 'investing', 'financing'];
+
+const DEFAULT_CATEGORIES = {
+    asset: 'operating',
+    liability: 'operating',
+    equity: 'financing',
+    revenue: 'operating',
+    expense: 'operating'
+};
+
+/**
+ * Chart of accounts with the effective cash_flow_category of every account
+ * @returns {Promise<Array<Object>>} Accounts with `category`
+ */
+const getClassifiedAccounts = async () => {
+    const accounts = await sequelize.query(
+        `SELECT id, account_code, account_name, account_type, cash_flow_category, parent_id
+        FROM chart_of_accounts
+        ORDER BY account_code`,
+        { type: QueryTypes.SELECT }
+    );
+
+    const byId = new Map(accounts.map(account => [account.id, account]));
+
+    const categoryOf = (account) => {
+        const visited = new Set();
+        for (let current = account; current && !visited.has(current.id); current = byId.get(current.parent_id)) {
+            visited.add(current.id);
+            if (current.cash_flow_category) {
+                return current.cash_flow_category;
+            }
+        }
+        return DEFAULT_CATEGORIES[account.account_type];
+    };
+
+    return accounts.map(account => ({ ...account, category: categoryOf(account) }));
+};
+
+const accountItem = (account, amount) => ({
+    account_id: account.id,
+    account_code: account.account_code,
+    account_name: account.account_name,
+    amount: round(amount)
+});
+
+const emptySections = () => Object.fromEntries(ACTIVITIES.map(activity => [activity, { items: [], total: 0 }]));
+
+const addItem = (section, item) => {
+    if (item.amount !== 0) {
+        section.items.push(item);
+        section.total = round(section.total + item.amount);
+    }
+};
+
+/**
+ * Opening and closing balance of the cash accounts
+ * @param {Array<number>} cashIds - Cash account IDs
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { openingBalance, closingBalance, change }
+ */
+const getCashBalances = async (cashIds, startDate, endDate) => {
+    const [balances] = await sequelize.query(
+        `SELECT
+            COALESCE(SUM(CASE WHEN je.entry_date < ? THEN jd.debit - jd.credit END), 0) as opening_balance,
+            COALESCE(SUM(jd.debit - jd.credit), 0) as closing_balance
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        WHERE jd.account_id IN (?)
+        AND je.entry_date <= ?
+        AND je.status IN ('posted', 'void')`,
+        {
+            replacements: [startDate, cashIds, endDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const openingBalance = round(parseFloat(balances.opening_balance));
+    const closingBalance = round(parseFloat(balances.closing_balance));
+
+    return { openingBalance, closingBalance, change: round(closingBalance - openingBalance) };
+};
+
+// Compare the statement with the actual movement of the cash accounts
+const reconcile = (statement, cash) => {
+    statement.netCashChange = round(ACTIVITIES.reduce((sum, activity) => sum + statement[activity].total, 0));
+    statement.cash = cash;
+    statement.difference = round(cash.change - statement.netCashChange);
+    statement.isReconciled = Math.abs(statement.difference) < 0.01;
+    return statement;
+};
+
+/**
+ * Indirect method: net income, plus depreciation recorded in asset_depreciation (not reversed), plus the
+ * movement of every non-cash balance sheet account in its activity. The depreciation is taken out of
+ * the movement of the accumulated depreciation accounts it was credited to, so it is not counted
+ * twice; what is left there (e.g. depreciation removed on disposals) stays in the account's activity.
+ * Revenue and expense accounts classified as investing or financing (e.g. gains on disposals) are
+ * moved out of operating into their activity.
+ * @param {Array<Object>} accounts - Result of getClassifiedAccounts()
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>}
+ */
+const indirect = async (accounts, startDate, endDate) => {
+    const movements = await sequelize.query(
+        `SELECT jd.account_id, SUM(jd.credit) - SUM(jd.debit) as amount
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        WHERE je.entry_date BETWEEN ? AND ?
+        AND je.status IN ('posted', 'void')
+        AND je.is_closing = FALSE
+        GROUP BY jd.account_id`,
+        {
+            replacements: [startDate, endDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const charges = await sequelize.query(
+        `SELECT fa.accumulated_depreciation_account_id as account_id, SUM(ad.amount) as amount
+        FROM asset_depreciation ad
+        JOIN fixed_assets fa ON ad.asset_id = fa.id
+        WHERE ad.depreciation_date BETWEEN ? AND ?
+        AND ad.is_reversed = FALSE
+        GROUP BY fa.accumulated_depreciation_account_id`,
+        {
+            replacements: [startDate, endDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const amountOf = new Map(movements.map(movement => [movement.account_id, parseFloat(movement.amount)]));
+    const chargedTo = new Map(charges.map(charge => [charge.account_id, parseFloat(charge.amount)]));
+    const depreciation = charges.reduce((sum, charge) => sum + parseFloat(charge.amount), 0);
+    const sections = emptySections();
+    let netIncome = 0;
+
+    sections.operating.items.push({ label: 'Depreciation', amount: round(depreciation) });
+    sections.operating.total = round(depreciation);
+
+    accounts.forEach(account => {
+        const amount = amountOf.get(account.id) || 0;
+        if (!amount) {
+            return;
+        }
+
+        if (['revenue', 'expense'].includes(account.account_type)) {
+            netIncome += amount;
+            // Non-operating income and expenses: out of operating, into their own activity
+            if (['investing', 'financing'].includes(account.category)) {
+                addItem(sections.operating, accountItem(account, -amount));
+                addItem(sections[account.category], accountItem(account, amount));
+            }
+            return;
+        }
+
+        if (ACTIVITIES.includes(account.category)) {
+            addItem(sections[account.category], accountItem(account, amount - (chargedTo.get(account.id) || 0)));
+        }
+    });
+
+    sections.operating.netIncome = round(netIncome);
+    sections.operating.total = round(sections.operating.total + netIncome);
+
+    return { method: 'indirect', ...sections };
+};
+
+/**
+ * Direct method: the cash received and paid by journal entries that touch a cash account,
+ * attributed to the other accounts of those entries (transfers between cash accounts cancel out)
+ * @param {Array<Object>} accounts - Result of getClassifiedAccounts()
+ * @param {Array<number>} cashIds - Cash account IDs
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>}
+ */
+const direct = async (accounts, cashIds, startDate, endDate) => {
+    const flows = await sequelize.query(
+        `SELECT
+            jd.account_id,
+            SUM(GREATEST(jd.credit - jd.debit, 0)) as receipts,
+            SUM(GREATEST(jd.debit - jd.credit, 0)) as payments
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        WHERE je.entry_date BETWEEN ? AND ?
+        AND je.status IN ('posted', 'void')
+        AND je.is_closing = FALSE
+        AND jd.account_id NOT IN (?)
+        AND je.id IN (SELECT cd.journal_id FROM journal_details cd WHERE cd.account_id IN (?))
+        GROUP BY jd.account_id`,
+        {
+            replacements: [startDate, endDate, cashIds, cashIds],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const byId = new Map(accounts.map(account => [account.id, account]));
+    const sections = emptySections();
+
+    flows.forEach(flow => {
+        const account = byId.get(flow.account_id);
+        // Cash entries should not touch non-cash accounts; report them as operating rather than hide them
+        const activity = ACTIVITIES.includes(account.category) ? account.category : 'operating';
+        const receipts = parseFloat(flow.receipts);
+        const payments = parseFloat(flow.payments);
+
+        addItem(sections[activity], {
+            ...accountItem(account, receipts - payments),
+            receipts: round(receipts),
+            payments: round(payments)
+        });
+    });
+
+    Object.values(sections).forEach(section => {
+        section.items.sort((a, b) => a.account_code.localeCompare(b.account_code));
+    });
+
+    return { method: 'direct', ...sections };
+};
+
+/**
+ * Cash flow statement for a period
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} [method] - indirect (default) or direct
+ * @returns {Promise<Object|null>} Statement, or null when no account is classified as cash
+ */
+const generate = async (startDate, endDate, method = 'indirect') => {
+    const accounts = await getClassifiedAccounts();
+    const cashIds = accounts.filter(account => account.category === 'cash').map(account => account.id);
+
+    if (!cashIds.length) {
+        return null;
+    }
+
+    const statement = method === 'direct'
+        ? await direct(accounts, cashIds, startDate, endDate)
+        : await indirect(accounts, startDate, endDate);
+
+    return reconcile(
+        { period: { startDate, endDate }, ...statement },
+        await getCashBalances(cashIds, startDate, endDate)
+    );
+};
+
+module.exports = {
+    ACTIVITIES,
+    getClassifiedAccounts,
+    generate
+};
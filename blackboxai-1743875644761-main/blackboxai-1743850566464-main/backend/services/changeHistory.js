@@ -0,0 +1,145 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+// Columns never compared (maintained by MySQL)
+const IGNORED_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+/**
+ * Tables whose updates are recorded in change_history.
+ * `masked` columns are stored with all but their last four characters hidden.
+ */
+const TRACKED_TABLES = {
+    chart_of_accounts: {},
+    suppliers: {},
+    items: {},
+    employees: { masked: ['bank_account', 'tax_number'] },
+    parking_rates: {},
+    numbering_series: {},
+    fixed_assets: {},
+    cost_centers: {},
+    projects: {}
+};
+
+const getConfig = (table) => {
+    const config = TRACKED_TABLES[table];
+    if (!config) {
+        throw new Error(`Change history is not configured for table ${table}`);
+    }
+    return config;
+};
+
+const mask = (value) => {
+    const text = String(value);
+    return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : '****';
+};
+
+// Compare as text so DECIMAL/DATE values read back the same way compare equal
+const normalize = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+};
+
+const selectRow = async (table, id, transaction, lock) => {
+    const [row] = await sequelize.query(
+        `SELECT * FROM \`${table}\` WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+        {
+            replacements: [id],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return row || null;
+};
+
+/**
+ * Read (and lock) a record before it is updated
+ * @param {string} table - Tracked table
+ * @param {number} id - Record ID
+ * @param {Object} [transaction] - Transaction of the update
+ * @returns {Promise<Object|null>} Snapshot to pass to record(), or null when the record does not exist
+ */
+const snapshot = async (table, id, transaction) => {
+    getConfig(table);
+    // Locked so concurrent updates are diffed one after the other
+    const before = await selectRow(table, id, transaction, Boolean(transaction));
+
+    return before && { table, id, before };
+};
+
+/**
+ * Compare a record with its snapshot and store the changed fields
+ * @param {Object} snap - Result of snapshot()
+ * @param {number} userId - User who made the change
+ * @param {Object} [transaction] - Transaction of the update
+ * @returns {Promise<Object>} Changes by field ({ field: { old, new } }), empty when nothing changed
+ */
+const record = async (snap, userId, transaction) => {
+    const config = getConfig(snap.table);
+    const after = await selectRow(snap.table, snap.id, transaction);
+    const changes = {};
+
+    Object.keys(after)
+        .filter(field => !IGNORED_COLUMNS.includes(field))
+        .forEach(field => {
+            const oldValue = normalize(snap.before[field]);
+            const newValue = normalize(after[field]);
+
+            if (oldValue !== newValue) {
+                const masked = (config.masked || []).includes(field);
+                changes[field] = {
+                    old: masked && oldValue !== null ? mask(oldValue) : oldValue,
+                    new: masked && newValue !== null ? mask(newValue) : newValue
+                };
+            }
+        });
+
+    if (Object.keys(changes).length) {
+        await sequelize.query(
+            `INSERT INTO change_history (table_name, record_id, changes, changed_by)
+            VALUES (?, ?, ?, ?)`,
+            {
+                replacements: [snap.table, snap.id, JSON.stringify(changes), userId || null],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+    }
+
+    return changes;
+};
+
+/**
+ * Change history of a record, newest first
+ * @param {string} table - Tracked table
+ * @param {number} id - Record ID
+ * @returns {Promise<Array>}
+ */
+const getHistory = async (table, id) => {
+    getConfig(table);
+
+    const history = await sequelize.query(
+        `SELECT h.id, h.changes, h.changed_by, u.username as changed_by_user, h.changed_at
+        FROM change_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.table_name = ? AND h.record_id = ?
+        ORDER BY h.changed_at DESC, h.id DESC`,
+        {
+            replacements: [table, id],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return history.map(entry => ({
+        ...entry,
+        changes: typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes
+    }));
+};
+
+module.exports = {
+    TRACKED_TABLES,
+    snapshot,
+    record,
+    getHistory
+};
@@ -0,0 +1,162 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+/**
+ * Foreign currencies. The books are kept in the functional currency (IDR): journal_details.debit
+ * and credit are always IDR, and lines in another currency also keep their own amounts
+ * (currency_debit, currency_credit) and the exchange rate used. Rates are IDR per unit of the
+ * currency; the rate of a date is the latest one entered on or before it.
+ */
+
+const FUNCTIONAL_CURRENCY = 'IDR';
+
+// Functional amounts are DECIMAL(15,2)
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const isForeign = (currency) => Boolean(currency) && currency !== FUNCTIONAL_CURRENCY;
+
+/**
+ * Exchange rate of a currency on a date
+ * @param {string} currency - ISO 4217 code
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<{ rate: number, rate_date: string }|null>} null when no rate is known yet
+ */
+const getRate = async (currency, date, transaction) => {
+    if (!isForeign(currency)) {
+        return { rate: 1, rate_date: date };
+    }
+
+    const [rate] = await sequelize.query(
+        `SELECT rate, DATE_FORMAT(rate_date, '%Y-%m-%d') as rate_date
+        FROM exchange_rates
+        WHERE currency = ? AND rate_date <= ?
+        ORDER BY rate_date DESC
+        LIMIT 1`,
+        {
+            replacements: [currency, date],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return rate ? { rate: parseFloat(rate.rate), rate_date: rate.rate_date } : null;
+};
+
+/**
+ * Move the functional rounding difference of lines onto the largest of them
+ * @param {Array<Object>} lines - Converted lines whose difference is absorbed (changed in place)
+ * @param {Array<Object>} [into] - Lines that may take it (default lines)
+ */
+const absorbRounding = (lines, into = lines) => {
+    const difference = round(lines.reduce((sum, line) => sum + line.debit - line.credit, 0));
+    if (!difference || !into.length) {
+        return;
+    }
+
+    const size = (line) => Math.max(line.debit, line.credit);
+    const largest = into.reduce((max, line) => (size(line) > size(max) ? line : max));
+
+    if (largest.debit >= largest.credit) {
+        largest.debit = round(largest.debit - difference);
+    } else {
+        largest.credit = round(largest.credit + difference);
+    }
+};
+
+/**
+ * Journal lines entered in their own currency, with the functional amounts added.
+ * Lines are rounded to IDR one by one; the rounding difference of a currency whose lines balance, or of an
+ * entry that balances at the rates used, goes onto its largest line so the IDR amounts balance as well.
+ * @param {Array<Object>} lines - { account_id, debit, credit, currency (default IDR), exchange_rate (default the rate of the date) }
+ * @param {string} date - Entry date (YYYY-MM-DD)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ lines: Array<Object>, error: string|null }>} Lines ready for journalPosting, or the reason they are rejected
+ */
+const toFunctional = async (lines, date, transaction) => {
+    const accounts = await sequelize.query(
+        'SELECT id, account_code, currency FROM chart_of_accounts WHERE id IN (?)',
+        {
+            replacements: [lines.map(line => line.account_id)],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+    const accountById = new Map(accounts.map(account => [account.id, account]));
+
+    const converted = [];
+
+    for (const line of lines) {
+        const account = accountById.get(parseInt(line.account_id));
+        const currency = line.currency || FUNCTIONAL_CURRENCY;
+
+        if (!account) {
+            return { lines: null, error: `Account ${line.account_id} does not exist` };
+        }
+
+        if (isForeign(account.currency) && currency !== account.currency) {
+            return { lines: null, error: `Lines of account ${account.account_code} must be in ${account.currency}` };
+        }
+
+        let rate = 1;
+        if (isForeign(currency) && line.exchange_rate) {
+            rate = parseFloat(line.exchange_rate);
+        } else if (isForeign(currency)) {
+            const known = await getRate(currency, date, transaction);
+            if (!known) {
+                return { lines: null, error: `No exchange rate for ${currency} on or before ${date}` };
+            }
+            rate = known.rate;
+        }
+
+        const debit = parseFloat(line.debit);
+        const credit = parseFloat(line.credit);
+
+        converted.push({
+            ...line,
+            currency,
+            exchange_rate: rate,
+            currency_debit: debit,
+            currency_credit: credit,
+            debit: round(debit * rate),
+            credit: round(credit * rate)
+        });
+    }
+
+    const foreign = converted.filter(line => isForeign(line.currency));
+    new Set(foreign.map(line => line.currency)).forEach(code => {
+        const inCurrency = foreign.filter(line => line.currency === code);
+        const net = inCurrency.reduce((sum, line) => sum + line.currency_debit - line.currency_credit, 0);
+        if (Math.abs(net) < 0.005) {
+            absorbRounding(inCurrency);
+        }
+    });
+
+    const exactNet = converted.reduce(
+        (sum, line) => sum + (line.currency_debit - line.currency_credit) * line.exchange_rate, 0
+    );
+    if (Math.abs(exactNet) < 0.005) {
+        absorbRounding(converted, foreign);
+    }
+
+    return { lines: converted, error: null };
+};
+
+/**
+ * SQL pieces for reporting journal lines in a currency: the functional amounts of every line,
+ * or only the lines in a foreign currency with their own amounts. `where` goes after the other
+ * conditions and takes `replacements`.
+ * @param {string} [currency] - Report currency (default the functional currency)
+ * @returns {{ debit: string, credit: string, where: string, replacements: Array<string> }}
+ */
+const reportColumns = (currency) => (isForeign(currency)
+    ? { debit: 'jd.currency_debit', credit: 'jd.currency_credit', where: 'AND jd.currency = ?', replacements: [currency] }
+    : { debit: 'jd.debit', credit: 'jd.credit', where: '', replacements: [] });
+
+module.exports = {
+    FUNCTIONAL_CURRENCY,
+    isForeign,
+    getRate,
+    toFunctional,
+    reportColumns
+};
@@ -0,0 +1,459 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round } = require('./ledger');
+const journalPosting = require('./journalPosting');
+
+/**
+ * Monthly depreciation of fixed assets (the commercial book). An asset is depreciated once per month
+ * from the month it was bought (half of that month, or from the next one, by its acquisition
+ * convention), dated on the last day of the month. A charge never takes the book value
+ * below the salvage value, and the last month of the useful life takes it down to salvage (units of
+ * production depreciate with the output recorded in asset_usage instead of time). Depreciation runs
+ * post the charges of all active assets for a month as one journal entry (expense account debited,
+ * accumulated depreciation account credited); reversing a run keeps its asset_depreciation rows
+ * with is_reversed set. A disposal adds a row of its own (disposal_id) with the depreciation of the
+ * disposed part up to the disposal date and the values of what is left of the asset.
+ */
+
+const METHODS = ['straight_line', 'declining_balance', 'sum_of_years_digits', 'units_of_production'];
+
+// Acquisition conventions: the part of the month of purchase not depreciated (the useful life starts that much later)
+const CONVENTIONS = {
+    full_month: 0,
+    mid_month: 0.5,
+    next_month: 1
+};
+
+// Account type each account of an asset must have
+const ASSET_ACCOUNTS = {
+    account_id: { label: 'Asset account', type: 'asset' },
+    depreciation_expense_account_id: { label: 'Depreciation expense account', type: 'expense' },
+    accumulated_depreciation_account_id: { label: 'Accumulated depreciation account', type: 'asset' }
+};
+
+const ASSET_COLUMNS = "fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date";
+
+const monthNumber = (date) => moment(date).year() * 12 + moment(date).month();
+
+/**
+ * Last day of the month containing a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const periodEndOf = (date) => moment(date).endOf('month').format('YYYY-MM-DD');
+
+/**
+ * Accounts of an asset that do not exist or have the wrong type
+ * @param {Object} accounts - Any of account_id, depreciation_expense_account_id, accumulated_depreciation_account_id
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string|null>} Reason the accounts are rejected, or null
+ */
+const validateAccounts = async (accounts, transaction) => {
+    for (const [column, { label, type }] of Object.entries(ASSET_ACCOUNTS)) {
+        if (!accounts[column]) {
+            continue;
+        }
+
+        const [account] = await sequelize.query(
+            'SELECT account_type FROM chart_of_accounts WHERE id = ?',
+            {
+                replacements: [accounts[column]],
+                type: QueryTypes.SELECT,
+                transaction
+            }
+        );
+
+        if (!account) {
+            return `${label} not found`;
+        }
+
+        if (account.account_type !== type) {
+            return `${label} must be an ${type} account`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check the depreciation method of an asset against its other settings
+ * @param {Object} asset - depreciation_method and total_units
+ * @returns {string|null} Reason the method is rejected, or null
+ */
+const validateMethod = (asset) => {
+    if (asset.depreciation_method === 'units_of_production' && !(parseFloat(asset.total_units) > 0)) {
+        return 'Units of production needs the total units the asset is expected to produce';
+    }
+
+    return null;
+};
+
+/**
+ * Depreciation of an asset for one month
+ * @param {Object} asset - fixed_assets row
+ * @param {number} bookValue - Book value before the month
+ * @param {string} periodEnd - Last day of the month (YYYY-MM-DD)
+ * @param {Object} [usage] - units_of_production: { units (of the month), before (units of earlier months) }
+ * @returns {number}
+ */
+const monthlyCharge = (asset, bookValue, periodEnd, usage) => {
+    const depreciable = round(bookValue - parseFloat(asset.salvage_value || 0));
+    if (depreciable <= 0) {
+        return 0;
+    }
+
+    if (asset.depreciation_method === 'units_of_production') {
+        if (!usage || !usage.units) {
+            return 0;
+        }
+        // What is left over the output that is left, like straight-line over time
+        const unitsLeft = parseFloat(asset.total_units) - usage.before;
+        return unitsLeft <= usage.units ? depreciable : Math.min(round(depreciable * usage.units / unitsLeft), depreciable);
+    }
+
+    const offset = CONVENTIONS[asset.depreciation_convention || 'full_month'];
+    const monthsUsed = monthNumber(periodEnd) - monthNumber(asset.purchase_date) - offset;
+    // Part of this month the asset is depreciated for, and months of the useful life left from its start
+    const inService = Math.min(Math.max(monthsUsed + 1, 0), 1);
+    if (inService <= 0) {
+        return 0;
+    }
+
+    const monthsLeft = asset.useful_life_years * 12 - Math.max(monthsUsed, 0);
+    if (monthsLeft <= inService) {
+        return depreciable;
+    }
+
+    let charge;
+    if (asset.depreciation_method === 'declining_balance') {
+        charge = bookValue * (2 / asset.useful_life_years) / 12 * inService;
+    } else if (asset.depreciation_method === 'sum_of_years_digits') {
+        // Year n of a life of N years takes (N - n + 1) / (1 + 2 + ... + N) of the depreciable cost
+        const life = asset.useful_life_years;
+        const year = Math.floor(Math.max(monthsUsed, 0) / 12) + 1;
+        const depreciableCost = parseFloat(asset.purchase_cost) - parseFloat(asset.salvage_value || 0);
+        charge = depreciableCost * (life - year + 1) / (life * (life + 1) / 2) / 12 * inService;
+    } else {
+        // What is left over the life that is left, so a changed life or salvage value applies from now on
+        charge = depreciable * inService / monthsLeft;
+    }
+
+    return Math.min(round(charge), depreciable);
+};
+
+/**
+ * Depreciation of an asset from the start of a month to a day in it, for a final charge on disposal
+ * (units of production take the output recorded for the month, which is the output up to that day)
+ * @param {Object} asset - fixed_assets row
+ * @param {number} bookValue - Book value before the month
+ * @param {string} date - Last day depreciated (YYYY-MM-DD)
+ * @param {Object} [usage] - See monthlyCharge
+ * @returns {number}
+ */
+const proRataCharge = (asset, bookValue, date, usage) => {
+    const charge = monthlyCharge(asset, bookValue, periodEndOf(date), usage);
+    if (asset.depreciation_method === 'units_of_production') {
+        return charge;
+    }
+
+    const day = moment(date);
+    return round(charge * day.date() / day.daysInMonth());
+};
+
+/**
+ * Output of units_of_production assets for a month and before it
+ * @param {Array<Object>} assets - fixed_assets rows (others are ignored)
+ * @param {string} periodEnd - Last day of the month (YYYY-MM-DD)
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Map<number, { units: number, before: number }>>} By asset ID
+ */
+const getUsage = async (assets, periodEnd, transaction) => {
+    const assetIds = assets.filter(asset => asset.depreciation_method === 'units_of_production').map(asset => asset.id);
+    if (!assetIds.length) {
+        return new Map();
+    }
+
+    const rows = await sequelize.query(
+        `SELECT asset_id,
+            COALESCE(SUM(CASE WHEN period_end = ? THEN units END), 0) as units,
+            COALESCE(SUM(CASE WHEN period_end < ? THEN units END), 0) as before_units
+        FROM asset_usage
+        WHERE asset_id IN (?)
+        GROUP BY asset_id`,
+        {
+            replacements: [periodEnd, periodEnd, assetIds],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return new Map(rows.map(row => [
+        row.asset_id,
+        { units: parseFloat(row.units), before: parseFloat(row.before_units) }
+    ]));
+};
+
+/**
+ * Latest depreciation of each asset that was not reversed, with the last month-end depreciation
+ * (depreciated_to; disposals do not count, the rest of the asset is still due for the month)
+ * @param {Array<number>} assetIds
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Map<number, Object>>} { depreciation_date, accumulated_depreciation, book_value, depreciated_to } by asset ID
+ */
+const getLatest = async (assetIds, transaction) => {
+    if (!assetIds.length) {
+        return new Map();
+    }
+
+    const rows = await sequelize.query(
+        `SELECT ad.asset_id, DATE_FORMAT(ad.depreciation_date, '%Y-%m-%d') as depreciation_date,
+            ad.accumulated_depreciation, ad.book_value, ad.disposal_id
+        FROM asset_depreciation ad
+        WHERE ad.asset_id IN (?)
+        AND ad.is_reversed = FALSE
+        ORDER BY ad.depreciation_date, ad.id`,
+        {
+            replacements: [assetIds],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    const latest = new Map();
+    rows.forEach(row => {
+        const previous = latest.get(row.asset_id);
+        latest.set(row.asset_id, {
+            ...row,
+            depreciated_to: row.disposal_id ? (previous ? previous.depreciated_to : null) : row.depreciation_date
+        });
+    });
+
+    return latest;
+};
+
+/**
+ * First month before the month of a date that a depreciation run still has to charge an asset for.
+ * Months a run skips without charging anything (e.g. units of production without output) are not due,
+ * nor are assets runs leave out (not active, or without depreciation accounts).
+ * @param {Object} asset - fixed_assets row (purchase_date as YYYY-MM-DD)
+ * @param {Object} [last] - Latest depreciation of the asset (see getLatest)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string|null>} Last day of the month (YYYY-MM-DD), or null when no run is due
+ */
+const firstDueMonth = async (asset, last, date, transaction) => {
+    if (asset.status !== 'active'
+        || !asset.depreciation_expense_account_id || !asset.accumulated_depreciation_account_id) {
+        return null;
+    }
+
+    const monthStart = moment(date).startOf('month');
+    const month = last && last.depreciated_to
+        ? moment(last.depreciated_to).startOf('month').add(1, 'month')
+        : moment(asset.purchase_date).startOf('month');
+    // Nothing is charged in the months skipped, so the book value stays the same
+    const bookValue = last ? parseFloat(last.book_value) : parseFloat(asset.purchase_cost);
+
+    for (; month.isBefore(monthStart); month.add(1, 'month')) {
+        const periodEnd = periodEndOf(month);
+        const usage = (await getUsage([asset], periodEnd, transaction)).get(asset.id);
+
+        if (monthlyCharge(asset, bookValue, periodEnd, usage) > 0) {
+            return periodEnd;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Depreciation of the active assets for the month ending on periodEnd, without writing anything.
+ * Assets already depreciated for the month (or a later one), without depreciation accounts or with an earlier month
+ * still to depreciate (see firstDueMonth) are skipped.
+ * @param {string} periodEnd - Last day of the month (YYYY-MM-DD)
+ * @param {Object} [options] - { assetIds (limit the run to these assets), lock (lock the assets' rows) }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { period_end, items, skipped, total_amount }
+ */
+const planRun = async (periodEnd, { assetIds, lock } = {}, transaction) => {
+    const periodStart = moment(periodEnd).startOf('month').format('YYYY-MM-DD');
+
+    const assets = await sequelize.query(
+        `SELECT ${ASSET_COLUMNS}
+        FROM fixed_assets fa
+        WHERE fa.status = 'active'
+        AND fa.purchase_date <= ?
+        ${assetIds ? 'AND fa.id IN (?)' : ''}
+        ORDER BY fa.asset_code
+        ${lock ? 'FOR UPDATE' : ''}`,
+        {
+            replacements: assetIds ? [periodEnd, assetIds] : [periodEnd],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    const latest = await getLatest(assets.map(asset => asset.id), transaction);
+    const usage = await getUsage(assets, periodEnd, transaction);
+    const items = [];
+    const skipped = [];
+
+    for (const asset of assets) {
+        const skip = (reason) => skipped.push({ asset_id: asset.id, asset_code: asset.asset_code, reason });
+        const last = latest.get(asset.id);
+
+        if (last && last.depreciated_to && last.depreciated_to >= periodStart) {
+            skip(last.depreciated_to > periodEnd
+                ? `Already depreciated up to ${last.depreciated_to.slice(0, 7)}`
+                : 'Already depreciated for this period');
+            continue;
+        }
+
+        if (last && last.depreciation_date > periodEnd) {
+            skip(`Partly disposed of on ${last.depreciation_date}`);
+            continue;
+        }
+
+        if (!asset.depreciation_expense_account_id || !asset.accumulated_depreciation_account_id) {
+            skip('No depreciation expense or accumulated depreciation account');
+            continue;
+        }
+
+        // Months are depreciated in order: a month left out would never be charged
+        const dueMonth = await firstDueMonth(asset, last, periodEnd, transaction);
+        if (dueMonth) {
+            skip(`Not depreciated for ${dueMonth.slice(0, 7)} yet`);
+            continue;
+        }
+
+        const bookValue = last ? parseFloat(last.book_value) : parseFloat(asset.purchase_cost);
+        const amount = monthlyCharge(asset, bookValue, periodEnd, usage.get(asset.id));
+
+        if (amount <= 0) {
+            if (asset.depreciation_method === 'units_of_production' && !(usage.get(asset.id) || {}).units) {
+                skip('No usage recorded for this period');
+            } else {
+                skip(bookValue > parseFloat(asset.salvage_value || 0)
+                    ? 'Depreciation starts the month after acquisition'
+                    : 'Nothing left to depreciate');
+            }
+            continue;
+        }
+
+        const newBookValue = round(bookValue - amount);
+
+        items.push({
+            asset_id: asset.id,
+            asset_code: asset.asset_code,
+            asset_name: asset.asset_name,
+            depreciation_expense_account_id: asset.depreciation_expense_account_id,
+            accumulated_depreciation_account_id: asset.accumulated_depreciation_account_id,
+            department_id: asset.department_id,
+            amount,
+            accumulated_depreciation: round((last ? parseFloat(last.accumulated_depreciation) : 0) + amount),
+            book_value: newBookValue,
+            fully_depreciated: newBookValue <= parseFloat(asset.salvage_value || 0)
+        });
+    }
+
+    return {
+        period_end: periodEnd,
+        items,
+        skipped,
+        total_amount: round(items.reduce((sum, item) => sum + item.amount, 0))
+    };
+};
+
+/**
+ * Post a planned run (see planRun, with the assets locked): its journal entry, the asset_depreciation
+ * rows, and the fully_depreciated status of assets down to salvage. Period checks are the caller's.
+ * @param {Object} plan - Result of planRun, with at least one item
+ * @param {number} userId - User running the depreciation
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ id: number, journalId: number, referenceNo: string }>}
+ */
+const postRun = async (plan, userId, transaction) => {
+    const period = plan.period_end.slice(0, 7);
+    const lines = plan.items.flatMap(item => [
+        {
+            account_id: item.depreciation_expense_account_id,
+            debit: item.amount,
+            credit: 0,
+            department_id: item.department_id,
+            description: `Depreciation ${item.asset_code} ${period}`
+        },
+        {
+            account_id: item.accumulated_depreciation_account_id,
+            debit: 0,
+            credit: item.amount,
+            department_id: item.department_id,
+            description: `Depreciation ${item.asset_code} ${period}`
+        }
+    ]);
+
+    const journal = await journalPosting.createPostedEntry({
+        entry_date: plan.period_end,
+        description: `Depreciation ${period}`
+    }, lines, userId, transaction);
+
+    const [runId] = await sequelize.query(
+        `INSERT INTO depreciation_runs (period_end, journal_id, asset_count, total_amount, created_by)
+        VALUES (?, ?, ?, ?, ?)`,
+        {
+            replacements: [plan.period_end, journal.id, plan.items.length, plan.total_amount, userId],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    for (const item of plan.items) {
+        await sequelize.query(
+            `INSERT INTO asset_depreciation
+            (asset_id, run_id, depreciation_date, amount, accumulated_depreciation, book_value)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    item.asset_id,
+                    runId,
+                    plan.period_end,
+                    item.amount,
+                    item.accumulated_depreciation,
+                    item.book_value
+                ],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+    }
+
+    const doneIds = plan.items.filter(item => item.fully_depreciated).map(item => item.asset_id);
+    if (doneIds.length) {
+        await sequelize.query(
+            `UPDATE fixed_assets SET status = 'fully_depreciated' WHERE id IN (?)`,
+            {
+                replacements: [doneIds],
+                type: QueryTypes.UPDATE,
+                transaction
+            }
+        );
+    }
+
+    return { id: runId, journalId: journal.id, referenceNo: journal.referenceNo };
+};
+
+module.exports = {
+    METHODS,
+    CONVENTIONS,
+    ASSET_ACCOUNTS,
+    periodEndOf,
+    validateAccounts,
+    validateMethod,
+    monthlyCharge,
+    proRataCharge,
+    getUsage,
+    getLatest,
+    firstDueMonth,
+    planRun,
+    postRun
+};
@@ -0,0 +1,260 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round } = require('./ledger');
+const depreciation = require('./depreciation');
+
+/**
+ * Projected depreciation of fixed assets: the months not depreciated yet, up to the end of the useful
+ * life or down to the salvage value, with the same monthly charge as the depreciation runs. Units of
+ * production take the output recorded for a month, or units_per_month (by default the average output
+ * recorded so far) for the months without it. Overriding the life, method, salvage value, convention
+ * or total units of an asset gives a what-if projection. Nothing is written.
+ */
+
+// Settings of an asset a what-if projection can change
+const OVERRIDES = [
+    'useful_life_years',
+    'depreciation_method',
+    'salvage_value',
+    'depreciation_convention',
+    'total_units'
+];
+
+// Months projected at most, so that an asset with little output still ends somewhere
+const MAX_MONTHS = 1200;
+
+const ASSET_COLUMNS = "fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date";
+
+const byUnits = (asset) => asset.depreciation_method === 'units_of_production';
+
+/**
+ * Recorded output of assets
+ * @param {Array<number>} assetIds
+ * @returns {Promise<Map<number, Array<Object>>>} { period_end, units } by asset ID, in date order
+ */
+const getUsageRows = async (assetIds) => {
+    const byAsset = new Map(assetIds.map(id => [id, []]));
+    if (!assetIds.length) {
+        return byAsset;
+    }
+
+    const rows = await sequelize.query(
+        `SELECT asset_id, DATE_FORMAT(period_end, '%Y-%m-%d') as period_end, units
+        FROM asset_usage
+        WHERE asset_id IN (?)
+        ORDER BY period_end`,
+        {
+            replacements: [assetIds],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    rows.forEach(row => byAsset.get(row.asset_id).push({ period_end: row.period_end, units: parseFloat(row.units) }));
+    return byAsset;
+};
+
+/**
+ * Remaining depreciation of an asset month by month
+ * @param {Object} asset - fixed_assets row (purchase_date as YYYY-MM-DD), with any overrides applied
+ * @param {Object} [last] - Latest depreciation of the asset (see depreciation.getLatest)
+ * @param {Array<Object>} [usage] - Recorded output { period_end, units } of a units_of_production asset
+ * @param {Object} [options] - { endDate (last day projected), unitsPerMonth (output of months without usage) }
+ * @returns {Object} { book_value, salvage_value, units_per_month, months: [{ period_end, amount,
+ *   accumulated_depreciation, book_value, units }], years: [{ year, amount }], total_amount, end_period,
+ *   end_book_value, complete (the projection reaches the salvage value) }
+ */
+const project = (asset, last, usage = [], { endDate, unitsPerMonth } = {}) => {
+    const salvageValue = parseFloat(asset.salvage_value || 0);
+    const unitsBased = byUnits(asset);
+    const start = last && last.depreciated_to
+        ? moment(last.depreciated_to).startOf('month').add(1, 'month')
+        : moment(asset.purchase_date).startOf('month');
+    const startDate = start.format('YYYY-MM-DD');
+
+    const recorded = new Map(usage.map(row => [row.period_end, row.units]));
+    const averageUnits = usage.length ? usage.reduce((sum, row) => sum + row.units, 0) / usage.length : null;
+    const assumedUnits = unitsBased ? (unitsPerMonth !== undefined ? unitsPerMonth : averageUnits) : null;
+    let usedUnits = usage.filter(row => row.period_end < startDate).reduce((sum, row) => sum + row.units, 0);
+
+    let bookValue = last ? parseFloat(last.book_value) : parseFloat(asset.purchase_cost);
+    let accumulated = last ? parseFloat(last.accumulated_depreciation) : 0;
+    const months = [];
+    const startBookValue = bookValue;
+
+    if (!['disposed', 'fully_depreciated'].includes(asset.status)) {
+        const month = start.clone();
+        for (let i = 0; i < MAX_MONTHS && round(bookValue - salvageValue) > 0; i++, month.add(1, 'month')) {
+            const periodEnd = month.clone().endOf('month').format('YYYY-MM-DD');
+            if (endDate && periodEnd > endDate) {
+                break;
+            }
+
+            let monthUsage;
+            if (unitsBased) {
+                if (!recorded.has(periodEnd) && !assumedUnits) {
+                    break;
+                }
+                monthUsage = {
+                    units: recorded.has(periodEnd) ? recorded.get(periodEnd) : assumedUnits,
+                    before: usedUnits
+                };
+                usedUnits += monthUsage.units;
+            }
+
+            const amount = depreciation.monthlyCharge(asset, bookValue, periodEnd, monthUsage);
+            if (amount <= 0) {
+                continue;
+            }
+
+            bookValue = round(bookValue - amount);
+            accumulated = round(accumulated + amount);
+            months.push({
+                period_end: periodEnd,
+                amount,
+                accumulated_depreciation: accumulated,
+                book_value: bookValue,
+                ...(unitsBased ? { units: round(monthUsage.units) } : {})
+            });
+        }
+    }
+
+    const years = [];
+    months.forEach(month => {
+        const year = Number(month.period_end.slice(0, 4));
+        if (!years.length || years[years.length - 1].year !== year) {
+            years.push({ year, amount: 0 });
+        }
+        years[years.length - 1].amount = round(years[years.length - 1].amount + month.amount);
+    });
+
+    return {
+        book_value: startBookValue,
+        salvage_value: salvageValue,
+        units_per_month: assumedUnits === null ? null : round(assumedUnits),
+        months,
+        years,
+        total_amount: round(startBookValue - bookValue),
+        end_period: months.length ? months[months.length - 1].period_end : null,
+        end_book_value: bookValue,
+        complete: round(bookValue - salvageValue) <= 0
+    };
+};
+
+/**
+ * Projection of one asset, and with overrides a what-if projection next to it with the difference by year
+ * @param {Object} asset - fixed_assets row (purchase_date as YYYY-MM-DD)
+ * @param {Object} [overrides] - Any of OVERRIDES
+ * @param {Object} [options] - See project
+ * @returns {Promise<Object>} { current, what_if, impact } (what_if and impact are null without overrides)
+ */
+const projectAsset = async (asset, overrides = {}, options = {}) => {
+    const last = (await depreciation.getLatest([asset.id])).get(asset.id);
+    const changed = OVERRIDES.filter(column => overrides[column] !== undefined);
+    const whatIfAsset = { ...asset };
+    changed.forEach(column => {
+        whatIfAsset[column] = overrides[column];
+    });
+
+    const usage = byUnits(asset) || byUnits(whatIfAsset) ? (await getUsageRows([asset.id])).get(asset.id) : [];
+    const current = project(asset, last, usage, options);
+
+    if (!changed.length) {
+        return { current, what_if: null, impact: null };
+    }
+
+    const whatIf = project(whatIfAsset, last, usage, options);
+    const yearSet = [...new Set([...current.years, ...whatIf.years].map(row => row.year))].sort((a, b) => a - b);
+    const amountIn = (projection, year) => (projection.years.find(row => row.year === year) || { amount: 0 }).amount;
+
+    return {
+        current,
+        what_if: whatIf,
+        impact: {
+            changed: Object.fromEntries(changed.map(column => [
+                column,
+                { from: asset[column], to: whatIfAsset[column] }
+            ])),
+            years: yearSet.map(year => ({
+                year,
+                current: amountIn(current, year),
+                what_if: amountIn(whatIf, year),
+                difference: round(amountIn(whatIf, year) - amountIn(current, year))
+            })),
+            total_difference: round(whatIf.total_amount - current.total_amount),
+            end_period: { current: current.end_period, what_if: whatIf.end_period }
+        }
+    };
+};
+
+/**
+ * Projection of the whole register (active assets): totals by month and year, and per asset
+ * @param {Object} [filters] - { location, department_id }
+ * @param {Object} [options] - { endDate }
+ * @returns {Promise<Object>} { assets, months: [{ period_end, amount }], years: [{ year, amount }], total_amount }
+ */
+const projectRegister = async ({ location, department_id } = {}, options = {}) => {
+    let query = `SELECT ${ASSET_COLUMNS} FROM fixed_assets fa WHERE fa.status = 'active'`;
+    const replacements = [];
+
+    if (location) {
+        query += ' AND fa.location = ?';
+        replacements.push(location);
+    }
+
+    if (department_id) {
+        query += ' AND fa.department_id = ?';
+        replacements.push(department_id);
+    }
+
+    query += ' ORDER BY fa.asset_code';
+
+    const assets = await sequelize.query(query, {
+        replacements,
+        type: QueryTypes.SELECT
+    });
+
+    const latest = await depreciation.getLatest(assets.map(asset => asset.id));
+    const usage = await getUsageRows(assets.filter(byUnits).map(asset => asset.id));
+    const byMonth = new Map();
+    const byYear = new Map();
+
+    const lines = assets.map(asset => {
+        const projection = project(asset, latest.get(asset.id), usage.get(asset.id), options);
+
+        projection.months.forEach(month => {
+            byMonth.set(month.period_end, round((byMonth.get(month.period_end) || 0) + month.amount));
+        });
+        projection.years.forEach(row => {
+            byYear.set(row.year, round((byYear.get(row.year) || 0) + row.amount));
+        });
+
+        return {
+            asset_id: asset.id,
+            asset_code: asset.asset_code,
+            asset_name: asset.asset_name,
+            depreciation_method: asset.depreciation_method,
+            book_value: projection.book_value,
+            salvage_value: projection.salvage_value,
+            total_amount: projection.total_amount,
+            end_period: projection.end_period,
+            end_book_value: projection.end_book_value,
+            complete: projection.complete
+        };
+    });
+
+    return {
+        assets: lines,
+        months: [...byMonth.keys()].sort()
+            .map(periodEnd => ({ period_end: periodEnd, amount: byMonth.get(periodEnd) })),
+        years: [...byYear.keys()].sort((a, b) => a - b).map(year => ({ year, amount: byYear.get(year) })),
+        total_amount: round(lines.reduce((sum, line) => sum + line.total_amount, 0))
+    };
+};
+
+module.exports = {
+    OVERRIDES,
+    project,
+    projectAsset,
+    projectRegister
+};
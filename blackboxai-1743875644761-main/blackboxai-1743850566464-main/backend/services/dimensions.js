@@ -0,0 +1,287 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+/**
+ * Analytic dimensions of journal lines: a department, a cost center and a project (at most one
+ * of each per line, stored on journal_details) and any number of free-form tags
+ * (journal_detail_tags). Rules in account_dimension_rules make dimensions mandatory on the lines
+ * of an account and of all its sub-accounts.
+ */
+
+// Dimensions kept in a column of the line, with the table they come from
+const LINE_DIMENSIONS = {
+    department: { label: 'Department', column: 'department_id', table: 'departments', code: 'dept_code', name: 'dept_name' },
+    cost_center: { label: 'Cost center', column: 'cost_center_id', table: 'cost_centers', code: 'code', name: 'name', active: true },
+    project: { label: 'Project', column: 'project_id', table: 'projects', code: 'code', name: 'name', active: true }
+};
+
+const DIMENSIONS = [...Object.keys(LINE_DIMENSIONS), 'tag'];
+
+// Report filters (query parameters)
+const FILTERS = ['department_id', 'cost_center_id', 'project_id', 'tag'];
+
+// As in "Lines of account 6100 require a project"
+const REQUIRED_LABELS = {
+    department: 'a department',
+    cost_center: 'a cost center',
+    project: 'a project',
+    tag: 'a tag'
+};
+
+/**
+ * Tags as stored: trimmed, lower case, without duplicates
+ * @param {Array<string>} [tags]
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => [...new Set((tags || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean))];
+
+/**
+ * Tags kept in a JSON column (journal template lines)
+ * @param {string|Array<string>|null} tags
+ * @returns {Array<string>}
+ */
+const parseTags = (tags) => (typeof tags === 'string' ? JSON.parse(tags) : tags) || [];
+
+/**
+ * SQL column with the tags of a journal line as one comma-separated string (see splitTags)
+ * @param {string} alias - Alias of journal_details in the query
+ * @returns {string}
+ */
+const tagsColumn = (alias) => `(SELECT GROUP_CONCAT(jt.tag ORDER BY jt.tag SEPARATOR ',')
+    FROM journal_detail_tags jt WHERE jt.detail_id = ${alias}.id) as tags`;
+
+/**
+ * Tags read with tagsColumn
+ * @param {string|null} tags
+ * @returns {Array<string>}
+ */
+const splitTags = (tags) => (tags ? tags.split(',') : []);
+
+/**
+ * Dimensions required on the lines of each account, inherited from every parent account
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Map<number, { account_code: string, dimensions: Set<string> }>>}
+ */
+const getRequiredDimensions = async (transaction) => {
+    const accounts = await sequelize.query(
+        'SELECT id, account_code, parent_id FROM chart_of_accounts',
+        { type: QueryTypes.SELECT, transaction }
+    );
+    const rules = await sequelize.query(
+        'SELECT account_id, dimension FROM account_dimension_rules',
+        { type: QueryTypes.SELECT, transaction }
+    );
+
+    const byId = new Map(accounts.map(account => [account.id, account]));
+    const ownRules = new Map();
+    rules.forEach(rule => {
+        ownRules.set(rule.account_id, [...(ownRules.get(rule.account_id) || []), rule.dimension]);
+    });
+
+    return new Map(accounts.map(account => {
+        const dimensions = new Set();
+        const visited = new Set();
+        for (let current = account; current && !visited.has(current.id); current = byId.get(current.parent_id)) {
+            visited.add(current.id);
+            (ownRules.get(current.id) || []).forEach(dimension => dimensions.add(dimension));
+        }
+        return [account.id, { account_code: account.account_code, dimensions }];
+    }));
+};
+
+/**
+ * Department, cost center and project references that do not exist or are inactive
+ * @param {Array<Object>} rows - { department_id, cost_center_id, project_id }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string|null>} Reason the rows are rejected, or null
+ */
+const validateValues = async (rows, transaction) => {
+    for (const config of Object.values(LINE_DIMENSIONS)) {
+        const ids = [...new Set(rows.map(row => row[config.column]).filter(Boolean).map(Number))];
+        if (!ids.length) {
+            continue;
+        }
+
+        const found = await sequelize.query(
+            `SELECT id FROM ${config.table} WHERE id IN (?)${config.active ? ' AND is_active = TRUE' : ''}`,
+            {
+                replacements: [ids],
+                type: QueryTypes.SELECT,
+                transaction
+            }
+        );
+
+        const missing = ids.find(id => !found.some(row => row.id === id));
+        if (missing) {
+            return `${config.label} ${missing} does not exist or is inactive`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Problems with the dimensions of journal lines: unknown or inactive values, missing required dimensions
+ * @param {Array<Object>} lines - { account_id, department_id, cost_center_id, project_id, tags }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string|null>} Reason the lines are rejected, or null
+ */
+const validateLines = async (lines, transaction) => {
+    const valueError = await validateValues(lines, transaction);
+    if (valueError) {
+        return valueError;
+    }
+
+    const required = await getRequiredDimensions(transaction);
+
+    for (const line of lines) {
+        const rule = required.get(parseInt(line.account_id));
+        if (!rule) {
+            continue;
+        }
+
+        for (const dimension of rule.dimensions) {
+            const present = dimension === 'tag'
+                ? normalizeTags(line.tags).length > 0
+                : Boolean(line[LINE_DIMENSIONS[dimension].column]);
+
+            if (!present) {
+                return `Lines of account ${rule.account_code} require ${REQUIRED_LABELS[dimension]}`;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Store the tags of a journal line
+ * @param {number} detailId - journal_details ID
+ * @param {Array<string>} tags
+ * @param {Object} transaction - Sequelize transaction
+ */
+const insertTags = async (detailId, tags, transaction) => {
+    for (const tag of normalizeTags(tags)) {
+        await sequelize.query(
+            'INSERT INTO journal_detail_tags (detail_id, tag) VALUES (?, ?)',
+            {
+                replacements: [detailId, tag],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+    }
+};
+
+/**
+ * SQL conditions on journal lines (alias jd) for report filters
+ * @param {Object} [filters] - { department_id, cost_center_id, project_id, tag }
+ * @returns {{ where: string, replacements: Array }}
+ */
+const filterSql = (filters = {}) => {
+    const conditions = [];
+    const replacements = [];
+
+    Object.values(LINE_DIMENSIONS).forEach(({ column }) => {
+        if (filters[column]) {
+            conditions.push(`AND jd.${column} = ?`);
+            replacements.push(filters[column]);
+        }
+    });
+
+    if (filters.tag) {
+        conditions.push('AND EXISTS (SELECT 1 FROM journal_detail_tags ft WHERE ft.detail_id = jd.id AND ft.tag = ?)');
+        replacements.push(normalizeTags([filters.tag])[0]);
+    }
+
+    return { where: conditions.join('\n'), replacements };
+};
+
+/**
+ * SQL grouping journal lines (alias jd) by a dimension. Lines without it fall in the null group;
+ * a line with several tags counts in each of them.
+ * @param {string} dimension - department, cost_center, project or tag
+ * @returns {{ key: string, join: string }}
+ */
+const groupSql = (dimension) => (dimension === 'tag'
+    ? { key: 'gt.tag', join: 'LEFT JOIN journal_detail_tags gt ON gt.detail_id = jd.id' }
+    : { key: `jd.${LINE_DIMENSIONS[dimension].column}`, join: '' });
+
+/**
+ * SQL conditions on budgets for report filters (budgets have no tags)
+ * @param {Object} [filters] - { department_id, cost_center_id, project_id }
+ * @param {string} [alias] - Alias of budgets in the query
+ * @returns {{ where: string, replacements: Array }}
+ */
+const budgetFilterSql = (filters = {}, alias = 'b') => {
+    const columns = Object.values(LINE_DIMENSIONS).map(({ column }) => column).filter(column => filters[column]);
+
+    return {
+        where: columns.map(column => `AND ${alias}.${column} = ?`).join('\n'),
+        replacements: columns.map(column => filters[column])
+    };
+};
+
+// Journal lines (jd) counting against a budget (b): a dimension left empty on the budget matches every line
+const BUDGET_LINE_MATCH = Object.values(LINE_DIMENSIONS)
+    .map(({ column }) => `AND (b.${column} IS NULL OR jd.${column} = b.${column})`)
+    .join('\n');
+
+/**
+ * Report filters present in a query string
+ * @param {Object} query - req.query
+ * @returns {Object} { department_id, cost_center_id, project_id, tag } (only those given)
+ */
+const filtersFrom = (query) => Object.fromEntries(FILTERS.filter(key => query[key]).map(key => [key, query[key]]));
+
+/**
+ * Codes and names of dimension values for report groups
+ * @param {string} dimension - department, cost_center, project or tag
+ * @param {Array} keys - Group keys (IDs, or tags)
+ * @returns {Promise<Map<*, { code: string, name: string }>>} null key labelled as unassigned
+ */
+const getLabels = async (dimension, keys) => {
+    const labels = new Map([[null, { code: null, name: 'Unassigned' }]]);
+    const values = keys.filter(key => key !== null);
+
+    if (dimension === 'tag') {
+        values.forEach(tag => labels.set(tag, { code: tag, name: tag }));
+        return labels;
+    }
+
+    if (values.length) {
+        const config = LINE_DIMENSIONS[dimension];
+        const rows = await sequelize.query(
+            `SELECT id, ${config.code} as code, ${config.name} as name FROM ${config.table} WHERE id IN (?)`,
+            {
+                replacements: [values],
+                type: QueryTypes.SELECT
+            }
+        );
+        rows.forEach(row => labels.set(row.id, { code: row.code, name: row.name }));
+    }
+
+    return labels;
+};
+
+module.exports = {
+    LINE_DIMENSIONS,
+    DIMENSIONS,
+    FILTERS,
+    normalizeTags,
+    parseTags,
+    tagsColumn,
+    splitTags,
+    getRequiredDimensions,
+    validateValues,
+    validateLines,
+    insertTags,
+    filterSql,
+    groupSql,
+    budgetFilterSql,
+    BUDGET_LINE_MATCH,
+    filtersFrom,
+    getLabels
+};
@@ -0,0 +1,222 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round } = require('./ledger');
+const { reportColumns } = require('./currency');
+const dimensions = require('./dimensions');
+
+/**
+ * Building blocks of the balance sheet and income statement: account balances for a date or
+ * period, rolled up the parent_id tree, with comparison columns and their variances.
+ */
+
+const COMPARISON_LABELS = {
+    prior_period: 'Prior period',
+    prior_year: 'Same period last year',
+    budget: 'Budget'
+};
+
+/**
+ * Debit minus credit per account over posted (and later voided) entries
+ * @param {Object} range - { from (optional), to, excludeClosing, currency (optional, see currency.reportColumns),
+ *   filters (optional, see dimensions.filterSql), groupBy (optional dimension) }
+ * @returns {Promise<Map<number, number>>} Net amount by account ID; with groupBy, a Map of those by group key
+ */
+const getNetAmounts = async ({ from, to, excludeClosing, currency, filters, groupBy }) => {
+    const columns = reportColumns(currency);
+    const filter = dimensions.filterSql(filters);
+    const group = groupBy ? dimensions.groupSql(groupBy) : null;
+
+    const movements = await sequelize.query(
+        `SELECT ${group ? `${group.key} as group_key, ` : ''}jd.account_id,
+            SUM(${columns.debit}) - SUM(${columns.credit}) as net
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        ${group ? group.join : ''}
+        WHERE je.entry_date <= ?
+        ${from ? 'AND je.entry_date >= ?' : ''}
+        AND je.status IN ('posted', 'void')
+        ${excludeClosing ? 'AND je.is_closing = FALSE' : ''}
+        ${columns.where}
+        ${filter.where}
+        GROUP BY ${group ? 'group_key, ' : ''}jd.account_id`,
+        {
+            replacements: [to, ...(from ? [from] : []), ...columns.replacements, ...filter.replacements],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (!group) {
+        return new Map(movements.map(movement => [movement.account_id, parseFloat(movement.net)]));
+    }
+
+    const groups = new Map();
+    movements.forEach(movement => {
+        if (!groups.has(movement.group_key)) {
+            groups.set(movement.group_key, new Map());
+        }
+        groups.get(movement.group_key).set(movement.account_id, parseFloat(movement.net));
+    });
+
+    return groups;
+};
+
+/**
+ * The dates compared with a balance sheet date
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {string} key - prior_period (one month earlier) or prior_year
+ * @returns {string} YYYY-MM-DD
+ */
+const comparisonDate = (asOfDate, key) => {
+    const date = moment(asOfDate);
+    const isMonthEnd = date.isSame(date.clone().endOf('month'), 'day');
+    const shifted = date.subtract(1, key === 'prior_year' ? 'year' : 'month');
+
+    // The end of a month compares with the end of the other month
+    return (isMonthEnd ? shifted.endOf('month') : shifted).format('YYYY-MM-DD');
+};
+
+/**
+ * The period compared with an income statement period
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} key - prior_period (the same length just before), prior_year or budget (same period)
+ * @returns {{ startDate: string, endDate: string }}
+ */
+const comparisonPeriod = (startDate, endDate, key) => {
+    const start = moment(startDate);
+    const end = moment(endDate);
+
+    if (key === 'budget') {
+        return { startDate, endDate };
+    }
+
+    if (key === 'prior_year') {
+        return {
+            startDate: start.subtract(1, 'year').format('YYYY-MM-DD'),
+            endDate: end.subtract(1, 'year').format('YYYY-MM-DD')
+        };
+    }
+
+    // Whole months compare with the same number of months before, anything else by days
+    if (start.date() === 1 && end.isSame(end.clone().endOf('month'), 'day')) {
+        const months = end.diff(start, 'months') + 1;
+        return {
+            startDate: start.subtract(months, 'months').format('YYYY-MM-DD'),
+            endDate: start.clone().add(months, 'months').subtract(1, 'day').format('YYYY-MM-DD')
+        };
+    }
+
+    const days = end.diff(start, 'days') + 1;
+    return {
+        startDate: start.clone().subtract(days, 'days').format('YYYY-MM-DD'),
+        endDate: start.clone().subtract(1, 'day').format('YYYY-MM-DD')
+    };
+};
+
+/**
+ * Accounts of some types in tree order (each parent followed by its children, by account code)
+ * @param {Array<string>} types - Account types
+ * @returns {Promise<Array<Object>>} Accounts with `level`; a parent of another type starts a new tree
+ */
+const getAccountTree = async (types) => {
+    const accounts = await sequelize.query(
+        `SELECT id, account_code, account_name, account_type, parent_id
+        FROM chart_of_accounts
+        WHERE account_type IN (?)
+        ORDER BY account_code`,
+        {
+            replacements: [types],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const ids = new Set(accounts.map(account => account.id));
+    const childrenOf = new Map();
+    accounts.forEach(account => {
+        const parentId = ids.has(account.parent_id) ? account.parent_id : null;
+        childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), account]);
+    });
+
+    const ordered = [];
+    const visit = (account, level) => {
+        ordered.push({ ...account, level });
+        (childrenOf.get(account.id) || []).forEach(child => visit(child, level + 1));
+    };
+    (childrenOf.get(null) || []).forEach(root => visit(root, 0));
+
+    return ordered;
+};
+
+/**
+ * Variance of a value against a comparison value
+ * @param {number} amount - Current amount
+ * @param {number} compared - Comparison amount
+ * @returns {{ amount: number, variance: number, variancePercent: number|null }}
+ */
+const variance = (amount, compared) => ({
+    amount: round(compared),
+    variance: round(amount - compared),
+    variancePercent: compared ? round((amount - compared) / Math.abs(compared) * 100) : null
+});
+
+/**
+ * Statement lines of a section with subtotals up the tree and comparison columns
+ * @param {Array<Object>} accounts - Result of getAccountTree(), one section
+ * @param {Function} amountOf - (account, columnKey) => own amount; columnKey null for the current column
+ * @param {Array<string>} comparisonKeys - Comparison columns
+ * @param {number} [depth] - Deepest level returned (subtotals still include everything below)
+ * @returns {{ lines: Array<Object>, total: number, comparisons: Object }}
+ */
+const buildSection = (accounts, amountOf, comparisonKeys, depth) => {
+    const columns = [null, ...comparisonKeys];
+    const totals = new Map(accounts.map(account => [account.id, columns.map(column => amountOf(account, column))]));
+    const byId = new Map(accounts.map(account => [account.id, account]));
+
+    // Children come after their parent, so adding in reverse order rolls every subtotal up completely
+    [...accounts].reverse().forEach(account => {
+        if (account.level > 0 && byId.has(account.parent_id)) {
+            const parentTotals = totals.get(account.parent_id);
+            totals.get(account.id).forEach((amount, i) => {
+                parentTotals[i] += amount;
+            });
+        }
+    });
+
+    const sectionTotals = columns.map((column, i) => accounts
+        .filter(account => account.level === 0)
+        .reduce((sum, account) => sum + totals.get(account.id)[i], 0));
+
+    const withComparisons = (values) => Object.fromEntries(
+        comparisonKeys.map((key, i) => [key, variance(values[0], values[i + 1])])
+    );
+
+    const lines = accounts
+        .filter(account => depth === undefined || account.level <= depth)
+        .map(account => {
+            const values = totals.get(account.id);
+            return {
+                ...account,
+                hasChildren: accounts.some(other => other.parent_id === account.id),
+                balance: round(amountOf(account, null)),
+                total: round(values[0]),
+                comparisons: withComparisons(values)
+            };
+        });
+
+    return {
+        lines,
+        total: round(sectionTotals[0]),
+        comparisons: withComparisons(sectionTotals)
+    };
+};
+
+module.exports = {
+    COMPARISON_LABELS,
+    getNetAmounts,
+    comparisonDate,
+    comparisonPeriod,
+    getAccountTree,
+    variance,
+    buildSection
+};
@@ -0,0 +1,300 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { round } = require('./ledger');
+
+/**
+ * Fiscal book of fixed assets: depreciation for the tax return by the asset's PPh group (Pasal 11),
+ * next to the commercial book of asset_depreciation. It follows from the cost, group, method and
+ * acquisition month of the asset and from its disposals, so it is computed rather than stored and
+ * never posted. Depreciation starts in the month of acquisition with no salvage value; declining
+ * balance applies the rate to the book value at the start of each (calendar) tax year, and the last
+ * month of the tax life takes whatever is left. The part of an asset disposed of is not depreciated
+ * in the month of the disposal.
+ */
+
+const FISCAL_GROUPS = {
+    kelompok_1: { label: 'Kelompok 1', years: 4, rates: { straight_line: 0.25, declining_balance: 0.5 } },
+    kelompok_2: { label: 'Kelompok 2', years: 8, rates: { straight_line: 0.125, declining_balance: 0.25 } },
+    kelompok_3: { label: 'Kelompok 3', years: 16, rates: { straight_line: 0.0625, declining_balance: 0.125 } },
+    kelompok_4: { label: 'Kelompok 4', years: 20, rates: { straight_line: 0.05, declining_balance: 0.1 } },
+    bangunan_permanen: { label: 'Bangunan permanen', years: 20, rates: { straight_line: 0.05 } },
+    bangunan_tidak_permanen: { label: 'Bangunan tidak permanen', years: 10, rates: { straight_line: 0.1 } }
+};
+
+const FISCAL_METHODS = ['straight_line', 'declining_balance'];
+
+// Corporate income tax rate (percent) for deferred tax when none is given
+const DEFAULT_TAX_RATE = 22;
+
+// Cost of an asset when it was bought: disposals have taken their part off purchase_cost
+const originalCost = (asset, disposals) => round(disposals.reduce(
+    (sum, disposal) => sum + parseFloat(disposal.cost_removed),
+    parseFloat(asset.purchase_cost)
+));
+
+/**
+ * Check a fiscal group and method
+ * @param {string|null} group - Key of FISCAL_GROUPS
+ * @param {string|null} method - straight_line (default) or declining_balance
+ * @returns {string|null} Reason they are rejected, or null
+ */
+const validateFiscal = (group, method) => {
+    if (!group) {
+        return method ? 'A fiscal method needs a fiscal group' : null;
+    }
+
+    return FISCAL_GROUPS[group].rates[method || 'straight_line']
+        ? null
+        : `${FISCAL_GROUPS[group].label} is depreciated straight-line only`;
+};
+
+/**
+ * Fiscal depreciation of an asset month by month, up to a date
+ * @param {Object} asset - fixed_assets row with a fiscal_group (purchase_date as YYYY-MM-DD)
+ * @param {Array<Object>} disposals - Its asset_disposals rows by date
+ *   ({ id, disposal_date as YYYY-MM-DD, portion_percent, cost_removed, proceeds })
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Object} { months: [{ period_end, amount, accumulated_depreciation, book_value }], disposals:
+ *   [{ disposal_id, disposal_date, book_value_removed, gain_loss }], cost, accumulated_depreciation, book_value }
+ */
+const schedule = (asset, disposals, to) => {
+    const group = FISCAL_GROUPS[asset.fiscal_group];
+    const rate = group.rates[asset.fiscal_method || 'straight_line'];
+    const declining = asset.fiscal_method === 'declining_balance';
+    const lastMonth = moment(asset.purchase_date).startOf('month').add(group.years * 12 - 1, 'months');
+
+    let cost = originalCost(asset, disposals);
+    let accumulated = 0;
+    let yearBase = cost;
+    const pending = disposals.filter(disposal => disposal.disposal_date <= to);
+    const months = [];
+    const removed = [];
+
+    for (const month = moment(asset.purchase_date).startOf('month'); month.format('YYYY-MM-DD') <= to; month.add(1, 'month')) {
+        const periodEnd = month.clone().endOf('month').format('YYYY-MM-DD');
+
+        while (pending.length && pending[0].disposal_date <= periodEnd) {
+            const disposal = pending.shift();
+            const portion = parseFloat(disposal.portion_percent) / 100;
+            const costRemoved = parseFloat(disposal.cost_removed);
+            const accumulatedRemoved = portion === 1 ? accumulated : round(accumulated * portion);
+            const bookValueRemoved = round(costRemoved - accumulatedRemoved);
+
+            cost = round(cost - costRemoved);
+            accumulated = round(accumulated - accumulatedRemoved);
+            yearBase = round(yearBase * (1 - portion));
+            removed.push({
+                disposal_id: disposal.id,
+                disposal_date: disposal.disposal_date,
+                book_value_removed: bookValueRemoved,
+                gain_loss: round(parseFloat(disposal.proceeds) - bookValueRemoved)
+            });
+        }
+
+        const remaining = round(cost - accumulated);
+        if (remaining <= 0) {
+            if (!pending.length) {
+                break;
+            }
+            continue;
+        }
+
+        if (periodEnd > to) {
+            break;
+        }
+
+        if (declining && month.month() === 0) {
+            yearBase = remaining;
+        }
+
+        const amount = month.isSameOrAfter(lastMonth, 'month')
+            ? remaining
+            : Math.min(round((declining ? yearBase : cost) * rate / 12), remaining);
+
+        accumulated = round(accumulated + amount);
+        months.push({
+            period_end: periodEnd,
+            amount,
+            accumulated_depreciation: accumulated,
+            book_value: round(cost - accumulated)
+        });
+    }
+
+    return {
+        months,
+        disposals: removed,
+        cost,
+        accumulated_depreciation: accumulated,
+        book_value: round(cost - accumulated)
+    };
+};
+
+/**
+ * Disposals of assets that were not reversed, by asset, in date order
+ * @param {Array<number>} assetIds
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+const getDisposals = async (assetIds) => {
+    const byAsset = new Map(assetIds.map(id => [id, []]));
+    if (!assetIds.length) {
+        return byAsset;
+    }
+
+    const rows = await sequelize.query(
+        `SELECT id, asset_id, DATE_FORMAT(disposal_date, '%Y-%m-%d') as disposal_date, portion_percent,
+            cost_removed, proceeds, gain_loss
+        FROM asset_disposals
+        WHERE asset_id IN (?)
+        AND status = 'posted'
+        ORDER BY disposal_date, id`,
+        {
+            replacements: [assetIds],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    rows.forEach(row => byAsset.get(row.asset_id).push(row));
+    return byAsset;
+};
+
+/**
+ * Commercial and fiscal depreciation, gains and book values of every asset for a period, with the
+ * fiscal corrections of the tax return and the temporary differences for deferred tax
+ * (fiscal book value minus commercial book value: positive is deductible, a deferred tax asset)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {number} taxRate - Percent
+ * @returns {Promise<Object>}
+ */
+const getDifferences = async (startDate, endDate, taxRate) => {
+    const openingDate = moment(startDate).subtract(1, 'day').format('YYYY-MM-DD');
+    const bookValueAt = (alias) => `(SELECT book_value FROM asset_depreciation
+        WHERE asset_id = fa.id AND is_reversed = FALSE AND depreciation_date <= ?
+        ORDER BY depreciation_date DESC, id DESC LIMIT 1) as ${alias}`;
+
+    const assets = await sequelize.query(
+        `SELECT fa.*, DATE_FORMAT(fa.purchase_date, '%Y-%m-%d') as purchase_date,
+            ${bookValueAt('opening_book_value')},
+            ${bookValueAt('closing_book_value')},
+            (SELECT COALESCE(SUM(amount), 0) FROM asset_depreciation
+             WHERE asset_id = fa.id AND is_reversed = FALSE AND depreciation_date BETWEEN ? AND ?) as depreciation
+        FROM fixed_assets fa
+        WHERE fa.purchase_date <= ?
+        ORDER BY fa.asset_code`,
+        {
+            replacements: [openingDate, endDate, startDate, endDate, endDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const disposals = await getDisposals(assets.map(asset => asset.id));
+    const rate = taxRate / 100;
+    const lines = [];
+    const unclassified = [];
+
+    assets.forEach(asset => {
+        const assetDisposals = disposals.get(asset.id);
+        // Before its first depreciation an asset is worth what it cost when bought
+        const commercialBookValue = (bookValue, date) => {
+            if (bookValue !== null) {
+                return parseFloat(bookValue);
+            }
+            return asset.purchase_date <= date ? originalCost(asset, assetDisposals) : 0;
+        };
+        const inPeriod = (disposal) => disposal.disposal_date >= startDate && disposal.disposal_date <= endDate;
+
+        if (!asset.fiscal_group) {
+            unclassified.push({ asset_id: asset.id, asset_code: asset.asset_code, asset_name: asset.asset_name });
+            return;
+        }
+
+        const opening = schedule(asset, assetDisposals, openingDate);
+        const closing = schedule(asset, assetDisposals, endDate);
+        const commercial = {
+            opening: commercialBookValue(asset.opening_book_value, openingDate),
+            closing: commercialBookValue(asset.closing_book_value, endDate)
+        };
+        const commercialDepreciation = round(parseFloat(asset.depreciation));
+        const fiscalDepreciation = round(closing.months
+            .filter(month => month.period_end >= startDate)
+            .reduce((sum, month) => sum + month.amount, 0));
+        const commercialGainLoss = round(assetDisposals.filter(inPeriod)
+            .reduce((sum, disposal) => sum + parseFloat(disposal.gain_loss), 0));
+        const fiscalGainLoss = round(closing.disposals.filter(inPeriod)
+            .reduce((sum, disposal) => sum + disposal.gain_loss, 0));
+
+        const line = {
+            asset_id: asset.id,
+            asset_code: asset.asset_code,
+            asset_name: asset.asset_name,
+            depreciation_method: asset.depreciation_method,
+            fiscal_group: asset.fiscal_group,
+            fiscal_method: asset.fiscal_method || 'straight_line',
+            commercial_depreciation: commercialDepreciation,
+            fiscal_depreciation: fiscalDepreciation,
+            depreciation_correction: round(commercialDepreciation - fiscalDepreciation),
+            commercial_gain_loss: commercialGainLoss,
+            fiscal_gain_loss: fiscalGainLoss,
+            gain_loss_correction: round(fiscalGainLoss - commercialGainLoss),
+            opening: {
+                commercial_book_value: commercial.opening,
+                fiscal_book_value: asset.purchase_date <= openingDate ? opening.book_value : 0,
+                temporary_difference: 0
+            },
+            closing: {
+                commercial_book_value: commercial.closing,
+                fiscal_book_value: closing.book_value,
+                temporary_difference: 0
+            }
+        };
+        ['opening', 'closing'].forEach(key => {
+            line[key].temporary_difference = round(line[key].fiscal_book_value - line[key].commercial_book_value);
+        });
+
+        const isEmpty = !line.commercial_depreciation && !line.fiscal_depreciation && !commercialGainLoss
+            && !fiscalGainLoss && !line.opening.commercial_book_value && !line.opening.fiscal_book_value
+            && !line.closing.commercial_book_value && !line.closing.fiscal_book_value;
+        if (!isEmpty) {
+            lines.push(line);
+        }
+    });
+
+    const total = (pick) => round(lines.reduce((sum, line) => sum + pick(line), 0));
+    const totals = {
+        commercial_depreciation: total(line => line.commercial_depreciation),
+        fiscal_depreciation: total(line => line.fiscal_depreciation),
+        depreciation_correction: total(line => line.depreciation_correction),
+        gain_loss_correction: total(line => line.gain_loss_correction),
+        opening_temporary_difference: total(line => line.opening.temporary_difference),
+        closing_temporary_difference: total(line => line.closing.temporary_difference)
+    };
+    totals.fiscal_correction = round(totals.depreciation_correction + totals.gain_loss_correction);
+
+    const openingDeferredTax = round(totals.opening_temporary_difference * rate);
+    const closingDeferredTax = round(totals.closing_temporary_difference * rate);
+
+    return {
+        period: { start_date: startDate, end_date: endDate },
+        tax_rate: taxRate,
+        assets: lines,
+        unclassified,
+        totals,
+        // Positive: deferred tax asset, and a deferred tax benefit for the period
+        deferred_tax: {
+            opening: openingDeferredTax,
+            closing: closingDeferredTax,
+            movement: round(closingDeferredTax - openingDeferredTax)
+        }
+    };
+};
+
+module.exports = {
+    FISCAL_GROUPS,
+    FISCAL_METHODS,
+    DEFAULT_TAX_RATE,
+    validateFiscal,
+    schedule,
+    getDisposals,
+    getDifferences
+};
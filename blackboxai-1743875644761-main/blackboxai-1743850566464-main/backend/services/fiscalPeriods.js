@@ -0,0 +1,117 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const permissionService = require('./permissionService');
+
+/**
+ * Fiscal periods decide which dates journal entries may be created, edited, posted or reversed on:
+ *   open        - anyone with the journal permissions
+ *   soft_closed - only users with accounting.periods.post_soft_closed (closing adjustments)
+ *   hard_closed - nobody; the period has to be reopened (accounting.periods.reopen)
+ * Dates outside every defined period are rejected.
+ */
+
+const STATUS_ORDER = ['open', 'soft_closed', 'hard_closed'];
+
+const SOFT_CLOSED_PERMISSION = 'accounting.periods.post_soft_closed';
+
+/**
+ * Fiscal period containing a date. The row is share-locked so a period
+ * cannot be closed while an entry dated in it is being written.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Period with its fiscal year name
+ */
+const findPeriod = async (date, transaction) => {
+    const [period] = await sequelize.query(
+        `SELECT p.*, y.name as fiscal_year_name
+        FROM fiscal_periods p
+        JOIN fiscal_years y ON p.fiscal_year_id = y.id
+        WHERE ? BETWEEN p.start_date AND p.end_date
+        FOR SHARE`,
+        {
+            replacements: [date],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return period || null;
+};
+
+/**
+ * Check that a user may write a journal entry dated on a date
+ * @param {string} date - Entry date (YYYY-MM-DD)
+ * @param {Object} user - Authenticated user
+ * @param {Object} transaction - Transaction writing the entry
+ * @returns {Promise<string|null>} Reason the date is rejected, or null when it is allowed
+ */
+const checkPostingDate = async (date, user, transaction) => {
+    const period = await findPeriod(date, transaction);
+
+    if (!period) {
+        return `No fiscal period is defined for ${date}`;
+    }
+
+    if (period.status === 'hard_closed') {
+        return `Fiscal period ${period.name} (${period.fiscal_year_name}) is closed`;
+    }
+
+    if (period.status === 'soft_closed') {
+        const granted = await permissionService.getEffectivePermissions(user);
+        if (!granted.has(SOFT_CLOSED_PERMISSION)) {
+            return `Fiscal period ${period.name} (${period.fiscal_year_name}) is closed for regular postings`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Split a fiscal year into monthly periods. Years may start on any day
+ * (e.g. 1 April) and the last period ends on the year end.
+ * @param {string} startDate - First day of the fiscal year (YYYY-MM-DD)
+ * @param {string} endDate - Last day of the fiscal year (YYYY-MM-DD)
+ * @returns {Array<Object>} { period_no, name, start_date, end_date }
+ */
+const buildMonthlyPeriods = (startDate, endDate) => {
+    const periods = [];
+    const yearStart = moment(startDate);
+    const end = moment(endDate);
+    let start = yearStart.clone();
+
+    while (!start.isAfter(end)) {
+        // Counted from the year start so a year starting on the 31st does not drift
+        const periodEnd = moment.min(
+            yearStart.clone().add(periods.length + 1, 'months').subtract(1, 'day'),
+            end
+        );
+
+        periods.push({
+            period_no: periods.length + 1,
+            name: start.format('MMM YYYY'),
+            start_date: start.format('YYYY-MM-DD'),
+            end_date: periodEnd.format('YYYY-MM-DD')
+        });
+
+        start = periodEnd.clone().add(1, 'day');
+    }
+
+    return periods;
+};
+
+/**
+ * Whether moving from one period status to another tightens the lock
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+const isStricter = (from, to) => STATUS_ORDER.indexOf(to) > STATUS_ORDER.indexOf(from);
+
+module.exports = {
+    STATUS_ORDER,
+    findPeriod,
+    checkPostingDate,
+    buildMonthlyPeriods,
+    isStricter
+};
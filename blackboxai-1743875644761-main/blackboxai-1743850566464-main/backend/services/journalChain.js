@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { isForeign } = require('./currency');
+const { tagsColumn } = require('./dimensions');
+
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Tamper-evident hash chain over posted journal entries.
+ *
+ * When an entry is posted it gets the next chain_seq and
+ * entry_hash = SHA-256(prev_hash + canonical JSON of the header and its lines),
+ * where prev_hash is the entry_hash of the previously posted entry. Editing a
+ * sealed header or line directly in the database, or deleting/reordering entries,
+ * breaks every later link. The status column is deliberately not sealed so a
+ * posted entry can still be voided, but a sealed entry must stay posted or void.
+ */
+
+// Dates and amounts are formatted in SQL so the payload does not depend on driver settings
+const HEADER_COLUMNS = `j.id, j.chain_seq, j.prev_hash, j.entry_hash, j.status,
+    DATE_FORMAT(j.entry_date, '%Y-%m-%d') as entry_date, j.reference_no, j.description`;
+const LINE_COLUMNS = `d.id, d.journal_id, d.account_id,
+    CAST(d.debit AS CHAR) as debit, CAST(d.credit AS CHAR) as credit, d.description, d.currency,
+    CAST(d.exchange_rate AS CHAR) as exchange_rate, CAST(d.currency_debit AS CHAR) as currency_debit,
+    CAST(d.currency_credit AS CHAR) as currency_credit, d.department_id, d.cost_center_id, d.project_id,
+    ${tagsColumn('d')}`;
+
+const computeHash = (prevHash, entry, lines) => {
+    const payload = JSON.stringify({
+        seq: entry.chain_seq,
+        id: entry.id,
+        entry_date: entry.entry_date,
+        reference_no: entry.reference_no,
+        description: entry.description,
+        lines: lines.map(line => ({
+            id: line.id,
+            account_id: line.account_id,
+            debit: line.debit,
+            credit: line.credit,
+            description: line.description,
+            // Lines in the functional currency hash the same as before lines had a currency
+            ...(isForeign(line.currency) ? {
+                currency: line.currency,
+                exchange_rate: line.exchange_rate,
+                currency_debit: line.currency_debit,
+                currency_credit: line.currency_credit
+            } : {}),
+            // Likewise lines without dimensions
+            ...(line.department_id || line.cost_center_id || line.project_id || line.tags ? {
+                department_id: line.department_id,
+                cost_center_id: line.cost_center_id,
+                project_id: line.project_id,
+                tags: line.tags
+            } : {})
+        }))
+    });
+
+    return crypto.createHash('sha256').update(prevHash + payload).digest('hex');
+};
+
+const getLines = (journalIds, transaction) => sequelize.query(
+    `SELECT ${LINE_COLUMNS}
+    FROM journal_details d
+    WHERE d.journal_id IN (?)
+    ORDER BY d.journal_id, d.id`,
+    {
+        replacements: [journalIds],
+        type: QueryTypes.SELECT,
+        transaction
+    }
+);
+
+/**
+ * Seal a journal entry that is being posted by appending it to the chain
+ * @param {number} journalId - Journal entry ID
+ * @param {Object} transaction - Sequelize transaction of the posting
+ * @returns {Promise<{ chainSeq: number, entryHash: string }>}
+ */
+const seal = async (journalId, transaction) => {
+    // The single chain head row serializes concurrent postings
+    const [head] = await sequelize.query(
+        'SELECT last_seq, last_hash FROM journal_chain_head WHERE id = 1 FOR UPDATE',
+        {
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    const chainSeq = head.last_seq + 1;
+    const prevHash = head.last_hash || GENESIS_HASH;
+
+    const [entry] = await sequelize.query(
+        `SELECT ${HEADER_COLUMNS} FROM journal_entries j WHERE j.id = ?`,
+        {
+            replacements: [journalId],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    const entryHash = computeHash(prevHash, { ...entry, chain_seq: chainSeq }, await getLines([journalId], transaction));
+
+    await sequelize.query(
+        `UPDATE journal_entries
+        SET chain_seq = ?, prev_hash = ?, entry_hash = ?, sealed_at = NOW()
+        WHERE id = ?`,
+        {
+            replacements: [chainSeq, prevHash, entryHash, journalId],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    await sequelize.query(
+        'UPDATE journal_chain_head SET last_seq = ?, last_hash = ? WHERE id = 1',
+        {
+            replacements: [chainSeq, entryHash],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    return { chainSeq, entryHash };
+};
+
+/**
+ * Walk the whole chain and report the first broken link
+ * @returns {Promise<Object>} { valid, checkedEntries, lastSeq, lastHash, verifiedAt, brokenAt }
+ */
+const verify = async () => {
+    const verifiedAt = new Date();
+    let expectedPrevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checkedEntries = 0;
+
+    const result = (brokenAt) => ({
+        valid: !brokenAt,
+        checkedEntries,
+        lastSeq: expectedSeq - 1,
+        lastHash: expectedSeq > 1 ? expectedPrevHash : null,
+        verifiedAt,
+        brokenAt: brokenAt || null
+    });
+
+    // Posted entries that were never sealed were set to posted outside the application
+    const [unsealed] = await sequelize.query(
+        `SELECT id, reference_no FROM journal_entries
+        WHERE status <> 'draft' AND chain_seq IS NULL
+        ORDER BY id LIMIT 1`,
+        { type: QueryTypes.SELECT }
+    );
+
+    for (;;) {
+        const entries = await sequelize.query(
+            `SELECT ${HEADER_COLUMNS}
+            FROM journal_entries j
+            WHERE j.chain_seq >= ?
+            ORDER BY j.chain_seq
+            LIMIT ?`,
+            {
+                replacements: [expectedSeq, VERIFY_BATCH_SIZE],
+                type: QueryTypes.SELECT
+            }
+        );
+
+        if (!entries.length) {
+            break;
+        }
+
+        const lines = await getLines(entries.map(entry => entry.id));
+
+        for (const entry of entries) {
+            const broken = (reason) => ({
+                journalId: entry.id,
+                referenceNo: entry.reference_no,
+                chainSeq: entry.chain_seq,
+                reason
+            });
+
+            if (entry.chain_seq !== expectedSeq) {
+                return result(broken(`Missing chain entry ${expectedSeq}`));
+            }
+
+            if (entry.prev_hash !== expectedPrevHash) {
+                return result(broken('Previous hash does not match the preceding entry'));
+            }
+
+            const entryLines = lines.filter(line => line.journal_id === entry.id);
+            if (computeHash(expectedPrevHash, entry, entryLines) !== entry.entry_hash) {
+                return result(broken('Entry or its lines were modified after posting'));
+            }
+
+            // Not in the hash, but a sealed entry going back to draft drops it from the ledger
+            if (entry.status !== 'posted' && entry.status !== 'void') {
+                return result(broken(`Sealed entry is ${entry.status}`));
+            }
+
+            expectedPrevHash = entry.entry_hash;
+            expectedSeq++;
+            checkedEntries++;
+        }
+    }
+
+    const [head] = await sequelize.query(
+        'SELECT last_seq, last_hash FROM journal_chain_head WHERE id = 1',
+        { type: QueryTypes.SELECT }
+    );
+
+    // Entries removed from (or rewritten at) the end of the chain only show up against the head
+    if (head && head.last_seq !== expectedSeq - 1) {
+        return result({
+            journalId: null,
+            referenceNo: null,
+            chainSeq: expectedSeq,
+            reason: `Chain ends at ${expectedSeq - 1} but ${head.last_seq} entries were sealed`
+        });
+    }
+
+    if (head && head.last_seq > 0 && head.last_hash !== expectedPrevHash) {
+        return result({
+            journalId: null,
+            referenceNo: null,
+            chainSeq: head.last_seq,
+            reason: 'Last entry hash does not match the chain head'
+        });
+    }
+
+    if (unsealed) {
+        return result({
+            journalId: unsealed.id,
+            referenceNo: unsealed.reference_no,
+            chainSeq: null,
+            reason: 'Posted entry was never sealed'
+        });
+    }
+
+    return result(null);
+};
+
+module.exports = {
+    seal,
+    verify
+};
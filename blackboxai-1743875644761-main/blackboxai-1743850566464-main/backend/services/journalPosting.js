@@ -0,0 +1,218 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const journalChain = require('./journalChain');
+const fiscalPeriods = require('./fiscalPeriods');
+const numbering = require('./numbering');
+const { FUNCTIONAL_CURRENCY } = require('./currency');
+const dimensions = require('./dimensions');
+
+/**
+ * Writing journal entries: drafts entered by users or generated from templates,
+ * and entries the system posts directly (reversals, closing entries). Everything
+ * runs in the caller's transaction. Reference numbers come from the journal_entry
+ * numbering series, taken when the entry is inserted.
+ */
+
+/**
+ * Whether debits and credits of the lines are equal
+ * @param {Array<Object>} lines - { debit, credit }
+ * @returns {boolean}
+ */
+const isBalanced = (lines) => {
+    const totalDebit = lines.reduce((sum, line) => sum + parseFloat(line.debit), 0);
+    const totalCredit = lines.reduce((sum, line) => sum + parseFloat(line.credit), 0);
+
+    return Math.abs(totalDebit - totalCredit) <= 0.01; // Allow for small floating point differences
+};
+
+/**
+ * Validation shared by every way a journal entry is created
+ * @param {Object} entry - { entry_date }
+ * @param {Array<Object>} lines - { account_id, debit, credit, and the dimensions (see insertLines) }
+ * @param {Object} user - User creating the entry (period permissions)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<string|null>} Reason the entry is rejected, or null
+ */
+const validateEntry = async (entry, lines, user, transaction) => {
+    if (!lines.length) {
+        return 'At least one journal detail is required';
+    }
+
+    if (!isBalanced(lines)) {
+        return 'Debits and credits must be equal';
+    }
+
+    const dimensionError = await dimensions.validateLines(lines, transaction);
+    if (dimensionError) {
+        return dimensionError;
+    }
+
+    return fiscalPeriods.checkPostingDate(entry.entry_date, user, transaction);
+};
+
+/**
+ * Insert the lines of a journal entry
+ * @param {number} journalId - Journal entry ID
+ * @param {Array<Object>} lines - { account_id, debit, credit, description }, debit and credit in IDR;
+ *   lines in another currency also carry currency, exchange_rate, currency_debit and currency_credit
+ *   (see currency.toFunctional); any line may carry department_id, cost_center_id, project_id and tags
+ * @param {Object} transaction - Sequelize transaction
+ */
+const insertLines = async (journalId, lines, transaction) => {
+    for (const line of lines) {
+        const inFunctional = !line.currency;
+
+        const [detailId] = await sequelize.query(
+            `INSERT INTO journal_details 
+            (journal_id, account_id, debit, credit, currency, exchange_rate, currency_debit, currency_credit,
+                department_id, cost_center_id, project_id, description) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            {
+                replacements: [
+                    journalId,
+                    line.account_id,
+                    line.debit,
+                    line.credit,
+                    line.currency || FUNCTIONAL_CURRENCY,
+                    inFunctional ? 1 : line.exchange_rate,
+                    inFunctional ? line.debit : line.currency_debit,
+                    inFunctional ? line.credit : line.currency_credit,
+                    line.department_id || null,
+                    line.cost_center_id || null,
+                    line.project_id || null,
+                    line.description || null
+                ],
+                type: QueryTypes.INSERT,
+                transaction
+            }
+        );
+
+        await dimensions.insertTags(detailId, line.tags, transaction);
+    }
+};
+
+/**
+ * Insert a draft journal entry with its lines (validate it first)
+ * @param {Object} entry - { entry_date, description }
+ * @param {Array<Object>} lines - { account_id, debit, credit, description }
+ * @param {number} userId - User creating the entry
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ id: number, referenceNo: string }>}
+ */
+const createDraftEntry = async (entry, lines, userId, transaction) => {
+    const referenceNo = await numbering.next('journal_entry', entry.entry_date, transaction);
+
+    const [journalId] = await sequelize.query(
+        `INSERT INTO journal_entries 
+        (entry_date, reference_no, description, created_by) 
+        VALUES (?, ?, ?, ?)`,
+        {
+            replacements: [entry.entry_date, referenceNo, entry.description, userId],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    await insertLines(journalId, lines, transaction);
+
+    return { id: journalId, referenceNo };
+};
+
+/**
+ * Insert a posted journal entry with its lines and seal it (period checks are the caller's responsibility)
+ * @param {Object} entry - { entry_date, description, is_closing, reversal_of }
+ * @param {Array<Object>} lines - { account_id, debit, credit, description }
+ * @param {number} userId - User creating and posting the entry
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ id: number, referenceNo: string, chainSeq: number, entryHash: string }>}
+ */
+const createPostedEntry = async (entry, lines, userId, transaction) => {
+    const referenceNo = await numbering.next('journal_entry', entry.entry_date, transaction);
+
+    const [journalId] = await sequelize.query(
+        `INSERT INTO journal_entries
+        (entry_date, reference_no, description, status, is_closing, reversal_of, created_by, posted_by, posted_at)
+        VALUES (?, ?, ?, 'posted', ?, ?, ?, ?, NOW())`,
+        {
+            replacements: [
+                entry.entry_date,
+                referenceNo,
+                entry.description,
+                Boolean(entry.is_closing),
+                entry.reversal_of || null,
+                userId,
+                userId
+            ],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    await insertLines(journalId, lines, transaction);
+
+    const seal = await journalChain.seal(journalId, transaction);
+
+    return { id: journalId, referenceNo, ...seal };
+};
+
+/**
+ * Void a posted entry by posting its reversal (debits and credits swapped)
+ * @param {Object} entry - Posted entry (id, reference_no, is_closing), locked by the caller
+ * @param {Object} options - { date, reason, userId }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ reversalId: number, reversalReferenceNo: string, chainSeq: number, entryHash: string }>}
+ */
+const reverseEntry = async (entry, { date, reason, userId }, transaction) => {
+    const lines = await sequelize.query(
+        `SELECT jd.account_id, jd.credit as debit, jd.debit as credit, jd.currency, jd.exchange_rate,
+            jd.currency_credit as currency_debit, jd.currency_debit as currency_credit,
+            jd.department_id, jd.cost_center_id, jd.project_id, jd.description,
+            ${dimensions.tagsColumn('jd')}
+        FROM journal_details jd
+        WHERE jd.journal_id = ?
+        ORDER BY jd.id`,
+        {
+            replacements: [entry.id],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    // The reversal carries the same dimensions, so it offsets the entry in every report
+    const reversedLines = lines.map(line => ({ ...line, tags: dimensions.splitTags(line.tags) }));
+
+    const reversal = await createPostedEntry({
+        entry_date: date,
+        description: `Reversal of ${entry.reference_no}${reason ? `: ${reason}` : ''}`,
+        // Reversing a closing entry must stay out of the income statement as well
+        is_closing: entry.is_closing,
+        reversal_of: entry.id
+    }, reversedLines, userId, transaction);
+
+    await sequelize.query(
+        `UPDATE journal_entries
+        SET status = 'void', voided_by = ?, voided_at = NOW(), void_reason = ?
+        WHERE id = ?`,
+        {
+            replacements: [userId, reason || null, entry.id],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    return {
+        reversalId: reversal.id,
+        reversalReferenceNo: reversal.referenceNo,
+        chainSeq: reversal.chainSeq,
+        entryHash: reversal.entryHash
+    };
+};
+
+module.exports = {
+    isBalanced,
+    validateEntry,
+    insertLines,
+    createDraftEntry,
+    createPostedEntry,
+    reverseEntry
+};
@@ -0,0 +1,256 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const journalPosting = require('./journalPosting');
+const dimensions = require('./dimensions');
+const permissionService = require('./permissionService');
+
+const INTERVAL_MS = (parseInt(process.env.JOURNAL_SCHEDULER_INTERVAL) || 60) * 60 * 1000;
+
+const TEMPLATE_COLUMNS = `t.id, t.name, t.description, t.frequency,
+    DATE_FORMAT(t.start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(t.end_date, '%Y-%m-%d') as end_date,
+    t.auto_post, t.is_active, t.created_by`;
+
+/**
+ * Scheduled dates of a template up to a date.
+ * Monthly and quarterly runs fall on the start date's day (clamped to short months),
+ * end_of_month runs on the last day of every month from the start month.
+ * @param {Object} template - { frequency, start_date, end_date }
+ * @param {string} untilDate - Last date to include (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+const occurrences = (template, untilDate) => {
+    const start = moment(template.start_date);
+    const until = template.end_date && template.end_date < untilDate ? template.end_date : untilDate;
+    const months = template.frequency === 'quarterly' ? 3 : 1;
+    const dates = [];
+
+    for (let n = 0; ; n++) {
+        // Always counted from the start date so the day of month does not drift
+        let date = start.clone().add(n * months, 'months');
+        if (template.frequency === 'end_of_month') {
+            date = date.endOf('month');
+        }
+
+        const formatted = date.format('YYYY-MM-DD');
+        if (formatted > until) {
+            return dates;
+        }
+        dates.push(formatted);
+    }
+};
+
+/**
+ * Scheduled runs up to a date that have no generated entry yet (never run or failed)
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @param {number} [templateId] - Only this template
+ * @returns {Promise<Array<Object>>} { template, runDate, attempts, lastError }
+ */
+const getDueRuns = async (asOfDate, templateId) => {
+    const templates = await sequelize.query(
+        `SELECT ${TEMPLATE_COLUMNS}
+        FROM journal_templates t
+        WHERE t.is_active = TRUE AND t.start_date <= ?${templateId ? ' AND t.id = ?' : ''}
+        ORDER BY t.id`,
+        {
+            replacements: templateId ? [asOfDate, templateId] : [asOfDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (!templates.length) {
+        return [];
+    }
+
+    const runs = await sequelize.query(
+        `SELECT template_id, DATE_FORMAT(run_date, '%Y-%m-%d') as run_date, status, message, attempts
+        FROM journal_template_runs
+        WHERE template_id IN (?)`,
+        {
+            replacements: [templates.map(template => template.id)],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const due = [];
+
+    templates.forEach(template => {
+        occurrences(template, asOfDate).forEach(runDate => {
+            const run = runs.find(r => r.template_id === template.id && r.run_date === runDate);
+
+            if (!run || run.status !== 'generated') {
+                due.push({
+                    template,
+                    runDate,
+                    attempts: run ? run.attempts : 0,
+                    lastError: run ? run.message : null
+                });
+            }
+        });
+    });
+
+    return due;
+};
+
+const recordFailure = (templateId, runDate, message) => sequelize.query(
+    `INSERT INTO journal_template_runs (template_id, run_date, status, message)
+    VALUES (?, ?, 'failed', ?)
+    ON DUPLICATE KEY UPDATE status = 'failed', message = VALUES(message), attempts = attempts + 1`,
+    {
+        replacements: [templateId, runDate, String(message).slice(0, 255)],
+        type: QueryTypes.INSERT
+    }
+);
+
+/**
+ * Generate the entry of one scheduled date. The entry goes through the same validation
+ * as entries created by hand, as the template's creator; failures are recorded on the run.
+ * An auto_post template whose creator no longer has accounting.journal.post generates a draft.
+ * @param {Object} template - Template row
+ * @param {string} runDate - Scheduled date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { status: generated|failed|skipped, journalId, message }
+ */
+const generate = async (template, runDate) => {
+    const t = await sequelize.transaction();
+
+    try {
+        // Serializes schedulers running on several instances
+        await sequelize.query(
+            'SELECT id FROM journal_templates WHERE id = ? FOR UPDATE',
+            {
+                replacements: [template.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const [run] = await sequelize.query(
+            `SELECT status FROM journal_template_runs WHERE template_id = ? AND run_date = ?`,
+            {
+                replacements: [template.id, runDate],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (run && run.status === 'generated') {
+            await t.rollback();
+            return { status: 'skipped' };
+        }
+
+        const [user] = await sequelize.query(
+            'SELECT id, role, is_active FROM users WHERE id = ?',
+            {
+                replacements: [template.created_by],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        const templateLines = await sequelize.query(
+            `SELECT account_id, debit, credit, department_id, cost_center_id, project_id, tags, description
+            FROM journal_template_lines
+            WHERE template_id = ?
+            ORDER BY id`,
+            {
+                replacements: [template.id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+        const lines = templateLines.map(line => ({ ...line, tags: dimensions.parseTags(line.tags) }));
+
+        const entry = {
+            entry_date: runDate,
+            description: template.description || template.name
+        };
+
+        const validationError = user && user.is_active
+            ? await journalPosting.validateEntry(entry, lines, user, t)
+            : 'The template owner is no longer active';
+
+        if (validationError) {
+            await t.rollback();
+            await recordFailure(template.id, runDate, validationError);
+            return { status: 'failed', message: validationError };
+        }
+
+        // Checked again on every run: the owner may have lost the permission since the template was saved
+        const post = Boolean(template.auto_post)
+            && (await permissionService.getEffectivePermissions(user)).has('accounting.journal.post');
+        const message = template.auto_post && !post
+            ? 'Left as a draft: the template owner can no longer post entries'
+            : null;
+
+        const { id: journalId } = post
+            ? await journalPosting.createPostedEntry(entry, lines, user.id, t)
+            : await journalPosting.createDraftEntry(entry, lines, user.id, t);
+
+        await sequelize.query(
+            `INSERT INTO journal_template_runs (template_id, run_date, status, journal_id, message)
+            VALUES (?, ?, 'generated', ?, ?)
+            ON DUPLICATE KEY UPDATE status = 'generated', journal_id = VALUES(journal_id),
+                message = VALUES(message), attempts = attempts + 1`,
+            {
+                replacements: [template.id, runDate, journalId, message],
+                type: QueryTypes.INSERT,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        return { status: 'generated', journalId, message };
+    } catch (error) {
+        await t.rollback();
+        console.error('Error generating journal template run:', error);
+        await recordFailure(template.id, runDate, error.message).catch(() => {});
+        return { status: 'failed', message: error.message };
+    }
+};
+
+/**
+ * Generate every due run (including missed ones) up to a date
+ * @param {string} [asOfDate] - YYYY-MM-DD, default today
+ * @param {number} [templateId] - Only this template
+ * @returns {Promise<Object>} { asOfDate, generated, failed }
+ */
+const runDue = async (asOfDate = moment().format('YYYY-MM-DD'), templateId) => {
+    const summary = { asOfDate, generated: [], failed: [] };
+
+    for (const { template, runDate } of await getDueRuns(asOfDate, templateId)) {
+        const result = await generate(template, runDate);
+
+        if (result.status === 'generated') {
+            summary.generated.push({ templateId: template.id, runDate, journalId: result.journalId });
+        } else if (result.status === 'failed') {
+            summary.failed.push({ templateId: template.id, runDate, message: result.message });
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Run the scheduler now and every JOURNAL_SCHEDULER_INTERVAL minutes (default 60).
+ * JOURNAL_SCHEDULER_ENABLED=false turns it off on an instance.
+ */
+const start = () => {
+    if (process.env.JOURNAL_SCHEDULER_ENABLED === 'false') {
+        return;
+    }
+
+    const tick = () => runDue().catch(error => {
+        console.error('Error running journal scheduler:', error);
+    });
+
+    tick();
+    setInterval(tick, INTERVAL_MS).unref();
+};
+
+module.exports = {
+    occurrences,
+    getDueRuns,
+    runDue,
+    start
+};
@@ -0,0 +1,175 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const { reportColumns } = require('./currency');
+
+/**
+ * General ledger balances. Only posted (and later voided) entries count, like the reports.
+ * Balances are signed the natural way for the account type: debit minus credit for assets
+ * and expenses, credit minus debit for liabilities, equity and revenue.
+ */
+
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// Amounts are DECIMAL(15,2); keeps float sums from drifting
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Balance of an account type from a debit minus credit amount
+ * @param {string} accountType - asset, liability, equity, revenue or expense
+ * @param {number} net - Debit minus credit
+ * @returns {number}
+ */
+const naturalBalance = (accountType, net) => (DEBIT_NORMAL_TYPES.includes(accountType) ? net : -net);
+
+/**
+ * An account and all accounts below it in the parent_id hierarchy
+ * @param {number} accountId - Account ID
+ * @returns {Promise<Array<number>>} Account IDs, the account itself first
+ */
+const getSubtreeIds = async (accountId) => {
+    const accounts = await sequelize.query(
+        `WITH RECURSIVE Subtree AS (
+            SELECT id, 0 as level FROM chart_of_accounts WHERE id = ?
+            UNION ALL
+            SELECT c.id, s.level + 1
+            FROM chart_of_accounts c
+            INNER JOIN Subtree s ON c.parent_id = s.id
+        )
+        SELECT id FROM Subtree ORDER BY level, id`,
+        {
+            replacements: [accountId],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return accounts.map(account => account.id);
+};
+
+/**
+ * Balances of every account as of a date, each including its sub-accounts
+ * @param {Array<Object>} accounts - Chart of accounts rows (id, parent_id, account_type)
+ * @param {string} asOfDate - YYYY-MM-DD
+ * @returns {Promise<Map<number, number>>} Balance by account ID
+ */
+const getRolledUpBalances = async (accounts, asOfDate) => {
+    const totals = await sequelize.query(
+        `SELECT jd.account_id, SUM(jd.debit) - SUM(jd.credit) as net
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        WHERE je.entry_date <= ?
+        AND je.status IN ('posted', 'void')
+        GROUP BY jd.account_id`,
+        {
+            replacements: [asOfDate],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    // Debit minus credit of each account, then added to every ancestor
+    const net = new Map(accounts.map(account => [account.id, 0]));
+    const parentOf = new Map(accounts.map(account => [account.id, account.parent_id]));
+
+    totals.forEach(total => {
+        const amount = parseFloat(total.net);
+        const visited = new Set();
+
+        for (let id = total.account_id; id && net.has(id) && !visited.has(id); id = parentOf.get(id)) {
+            visited.add(id);
+            net.set(id, net.get(id) + amount);
+        }
+    });
+
+    return new Map(accounts.map(account => [
+        account.id,
+        round(naturalBalance(account.account_type, net.get(account.id)))
+    ]));
+};
+
+/**
+ * General ledger of an account (and its sub-accounts) between two dates
+ * @param {Object} account - Chart of accounts row
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} [currency] - Only the lines in this foreign currency, in their own amounts (default all lines in IDR)
+ * @returns {Promise<Object>} { accountIds, openingBalance, lines (with runningBalance), totalDebit, totalCredit, closingBalance }
+ */
+const getAccountLedger = async (account, startDate, endDate, currency) => {
+    const accountIds = await getSubtreeIds(account.id);
+    const columns = reportColumns(currency);
+
+    const [opening] = await sequelize.query(
+        `SELECT COALESCE(SUM(${columns.debit}) - SUM(${columns.credit}), 0) as net
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        WHERE jd.account_id IN (?)
+        AND je.entry_date < ?
+        AND je.status IN ('posted', 'void')
+        ${columns.where}`,
+        {
+            replacements: [accountIds, startDate, ...columns.replacements],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const lines = await sequelize.query(
+        `SELECT
+            jd.id,
+            jd.journal_id,
+            je.reference_no,
+            DATE_FORMAT(je.entry_date, '%Y-%m-%d') as entry_date,
+            je.status,
+            COALESCE(jd.description, je.description) as description,
+            jd.account_id,
+            a.account_code,
+            a.account_name,
+            ${columns.debit} as debit,
+            ${columns.credit} as credit,
+            jd.currency,
+            jd.exchange_rate
+        FROM journal_details jd
+        JOIN journal_entries je ON jd.journal_id = je.id
+        JOIN chart_of_accounts a ON jd.account_id = a.id
+        WHERE jd.account_id IN (?)
+        AND je.entry_date BETWEEN ? AND ?
+        AND je.status IN ('posted', 'void')
+        ${columns.where}
+        ORDER BY je.entry_date, je.id, jd.id`,
+        {
+            replacements: [accountIds, startDate, endDate, ...columns.replacements],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const openingBalance = round(naturalBalance(account.account_type, parseFloat(opening.net)));
+    let balance = openingBalance;
+    let totalDebit = 0;
+    let totalCredit = 0;
+
+    const ledgerLines = lines.map(line => {
+        const debit = parseFloat(line.debit);
+        const credit = parseFloat(line.credit);
+
+        totalDebit += debit;
+        totalCredit += credit;
+        balance = round(balance + naturalBalance(account.account_type, debit - credit));
+
+        return { ...line, runningBalance: balance };
+    });
+
+    return {
+        accountIds,
+        openingBalance,
+        lines: ledgerLines,
+        totalDebit: round(totalDebit),
+        totalCredit: round(totalCredit),
+        closingBalance: balance
+    };
+};
+
+module.exports = {
+    round,
+    naturalBalance,
+    getSubtreeIds,
+    getRolledUpBalances,
+    getAccountLedger
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+
+// Subject line of each template
+const SUBJECTS = {
+    'password-reset': 'Reset your EBMS password',
+    'email-verification': 'Verify your EBMS email address'
+};
+
+let transport = null;
+
+/**
+ * Build the default transport from the SMTP_* environment variables.
+ * Pointing SMTP_HOST/SMTP_PORT at a local capture server (e.g. MailHog on
+ * localhost:1025) is enough for tests; MAIL_TRANSPORT=json only renders the
+ * message without sending it.
+ */
+const createDefaultTransport = () => {
+    if (process.env.MAIL_TRANSPORT === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+};
+
+/**
+ * Replace the transport used to send mail.
+ * Any object with a nodemailer compatible `sendMail(message)` method works;
+ * pass null to go back to the SMTP transport.
+ * @param {Object|null} customTransport - Transport
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createDefaultTransport();
+    }
+    return transport;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const fill = (template, variables, escape) => template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    const value = variables[name] === undefined || variables[name] === null ? '' : variables[name];
+    return escape ? escapeHtml(value) : String(value);
+});
+
+/**
+ * Render an email template from templates/email
+ * @param {string} name - Template name, e.g. 'password-reset'
+ * @param {Object} variables - Values for the {{ placeholders }}
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const render = (name, variables = {}) => {
+    const html = fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8');
+    const text = fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.txt`), 'utf8');
+
+    return {
+        subject: fill(SUBJECTS[name] || name, variables, false),
+        html: fill(html, variables, true),
+        text: fill(text, variables, false)
+    };
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name
+ * @param {Object} variables - Template variables
+ * @returns {Promise<Object>} Transport result
+ */
+const sendTemplate = (to, template, variables) => {
+    const message = render(template, variables);
+
+    return getTransport().sendMail({
+        from: process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost',
+        to,
+        ...message
+    });
+};
+
+module.exports = {
+    setTransport,
+    render,
+    sendTemplate
+};
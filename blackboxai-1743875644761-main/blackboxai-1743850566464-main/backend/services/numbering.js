@@ -0,0 +1,156 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+/**
+ * Document numbers from numbering_series (e.g. JV/2026/10/0001).
+ * A number is taken inside the transaction that inserts the document: the counter row stays
+ * locked until that transaction ends, so concurrent requests queue on it, and a rollback
+ * gives the number back, so a series has no gaps.
+ */
+
+const TOKEN_PATTERN = /\{(PREFIX|YYYY|YY|MM|DD|SEQ)\}/g;
+
+/**
+ * Counter key of the reset period a date falls in
+ * @param {string} resetPeriod - never, yearly or monthly
+ * @param {string} date - Document date (YYYY-MM-DD)
+ * @returns {string} 'all', '2026' or '2026-10'
+ */
+const periodKey = (resetPeriod, date) => {
+    switch (resetPeriod) {
+        case 'yearly':
+            return moment(date).format('YYYY');
+        case 'monthly':
+            return moment(date).format('YYYY-MM');
+        default:
+            return 'all';
+    }
+};
+
+/**
+ * Format a number of a series
+ * @param {Object} series - { prefix, format, padding }
+ * @param {string} date - Document date (YYYY-MM-DD)
+ * @param {number} number - Counter value
+ * @returns {string}
+ */
+const format = (series, date, number) => {
+    const day = moment(date);
+    const values = {
+        PREFIX: series.prefix,
+        YYYY: day.format('YYYY'),
+        YY: day.format('YY'),
+        MM: day.format('MM'),
+        DD: day.format('DD'),
+        SEQ: String(number).padStart(series.padding, '0')
+    };
+
+    return series.format.replace(TOKEN_PATTERN, (match, token) => values[token]);
+};
+
+/**
+ * Problems with a series definition that would produce invalid or duplicate numbers
+ * @param {Object} series - { prefix, format, padding, reset_period, max_length }
+ * @returns {string|null} Reason the series is rejected, or null
+ */
+const validateSeries = (series) => {
+    if (/[{}]/.test(series.format.replace(TOKEN_PATTERN, ''))) {
+        return 'Format can only use the {PREFIX}, {YYYY}, {YY}, {MM}, {DD} and {SEQ} tokens';
+    }
+
+    if (!series.format.includes('{SEQ}')) {
+        return 'Format must contain {SEQ}';
+    }
+
+    // Counters restart every period, so the period must be part of the number
+    const hasYear = /\{YYYY\}|\{YY\}/.test(series.format);
+    if (series.reset_period === 'yearly' && !hasYear) {
+        return 'Numbers that reset yearly need {YYYY} or {YY} in the format';
+    }
+    if (series.reset_period === 'monthly' && !(hasYear && series.format.includes('{MM}'))) {
+        return 'Numbers that reset monthly need {YYYY} or {YY} and {MM} in the format';
+    }
+
+    if (format(series, '2000-12-31', 1).length > series.max_length) {
+        return `Numbers of this document cannot be longer than ${series.max_length} characters`;
+    }
+
+    return null;
+};
+
+/**
+ * Take the next number of a document type
+ * @param {string} documentType - e.g. journal_entry
+ * @param {string} date - Document date (YYYY-MM-DD), used for the date tokens and the reset period
+ * @param {Object} transaction - Transaction inserting the document (required)
+ * @returns {Promise<string>} Document number
+ */
+const next = async (documentType, date, transaction) => {
+    if (!transaction) {
+        throw new Error('Document numbers must be taken inside the transaction of the document');
+    }
+
+    // Shared lock: the series cannot be reconfigured while numbers are being taken
+    const [series] = await sequelize.query(
+        'SELECT * FROM numbering_series WHERE document_type = ? FOR SHARE',
+        {
+            replacements: [documentType],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (!series) {
+        throw new Error(`No numbering series for ${documentType}`);
+    }
+
+    const key = periodKey(series.reset_period, date);
+
+    await sequelize.query(
+        `INSERT INTO numbering_counters (series_id, period_key, last_number)
+        VALUES (?, ?, 1)
+        ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+        {
+            replacements: [series.id, key],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    const [counter] = await sequelize.query(
+        'SELECT last_number FROM numbering_counters WHERE series_id = ? AND period_key = ?',
+        {
+            replacements: [series.id, key],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return format(series, date, counter.last_number);
+};
+
+/**
+ * The number the next document of a series would get, without taking it
+ * @param {Object} series - numbering_series row
+ * @param {string} date - Document date (YYYY-MM-DD)
+ * @returns {Promise<string>}
+ */
+const preview = async (series, date) => {
+    const [counter] = await sequelize.query(
+        'SELECT last_number FROM numbering_counters WHERE series_id = ? AND period_key = ?',
+        {
+            replacements: [series.id, periodKey(series.reset_period, date)],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    return format(series, date, (counter ? counter.last_number : 0) + 1);
+};
+
+module.exports = {
+    format,
+    validateSeries,
+    next,
+    preview
+};
@@ -0,0 +1,123 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL) || 60) * 1000;
+
+const ADMIN_ROLE = 'admin';
+
+// Kept by the admin role and by at least one active admin, so nobody is locked out of user and role setup
+const SETUP_PERMISSIONS = ['setup.roles.manage', 'setup.users.manage'];
+
+// userId -> { permissions: Set<string>, expiresAt: number }
+const cache = new Map();
+
+/**
+ * Load the effective permissions of a user.
+ * Role permissions are combined with the user's overrides: a `grant` override
+ * adds a permission, a `deny` override removes it even if the role has it.
+ * @param {Object} user - User row (id, role)
+ * @returns {Promise<Set<string>>} Permission codes
+ */
+const getEffectivePermissions = async (user) => {
+    const cached = cache.get(user.id);
+    if (cached && cached.expiresAt > Date.now() && cached.role === user.role) {
+        return cached.permissions;
+    }
+
+    const rolePermissions = await sequelize.query(
+        `SELECT p.code
+        FROM role_permissions rp
+        JOIN roles r ON rp.role_id = r.id
+        JOIN permissions p ON rp.permission_id = p.id
+        WHERE r.name = ?`,
+        {
+            replacements: [user.role],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const overrides = await sequelize.query(
+        `SELECT p.code, up.effect
+        FROM user_permissions up
+        JOIN permissions p ON up.permission_id = p.id
+        WHERE up.user_id = ?`,
+        {
+            replacements: [user.id],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const permissions = new Set(rolePermissions.map(p => p.code));
+    overrides.forEach(override => {
+        if (override.effect === 'grant') {
+            permissions.add(override.code);
+        } else {
+            permissions.delete(override.code);
+        }
+    });
+
+    cache.set(user.id, {
+        role: user.role,
+        permissions,
+        expiresAt: Date.now() + CACHE_TTL_MS
+    });
+
+    return permissions;
+};
+
+/**
+ * Drop cached permissions for one user, or for everyone when no ID is given
+ * @param {number} [userId] - User ID
+ */
+const invalidate = (userId) => {
+    if (userId === undefined) {
+        cache.clear();
+    } else {
+        cache.delete(userId);
+    }
+};
+
+/**
+ * Setup permissions that no active admin other than the given user holds.
+ * Admins hold them through their role unless a deny override removes them.
+ * @param {number} userId - User left out
+ * @param {Object} t - Sequelize transaction; the other admins are locked so concurrent changes cannot each remove one
+ * @returns {Promise<string[]>} Permission codes
+ */
+const setupPermissionsHeldOnlyBy = async (userId, t) => {
+    const admins = await sequelize.query(
+        'SELECT id FROM users WHERE role = ? AND is_active = true AND id <> ? FOR UPDATE',
+        {
+            replacements: [ADMIN_ROLE, userId],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    if (!admins.length) {
+        return [...SETUP_PERMISSIONS];
+    }
+
+    const denied = await sequelize.query(
+        `SELECT up.user_id, p.code
+        FROM user_permissions up
+        JOIN permissions p ON up.permission_id = p.id
+        WHERE up.user_id IN (?) AND up.effect = 'deny' AND p.code IN (?)`,
+        {
+            replacements: [admins.map(admin => admin.id), SETUP_PERMISSIONS],
+            type: QueryTypes.SELECT,
+            transaction: t
+        }
+    );
+
+    return SETUP_PERMISSIONS.filter(code => admins.every(admin =>
+        denied.some(row => row.user_id === admin.id && row.code === code)));
+};
+
+module.exports = {
+    ADMIN_ROLE,
+    SETUP_PERMISSIONS,
+    getEffectivePermissions,
+    invalidate,
+    setupPermissionsHeldOnlyBy
+};
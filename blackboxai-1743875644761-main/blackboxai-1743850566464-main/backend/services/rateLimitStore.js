@@ -0,0 +1,118 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+/**
+ * Backing stores for the rate limiter (middleware/rateLimit.js).
+ *
+ * A store counts hits per key in fixed windows and exposes a single method:
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ * where count includes the current hit and resetAt is the end of the window (ms since epoch).
+ * The memory store only limits a single process; instances behind a load balancer
+ * need the SQL or Redis store.
+ */
+
+const CLEANUP_INTERVAL_MS = 60000;
+
+/**
+ * Per-process store (default, tests)
+ * @returns {Object} Store
+ */
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, CLEANUP_INTERVAL_MS).unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let window = windows.get(key);
+
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count++;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+
+        reset: async () => windows.clear()
+    };
+};
+
+/**
+ * Store shared through the rate_limits table
+ * @returns {Object} Store
+ */
+const createSqlStore = () => {
+    setInterval(() => {
+        sequelize.query('DELETE FROM rate_limits WHERE reset_at <= NOW(3)', { type: QueryTypes.DELETE })
+            .catch(error => {
+                console.error('Error cleaning up rate limits:', error);
+            });
+    }, CLEANUP_INTERVAL_MS).unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            // A single upsert so concurrent instances never lose a hit; an expired window restarts at 1
+            await sequelize.query(
+                `INSERT INTO rate_limits (bucket_key, hits, reset_at)
+                VALUES (?, 1, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+                ON DUPLICATE KEY UPDATE
+                    hits = IF(reset_at <= NOW(3), 1, hits + 1),
+                    reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+                {
+                    replacements: [key, windowMs * 1000],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            const [window] = await sequelize.query(
+                'SELECT hits, reset_at FROM rate_limits WHERE bucket_key = ?',
+                {
+                    replacements: [key],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return { count: window.hits, resetAt: new Date(window.reset_at).getTime() };
+        },
+
+        reset: () => sequelize.query('DELETE FROM rate_limits', { type: QueryTypes.DELETE })
+    };
+};
+
+/**
+ * Store on a Redis (or Redis protocol compatible, e.g. Valkey, KeyDB) server
+ * @param {Object} client - ioredis compatible client (incr, pexpire, pttl)
+ * @param {string} [prefix] - Key prefix
+ * @returns {Object} Store
+ */
+const createRedisStore = (client, prefix = 'ebms:rl:') => ({
+    increment: async (key, windowMs) => {
+        const redisKey = prefix + key;
+        const count = await client.incr(redisKey);
+        let ttl = await client.pttl(redisKey);
+
+        // First hit of the window, or a key left without expiry by an interrupted request
+        if (count === 1 || ttl < 0) {
+            await client.pexpire(redisKey, windowMs);
+            ttl = windowMs;
+        }
+
+        return { count, resetAt: Date.now() + ttl };
+    }
+});
+
+module.exports = {
+    createMemoryStore,
+    createSqlStore,
+    createRedisStore
+};
@@ -0,0 +1,280 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+const SESSION_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+const DENY_LIST_SYNC_MS = (parseInt(process.env.SESSION_DENY_LIST_SYNC) || 10) * 1000;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Deny-list of revoked session IDs.
+ * It is loaded once, then kept in sync by polling for newly revoked sessions,
+ * so revoked access tokens are rejected without a query per request. Sessions
+ * revoked by this process are added immediately; revocations made by other
+ * instances are picked up within one sync interval.
+ */
+const denyList = {
+    sessions: new Map(), // sessionId -> expires_at (ms)
+    lastSync: null,
+    loading: null
+};
+
+// sessionId -> time last_seen_at was last written
+const lastSeenWrites = new Map();
+
+const addToDenyList = (sessionId, expiresAt) => {
+    denyList.sessions.set(Number(sessionId), expiresAt ? new Date(expiresAt).getTime() : Infinity);
+};
+
+const syncDenyList = async () => {
+    const syncStartedAt = new Date();
+    const rows = await sequelize.query(
+        denyList.lastSync
+            ? 'SELECT id, expires_at FROM user_sessions WHERE revoked_at >= ?'
+            : 'SELECT id, expires_at FROM user_sessions WHERE revoked_at IS NOT NULL AND expires_at > NOW()',
+        {
+            // Overlap the previous sync a little to tolerate clock skew between instances
+            replacements: denyList.lastSync ? [new Date(denyList.lastSync.getTime() - DENY_LIST_SYNC_MS)] : [],
+            type: QueryTypes.SELECT
+        }
+    );
+
+    rows.forEach(row => addToDenyList(row.id, row.expires_at));
+
+    // Entries whose session has expired anyway are no longer needed
+    const now = Date.now();
+    denyList.sessions.forEach((expiresAt, sessionId) => {
+        if (expiresAt < now) {
+            denyList.sessions.delete(sessionId);
+        }
+    });
+
+    denyList.lastSync = syncStartedAt;
+};
+
+const ensureDenyListLoaded = () => {
+    if (!denyList.loading) {
+        denyList.loading = syncDenyList().catch(error => {
+            denyList.loading = null;
+            throw error;
+        });
+    }
+    return denyList.loading;
+};
+
+setInterval(() => {
+    if (denyList.lastSync) {
+        syncDenyList().catch(error => {
+            console.error('Error syncing session deny-list:', error);
+        });
+    }
+}, DENY_LIST_SYNC_MS).unref();
+
+// Forget sessions written more than an interval ago (revoked, expired or idle): they are written on their next touch anyway
+setInterval(() => {
+    const cutoff = Date.now() - LAST_SEEN_INTERVAL_MS;
+    lastSeenWrites.forEach((writtenAt, sessionId) => {
+        if (writtenAt <= cutoff) {
+            lastSeenWrites.delete(sessionId);
+        }
+    });
+}, LAST_SEEN_INTERVAL_MS).unref();
+
+/**
+ * Short human readable device description from a user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+    if (!userAgent) return null;
+
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    if (!browser && !system) {
+        return userAgent.slice(0, 100);
+    }
+
+    return [browser ? browser[1] : 'Unknown client', system ? `on ${system[1]}` : null].filter(Boolean).join(' ');
+};
+
+/**
+ * Register a new session for a login
+ * @param {number} userId - User ID
+ * @param {Object} context - Request context (ip, userAgent, deviceName)
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<number>} Session ID
+ */
+const createSession = async (userId, context, transaction) => {
+    const [sessionId] = await sequelize.query(
+        `INSERT INTO user_sessions
+        (user_id, device, ip_address, user_agent, last_seen_at, expires_at)
+        VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        {
+            replacements: [
+                userId,
+                context.deviceName || describeDevice(context.userAgent),
+                context.ip || null,
+                context.userAgent || null,
+                SESSION_EXPIRE_DAYS
+            ],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    return sessionId;
+};
+
+/**
+ * Extend a session after its refresh token was rotated
+ * @param {number} sessionId - Session ID
+ * @param {Object} context - Request context (ip)
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ */
+const extendSession = (sessionId, context, transaction) => sequelize.query(
+    `UPDATE user_sessions
+    SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address),
+        expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+    WHERE id = ?`,
+    {
+        replacements: [context.ip || null, SESSION_EXPIRE_DAYS, sessionId],
+        type: QueryTypes.UPDATE,
+        transaction
+    }
+);
+
+/**
+ * Check whether a session has been revoked (in-memory after the first load)
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+const isRevoked = async (sessionId) => {
+    await ensureDenyListLoaded();
+    return denyList.sessions.has(Number(sessionId));
+};
+
+/**
+ * Record activity on a session, writing at most once per minute per session
+ * @param {number} sessionId - Session ID
+ * @param {string} ip - Client IP
+ */
+const touch = (sessionId, ip) => {
+    const now = Date.now();
+    if (now - (lastSeenWrites.get(sessionId) || 0) < LAST_SEEN_INTERVAL_MS) {
+        return;
+    }
+    lastSeenWrites.set(sessionId, now);
+
+    sequelize.query(
+        'UPDATE user_sessions SET last_seen_at = NOW(), ip_address = ? WHERE id = ? AND revoked_at IS NULL',
+        {
+            replacements: [ip || null, sessionId],
+            type: QueryTypes.UPDATE
+        }
+    ).catch(error => {
+        console.error('Error updating session last seen:', error);
+    });
+};
+
+/**
+ * Revoke sessions matching a condition together with their refresh tokens
+ * @param {string} condition - SQL condition on user_sessions (s)
+ * @param {Array} replacements - Condition replacements
+ * @param {Object} options - revokedBy (user ID), reason, transaction
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeWhere = async (condition, replacements, { revokedBy = null, reason = null, transaction } = {}) => {
+    const sessions = await sequelize.query(
+        `SELECT s.id, s.expires_at FROM user_sessions s WHERE ${condition} AND s.revoked_at IS NULL`,
+        {
+            replacements,
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (!sessions.length) {
+        return 0;
+    }
+
+    const ids = sessions.map(session => session.id);
+
+    await sequelize.query(
+        `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+        WHERE id IN (?)`,
+        {
+            replacements: [revokedBy, reason, ids],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    await sequelize.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id IN (?) AND revoked_at IS NULL',
+        {
+            replacements: [ids],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    const deny = () => sessions.forEach(session => addToDenyList(session.id, session.expires_at));
+    if (transaction) {
+        transaction.afterCommit(deny);
+    } else {
+        deny();
+    }
+
+    return sessions.length;
+};
+
+/**
+ * Revoke a single session
+ * @param {number} sessionId - Session ID
+ * @param {Object} [options] - revokedBy, reason, transaction
+ */
+const revokeSession = (sessionId, options) => revokeWhere('s.id = ?', [sessionId], options);
+
+/**
+ * Revoke every active session of a user (force logout)
+ * @param {number} userId - User ID
+ * @param {Object} [options] - revokedBy, reason, transaction, exceptSessionId
+ */
+const revokeUserSessions = (userId, options = {}) => (
+    options.exceptSessionId
+        ? revokeWhere('s.user_id = ? AND s.id <> ?', [userId, options.exceptSessionId], options)
+        : revokeWhere('s.user_id = ?', [userId], options)
+);
+
+/**
+ * List the sessions of a user, most recently active first
+ * @param {number} userId - User ID
+ * @param {boolean} [includeRevoked=false] - Include revoked and expired sessions
+ */
+const listUserSessions = (userId, includeRevoked = false) => sequelize.query(
+    `SELECT id, device, ip_address, user_agent, created_at, last_seen_at, expires_at,
+        revoked_at, revoke_reason
+    FROM user_sessions
+    WHERE user_id = ?
+    ${includeRevoked ? '' : 'AND revoked_at IS NULL AND expires_at > NOW()'}
+    ORDER BY last_seen_at DESC`,
+    {
+        replacements: [userId],
+        type: QueryTypes.SELECT
+    }
+);
+
+module.exports = {
+    describeDevice,
+    createSession,
+    extendSession,
+    isRevoked,
+    touch,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions
+};
@@ -0,0 +1,45 @@
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+
+/**
+ * Read a system setting
+ * @param {string} key - Setting key, e.g. accounting.retained_earnings_account_id
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string|null>} Stored value
+ */
+const get = async (key, transaction) => {
+    const [setting] = await sequelize.query(
+        'SELECT setting_value FROM settings WHERE setting_key = ?',
+        {
+            replacements: [key],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    return setting ? setting.setting_value : null;
+};
+
+/**
+ * Store a system setting
+ * @param {string} key - Setting key
+ * @param {*} value - Value (stored as text, null clears it)
+ * @param {number} userId - User making the change
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise}
+ */
+const set = (key, value, userId, transaction) => sequelize.query(
+    `INSERT INTO settings (setting_key, setting_value, updated_by)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+    {
+        replacements: [key, value === null || value === undefined ? null : String(value), userId],
+        type: QueryTypes.INSERT,
+        transaction
+    }
+);
+
+module.exports = {
+    get,
+    set
+};
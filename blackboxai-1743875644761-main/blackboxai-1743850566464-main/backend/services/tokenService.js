@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../config/database');
+const { QueryTypes } = require('sequelize');
+const sessionService = require('./sessionService');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+const CHALLENGE_TOKEN_EXPIRE = '15m';
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token for the given user
+ * @param {Object} user - User row (id, username, role)
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {{ token: string, expiresIn: number }}
+ */
+const signAccessToken = (user, sessionId) => {
+    const token = jwt.sign(
+        { id: user.id, username: user.username, role: user.role, sid: sessionId, type: 'access' },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '24h' }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, expiresIn: exp - iat };
+};
+
+/**
+ * Sign a short-lived token for an intermediate login step
+ * ('password_setup', 'two_factor' or 'two_factor_setup')
+ * @param {Object} user - User row
+ * @param {string} type - Login step the token allows
+ * @returns {string} Signed challenge token
+ */
+const signChallengeToken = (user, type) => jwt.sign(
+    { id: user.id, type },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+);
+
+/**
+ * Verify a challenge token issued for the given login step
+ * @param {string} token - Signed challenge token
+ * @param {string} type - Expected login step
+ * @returns {Object|null} Decoded payload or null when invalid
+ */
+const verifyChallengeToken = (token, type) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === type ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Create and store a new refresh token
+ * @param {number} userId - Owner of the token
+ * @param {number} sessionId - Session the token belongs to
+ * @param {Object} context - Request context (ip, userAgent)
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<{ id: number, token: string }>}
+ */
+const issueRefreshToken = async (userId, sessionId, context, transaction) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    const [id] = await sequelize.query(
+        `INSERT INTO refresh_tokens
+        (user_id, session_id, token_hash, expires_at, ip_address, user_agent)
+        VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+        {
+            replacements: [
+                userId,
+                sessionId,
+                hashToken(token),
+                REFRESH_TOKEN_EXPIRE_DAYS,
+                context.ip || null,
+                context.userAgent || null
+            ],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    return { id, token };
+};
+
+/**
+ * Start a new session for a user and issue its access/refresh token pair
+ * @param {Object} user - User row
+ * @param {Object} context - Request context (ip, userAgent, deviceName)
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ */
+const issueTokenPair = async (user, context, transaction) => {
+    const sessionId = await sessionService.createSession(user.id, context, transaction);
+    const access = signAccessToken(user, sessionId);
+    const refresh = await issueRefreshToken(user.id, sessionId, context, transaction);
+
+    return {
+        accessToken: access.token,
+        refreshToken: refresh.token,
+        tokenType: 'Bearer',
+        expiresIn: access.expiresIn
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token is revoked and linked to its replacement; presenting an
+ * already rotated token revokes every session of the user (reuse detection).
+ * @param {string} token - Plain refresh token
+ * @param {Object} context - Request context (ip, userAgent)
+ * @returns {Promise<{ user: Object, tokens: Object }|{ error: string }>}
+ */
+const rotateRefreshToken = async (token, context) => {
+    const t = await sequelize.transaction();
+
+    try {
+        const [stored] = await sequelize.query(
+            `SELECT rt.*, rt.expires_at < NOW() as is_expired
+            FROM refresh_tokens rt
+            WHERE rt.token_hash = ?
+            FOR UPDATE`,
+            {
+                replacements: [hashToken(token)],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!stored || stored.is_expired) {
+            await t.rollback();
+            return { error: 'Invalid or expired refresh token' };
+        }
+
+        if (stored.replaced_by) {
+            await sessionService.revokeUserSessions(stored.user_id, {
+                reason: 'refresh_token_reuse',
+                transaction: t
+            });
+            await t.commit();
+            return { error: 'Refresh token has already been used' };
+        }
+
+        // Revoked without a replacement: the session was logged out
+        if (stored.revoked_at) {
+            await t.rollback();
+            return { error: 'Invalid or expired refresh token' };
+        }
+
+        const [user] = await sequelize.query(
+            'SELECT id, username, email, full_name, role FROM users WHERE id = ? AND is_active = true',
+            {
+                replacements: [stored.user_id],
+                type: QueryTypes.SELECT,
+                transaction: t
+            }
+        );
+
+        if (!user) {
+            await t.rollback();
+            return { error: 'Invalid or expired refresh token' };
+        }
+
+        const access = signAccessToken(user, stored.session_id);
+        const refresh = await issueRefreshToken(user.id, stored.session_id, context, t);
+        await sessionService.extendSession(stored.session_id, context, t);
+
+        await sequelize.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+            {
+                replacements: [refresh.id, stored.id],
+                type: QueryTypes.UPDATE,
+                transaction: t
+            }
+        );
+
+        await t.commit();
+
+        return {
+            user,
+            tokens: {
+                accessToken: access.token,
+                refreshToken: refresh.token,
+                tokenType: 'Bearer',
+                expiresIn: access.expiresIn
+            }
+        };
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Issue a single-use token sent by email. Earlier unused tokens of the same
+ * purpose are invalidated so only the latest link works.
+ * @param {number} userId - User ID
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @param {number} ttlMinutes - Lifetime in minutes
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<string>} Plain token
+ */
+const issueUserToken = async (userId, purpose, ttlMinutes, transaction) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await sequelize.query(
+        'DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        {
+            replacements: [userId, purpose],
+            type: QueryTypes.DELETE,
+            transaction
+        }
+    );
+
+    await sequelize.query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        {
+            replacements: [userId, purpose, hashToken(token), ttlMinutes],
+            type: QueryTypes.INSERT,
+            transaction
+        }
+    );
+
+    return token;
+};
+
+/**
+ * Mark a single-use token as used
+ * @param {string} token - Plain token
+ * @param {string} purpose - Expected purpose
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number|null>} Owner user ID, or null when invalid, expired or used
+ */
+const consumeUserToken = async (token, purpose, transaction) => {
+    const [stored] = await sequelize.query(
+        `SELECT id, user_id FROM user_tokens
+        WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+        FOR UPDATE`,
+        {
+            replacements: [hashToken(token), purpose],
+            type: QueryTypes.SELECT,
+            transaction
+        }
+    );
+
+    if (!stored) {
+        return null;
+    }
+
+    await sequelize.query(
+        'UPDATE user_tokens SET used_at = NOW() WHERE id = ?',
+        {
+            replacements: [stored.id],
+            type: QueryTypes.UPDATE,
+            transaction
+        }
+    );
+
+    return stored.user_id;
+};
+
+module.exports = {
+    hashToken,
+    signAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    issueRefreshToken,
+    issueTokenPair,
+    rotateRefreshToken,
+    issueUserToken,
+    consumeUserToken
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1).
+ * Every function takes the current time as an option so codes can be
+ * generated and verified against a fixed clock.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @param {number} [size=20] - Secret size in bytes
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Time step counter for a given time
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Time in milliseconds
+ * @param {number} [options.step=30] - Step size in seconds
+ * @returns {number} Counter value
+ */
+const timeStep = ({ time = Date.now(), step = DEFAULT_STEP } = {}) => Math.floor(time / 1000 / step);
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero padded code
+ */
+const hotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP code for a given time
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - time (ms), step (s), digits
+ * @returns {string} Code
+ */
+const generate = (secret, options = {}) => hotp(secret, timeStep(options), options.digits);
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - time (ms), step (s), digits, window (steps either side, default 1)
+ * @returns {number|null} Matched time step, or null when the code is invalid
+ */
+const verify = (secret, code, options = {}) => {
+    const digits = options.digits || DEFAULT_DIGITS;
+    const window = options.window === undefined ? 1 : options.window;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return null;
+    }
+
+    const current = timeStep(options);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = hotp(secret, current + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI rendered as a QR code by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, e.g. the username
+ * @param {string} issuer - Issuer label
+ * @returns {string} Provisioning URI
+ */
+const provisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULT_DIGITS),
+        period: String(DEFAULT_STEP)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    timeStep,
+    generate,
+    verify,
+    provisioningUri
+};
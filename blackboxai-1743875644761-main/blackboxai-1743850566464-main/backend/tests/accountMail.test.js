@@ -0,0 +1,168 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const mailer = require('../services/mailer');
+const authController = require('../controllers/authController');
+const userController = require('../controllers/userController');
+
+const USER = { id: 7, username: 'budi', email: 'budi@example.com', full_name: 'Budi Santoso' };
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Mail that is sent without being awaited goes out once the pending promises have run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const linkToken = (text, page) => {
+    const match = text.match(new RegExp(`https?://\\S+/${page}\\?token=([0-9a-f]{64})`));
+    return match ? match[1] : null;
+};
+
+describe('account mail', () => {
+    let sent;
+    let tokens;
+
+    beforeEach(() => {
+        sent = [];
+        tokens = [];
+
+        // Capture transport: keeps the messages instead of sending them
+        mailer.setTransport({
+            sendMail: jest.fn(async (message) => {
+                sent.push(message);
+                return { messageId: `test-${sent.length}` };
+            })
+        });
+
+        sequelize.transaction.mockResolvedValue({
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            finished: undefined
+        });
+
+        sequelize.query.mockImplementation(async (sql, { replacements }) => {
+            if (/INSERT INTO user_tokens/.test(sql)) {
+                tokens.push({ user_id: replacements[0], purpose: replacements[1], token_hash: replacements[2] });
+                return [1, 1];
+            }
+            if (/FROM users WHERE email = \?/.test(sql)) {
+                return replacements[0] === USER.email ? [USER] : [];
+            }
+            if (/FROM roles WHERE name/.test(sql)) {
+                return [{ id: 1 }];
+            }
+            if (/INSERT INTO users/.test(sql)) {
+                return [USER.id, 1];
+            }
+            if (/SELECT/.test(sql)) {
+                return [];
+            }
+            return [0, 1];
+        });
+    });
+
+    afterEach(() => {
+        mailer.setTransport(null);
+        sequelize.query.mockReset();
+    });
+
+    test('forgot password mails a single reset link to the account address', async () => {
+        const res = mockResponse();
+        await authController.forgotPassword({ body: { email: USER.email } }, res);
+        await flush();
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+        expect(sent).toHaveLength(1);
+        expect(sent[0].to).toBe(USER.email);
+        expect(sent[0].subject).toBe('Reset your EBMS password');
+
+        const token = linkToken(sent[0].text, 'reset-password.html');
+        expect(token).not.toBeNull();
+        expect(sent[0].html).toContain(`reset-password.html?token=${token}`);
+        expect(tokens).toEqual([{
+            user_id: USER.id,
+            purpose: 'password_reset',
+            token_hash: crypto.createHash('sha256').update(token).digest('hex')
+        }]);
+    });
+
+    test('forgot password sends nothing for an unknown address and answers the same', async () => {
+        const res = mockResponse();
+        await authController.forgotPassword({ body: { email: 'nobody@example.com' } }, res);
+        await flush();
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+        expect(sent).toHaveLength(0);
+        expect(tokens).toHaveLength(0);
+    });
+
+    test('resending the verification mails a verification link to the current user', async () => {
+        sequelize.query.mockImplementationOnce(async () => [{ ...USER, email_verified_at: null }]);
+
+        const res = mockResponse();
+        await authController.resendVerification({ user: { id: USER.id } }, res);
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].to).toBe(USER.email);
+        expect(sent[0].subject).toBe('Verify your EBMS email address');
+
+        const token = linkToken(sent[0].text, 'verify-email.html');
+        expect(token).not.toBeNull();
+        expect(tokens[0]).toEqual({
+            user_id: USER.id,
+            purpose: 'email_verification',
+            token_hash: crypto.createHash('sha256').update(token).digest('hex')
+        });
+    });
+
+    test('setting up a user mails the new address a verification link', async () => {
+        const res = mockResponse();
+        await userController.createUser({
+            body: {
+                username: USER.username,
+                email: USER.email,
+                full_name: USER.full_name,
+                role: 'staff',
+                password: 'Temporary#123'
+            },
+            user: { id: 1 }
+        }, res);
+        await flush();
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].to).toBe(USER.email);
+        expect(sent[0].html).toContain('Budi Santoso');
+
+        const token = linkToken(sent[0].text, 'verify-email.html');
+        expect(token).not.toBeNull();
+        expect(tokens).toEqual([{
+            user_id: USER.id,
+            purpose: 'email_verification',
+            token_hash: crypto.createHash('sha256').update(token).digest('hex')
+        }]);
+    });
+
+    test('escapes template values in the HTML part only', () => {
+        const message = mailer.render('password-reset', {
+            full_name: '<b>Budi</b>',
+            username: 'budi',
+            reset_url: 'http://localhost/reset-password.html?token=abc',
+            expires_minutes: 60
+        });
+
+        expect(message.html).toContain('&lt;b&gt;Budi&lt;/b&gt;');
+        expect(message.html).not.toContain('<b>Budi</b>');
+        expect(message.text).toContain('Hello <b>Budi</b>,');
+    });
+});
@@ -0,0 +1,107 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const permissionService = require('../services/permissionService');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const USERS = {
+    1: { id: 1, role: 'manager' },
+    2: { id: 2, role: 'staff' },
+    3: { id: 3, role: 'admin' }
+};
+
+const PERMISSIONS = {
+    manager: ['setup.api_keys.manage', 'setup.users.manage', 'accounting.reports.view'],
+    staff: ['accounting.reports.view'],
+    admin: ['setup.api_keys.manage', 'setup.users.manage', 'setup.roles.manage', 'accounting.reports.view']
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const create = async (caller, userId) => {
+    const req = {
+        body: { name: 'BI extractor', user_id: userId, scopes: ['read:/api/accounting/reports/*'] },
+        user: caller
+    };
+    const res = mockResponse();
+    await apiKeyController.createApiKey(req, res);
+    return res;
+};
+
+describe('createApiKey', () => {
+    let permissions;
+
+    beforeEach(() => {
+        permissions = { ...PERMISSIONS };
+        jest.spyOn(permissionService, 'getEffectivePermissions')
+            .mockImplementation(async (user) => new Set(permissions[user.role]));
+
+        sequelize.query.mockReset();
+        sequelize.query.mockImplementation(async (sql, { replacements }) => {
+            if (/FROM users WHERE id = \?/.test(sql)) {
+                return USERS[replacements[0]] ? [USERS[replacements[0]]] : [];
+            }
+            if (/INSERT INTO api_keys/.test(sql)) {
+                return [9, 1];
+            }
+            if (/FROM api_keys k/.test(sql)) {
+                return [{ id: 9, user_id: replacements[0], scopes: '[]' }];
+            }
+            return [];
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const insertedUserId = () => sequelize.query.mock.calls
+        .find(([sql]) => /INSERT INTO api_keys/.test(sql))[1].replacements[1];
+
+    test('creates a key for the caller', async () => {
+        const res = await create(USERS[2]);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(insertedUserId()).toBe(2);
+    });
+
+    test('creates a key for a user whose permissions the caller holds', async () => {
+        const res = await create(USERS[1], 2);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(insertedUserId()).toBe(2);
+    });
+
+    test('requires setup.users.manage for another user', async () => {
+        permissions.manager = ['setup.api_keys.manage', 'accounting.reports.view'];
+
+        const res = await create(USERS[1], 2);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            message: 'Creating API keys for other users requires the setup.users.manage permission'
+        });
+    });
+
+    test('refuses a user with permissions the caller does not hold', async () => {
+        const res = await create(USERS[1], 3);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            message: 'The user has permissions you do not hold: setup.roles.manage'
+        });
+        expect(sequelize.query.mock.calls.some(([sql]) => /INSERT INTO api_keys/.test(sql))).toBe(false);
+    });
+});
@@ -0,0 +1,285 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const depreciation = require('../services/depreciation');
+const assetDisposals = require('../services/assetDisposals');
+const fiscalPeriods = require('../services/fiscalPeriods');
+const journalPosting = require('../services/journalPosting');
+const settings = require('../services/settings');
+const assetController = require('../controllers/assetController');
+
+const asset = (overrides = {}) => ({
+    id: 1,
+    asset_code: 'FA-001',
+    purchase_date: '2026-01-15',
+    purchase_cost: '12000.00',
+    salvage_value: '0.00',
+    useful_life_years: 1,
+    depreciation_method: 'straight_line',
+    depreciation_convention: 'full_month',
+    account_id: 10,
+    depreciation_expense_account_id: 11,
+    accumulated_depreciation_account_id: 12,
+    status: 'active',
+    ...overrides
+});
+
+const sale = { disposal_date: '2026-04-10', proceeds: 5000 };
+
+describe('planDisposal', () => {
+    test('requires the depreciation runs up to the previous month', () => {
+        const plan = assetDisposals.planDisposal(asset(), undefined, sale, undefined, '2026-01-31');
+
+        expect(plan.error).toBe('Run the depreciation up to 2026-03 before disposing of the asset');
+    });
+
+    test('disposes of an asset depreciated up to the previous month', () => {
+        const last = {
+            depreciation_date: '2026-03-31',
+            depreciated_to: '2026-03-31',
+            accumulated_depreciation: '3000.00',
+            book_value: '9000.00'
+        };
+
+        const plan = assetDisposals.planDisposal(asset(), last, sale);
+
+        expect(plan.error).toBeUndefined();
+        expect(plan.depreciation_amount).toBe(333.33);
+        expect(plan.book_value_removed).toBe(8666.67);
+        expect(plan.gain_loss).toBe(-3666.67);
+    });
+
+    test('does not depreciate an asset without depreciation accounts', () => {
+        const plan = assetDisposals.planDisposal(asset({ accumulated_depreciation_account_id: null }), undefined, sale);
+
+        expect(plan.error).toBeUndefined();
+        expect(plan.depreciation_amount).toBe(0);
+        expect(plan.book_value_removed).toBe(12000);
+    });
+
+    test('disposes of a next_month asset in the month after its purchase', () => {
+        const plan = assetDisposals.planDisposal(asset({ purchase_date: '2026-03-15', depreciation_convention: 'next_month' }),
+            undefined, sale, undefined, null);
+
+        expect(plan.error).toBeUndefined();
+        expect(plan.depreciation_amount).toBe(333.33);
+    });
+});
+
+describe('firstDueMonth', () => {
+    // Output recorded by month end
+    const mockUsage = (recorded) => {
+        sequelize.query.mockImplementation(async (sql, { replacements: [periodEnd] }) => {
+            const units = recorded[periodEnd] || 0;
+            const before = Object.keys(recorded)
+                .filter(month => month < periodEnd)
+                .reduce((sum, month) => sum + recorded[month], 0);
+            return [{ asset_id: 1, units: String(units), before_units: String(before) }];
+        });
+    };
+
+    const byUnits = (overrides) => asset({ depreciation_method: 'units_of_production', total_units: '1000.00', ...overrides });
+
+    test('is the first month not depreciated yet', async () => {
+        const last = { depreciated_to: '2026-01-31', book_value: '11000.00' };
+
+        expect(await depreciation.firstDueMonth(asset(), undefined, '2026-04-10')).toBe('2026-01-31');
+        expect(await depreciation.firstDueMonth(asset(), last, '2026-04-10')).toBe('2026-02-28');
+        expect(await depreciation.firstDueMonth(asset(), { ...last, depreciated_to: '2026-03-31' }, '2026-04-10'))
+            .toBeNull();
+    });
+
+    test('is never due for an asset the runs skip', async () => {
+        expect(await depreciation.firstDueMonth(asset({ depreciation_expense_account_id: null }), undefined, '2026-04-10'))
+            .toBeNull();
+        expect(await depreciation.firstDueMonth(asset({ status: 'fully_depreciated' }), undefined, '2026-04-10'))
+            .toBeNull();
+    });
+
+    test('starts from the first month the acquisition convention depreciates', async () => {
+        const bought = (convention) => asset({ purchase_date: '2026-03-15', depreciation_convention: convention });
+
+        expect(await depreciation.firstDueMonth(bought('full_month'), undefined, '2026-04-10')).toBe('2026-03-31');
+        expect(await depreciation.firstDueMonth(bought('mid_month'), undefined, '2026-04-10')).toBe('2026-03-31');
+        expect(await depreciation.firstDueMonth(bought('next_month'), undefined, '2026-04-10')).toBeNull();
+        expect(await depreciation.firstDueMonth(bought('next_month'), undefined, '2026-05-10')).toBe('2026-04-30');
+    });
+
+    test('skips the months without output of a units of production asset', async () => {
+        const last = { depreciated_to: '2026-01-31', book_value: '11000.00' };
+
+        mockUsage({ '2026-01-31': 100 });
+        expect(await depreciation.firstDueMonth(byUnits(), last, '2026-04-10')).toBeNull();
+
+        mockUsage({ '2026-01-31': 100, '2026-03-31': 50 });
+        expect(await depreciation.firstDueMonth(byUnits(), last, '2026-04-10')).toBe('2026-03-31');
+    });
+});
+
+describe('disposeAsset', () => {
+    const ACCOUNTS = {
+        20: { id: 20, account_code: '1100', account_name: 'Bank', account_type: 'asset' },
+        30: { id: 30, account_code: '8200', account_name: 'Loss on Disposal', account_type: 'expense' }
+    };
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+
+    const dispose = async (row, depreciationRows = []) => {
+        sequelize.transaction.mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+        sequelize.query.mockImplementation(async (sql, { replacements }) => {
+            if (/FROM fixed_assets fa WHERE fa.id = \? FOR UPDATE/.test(sql)) {
+                return [row];
+            }
+            if (/FROM asset_depreciation ad/.test(sql)) {
+                return depreciationRows;
+            }
+            if (/FROM chart_of_accounts/.test(sql)) {
+                return ACCOUNTS[replacements[0]] ? [ACCOUNTS[replacements[0]]] : [];
+            }
+            if (/^\s*INSERT/.test(sql)) {
+                return [7, 1];
+            }
+            return [];
+        });
+
+        const req = {
+            params: { id: row.id },
+            body: { disposal_type: 'sale', ...sale, proceeds_account_id: 20, gain_loss_account_id: 30 },
+            user: { id: 1 }
+        };
+        const res = mockResponse();
+        await assetController.disposeAsset(req, res);
+        return res;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(fiscalPeriods, 'checkPostingDate').mockResolvedValue(null);
+        jest.spyOn(settings, 'set').mockResolvedValue();
+        jest.spyOn(journalPosting, 'createPostedEntry').mockResolvedValue({ id: 50, referenceNo: 'JV/2026/04/0001' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('takes an asset without depreciation accounts off at cost', async () => {
+        const res = await dispose(asset({ depreciation_expense_account_id: null, accumulated_depreciation_account_id: null }));
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json.mock.calls[0][0].data).toMatchObject({ depreciation_amount: 0, gain_loss: -7000 });
+
+        const lines = journalPosting.createPostedEntry.mock.calls[0][1];
+        expect(lines.map(({ account_id, debit, credit }) => ({ account_id, debit, credit }))).toEqual([
+            { account_id: 10, debit: 0, credit: 12000 },
+            { account_id: 20, debit: 5000, credit: 0 },
+            { account_id: 30, debit: 7000, credit: 0 }
+        ]);
+    });
+
+    test('rejects removing accumulated depreciation without its account', async () => {
+        const res = await dispose(asset({ accumulated_depreciation_account_id: null }), [{
+            asset_id: 1,
+            depreciation_date: '2026-03-31',
+            accumulated_depreciation: '3000.00',
+            book_value: '9000.00',
+            disposal_id: null
+        }]);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            message: 'Asset has no depreciation expense or accumulated depreciation account'
+        });
+        expect(journalPosting.createPostedEntry).not.toHaveBeenCalled();
+    });
+});
+
+describe('reverseDisposal', () => {
+    const DISPOSAL = {
+        id: 7,
+        asset_id: 1,
+        disposal_date: '2026-04-10',
+        cost_removed: '12000.00',
+        salvage_value_removed: '500.00',
+        previous_status: 'active',
+        journal_id: 50,
+        status: 'posted'
+    };
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+
+    const reverse = async ({ later = null } = {}) => {
+        sequelize.transaction.mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+        sequelize.query.mockImplementation(async (sql) => {
+            if (/FROM asset_disposals WHERE id = \? FOR UPDATE/.test(sql)) {
+                return [DISPOSAL];
+            }
+            if (/FROM fixed_assets fa WHERE fa.id = \? FOR UPDATE/.test(sql)) {
+                return [asset({ status: 'disposed', purchase_cost: '0.00', salvage_value: '0.00', location: 'Office' })];
+            }
+            if (/JOIN asset_depreciation ld/.test(sql)) {
+                return later ? [later] : [];
+            }
+            if (/FROM journal_entries/.test(sql)) {
+                return [{ id: 50, reference_no: 'JV/2026/04/0001', is_closing: false }];
+            }
+            return [];
+        });
+
+        const req = { params: { id: DISPOSAL.id }, body: { reason: 'Sale cancelled' }, user: { id: 1 } };
+        const res = mockResponse();
+        await assetController.reverseDisposal(req, res);
+        return res;
+    };
+
+    const queriesMatching = (pattern) => sequelize.query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+    beforeEach(() => {
+        sequelize.query.mockClear();
+        jest.spyOn(fiscalPeriods, 'checkPostingDate').mockResolvedValue(null);
+        jest.spyOn(journalPosting, 'reverseEntry').mockResolvedValue({ reversalId: 51, reversalReferenceNo: 'JV/2026/04/0002' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('gives the asset back its cost, salvage value, depreciation and status', async () => {
+        const res = await reverse();
+
+        expect(res.json.mock.calls[0][0].success).toBe(true);
+        expect(journalPosting.reverseEntry.mock.calls[0][1]).toMatchObject({ date: '2026-04-10', reason: 'Sale cancelled' });
+        expect(queriesMatching(/UPDATE fixed_assets/)[0][1].replacements).toEqual(['12000.00', '500.00', 'active', 1]);
+        expect(queriesMatching(/UPDATE asset_depreciation SET is_reversed = TRUE WHERE disposal_id/)[0][1].replacements)
+            .toEqual([7]);
+        expect(queriesMatching(/UPDATE asset_disposals/)[0][1].replacements).toEqual([51, 'Sale cancelled', 1, 7]);
+        expect(queriesMatching(/INSERT INTO asset_movements/)[0][1].replacements)
+            .toEqual([1, 'disposal_reversal', '2026-04-10', null, 'Office', null, null, 7, 'Sale cancelled', 1]);
+    });
+
+    test('only reverses the latest depreciation or disposal of the asset', async () => {
+        const res = await reverse({ later: { period: '2026-05' } });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            message: 'Asset FA-001 was depreciated or disposed of after this disposal (2026-05)'
+        });
+        expect(journalPosting.reverseEntry).not.toHaveBeenCalled();
+    });
+});
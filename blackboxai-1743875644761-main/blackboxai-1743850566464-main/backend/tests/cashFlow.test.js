@@ -0,0 +1,67 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const cashFlow = require('../services/cashFlow');
+
+const ACCOUNTS = [
+    { id: 1, account_code: '1100', account_name: 'Bank', account_type: 'asset', cash_flow_category: 'cash', parent_id: null },
+    { id: 2, account_code: '1500', account_name: 'Equipment', account_type: 'asset', cash_flow_category: 'investing', parent_id: null },
+    { id: 3, account_code: '1510', account_name: 'Accumulated Depreciation', account_type: 'asset', cash_flow_category: null, parent_id: 2 },
+    { id: 4, account_code: '6100', account_name: 'Depreciation Expense', account_type: 'expense', cash_flow_category: null, parent_id: null },
+    { id: 5, account_code: '8100', account_name: 'Gain on Disposal', account_type: 'revenue', cash_flow_category: 'investing', parent_id: null }
+];
+
+/**
+ * Mock the ledger of a period
+ * @param {Object} movements - Credit minus debit by account ID
+ * @param {number} depreciation - Depreciation recorded in asset_depreciation, credited to account 3
+ * @param {Object} cash - { opening, closing } balance of the bank account
+ */
+const mockLedger = (movements, depreciation, cash) => {
+    sequelize.query.mockImplementation(async (sql) => {
+        if (/FROM chart_of_accounts/.test(sql)) {
+            return ACCOUNTS;
+        }
+        if (/FROM asset_depreciation/.test(sql)) {
+            return depreciation ? [{ account_id: 3, amount: String(depreciation) }] : [];
+        }
+        if (/opening_balance/.test(sql)) {
+            return [{ opening_balance: cash.opening, closing_balance: cash.closing }];
+        }
+        if (/GROUP BY jd.account_id/.test(sql)) {
+            return Object.entries(movements).map(([id, amount]) => ({ account_id: Number(id), amount: String(amount) }));
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+};
+
+describe('cash flow statement, indirect method', () => {
+    test('adds depreciation back once', async () => {
+        // Dr Depreciation Expense 100 / Cr Accumulated Depreciation 100
+        mockLedger({ 3: 100, 4: -100 }, 100, { opening: 1000, closing: 1000 });
+
+        const statement = await cashFlow.generate('2026-01-01', '2026-01-31');
+
+        expect(statement.operating.netIncome).toBe(-100);
+        expect(statement.operating.total).toBe(0);
+        expect(statement.investing.items).toEqual([]);
+        expect(statement.isReconciled).toBe(true);
+    });
+
+    test('keeps depreciation removed on a disposal in investing', async () => {
+        // Sale for 700 of equipment costing 1000 with 400 depreciated:
+        // Dr Bank 700, Dr Accumulated Depreciation 400 / Cr Equipment 1000, Cr Gain 100
+        mockLedger({ 1: -700, 2: 1000, 3: -400, 5: 100 }, 0, { opening: 1000, closing: 1700 });
+
+        const statement = await cashFlow.generate('2026-01-01', '2026-01-31');
+
+        expect(statement.operating.total).toBe(0);
+        expect(statement.investing.total).toBe(700);
+        expect(statement.isReconciled).toBe(true);
+    });
+});
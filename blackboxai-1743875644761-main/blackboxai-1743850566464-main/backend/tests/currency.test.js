@@ -0,0 +1,84 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const currency = require('../services/currency');
+const journalPosting = require('../services/journalPosting');
+
+const ACCOUNTS = [
+    { id: 1, account_code: '1110', currency: 'USD' },
+    { id: 2, account_code: '1120', currency: 'EUR' },
+    { id: 3, account_code: '6100', currency: null },
+    { id: 4, account_code: '6200', currency: null }
+];
+
+const RATES = { USD: '15500.3333', EUR: '17000.5555' };
+
+const total = (lines, side) => Math.round(lines.reduce((sum, line) => sum + line[side] * 100, 0)) / 100;
+
+describe('toFunctional', () => {
+    beforeEach(() => {
+        sequelize.query.mockImplementation(async (sql, { replacements }) => {
+            if (/FROM chart_of_accounts/.test(sql)) {
+                return ACCOUNTS;
+            }
+            if (/FROM exchange_rates/.test(sql)) {
+                return [{ rate: RATES[replacements[0]], rate_date: '2026-01-01' }];
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        });
+    });
+
+    test('balances in IDR the lines of a currency that balance in it', async () => {
+        const { lines } = await currency.toFunctional([
+            { account_id: 1, debit: '0.01', credit: '0', currency: 'USD' },
+            { account_id: 1, debit: '0.01', credit: '0', currency: 'USD' },
+            { account_id: 1, debit: '0.01', credit: '0', currency: 'USD' },
+            { account_id: 1, debit: '0', credit: '0.03', currency: 'USD' }
+        ], '2026-01-31');
+
+        // 155.00 three times against 465.01
+        expect(total(lines, 'debit')).toBe(total(lines, 'credit'));
+        expect(lines[3].credit).toBe(465);
+        expect(lines.map(line => line.currency_credit)).toEqual([0, 0, 0, 0.03]);
+    });
+
+    test('balances in IDR an entry that balances at the rates used', async () => {
+        const { lines } = await currency.toFunctional([
+            { account_id: 3, debit: '155.01', credit: '0' },
+            { account_id: 1, debit: '0', credit: '0.005', currency: 'USD', exchange_rate: '15500.8' },
+            { account_id: 2, debit: '0', credit: '0.005', currency: 'EUR', exchange_rate: '15500.8' }
+        ], '2026-01-31');
+
+        // 77.504 twice, rounded to 77.51 and 77.50
+        expect(lines.map(line => line.debit + line.credit)).toEqual([155.01, 77.51, 77.5]);
+        expect(total(lines, 'debit')).toBe(total(lines, 'credit'));
+    });
+
+    test('leaves an unbalanced entry unbalanced', async () => {
+        const { lines } = await currency.toFunctional([
+            { account_id: 3, debit: '1000000', credit: '0' },
+            { account_id: 1, debit: '0', credit: '10', currency: 'USD' }
+        ], '2026-01-31');
+
+        expect(lines.map(line => line.debit + line.credit)).toEqual([1000000, 155003.33]);
+        expect(journalPosting.isBalanced(lines)).toBe(false);
+    });
+
+    test('leaves the functional currency lines alone', async () => {
+        const { lines } = await currency.toFunctional([
+            { account_id: 3, debit: '0', credit: '1000.00' },
+            { account_id: 4, debit: '333.33', credit: '0' },
+            { account_id: 2, debit: '0.01', credit: '0', currency: 'EUR', exchange_rate: '33333.6' },
+            { account_id: 2, debit: '0.01', credit: '0', currency: 'EUR', exchange_rate: '33333.6' }
+        ], '2026-01-31');
+
+        // 333.336 twice, rounded to 333.34 and 333.33
+        expect(lines.map(line => line.debit + line.credit)).toEqual([1000, 333.33, 333.33, 333.34]);
+        expect(total(lines, 'debit')).toBe(total(lines, 'credit'));
+    });
+});
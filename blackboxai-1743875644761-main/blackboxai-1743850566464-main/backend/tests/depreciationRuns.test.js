@@ -0,0 +1,76 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const depreciation = require('../services/depreciation');
+
+const asset = (id) => ({
+    id,
+    asset_code: `FA-00${id}`,
+    purchase_date: '2026-01-15',
+    purchase_cost: '12000.00',
+    salvage_value: '0.00',
+    useful_life_years: 1,
+    depreciation_method: 'straight_line',
+    depreciation_convention: 'full_month',
+    depreciation_expense_account_id: 11,
+    accumulated_depreciation_account_id: 12,
+    status: 'active'
+});
+
+const ASSETS = [asset(1), asset(2)];
+
+/**
+ * Mock the fixed assets and their latest depreciation
+ * @param {Object} depreciatedTo - Last month-end depreciated by asset ID
+ */
+const mockAssets = (depreciatedTo) => {
+    sequelize.query.mockImplementation(async (sql) => {
+        if (/FROM fixed_assets fa/.test(sql)) {
+            return ASSETS;
+        }
+        if (/FROM asset_depreciation ad/.test(sql)) {
+            return Object.entries(depreciatedTo).map(([id, date]) => ({
+                asset_id: Number(id),
+                depreciation_date: date,
+                accumulated_depreciation: '1000.00',
+                book_value: '11000.00',
+                disposal_id: null
+            }));
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+};
+
+describe('planRun', () => {
+    test('depreciates the assets depreciated up to the previous month', async () => {
+        mockAssets({ 1: '2026-01-31', 2: '2026-01-31' });
+
+        const plan = await depreciation.planRun('2026-02-28');
+
+        expect(plan.items.map(item => item.asset_id)).toEqual([1, 2]);
+        expect(plan.skipped).toEqual([]);
+    });
+
+    test('skips an asset with an earlier month still to depreciate', async () => {
+        mockAssets({ 1: '2026-01-31', 2: '2026-03-31' });
+
+        const plan = await depreciation.planRun('2026-04-30');
+
+        expect(plan.items.map(item => item.asset_id)).toEqual([2]);
+        expect(plan.skipped).toEqual([{ asset_id: 1, asset_code: 'FA-001', reason: 'Not depreciated for 2026-02 yet' }]);
+    });
+
+    test('skips an asset never depreciated since its purchase month', async () => {
+        mockAssets({ 2: '2026-01-31' });
+
+        const plan = await depreciation.planRun('2026-02-28');
+
+        expect(plan.items.map(item => item.asset_id)).toEqual([2]);
+        expect(plan.skipped).toEqual([{ asset_id: 1, asset_code: 'FA-001', reason: 'Not depreciated for 2026-01 yet' }]);
+    });
+});
@@ -0,0 +1,111 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const journalChain = require('../services/journalChain');
+
+/**
+ * Mock journal_entries, journal_details and journal_chain_head in memory
+ * @returns {Object} The entries by ID
+ */
+const mockLedger = () => {
+    const head = { last_seq: 0, last_hash: null };
+    const entries = {};
+    const lines = [];
+
+    [1, 2].forEach(id => {
+        entries[id] = {
+            id,
+            chain_seq: null,
+            prev_hash: null,
+            entry_hash: null,
+            status: 'posted',
+            entry_date: '2026-01-31',
+            reference_no: `JV/2026/01/000${id}`,
+            description: 'Rent'
+        };
+        lines.push(
+            { id: id * 10, journal_id: id, account_id: 1, debit: '100.00', credit: '0.00', description: null },
+            { id: id * 10 + 1, journal_id: id, account_id: 2, debit: '0.00', credit: '100.00', description: null }
+        );
+    });
+
+    sequelize.query.mockImplementation(async (sql, { replacements } = {}) => {
+        if (/FROM journal_chain_head/.test(sql)) {
+            return [{ ...head }];
+        }
+        if (/UPDATE journal_chain_head/.test(sql)) {
+            [head.last_seq, head.last_hash] = replacements;
+            return [undefined, 1];
+        }
+        if (/FROM journal_entries j WHERE j.id = \?/.test(sql)) {
+            return [{ ...entries[replacements[0]] }];
+        }
+        if (/UPDATE journal_entries/.test(sql)) {
+            const [chainSeq, prevHash, entryHash, id] = replacements;
+            Object.assign(entries[id], { chain_seq: chainSeq, prev_hash: prevHash, entry_hash: entryHash });
+            return [undefined, 1];
+        }
+        if (/chain_seq IS NULL/.test(sql)) {
+            return Object.values(entries).filter(entry => entry.status !== 'draft' && entry.chain_seq === null);
+        }
+        if (/WHERE j.chain_seq >= \?/.test(sql)) {
+            return Object.values(entries)
+                .filter(entry => entry.chain_seq >= replacements[0])
+                .sort((a, b) => a.chain_seq - b.chain_seq)
+                .slice(0, replacements[1])
+                .map(entry => ({ ...entry }));
+        }
+        if (/FROM journal_details d/.test(sql)) {
+            return lines.filter(line => replacements[0].includes(line.journal_id));
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+
+    return entries;
+};
+
+describe('journal chain', () => {
+    let entries;
+
+    beforeEach(async () => {
+        entries = mockLedger();
+        await journalChain.seal(1);
+        await journalChain.seal(2);
+    });
+
+    test('verifies posted and voided entries', async () => {
+        entries[1].status = 'void';
+
+        const result = await journalChain.verify();
+
+        expect(result.valid).toBe(true);
+        expect(result.checkedEntries).toBe(2);
+    });
+
+    test('reports a sealed entry set back to draft', async () => {
+        entries[2].status = 'draft';
+
+        const result = await journalChain.verify();
+
+        expect(result.valid).toBe(false);
+        expect(result.brokenAt).toEqual({
+            journalId: 2,
+            referenceNo: 'JV/2026/01/0002',
+            chainSeq: 2,
+            reason: 'Sealed entry is draft'
+        });
+    });
+
+    test('reports an entry modified after posting', async () => {
+        entries[1].description = 'Office rent';
+
+        const result = await journalChain.verify();
+
+        expect(result.brokenAt.reason).toBe('Entry or its lines were modified after posting');
+    });
+});
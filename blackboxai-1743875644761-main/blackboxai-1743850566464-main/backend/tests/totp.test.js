@@ -0,0 +1,48 @@
+const totp = require('../services/totp');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", 8 digits, 30 second steps
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+describe('totp', () => {
+    test('base32 round-trips the RFC seed', () => {
+        expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(totp.base32Decode(SECRET).toString()).toBe('12345678901234567890');
+    });
+
+    test.each(VECTORS)('generates the RFC 6238 code at %i seconds', (seconds, code) => {
+        expect(totp.generate(SECRET, { time: seconds * 1000, digits: 8 })).toBe(code);
+        expect(totp.generate(SECRET, { time: seconds * 1000 })).toBe(code.slice(-6));
+    });
+
+    test.each(VECTORS)('verifies the RFC 6238 code at %i seconds', (seconds, code) => {
+        expect(totp.verify(SECRET, code, { time: seconds * 1000, digits: 8 })).toBe(Math.floor(seconds / 30));
+    });
+
+    test('accepts one step of clock drift either side and no more', () => {
+        const time = 1111111109 * 1000;
+        const step = totp.timeStep({ time });
+        const code = totp.generate(SECRET, { time });
+
+        expect(totp.verify(SECRET, code, { time: time + 30000 })).toBe(step);
+        expect(totp.verify(SECRET, code, { time: time - 30000 })).toBe(step);
+        expect(totp.verify(SECRET, code, { time: time + 60000 })).toBeNull();
+        expect(totp.verify(SECRET, code, { time: time + 60000, window: 2 })).toBe(step);
+    });
+
+    test('rejects codes that are not six digits', () => {
+        const time = 1111111109 * 1000;
+
+        expect(totp.verify(SECRET, '', { time })).toBeNull();
+        expect(totp.verify(SECRET, '08180', { time })).toBeNull();
+        expect(totp.verify(SECRET, 'abcdef', { time })).toBeNull();
+        expect(totp.verify(SECRET, '081 804', { time })).toBe(totp.timeStep({ time }));
+    });
+});
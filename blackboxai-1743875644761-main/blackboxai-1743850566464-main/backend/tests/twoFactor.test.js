@@ -0,0 +1,120 @@
+jest.mock('../config/database', () => ({
+    sequelize: {
+        query: jest.fn(),
+        transaction: jest.fn()
+    }
+}));
+
+const { sequelize } = require('../config/database');
+const tokenService = require('../services/tokenService');
+const totp = require('../services/totp');
+const authController = require('../controllers/authController');
+
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const NOW = 1111111109 * 1000;
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    return res;
+};
+
+const verify = async (code) => {
+    const req = {
+        body: { challenge_token: 'challenge', code },
+        ip: '127.0.0.1',
+        get: () => 'jest'
+    };
+    const res = mockResponse();
+    await authController.verifyTwoFactor(req, res);
+    return res;
+};
+
+describe('verifyTwoFactor', () => {
+    let user;
+
+    beforeEach(() => {
+        user = {
+            id: 1,
+            username: 'admin',
+            email: 'admin@example.com',
+            full_name: 'Admin',
+            role: 'admin',
+            is_active: true,
+            totp_secret: SECRET,
+            totp_enabled: true,
+            totp_last_used_step: null
+        };
+
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        jest.spyOn(tokenService, 'verifyChallengeToken').mockReturnValue({ id: user.id });
+        jest.spyOn(tokenService, 'issueTokenPair').mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+
+        sequelize.query.mockImplementation(async (sql, { replacements }) => {
+            if (/FROM users u/.test(sql)) {
+                return [{ ...user }];
+            }
+            if (/FROM login_attempts/.test(sql)) {
+                return [{ username_failures: 0, ip_failures: 0 }];
+            }
+            if (/SET totp_last_used_step/.test(sql)) {
+                const [step, , after] = replacements;
+                if (user.totp_last_used_step !== null && user.totp_last_used_step >= after) {
+                    return [undefined, 0];
+                }
+                user.totp_last_used_step = step;
+            }
+            return [0, 1];
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        sequelize.query.mockReset();
+    });
+
+    test('logs in with the code of the current time step', async () => {
+        const res = await verify(totp.generate(SECRET, { time: NOW }));
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: true,
+            data: expect.objectContaining({ accessToken: 'access' })
+        }));
+        expect(user.totp_last_used_step).toBe(totp.timeStep({ time: NOW }));
+    });
+
+    test('rejects a code that was already used', async () => {
+        const code = totp.generate(SECRET, { time: NOW });
+
+        await verify(code);
+        const replay = await verify(code);
+
+        expect(replay.status).toHaveBeenCalledWith(401);
+        expect(replay.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+    });
+
+    test('accepts a code once when it is used by two logins at the same time', async () => {
+        const code = totp.generate(SECRET, { time: NOW });
+
+        const results = await Promise.all([verify(code), verify(code)]);
+
+        expect(results.filter(res => res.status.mock.calls.some(([status]) => status === 401))).toHaveLength(1);
+    });
+
+    test('rejects a code older than the last one used', async () => {
+        await verify(totp.generate(SECRET, { time: NOW }));
+        const earlier = await verify(totp.generate(SECRET, { time: NOW - 30000 }));
+
+        expect(earlier.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects a wrong code', async () => {
+        const res = await verify('000000');
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(user.totp_last_used_step).toBeNull();
+    });
+});
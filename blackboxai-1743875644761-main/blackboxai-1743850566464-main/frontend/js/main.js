@@ -19,6 +19,18 @@ const utils = {
         }).format(new Date(date));
     },
 
+    // Relative time, e.g. "5 min ago"
+    timeAgo: (date) => {
+        const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) {
+            const hours = Math.floor(seconds / 3600);
+            return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+        }
+        return utils.formatDate(date);
+    },
+
     // Show loading spinner
     showLoading: (element) => {
         element.innerHTML = '<div class="spinner"></div>';
@@ -86,9 +98,17 @@ const utils = {
 const api = {
     baseUrl: '/api',
 
+    // Request headers, including the bearer token saved at login
+    headers(extra = {}) {
+        const token = localStorage.getItem('token');
+        return token ? { ...extra, 'Authorization': `Bearer ${token}` } : extra;
+    },
+
     async get(endpoint) {
         try {
-            const response = await fetch(`${this.baseUrl}${endpoint}`);
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                headers: this.headers(),
+            });
             if (!response.ok) throw new Error('Network response was not ok');
             return await response.json();
         } catch (error) {
@@ -102,9 +122,9 @@ const api = {
         try {
             const response = await fetch(`${this.baseUrl}${endpoint}`, {
                 method: 'POST',
-                headers: {
+                headers: this.headers({
                     'Content-Type': 'application/json',
-                },
+                }),
                 body: JSON.stringify(data),
             });
             if (!response.ok) throw new Error('Network response was not ok');
@@ -120,9 +140,9 @@ const api = {
         try {
             const response = await fetch(`${this.baseUrl}${endpoint}`, {
                 method: 'PUT',
-                headers: {
+                headers: this.headers({
                     'Content-Type': 'application/json',
-                },
+                }),
                 body: JSON.stringify(data),
             });
             if (!response.ok) throw new Error('Network response was not ok');
@@ -138,6 +158,7 @@ const api = {
         try {
             const response = await fetch(`${this.baseUrl}${endpoint}`, {
                 method: 'DELETE',
+                headers: this.headers(),
             });
             if (!response.ok) throw new Error('Network response was not ok');
             return await response.json();
@@ -189,6 +210,53 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update notifications every minute
     setInterval(updateNotifications, 60000);
 
+    // Recent activities panel (dashboard), fed by the activity log
+    const activityList = document.querySelector('#recent-activities');
+    const activityColors = {
+        POST: 'bg-green-500',
+        PUT: 'bg-blue-500',
+        PATCH: 'bg-blue-500',
+        DELETE: 'bg-red-500'
+    };
+    const activityVerbs = {
+        POST: 'Created',
+        PUT: 'Updated',
+        PATCH: 'Updated',
+        DELETE: 'Deleted'
+    };
+
+    const loadRecentActivities = async () => {
+        try {
+            const response = await api.get('/setup/activity-logs?limit=5');
+            if (!response.success || !response.data.length) return;
+
+            activityList.innerHTML = '';
+            response.data.forEach(log => {
+                const item = document.createElement('div');
+                item.className = 'flex items-center';
+                item.innerHTML = `
+                    <div class="w-2 h-2 ${activityColors[log.action] || 'bg-gray-500'} rounded-full"></div>
+                    <p class="ml-3 text-sm text-gray-600"></p>
+                    <span class="ml-auto text-xs text-gray-400">${utils.timeAgo(log.created_at)}</span>
+                `;
+                const actor = log.api_key_name ? `API key ${log.api_key_name}` : (log.full_name || log.username || 'Unknown user');
+                item.querySelector('p').textContent =
+                    `${activityVerbs[log.action] || log.action} ${log.resource.replace(/^\/api\//, '')} by ${actor}`;
+                activityList.appendChild(item);
+            });
+        } catch (error) {
+            // Users without access to the activity log keep the placeholder
+            clearInterval(activityTimer);
+            console.error('Failed to fetch recent activities:', error);
+        }
+    };
+
+    let activityTimer;
+    if (activityList) {
+        activityTimer = setInterval(loadRecentActivities, 60000);
+        loadRecentActivities();
+    }
+
     // Form validation
     const forms = document.querySelectorAll('form');
     forms.forEach(form => {
@@ -22,6 +22,8 @@ function setupEventListeners() {
     // Form submissions
     document.getElementById('account-form')?.addEventListener('submit', handleAccountSubmit);
     document.getElementById('journal-entry-form')?.addEventListener('submit', handleJournalEntrySubmit);
+    document.getElementById('void-form')?.addEventListener('submit', handleVoidSubmit);
+    document.getElementById('ledger-form')?.addEventListener('submit', handleLedgerSubmit);
 
     // Amount input formatting
     document.querySelectorAll('input[type="number"]').forEach(input => {
@@ -91,15 +93,135 @@ function renderAccounts() {
                 <button onclick="editAccount(${account.id})" class="text-indigo-600 hover:text-indigo-900 mr-3">
                     <i class="fas fa-edit"></i>
                 </button>
-                <button onclick="viewAccountDetails(${account.id})" class="text-gray-600 hover:text-gray-900">
+                <button onclick="viewAccountDetails(${account.id})" class="text-gray-600 hover:text-gray-900 mr-3" title="General ledger">
                     <i class="fas fa-eye"></i>
                 </button>
+                <button onclick="showAccountHistory(${account.id})" class="text-gray-600 hover:text-gray-900" title="Change history">
+                    <i class="fas fa-history"></i>
+                </button>
             </td>
         `;
         tbody.appendChild(row);
     });
 }
 
+// General Ledger Functions
+function viewAccountDetails(id) {
+    const account = state.accounts.find(a => a.id === id);
+    const form = document.getElementById('ledger-form');
+    const today = new Date().toISOString().split('T')[0];
+
+    document.getElementById('ledger-title').textContent =
+        account ? `General Ledger - ${account.account_code} ${account.account_name}` : 'General Ledger';
+    form.account_id.value = id;
+    form.start_date.value = `${today.slice(0, 4)}-01-01`;
+    form.end_date.value = today;
+
+    loadLedger();
+}
+
+async function loadLedger() {
+    const form = document.getElementById('ledger-form');
+
+    try {
+        const response = await api.get(`/accounting/chart-of-accounts/${form.account_id.value}/ledger`, {
+            start_date: form.start_date.value,
+            end_date: form.end_date.value
+        });
+        if (response.success) {
+            renderLedger(response.data);
+            document.getElementById('ledger-modal').classList.remove('hidden');
+        }
+    } catch (error) {
+        utils.showNotification('Failed to load general ledger', 'error');
+    }
+}
+
+function handleLedgerSubmit(event) {
+    event.preventDefault();
+    loadLedger();
+}
+
+function hideLedgerModal() {
+    document.getElementById('ledger-modal').classList.add('hidden');
+}
+
+function renderLedger(data) {
+    const balanceRow = (label, amount) => `
+        <tr class="bg-gray-50 font-medium">
+            <td colspan="6" class="px-4 py-2 text-sm text-gray-700">${label}</td>
+            <td class="px-4 py-2 text-sm text-gray-900 text-right">${utils.formatCurrency(amount)}</td>
+        </tr>
+    `;
+
+    document.getElementById('ledger-lines').innerHTML = `
+        ${balanceRow(`Opening balance ${utils.formatDate(data.period.startDate)}`, data.openingBalance)}
+        ${data.lines.map(line => `
+            <tr>
+                <td class="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">${utils.formatDate(line.entry_date)}</td>
+                <td class="px-4 py-2 text-sm whitespace-nowrap">
+                    <a href="#" onclick="viewJournalEntryDetails(${line.journal_id}); return false;"
+                       class="text-indigo-600 hover:text-indigo-900">${escapeHtml(line.reference_no)}</a>
+                    ${line.status === 'void' ? '<span class="text-xs text-red-600 ml-1">(void)</span>' : ''}
+                </td>
+                <td class="px-4 py-2 text-sm text-gray-500">${escapeHtml(line.account_code)}</td>
+                <td class="px-4 py-2 text-sm text-gray-500">${escapeHtml(line.description || '')}</td>
+                <td class="px-4 py-2 text-sm text-gray-500 text-right">${utils.formatCurrency(line.debit)}</td>
+                <td class="px-4 py-2 text-sm text-gray-500 text-right">${utils.formatCurrency(line.credit)}</td>
+                <td class="px-4 py-2 text-sm text-gray-900 text-right">${utils.formatCurrency(line.runningBalance)}</td>
+            </tr>
+        `).join('')}
+        ${balanceRow(`Closing balance ${utils.formatDate(data.period.endDate)}`, data.closingBalance)}
+    `;
+}
+
+// Change History Functions
+async function showAccountHistory(id) {
+    const account = state.accounts.find(a => a.id === id);
+    document.getElementById('history-title').textContent =
+        account ? `Change History - ${account.account_code} ${account.account_name}` : 'Change History';
+
+    try {
+        const response = await api.get(`/accounting/chart-of-accounts/${id}/history`);
+        if (response.success) {
+            renderHistory(response.data);
+            document.getElementById('history-modal').classList.remove('hidden');
+        }
+    } catch (error) {
+        utils.showNotification('Failed to load change history', 'error');
+    }
+}
+
+function hideHistoryModal() {
+    document.getElementById('history-modal').classList.add('hidden');
+}
+
+function renderHistory(history) {
+    const container = document.getElementById('history-list');
+
+    if (!history.length) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No changes recorded.</p>';
+        return;
+    }
+
+    container.innerHTML = history.map(entry => `
+        <div class="border-b border-gray-200 py-3">
+            <div class="flex justify-between text-xs text-gray-500 mb-2">
+                <span><i class="fas fa-user mr-1"></i>${escapeHtml(entry.changed_by_user || 'Unknown user')}</span>
+                <span>${new Date(entry.changed_at).toLocaleString('id-ID')}</span>
+            </div>
+            ${Object.entries(entry.changes).map(([field, change]) => `
+                <div class="text-sm mb-1">
+                    <span class="font-medium text-gray-700">${escapeHtml(field)}:</span>
+                    <span class="text-red-600 line-through">${escapeHtml(change.old ?? '(empty)')}</span>
+                    <i class="fas fa-arrow-right text-gray-400 mx-1"></i>
+                    <span class="text-green-600">${escapeHtml(change.new ?? '(empty)')}</span>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
 // Journal Entries Functions
 async function loadJournalEntries() {
     try {
@@ -145,6 +267,107 @@ function renderJournalEntries() {
     });
 }
 
+// Journal Entry Details (post / void actions)
+async function viewJournalEntryDetails(id) {
+    try {
+        const response = await api.get(`/accounting/journal-entries/${id}`);
+        if (response.success) {
+            state.selectedJournalEntry = response.data;
+            renderJournalEntryDetails(response.data);
+            document.getElementById('journal-view-modal').classList.remove('hidden');
+        }
+    } catch (error) {
+        utils.showNotification('Failed to load journal entry', 'error');
+    }
+}
+
+function hideJournalViewModal() {
+    document.getElementById('journal-view-modal').classList.add('hidden');
+    document.getElementById('void-form').classList.add('hidden');
+    document.getElementById('void-form').reset();
+    state.selectedJournalEntry = null;
+}
+
+function renderJournalEntryDetails(entry) {
+    const actionLine = (label, user, date) => date
+        ? `<p>${label} by ${escapeHtml(user || 'Unknown user')} on ${new Date(date).toLocaleString('id-ID')}</p>`
+        : '';
+
+    document.getElementById('journal-view-title').textContent = `Journal Entry ${entry.reference_no}`;
+    document.getElementById('journal-view-info').innerHTML = `
+        <p class="mb-2">
+            ${utils.formatDate(entry.entry_date)} - ${escapeHtml(entry.description)}
+            <span class="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusColor(entry.status)}">
+                ${capitalizeFirstLetter(entry.status)}
+            </span>
+        </p>
+        ${actionLine('Created', entry.created_by_user, entry.created_at)}
+        ${actionLine('Posted', entry.posted_by_user, entry.posted_at)}
+        ${actionLine('Voided', entry.voided_by_user, entry.voided_at)}
+        ${entry.void_reason ? `<p>Reason: ${escapeHtml(entry.void_reason)}</p>` : ''}
+        ${entry.reversal ? `<p>Reversed by ${escapeHtml(entry.reversal.reference_no)} on ${utils.formatDate(entry.reversal.entry_date)}</p>` : ''}
+        ${entry.reversal_of ? `<p>Reversal of ${escapeHtml(entry.reversal_of_reference_no)}</p>` : ''}
+    `;
+
+    document.getElementById('journal-view-lines').innerHTML = entry.details.map(detail => `
+        <tr>
+            <td class="px-4 py-2 text-sm text-gray-500">${escapeHtml(detail.account_code)} - ${escapeHtml(detail.account_name)}</td>
+            <td class="px-4 py-2 text-sm text-gray-500">
+                ${escapeHtml(detail.description || '')}
+                ${detail.currency !== 'IDR' ? `<div class="text-xs">${escapeHtml(detail.currency)}
+                    ${parseFloat(detail.currency_debit || detail.currency_credit).toFixed(2)} @ ${parseFloat(detail.exchange_rate)}</div>` : ''}
+            </td>
+            <td class="px-4 py-2 text-sm text-gray-500 text-right">${utils.formatCurrency(detail.debit)}</td>
+            <td class="px-4 py-2 text-sm text-gray-500 text-right">${utils.formatCurrency(detail.credit)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('post-entry-button').classList.toggle('hidden', entry.status !== 'draft');
+    document.getElementById('void-entry-button').classList.toggle('hidden', entry.status !== 'posted' || !!entry.reversal_of);
+}
+
+async function postJournalEntry() {
+    const entry = state.selectedJournalEntry;
+    if (!entry || !confirm(`Post journal entry ${entry.reference_no}? Posted entries can no longer be edited.`)) return;
+
+    try {
+        const response = await api.post(`/accounting/journal-entries/${entry.id}/post`, {});
+        if (response.success) {
+            utils.showNotification('Journal entry posted successfully', 'success');
+            hideJournalViewModal();
+            loadJournalEntries();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to post journal entry', 'error');
+    }
+}
+
+function showVoidForm() {
+    const form = document.getElementById('void-form');
+    form.reversal_date.value = new Date().toISOString().slice(0, 10);
+    form.classList.remove('hidden');
+}
+
+async function handleVoidSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const entry = state.selectedJournalEntry;
+
+    try {
+        const response = await api.post(`/accounting/journal-entries/${entry.id}/void`, {
+            reversal_date: form.reversal_date.value,
+            reason: form.reason.value || undefined
+        });
+        if (response.success) {
+            utils.showNotification(`Journal entry voided by ${response.data.reversalReferenceNo}`, 'success');
+            hideJournalViewModal();
+            loadJournalEntries();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to void journal entry', 'error');
+    }
+}
+
 // Journal Entry Modal Functions
 function showJournalEntryModal() {
     const modal = document.getElementById('journal-entry-modal');
@@ -157,6 +380,11 @@ function hideJournalEntryModal() {
     modal.classList.add('hidden');
     document.getElementById('journal-entry-form').reset();
     document.getElementById('journal-details-body').innerHTML = '';
+    toggleRecurringFields(false);
+}
+
+function toggleRecurringFields(show) {
+    document.getElementById('recurring-fields').classList.toggle('hidden', !show);
 }
 
 function addJournalDetailRow() {
@@ -172,6 +400,10 @@ function addJournalDetailRow() {
         <td class="px-4 py-2">
             <input type="text" class="w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500">
         </td>
+        <td class="px-4 py-2">
+            <input type="text" maxlength="3" value="IDR" class="line-currency w-20 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 uppercase"
+                   onchange="updateJournalTotals()">
+        </td>
         <td class="px-4 py-2">
             <input type="number" step="0.01" class="w-full text-right rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
                    onchange="updateJournalTotals()" value="0.00">
@@ -207,12 +439,18 @@ function updateJournalTotals() {
     document.getElementById('total-debit').textContent = totalDebit.toFixed(2);
     document.getElementById('total-credit').textContent = totalCredit.toFixed(2);
 
-    // Highlight totals if they don't match
-    const totalsMatch = Math.abs(totalDebit - totalCredit) < 0.01;
+    // Lines in different currencies are balanced in IDR by the server, at the rate of the entry date
+    const totalsMatch = hasMixedCurrencies() || Math.abs(totalDebit - totalCredit) < 0.01;
     document.getElementById('total-debit').style.color = totalsMatch ? '' : 'red';
     document.getElementById('total-credit').style.color = totalsMatch ? '' : 'red';
 }
 
+function hasMixedCurrencies() {
+    const currencies = Array.from(document.querySelectorAll('#journal-details-body .line-currency'))
+        .map(input => input.value.trim().toUpperCase() || 'IDR');
+    return new Set(currencies).size > 1;
+}
+
 // Form Handlers
 async function handleAccountSubmit(event) {
     event.preventDefault();
@@ -239,7 +477,7 @@ async function handleJournalEntrySubmit(event) {
     const totalDebit = parseFloat(document.getElementById('total-debit').textContent);
     const totalCredit = parseFloat(document.getElementById('total-credit').textContent);
     
-    if (Math.abs(totalDebit - totalCredit) >= 0.01) {
+    if (!hasMixedCurrencies() && Math.abs(totalDebit - totalCredit) >= 0.01) {
         utils.showNotification('Debits and credits must be equal', 'error');
         return;
     }
@@ -250,6 +488,7 @@ async function handleJournalEntrySubmit(event) {
         details.push({
             account_id: row.querySelector('select').value,
             description: row.querySelector('input[type="text"]').value,
+            currency: row.querySelector('.line-currency').value.trim().toUpperCase() || 'IDR',
             debit: parseFloat(row.querySelector('input[type="number"]:nth-of-type(1)').value) || 0,
             credit: parseFloat(row.querySelector('input[type="number"]:nth-of-type(2)').value) || 0
         });
@@ -257,15 +496,19 @@ async function handleJournalEntrySubmit(event) {
 
     const data = {
         entry_date: form.entry_date.value,
-        reference_no: form.reference_no.value,
         description: form.description.value,
         details: details
     };
 
+    if (form.recurring.checked) {
+        await saveJournalTemplate(form, data);
+        return;
+    }
+
     try {
         const response = await api.post('/accounting/journal-entries', data);
         if (response.success) {
-            utils.showNotification('Journal entry created successfully', 'success');
+            utils.showNotification(`Journal entry ${response.data.referenceNo} created successfully`, 'success');
             hideJournalEntryModal();
             loadJournalEntries();
         }
@@ -274,6 +517,30 @@ async function handleJournalEntrySubmit(event) {
     }
 }
 
+// Save the entry as a recurring template and generate the runs already due
+async function saveJournalTemplate(form, data) {
+    try {
+        const response = await api.post('/accounting/journal-templates', {
+            name: data.description.slice(0, 100),
+            description: data.description,
+            frequency: form.frequency.value,
+            start_date: data.entry_date,
+            end_date: form.end_date.value || null,
+            auto_post: form.auto_post.value === 'true',
+            details: data.details
+        });
+
+        if (response.success) {
+            const run = await api.post('/accounting/journal-templates/run', { template_id: response.data.id });
+            utils.showNotification(`Recurring template saved. ${run.message}`, 'success');
+            hideJournalEntryModal();
+            loadJournalEntries();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to save recurring template', 'error');
+    }
+}
+
 // Report Generation
 async function generateReport(reportType) {
     let endpoint;
@@ -283,6 +550,7 @@ async function generateReport(reportType) {
         case 'balance-sheet':
             endpoint = '/accounting/reports/balance-sheet';
             params.append('as_of_date', new Date().toISOString().split('T')[0]);
+            appendStatementOptions(params, reportType);
             break;
         case 'income-statement':
             endpoint = '/accounting/reports/income-statement';
@@ -290,10 +558,18 @@ async function generateReport(reportType) {
             const today = new Date().toISOString().split('T')[0];
             params.append('start_date', firstDay);
             params.append('end_date', today);
+            appendStatementOptions(params, reportType);
             break;
         case 'trial-balance':
             endpoint = '/accounting/reports/trial-balance';
             params.append('as_of_date', new Date().toISOString().split('T')[0]);
+            appendReportCurrency(params);
+            break;
+        case 'cash-flow':
+            endpoint = '/accounting/reports/cash-flow';
+            params.append('start_date', new Date(new Date().getFullYear(), 0, 1).toISOString().split('T')[0]);
+            params.append('end_date', new Date().toISOString().split('T')[0]);
+            params.append('method', document.getElementById('cash-flow-method').value);
             break;
     }
 
@@ -310,11 +586,41 @@ async function generateReport(reportType) {
     }
 }
 
+// Comparison column and account depth chosen on the report card
+function appendStatementOptions(params, reportType) {
+    appendReportCurrency(params);
+
+    const compare = document.getElementById(`${reportType}-compare`).value;
+    const depth = document.getElementById(`${reportType}-depth`).value;
+
+    if (compare) {
+        params.append('compare', compare);
+    }
+    if (depth) {
+        params.append('depth', depth);
+    }
+}
+
+// Balance sheet, income statement and trial balance can be produced in a transaction currency
+function appendReportCurrency(params) {
+    const currency = document.getElementById('report-currency').value.trim().toUpperCase();
+
+    if (currency && currency !== 'IDR') {
+        params.append('currency', currency);
+    }
+}
+
 // Utility Functions
 function capitalizeFirstLetter(string) {
     return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
 function getStatusColor(status) {
     const colors = {
         draft: 'bg-gray-100 text-gray-800',
@@ -371,7 +677,116 @@ function generateReportHTML(reportType, data) {
 }
 
 function generateReportContent(reportType, data) {
+    if (reportType === 'cash-flow') {
+        return generateCashFlowContent(data);
+    }
+
+    if (reportType === 'balance-sheet') {
+        return `
+            <p>As of ${utils.formatDate(data.asOfDate)}, in ${escapeHtml(data.currency)}</p>
+            ${generateStatementTable(data, [
+                { title: 'Assets', lines: data.assets, totals: [['Total assets', 'totalAssets']] },
+                { title: 'Liabilities', lines: data.liabilities, totals: [['Total liabilities', 'totalLiabilities']] },
+                {
+                    title: 'Equity',
+                    lines: data.equity,
+                    totals: [
+                        ['Current earnings', 'currentEarnings'],
+                        ['Total equity', 'totalEquity'],
+                        ['Total liabilities and equity', 'totalLiabilitiesAndEquity']
+                    ]
+                }
+            ])}
+        `;
+    }
+
+    if (reportType === 'income-statement') {
+        return `
+            <p>${utils.formatDate(data.period.startDate)} - ${utils.formatDate(data.period.endDate)}, in ${escapeHtml(data.currency)}</p>
+            ${generateStatementTable(data, [
+                { title: 'Revenue', lines: data.revenue, totals: [['Total revenue', 'totalRevenue']] },
+                { title: 'Expenses', lines: data.expenses, totals: [['Total expenses', 'totalExpenses']] },
+                { title: '', lines: [], totals: [['Net income', 'netIncome']] }
+            ])}
+        `;
+    }
+
     // Implementation will vary based on report type
     // This is a placeholder
     return '<div>Report content will be generated here</div>';
+}
+
+// Balance sheet and income statement: accounts indented by level, subtotals on parent accounts
+function generateStatementTable(data, sections) {
+    const percent = value => (value === null ? '-' : `${value.toFixed(1)}%`);
+    const comparisonCells = comparisons => data.comparisons.map(({ key }) => `
+        <td class="amount">${utils.formatCurrency(comparisons[key].amount)}</td>
+        <td class="amount">${utils.formatCurrency(comparisons[key].variance)}</td>
+        <td class="amount">${percent(comparisons[key].variancePercent)}</td>
+    `).join('');
+    const columnCount = 2 + data.comparisons.length * 3;
+
+    return `
+        <table>
+            <tr>
+                <th>Account</th>
+                <th class="amount">Amount</th>
+                ${data.comparisons.map(comparison => `
+                    <th class="amount">${escapeHtml(comparison.label)}</th>
+                    <th class="amount">Variance</th>
+                    <th class="amount">%</th>
+                `).join('')}
+            </tr>
+            ${sections.map(section => `
+                ${section.title ? `<tr><th colspan="${columnCount}">${section.title}</th></tr>` : ''}
+                ${section.lines.map(line => `
+                    <tr class="${line.hasChildren ? 'total' : ''}">
+                        <td style="padding-left: ${8 + line.level * 20}px">
+                            ${escapeHtml(line.account_code)} ${escapeHtml(line.account_name)}
+                        </td>
+                        <td class="amount">${utils.formatCurrency(line.total)}</td>
+                        ${comparisonCells(line.comparisons)}
+                    </tr>
+                `).join('')}
+                ${section.totals.map(([label, key]) => `
+                    <tr class="total">
+                        <td>${label}</td>
+                        <td class="amount">${utils.formatCurrency(data[key])}</td>
+                        ${comparisonCells(Object.fromEntries(data.comparisons.map(({ key: column }) =>
+                            [column, data.comparisonTotals[column][key]])))}
+                    </tr>
+                `).join('')}
+            `).join('')}
+        </table>
+    `;
+}
+
+function generateCashFlowContent(data) {
+    const row = (label, amount, className = '') => `
+        <tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${utils.formatCurrency(amount)}</td></tr>
+    `;
+    const itemLabel = item => item.label || `${item.account_code} ${item.account_name}`;
+    const titles = {
+        operating: 'Operating Activities',
+        investing: 'Investing Activities',
+        financing: 'Financing Activities'
+    };
+
+    return `
+        <p>${utils.formatDate(data.period.startDate)} - ${utils.formatDate(data.period.endDate)}
+            (${data.method === 'direct' ? 'direct' : 'indirect'} method)</p>
+        <table>
+            ${Object.entries(titles).map(([activity, title]) => `
+                <tr><th colspan="2">${title}</th></tr>
+                ${activity === 'operating' && data.method === 'indirect' ? row('Net income', data.operating.netIncome) : ''}
+                ${data[activity].items.map(item => row(itemLabel(item), item.amount)).join('')}
+                ${row(`Net cash from ${activity} activities`, data[activity].total, 'total')}
+            `).join('')}
+            ${row('Net change in cash', data.netCashChange, 'total')}
+            ${row('Cash at beginning of period', data.cash.openingBalance)}
+            ${row('Cash at end of period', data.cash.closingBalance, 'total')}
+        </table>
+        ${data.isReconciled ? '' : `<p>Difference with the cash accounts: ${utils.formatCurrency(data.difference)}.
+            Check the cash flow categories of the accounts.</p>`}
+    `;
 }
\ No newline at end of file
@@ -0,0 +1,377 @@
+// Setup Module JavaScript
+
+// State management
+let state = {
+    users: [],
+    roles: [],
+    numberingSeries: [],
+    filters: {
+        search: '',
+        is_active: ''
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    loadRoles();
+    loadUsers();
+    loadNumberingSeries();
+    setupEventListeners();
+});
+
+// Setup Event Listeners
+function setupEventListeners() {
+    // Form submissions
+    document.getElementById('user-form')?.addEventListener('submit', handleUserSubmit);
+    document.getElementById('password-change-form')?.addEventListener('submit', handlePasswordChangeSubmit);
+    document.getElementById('numbering-form')?.addEventListener('submit', handleNumberingSubmit);
+
+    // Filters
+    let searchTimeout;
+    document.getElementById('user-search')?.addEventListener('input', (event) => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            state.filters.search = event.target.value.trim();
+            loadUsers();
+        }, 300);
+    });
+    document.getElementById('user-status-filter')?.addEventListener('change', (event) => {
+        state.filters.is_active = event.target.value;
+        loadUsers();
+    });
+}
+
+// Tab Switching
+function switchTab(tabId) {
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        tab.classList.add('hidden');
+    });
+    document.getElementById(tabId).classList.remove('hidden');
+
+    document.querySelectorAll('#tabs button').forEach(button => {
+        const active = button.onclick.toString().includes(tabId);
+        button.classList.toggle('text-indigo-600', active);
+        button.classList.toggle('border-b-2', active);
+        button.classList.toggle('border-indigo-600', active);
+        button.classList.toggle('text-gray-500', !active);
+    });
+}
+
+// Role Functions
+async function loadRoles() {
+    try {
+        const response = await api.get('/setup/roles');
+        if (response.success) {
+            state.roles = response.data;
+            document.querySelector('#user-form select[name="role"]').innerHTML = generateRoleOptions();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to load roles', 'error');
+    }
+}
+
+// User Functions
+async function loadUsers() {
+    const params = {};
+    if (state.filters.search) params.search = state.filters.search;
+    if (state.filters.is_active) params.is_active = state.filters.is_active;
+
+    try {
+        const response = await api.get('/setup/users', params);
+        if (response.success) {
+            state.users = response.data;
+            renderUsers();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to load users', 'error');
+    }
+}
+
+function renderUsers() {
+    const tbody = document.getElementById('users-table-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    state.users.forEach(user => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                ${escapeHtml(user.username)}
+                ${user.must_change_password ? '<i class="fas fa-key text-yellow-500 ml-1" title="Must change password"></i>' : ''}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                ${escapeHtml(user.full_name)}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                ${escapeHtml(user.email)}
+                ${user.email_verified_at ? '' : '<span class="text-xs text-yellow-600 ml-1">(unverified)</span>'}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                ${capitalizeFirstLetter(user.role)}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap">
+                <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full
+                    ${user.is_active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
+                    ${user.is_active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                ${user.last_login_at ? utils.formatDate(user.last_login_at) : '-'}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                <button onclick="editUser(${user.id})" class="text-indigo-600 hover:text-indigo-900 mr-3" title="Edit">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button onclick="toggleUserActive(${user.id})" class="text-gray-600 hover:text-gray-900 mr-3"
+                        title="${user.is_active ? 'Deactivate' : 'Activate'}">
+                    <i class="fas ${user.is_active ? 'fa-user-slash' : 'fa-user-check'}"></i>
+                </button>
+                <button onclick="showPasswordChangeModal(${user.id})" class="text-yellow-600 hover:text-yellow-800 mr-3"
+                        title="Require password change">
+                    <i class="fas fa-key"></i>
+                </button>
+                <button onclick="deleteUser(${user.id})" class="text-red-600 hover:text-red-800" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// User Modal Functions
+function showUserModal(user = null) {
+    const form = document.getElementById('user-form');
+    form.reset();
+
+    document.getElementById('user-modal-title').textContent = user ? 'Edit User' : 'New User';
+    form.user_id.value = user ? user.id : '';
+    form.username.disabled = Boolean(user);
+
+    // Passwords of existing users are changed with "Require password change"
+    document.getElementById('user-password-field').classList.toggle('hidden', Boolean(user));
+    form.password.required = !user;
+
+    if (user) {
+        form.username.value = user.username;
+        form.full_name.value = user.full_name;
+        form.email.value = user.email;
+        form.role.value = user.role;
+        form.is_active.checked = Boolean(user.is_active);
+    }
+
+    document.getElementById('user-modal').classList.remove('hidden');
+}
+
+function hideUserModal() {
+    document.getElementById('user-modal').classList.add('hidden');
+    document.getElementById('user-form').reset();
+}
+
+function editUser(id) {
+    const user = state.users.find(u => u.id === id);
+    if (user) {
+        showUserModal(user);
+    }
+}
+
+async function toggleUserActive(id) {
+    const user = state.users.find(u => u.id === id);
+    if (!user) return;
+
+    if (user.is_active && !confirm(`Deactivate ${user.username}? The user will be logged out of all sessions.`)) {
+        return;
+    }
+
+    try {
+        const response = await api.put(`/setup/users/${id}`, { is_active: !user.is_active });
+        if (response.success) {
+            utils.showNotification(`User ${user.is_active ? 'deactivated' : 'activated'} successfully`, 'success');
+            loadUsers();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to update user. The last active admin cannot be deactivated.', 'error');
+    }
+}
+
+async function deleteUser(id) {
+    const user = state.users.find(u => u.id === id);
+    if (!user || !confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+
+    try {
+        const response = await api.delete(`/setup/users/${id}`);
+        if (response.success) {
+            utils.showNotification('User deleted successfully', 'success');
+            loadUsers();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to delete user. Users with related records can only be deactivated.', 'error');
+    }
+}
+
+// Password Change Modal Functions
+function showPasswordChangeModal(id) {
+    const form = document.getElementById('password-change-form');
+    form.reset();
+    form.user_id.value = id;
+    document.getElementById('password-change-modal').classList.remove('hidden');
+}
+
+function hidePasswordChangeModal() {
+    document.getElementById('password-change-modal').classList.add('hidden');
+    document.getElementById('password-change-form').reset();
+}
+
+// Numbering Series Functions
+async function loadNumberingSeries() {
+    try {
+        const response = await api.get('/setup/numbering-series');
+        if (response.success) {
+            state.numberingSeries = response.data;
+            renderNumberingSeries();
+        }
+    } catch (error) {
+        // Only shown to users allowed to configure numbering
+        document.querySelector('#tabs button[onclick="switchTab(\'numbering\')"]')?.classList.add('hidden');
+    }
+}
+
+function renderNumberingSeries() {
+    const tbody = document.getElementById('numbering-table-body');
+    if (!tbody) return;
+
+    const resetLabels = { never: 'Never', yearly: 'Yearly', monthly: 'Monthly' };
+
+    tbody.innerHTML = state.numberingSeries.map(series => `
+        <tr>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                ${escapeHtml(series.name)}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                ${escapeHtml(series.format)}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                ${resetLabels[series.reset_period]}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">
+                ${escapeHtml(series.nextNumber)}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                <button onclick="showNumberingModal(${series.id})" class="text-indigo-600 hover:text-indigo-900" title="Edit">
+                    <i class="fas fa-edit"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function showNumberingModal(id) {
+    const series = state.numberingSeries.find(s => s.id === id);
+    if (!series) return;
+
+    const form = document.getElementById('numbering-form');
+    form.reset();
+    document.getElementById('numbering-modal-title').textContent = `Numbering: ${series.name}`;
+    form.series_id.value = series.id;
+    form.prefix.value = series.prefix;
+    form.format.value = series.format;
+    form.padding.value = series.padding;
+    form.reset_period.value = series.reset_period;
+
+    document.getElementById('numbering-modal').classList.remove('hidden');
+}
+
+function hideNumberingModal() {
+    document.getElementById('numbering-modal').classList.add('hidden');
+    document.getElementById('numbering-form').reset();
+}
+
+// Form Handlers
+async function handleUserSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+
+    const data = {
+        full_name: form.full_name.value,
+        email: form.email.value,
+        role: form.role.value,
+        is_active: form.is_active.checked
+    };
+
+    try {
+        let response;
+        if (form.user_id.value) {
+            response = await api.put(`/setup/users/${form.user_id.value}`, data);
+        } else {
+            response = await api.post('/setup/users', {
+                ...data,
+                username: form.username.value,
+                password: form.password.value
+            });
+        }
+
+        if (response.success) {
+            utils.showNotification(response.message, 'success');
+            hideUserModal();
+            loadUsers();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to save user', 'error');
+    }
+}
+
+async function handlePasswordChangeSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const data = form.password.value ? { password: form.password.value } : {};
+
+    try {
+        const response = await api.post(`/setup/users/${form.user_id.value}/require-password-change`, data);
+        if (response.success) {
+            utils.showNotification(response.message, 'success');
+            hidePasswordChangeModal();
+            loadUsers();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to require password change', 'error');
+    }
+}
+
+async function handleNumberingSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+        const response = await api.put(`/setup/numbering-series/${form.series_id.value}`, {
+            prefix: form.prefix.value,
+            format: form.format.value,
+            padding: parseInt(form.padding.value),
+            reset_period: form.reset_period.value
+        });
+
+        if (response.success) {
+            utils.showNotification(`${response.message}. Next number: ${response.data.nextNumber}`, 'success');
+            hideNumberingModal();
+            loadNumberingSeries();
+        }
+    } catch (error) {
+        utils.showNotification('Failed to save numbering series. The format must contain {SEQ} and the dates the counter restarts on.', 'error');
+    }
+}
+
+// Utility Functions
+function capitalizeFirstLetter(string) {
+    return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+function generateRoleOptions() {
+    return state.roles.map(role =>
+        `<option value="${escapeHtml(role.name)}">${capitalizeFirstLetter(role.name)}</option>`
+    ).join('');
+}